@@ -0,0 +1,64 @@
+// scripts/apiKeys.js
+// Gerencia as API keys da API (a chave só é exibida na criação; o store guarda apenas o hash).
+//
+// Uso:
+//   npm run api-keys -- criar --escopos emitir,consultar [--emitentes 11222333000181,...] [--descricao "billing"]
+//   npm run api-keys -- listar
+//   npm run api-keys -- revogar <id>
+
+require('dotenv').config({ quiet: true });
+
+const { criarApiKeyStore, gerarApiKey } = require('../src/storage/ApiKeyStore');
+
+//-------------------------------------------------------------
+function lerOpcoes(args) {
+    const opcoes = {};
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            opcoes[args[i].slice(2)] = args[i + 1];
+            i++;
+        }
+    }
+    return opcoes;
+}
+
+//-------------------------------------------------------------
+async function main() {
+    const [comando, ...args] = process.argv.slice(2);
+    const store = criarApiKeyStore();
+
+    if (comando === 'criar') {
+        const opcoes = lerOpcoes(args);
+        const { chave, registro } = gerarApiKey({
+            descricao: opcoes.descricao || '',
+            escopos: (opcoes.escopos || '').split(',').filter(Boolean),
+            emitentes: (opcoes.emitentes || '*').split(',').filter(Boolean),
+        });
+        await store.salvar(registro);
+        console.log(`API key criada (id ${registro.id}). Guarde a chave, ela não será exibida novamente:`);
+        console.log(chave);
+        return;
+    }
+
+    if (comando === 'listar') {
+        const registros = await store.listar();
+        registros.forEach(({ id, descricao, escopos, emitentes, criadaEm, revogadaEm }) => {
+            console.log([id, descricao, escopos.join(','), emitentes.join(','), criadaEm, revogadaEm ? `revogada em ${revogadaEm}` : 'ativa'].join(' | '));
+        });
+        return;
+    }
+
+    if (comando === 'revogar') {
+        const revogada = await store.revogar(args[0]);
+        console.log(revogada ? `API key ${args[0]} revogada` : `API key ${args[0]} não encontrada ou já revogada`);
+        return;
+    }
+
+    console.log('Uso: api-keys criar --escopos emitir,consultar [--emitentes <cnpj,...>] [--descricao <texto>] | listar | revogar <id>');
+    process.exitCode = 1;
+}
+
+main().catch((err) => {
+    console.error(err.message, err.errors ? JSON.stringify(err.errors) : '');
+    process.exit(1);
+});
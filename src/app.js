@@ -75,7 +75,8 @@ app.get('/health', (req, res) => {
 
 // ROUTER FOR APP
 const apiV1Router = require("./routers/apiV1Router");
-app.use("/api/v1", apiV1Router);
+app.use("/api/v1/emitentes/:emitente", apiV1Router);     // emitente (tenant) no path
+app.use("/api/v1", apiV1Router);                          // emitente no cabeçalho X-Emitente-CNPJ
 
 
 app.get('/*', (req, res) => {
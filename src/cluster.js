@@ -0,0 +1,37 @@
+require('dotenv').config();
+
+const cluster = require('cluster');
+const os = require('os');
+
+// Quantidade de workers (CLUSTER_WORKERS); padrão: um por CPU disponível
+const WORKERS = Number(process.env.CLUSTER_WORKERS) || os.availableParallelism();
+
+//-----------------------------------------------------------------
+// Processo principal: cria os workers e recria os que terminarem inesperadamente.
+// Cada worker roda o server.js completo (HTTP + JobWorker); a fila, a idempotência e a
+// numeração de RPS ficam no SQLite, que garante a atomicidade entre os processos.
+if (cluster.isPrimary) {
+  let encerrando = false;
+
+  console.log(`Primary ${process.pid} starting ${WORKERS} workers...`);
+  for (let i = 0; i < WORKERS; i++) {
+    cluster.fork();
+  }
+
+  cluster.on('exit', (worker, code, signal) => {
+    if (encerrando) return;
+    console.error(`Worker ${worker.process.pid} exited (code ${code}, signal ${signal}). Restarting...`);
+    cluster.fork();
+  });
+
+  const encerrar = () => {
+    encerrando = true;
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill('SIGTERM');
+    }
+  };
+  process.on('SIGINT', encerrar);
+  process.on('SIGTERM', encerrar);
+} else {
+  require('./server');
+}
@@ -1,7 +1,20 @@
 // controllers/apiV1Controller.js
-const { NotaFiscalSP } = require('../core/NotaFiscalSP');
+const { Rps } = require('../models');
+const { MAX_MOTIVO } = require('../xml/CancelBuilder');
+const { ValidationError, NotFoundError, ocorreuAntesDoEnvio } = require('../core/errors');
+const { erroDaPrefeitura } = require('../core/errorCodes');
+const { criarRpsSequenceStore } = require('../storage/RpsSequenceStore');
+const { criarJobStore } = require('../storage/JobStore');
+const { MAX_TENTATIVAS } = require('../core/JobWorker');
+const { obterDispatcher } = require('../core/WebhookDispatcher');
+const { obterRegistry } = require('../core/IssuerRegistry');
+const { STATUS } = require('../storage/NfseRepository');
+const { buildDanfsePdf, notaDoRegistro } = require('../pdf/DanfseBuilder');
+const { FORMATOS_QRCODE } = require('../utils/verificacao');
+const { obterTabelaServicos } = require('../core/TabelaServicos');
+const { limparDocumento, validarCnpj } = require('../core/Validacao');
+const { sendSuccessResponse, sendErrorResponse } = require('../utils/response');
 const logger = require('../utils/logger');
-const path = require('path');
 
 
 //==============================================================================
@@ -9,26 +22,124 @@ const path = require('path');
 //==============================================================================
 
 //-------------------------------------------------------------
-function sendSuccessResponse(res, data) {
-    // console.log('sendSuccessResponse() | data: ' + data);
-    res.json({ result: data });
+// Lança o erro do catálogo (errorCodes.js) quando o retorno da Prefeitura não tem sucesso
+function verificarRetorno(retorno, mensagem) {
+    if (!retorno.sucesso) {
+        throw erroDaPrefeitura(retorno.erros, mensagem);
+    }
+    return retorno;
 }
 
 
 //-------------------------------------------------------------
-function sendErrorResponse(res, functionName, errorMessage, errorCode, log = true, user = '') {
-    
-    errorCode = errorCode || 100;
-    errorMessage = errorMessage || "Undefined Error";
-    
-    if (errorMessage.startsWith("Access denied for")) {
-        errorMessage = "Access denied for user";
+// Store da numeração automática de RPS, criado no primeiro uso
+let rpsSequenceStore = null;
+
+function sequenciaRps() {
+    if (!rpsSequenceStore) {
+        rpsSequenceStore = criarRpsSequenceStore();
+    }
+    return rpsSequenceStore;
+}
+
+
+//-------------------------------------------------------------
+// Fila de jobs da emissão assíncrona, criada no primeiro uso
+let jobStore = null;
+
+function filaDeJobs() {
+    if (!jobStore) {
+        jobStore = criarJobStore();
+    }
+    return jobStore;
+}
+
+
+//-------------------------------------------------------------
+// Assinatura de webhook sem o segredo (devolvido apenas na criação)
+function semSegredo({ segredo, ...assinatura }) {
+    return assinatura;
+}
+
+
+//-------------------------------------------------------------
+// Reduz alertas/erros do retorno a { codigo, code, descricao }
+function resumirEventos(eventos) {
+    return eventos.map(({ codigo, code, descricao }) => ({ codigo, code, descricao }));
+}
+
+
+//-------------------------------------------------------------
+// Endereço do QR code de verificação de uma NFS-e do emitente (mesmo prefixo da rota chamada)
+function enderecoQrCode(req, numeroNfse) {
+    return numeroNfse ? `${req.baseUrl}/nfse/${numeroNfse}/qrcode` : null;
+}
+
+
+//-------------------------------------------------------------
+// Acrescenta o link de verificação a cada nota de uma consulta por período
+async function* comLinkVerificacao(nfsp, notas) {
+    for await (const nota of notas) {
+        yield { ...nota, linkVerificacao: nfsp.linkVerificacao(nota) };
     }
+}
+
 
-    if(log == true) {
-        // logger2.log(fileName, functionName, 'error', errorMessage, { errorCode: errorCode, user: user });     // REGISTRAMOS O ERRO NO CLOUDWATCH
-    }    
-    res.json({ error: true, errorCode, errorMessage });
+//-------------------------------------------------------------
+// Nota no formato de ResponseHandler.nfe: do registro local ou, se a nota não foi emitida por aqui, da Prefeitura
+async function buscarNota(req, numero) {
+    const registro = await obterRegistry().repositorio.obterPorNfse(req.emitente.cnpj, numero);
+    if (registro && registro.rps) {
+        return notaDoRegistro(registro, req.emitente);
+    }
+
+    const retorno = verificarRetorno(await req.nfsp.consultarNota({ numeroNfe: numero }), 'Consulta rejeitada pela Prefeitura');
+    if (retorno.notas.length === 0) {
+        throw new NotFoundError(`NFS-e ${numero} não encontrada`);
+    }
+    return retorno.notas[0];
+}
+
+
+//-------------------------------------------------------------
+// Envia os itens de um iterador assíncrono como um JSON { result: [...] } em streaming.
+// Erros antes do primeiro item usam sendErrorResponse; depois disso são anexados ao final do JSON.
+async function sendStreamResponse(res, functionName, iterator, user = '') {
+    let iniciado = false;
+    try {
+        for await (const item of iterator) {
+            res.write((iniciado ? ',' : '{"result":[') + JSON.stringify(item));
+            iniciado = true;
+        }
+        res.end(iniciado ? ']}' : '{"result":[]}');
+    } catch(err) {
+        logger.error(`${functionName} :: erro=%o`, err);
+        if (!iniciado) {
+            return sendErrorResponse(res, functionName, err.message || 'Erro desconhecido', err.errorCode || 'NFSE_CONSULTA_FALHA', true, user, err.statusCode || 500, err.errors, err.retryable);
+        }
+        res.end('],' + JSON.stringify({ error: true, errorCode: err.errorCode || 'NFSE_CONSULTA_FALHA', errorMessage: err.message, retryable: err.retryable === true }).slice(1));
+    }
+}
+
+
+//-------------------------------------------------------------
+// Valida o período (inicio/fim) recebido na query string
+function validarPeriodo(query) {
+    const { inicio, fim } = query;
+    const errors = [];
+    if (!inicio || isNaN(Date.parse(inicio))) {
+        errors.push({ campo: 'inicio', mensagem: 'Data inicial inválida ou ausente (AAAA-MM-DD)' });
+    }
+    if (!fim || isNaN(Date.parse(fim))) {
+        errors.push({ campo: 'fim', mensagem: 'Data final inválida ou ausente (AAAA-MM-DD)' });
+    }
+    if (errors.length === 0 && Date.parse(inicio) > Date.parse(fim)) {
+        errors.push({ campo: 'inicio', mensagem: 'Data inicial não pode ser posterior à data final' });
+    }
+    if (errors.length > 0) {
+        throw new ValidationError('Período inválido', errors);
+    }
+    return { inicio, fim };
 }
 
 
@@ -56,15 +167,223 @@ async function teste(req, res, next) {
 // EMISSÃO DE NOTA FISCAL
 //------------------------------------------------------------------------------
 async function emitirNota(req, res, next) {
+    // Número alocado pela sequência (RPS enviado sem numeroRps), devolvido só se a emissão falhar
+    // comprovadamente antes do envio: validação aqui ou erro marcado pelo SDK (errors.marcarAntesDoEnvio)
+    let alocado = null;
+    let enviando = false;
     try {
-        console.log("========================================");
-        console.log("emitirNota:");
-        console.log("Query:", req.query);
-        console.log("Body:", req.body);       
-                
-        return sendSuccessResponse(res, req.body);
+        logger.info('========================================');
+        logger.info('emitirNota');
+        logger.info('Body:', req.body);
+
+        // ------------------------------------------------------------------
+        // 1. Numeração automática e validação do payload contra o SCHEMA_EMISSAO (ValidationError com
+        //    todas as violações e o caminho de cada campo)
+        // ------------------------------------------------------------------
+        let dados = req.body;
+        const dadosRps = (dados && dados.rps) || {};
+        const idempotencia = req.idempotencia;
+        if (dados && typeof dados === 'object' && !dadosRps.numeroRps) {
+            if (idempotencia && idempotencia.rps) {
+                // Repetição (mesma Idempotency-Key) de uma emissão que falhou depois do envio: reenvia o mesmo RPS
+                dados = { ...dados, rps: { ...dadosRps, ...idempotencia.rps } };
+            } else {
+                const serie = (dadosRps.serie || Rps.SERIE_PADRAO).toString();
+                alocado = { serie, numero: await sequenciaRps().alocar(req.emitente.cnpj, serie) };
+                if (idempotencia) {
+                    await idempotencia.vincular({ serie, numeroRps: String(alocado.numero) });
+                }
+                dados = { ...dados, rps: { ...dadosRps, serie, numeroRps: alocado.numero } };
+            }
+        }
+        const rps = Rps.fromObject(dados);
+
+        const payload = rps.toObject();
+        if (dadosRps.numeroRps) {
+            // Número informado pelo cliente: a numeração automática da série passa a seguir dele
+            await sequenciaRps().registrar(req.emitente.cnpj, payload.rps.serie, Number(payload.rps.numeroRps));
+        }
+        // Daqui em diante o RPS pode chegar à Prefeitura (agora ou pelo JobWorker)
+        enviando = true;
+
+        // ------------------------------------------------------------------
+        // 2a. Emissão assíncrona (?async=true): enfileira o RPS para o JobWorker e devolve o id do job
+        // ------------------------------------------------------------------
+        if (req.query.async === 'true') {
+            const job = await filaDeJobs().enfileirar({
+                tipo: 'emissao',
+                cnpj: req.emitente.cnpj,
+                payload,
+                maxTentativas: MAX_TENTATIVAS,
+            });
+            res.status(202);
+            return sendSuccessResponse(res, {
+                success: true,
+                jobId: job.id,
+                status: job.status,
+                numeroRps: payload.rps.numeroRps,
+                serie: payload.rps.serie,
+                tributos: rps.calcularTributos(),
+            });
+        }
+
+        // ------------------------------------------------------------------
+        // 2b. Envia o RPS (o XML é montado via buildRpsXml dentro do SDK)
+        // ------------------------------------------------------------------
+        const nfsp = req.nfsp;
+        const retorno = verificarRetorno(await nfsp.enviarNota(payload), 'RPS rejeitado pela Prefeitura');
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, {
+            success: true,
+            numeroRps: payload.rps.numeroRps,
+            serie: payload.rps.serie,
+            numeroNfse: retorno.numeroNfe,
+            codigoVerificacao: retorno.codigoVerificacao,
+            linkVerificacao: nfsp.linkVerificacao(retorno),
+            qrCode: enderecoQrCode(req, retorno.numeroNfe),
+            tributos: rps.calcularTributos(),
+            alertas: resumirEventos(retorno.alertas),
+        });
     } catch(err) {
-        return sendErrorResponse(res, 'emitirNota', err.message, err.errorCode, true, req.email);
+        logger.error('emitirNota :: erro=%o', err);
+        const antesDoEnvio = !enviando || ocorreuAntesDoEnvio(err);
+        if (req.idempotencia) {
+            req.idempotencia.antesDoEnvio = antesDoEnvio;
+        }
+        if (alocado && antesDoEnvio) {
+            await sequenciaRps().devolver(req.emitente.cnpj, alocado.serie, alocado.numero)
+                .catch((e) => logger.error(`emitirNota :: falha ao devolver o RPS ${alocado.serie}/${alocado.numero}:`, e));
+        }
+        return sendErrorResponse(
+            res,
+            'emitirNota',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_EMISSAO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//------------------------------------------------------------------------------
+// CONSULTAR JOB DE EMISSÃO ASSÍNCRONA
+//------------------------------------------------------------------------------
+async function consultarJob(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('consultarJob');
+        logger.info('Params:', req.params);
+
+        // ------------------------------------------------------------------
+        // 1. Busca o job (jobs de outro emitente são tratados como inexistentes)
+        // ------------------------------------------------------------------
+        const job = await filaDeJobs().obter(req.params.id);
+        if (!job || job.cnpj !== req.emitente.cnpj) {
+            throw new NotFoundError(`Job ${req.params.id} não encontrado`);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Retorno de sucesso
+        // ------------------------------------------------------------------
+        const resultado = job.resultado || {};
+        return sendSuccessResponse(res, {
+            success: true,
+            jobId: job.id,
+            status: job.status,
+            numeroRps: job.payload.rps.numeroRps,
+            serie: job.payload.rps.serie,
+            numeroNfse: resultado.numeroNfse || null,
+            codigoVerificacao: resultado.codigoVerificacao || null,
+            linkVerificacao: resultado.linkVerificacao || null,
+            qrCode: enderecoQrCode(req, resultado.numeroNfse),
+            alertas: resultado.alertas || [],
+            tentativas: job.tentativas,
+            maxTentativas: job.maxTentativas,
+            proximaTentativaEm: job.status === 'pendente' ? job.proximaTentativaEm : null,
+            erro: job.erro,
+            criadoEm: job.criadoEm,
+            atualizadoEm: job.atualizadoEm,
+        });
+    } catch(err) {
+        logger.error('consultarJob :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'consultarJob',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'JOB_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//------------------------------------------------------------------------------
+// TESTE DE ENVIO DE LOTE (não gera notas)
+//------------------------------------------------------------------------------
+async function testarLote(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('testarLote');
+
+        // ------------------------------------------------------------------
+        // 1. Validação de todos os RPS, com erros prefixados pelo índice
+        // ------------------------------------------------------------------
+        const lista = (req.body && req.body.rps) || [];
+        if (!Array.isArray(lista) || lista.length === 0) {
+            throw new ValidationError('Lista de RPS é obrigatória', [
+                { campo: 'rps', mensagem: 'Informe ao menos um RPS' },
+            ]);
+        }
+
+        const errors = [];
+        const rpsList = [];
+        lista.forEach((item, i) => {
+            try {
+                rpsList.push(Rps.fromObject(item));
+            } catch (err) {
+                if (!err.errors) throw err;
+                err.errors.forEach((e) => errors.push({ ...e, campo: `rps[${i}].${e.campo}` }));
+            }
+        });
+        if (errors.length > 0) {
+            throw new ValidationError('Dados do lote inválidos', errors);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Envia para TesteEnvioLoteRPS
+        // ------------------------------------------------------------------
+        const nfsp = req.nfsp;
+        const lotes = await nfsp.testarLote(rpsList, { transacao: req.body.transacao !== false });
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, {
+            success: lotes.every((l) => l.sucesso),
+            lotes,
+        });
+    } catch(err) {
+        logger.error('testarLote :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'testarLote',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'LOTE_TESTE_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
     }
 }
 
@@ -81,48 +400,276 @@ async function consultarNota(req, res, next) {
         logger.info('Body:', req.body);
         
         // ------------------------------------------------------------------
-        // 1. Validação
+        // 1. Validação ("recibo" mantido como alias de numeroNfse)
         // ------------------------------------------------------------------
-        const recibo = (req.query.recibo || req.body.recibo || '').toString().trim();
-        if (!recibo) {
-        return sendErrorResponse(
-            res,
-            'consultarNota',
-            'Parâmetro "recibo" é obrigatório.',
-            'PARAM_MISSING'
-        );
+        const params = { ...(req.body || {}), ...req.query };
+        const numeroNfse = (params.numeroNfse || params.recibo || '').toString().trim();
+        const numeroRps = (params.numeroRps || '').toString().trim();
+        if (!numeroNfse && !numeroRps) {
+            throw new ValidationError('Parâmetros de consulta inválidos', [
+                { campo: 'numeroNfse', mensagem: 'Informe numeroNfse ou numeroRps (com serie)' },
+            ]);
         }
+        const chave = numeroNfse
+            ? { numeroNfe: numeroNfse }
+            : { numeroRps, serie: (params.serie || '').toString().trim() };
 
         // ------------------------------------------------------------------
         // 2. Instancia o SDK NotaFiscalSP
         // ------------------------------------------------------------------
-        const nfsp = new NotaFiscalSP({
-            cnpj: process.env.EMPRESA_CNPJ,
-            // certificado: Buffer.from(process.env.PFX_BASE64, 'base64'), // ou caminho para arquivo .pfx
-            certificado: path.resolve(__dirname, '../../certificados/up-leg-certificate-2025.pfx'),
-            senhaCertificado: process.env.CERT_PASSWORD,
-            ambiente: process.env.AMBIENTE || 'producao',
-            usuario: process.env.NFSE_CPF_USUARIO,
-            senhaUsuario: process.env.NFSE_SENHA_USUARIO       // será SHA-1 internamente
-        });
+        const nfsp = req.nfsp;
 
         // ------------------------------------------------------------------
         // 3. Consulta a nota
         // ------------------------------------------------------------------
-        const resultado = await nfsp.consultarNota(recibo);
+        const retorno = verificarRetorno(await nfsp.consultarNota(chave), 'Consulta rejeitada pela Prefeitura');
+        if (retorno.notas.length === 0) {
+            throw new NotFoundError('NFS-e não encontrada');
+        }
 
         // ------------------------------------------------------------------
         // 4. Retorno de sucesso
         // ------------------------------------------------------------------
+        const [nota] = retorno.notas;
         return sendSuccessResponse(res, {
             success: true,
-            recibo,
-            data: resultado
+            nota,
+            linkVerificacao: nfsp.linkVerificacao(nota),
+            qrCode: enderecoQrCode(req, nota.numeroNfe),
+            alertas: resumirEventos(retorno.alertas),
         });
 
     } catch(err) {
         logger.error('consultarNota :: erro=%o', err);
-        return sendErrorResponse(res, 'consultarNota', err.message || 'Erro desconhecido', err.errorCode || 'NFSE_CONSULTA_FALHA', true);
+        return sendErrorResponse(res, 'consultarNota', err.message || 'Erro desconhecido', err.errorCode || 'NFSE_CONSULTA_FALHA', true, req.email, err.statusCode || 500, err.errors, err.retryable);
+    }
+}
+
+//------------------------------------------------------------------------------
+// CONSULTAR NOTAS EMITIDAS / RECEBIDAS NO PERÍODO
+//------------------------------------------------------------------------------
+async function consultarEmitidas(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('consultarEmitidas');
+        logger.info('Query:', req.query);
+
+        const periodo = validarPeriodo(req.query);
+        const nfsp = req.nfsp;
+
+        res.type('json');
+        return sendStreamResponse(res, 'consultarEmitidas', comLinkVerificacao(nfsp, nfsp.consultarEmitidas(periodo)), req.email);
+    } catch(err) {
+        logger.error('consultarEmitidas :: erro=%o', err);
+        return sendErrorResponse(res, 'consultarEmitidas', err.message || 'Erro desconhecido', err.errorCode || 'NFSE_CONSULTA_FALHA', true, req.email, err.statusCode || 500, err.errors, err.retryable);
+    }
+}
+
+async function consultarRecebidas(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('consultarRecebidas');
+        logger.info('Query:', req.query);
+
+        const periodo = validarPeriodo(req.query);
+        const nfsp = req.nfsp;
+
+        res.type('json');
+        return sendStreamResponse(res, 'consultarRecebidas', comLinkVerificacao(nfsp, nfsp.consultarRecebidas(periodo)), req.email);
+    } catch(err) {
+        logger.error('consultarRecebidas :: erro=%o', err);
+        return sendErrorResponse(res, 'consultarRecebidas', err.message || 'Erro desconhecido', err.errorCode || 'NFSE_CONSULTA_FALHA', true, req.email, err.statusCode || 500, err.errors, err.retryable);
+    }
+}
+
+//------------------------------------------------------------------------------
+// HISTÓRICO LOCAL DE RPS / NFS-e (NfseRepository)
+//------------------------------------------------------------------------------
+async function listarNotas(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('listarNotas');
+        logger.info('Query:', req.query);
+
+        // ------------------------------------------------------------------
+        // 1. Validação dos filtros
+        // ------------------------------------------------------------------
+        const { tomador, inicio, fim, status } = req.query;
+        const errors = [];
+        [['inicio', inicio], ['fim', fim]].forEach(([campo, data]) => {
+            if (data !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(data)) {
+                errors.push({ campo, mensagem: 'Data inválida (AAAA-MM-DD)' });
+            }
+        });
+        if (status !== undefined && !STATUS.includes(status)) {
+            errors.push({ campo: 'status', mensagem: `Status deve ser um de: ${STATUS.join(', ')}` });
+        }
+        const valores = {};
+        ['valorMinimo', 'valorMaximo'].forEach((campo) => {
+            if (req.query[campo] === undefined) return;
+            valores[campo] = Number(req.query[campo]);
+            if (!Number.isFinite(valores[campo]) || valores[campo] < 0) {
+                errors.push({ campo, mensagem: 'Valor deve ser um número não negativo' });
+            }
+        });
+        if (errors.length > 0) {
+            throw new ValidationError('Filtros inválidos', errors);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Consulta o repositório local (CPF/CNPJ do tomador só com dígitos)
+        // ------------------------------------------------------------------
+        const pagina = Math.max(parseInt(req.query.pagina, 10) || 1, 1);
+        const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 50, 1), 200);
+        const documento = tomador && (/^[\d.\/-]+$/.test(tomador) || validarCnpj(tomador));
+        const busca = tomador && (documento ? limparDocumento(tomador) : tomador.trim());
+        const { total, notas } = await obterRegistry().repositorio.listar(req.emitente.cnpj, {
+            tomador: busca || undefined,
+            inicio,
+            fim,
+            status,
+            ...valores,
+            pagina,
+            limite,
+        });
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, { success: true, total, pagina, limite, notas });
+    } catch(err) {
+        logger.error('listarNotas :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'listarNotas',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_HISTORICO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// Registro completo de uma NFS-e, com o RPS enviado e os XMLs de pedido/retorno
+async function obterNotaRegistrada(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('obterNotaRegistrada');
+        logger.info('Params:', req.params);
+
+        const nota = await obterRegistry().repositorio.obterPorNfse(req.emitente.cnpj, req.params.numero);
+        if (!nota) {
+            throw new NotFoundError(`NFS-e ${req.params.numero} não registrada`);
+        }
+        const chave = { ...nota, inscricaoPrestador: nota.rps && nota.rps.im };
+        return sendSuccessResponse(res, {
+            success: true,
+            nota,
+            linkVerificacao: req.nfsp.linkVerificacao(chave),
+            qrCode: enderecoQrCode(req, nota.numeroNfse),
+        });
+    } catch(err) {
+        logger.error('obterNotaRegistrada :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'obterNotaRegistrada',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_HISTORICO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// PDF (DANFSe) de uma NFS-e
+async function gerarPdfNota(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('gerarPdfNota');
+        logger.info('Params:', req.params);
+
+        // ------------------------------------------------------------------
+        // 1. Dados da nota
+        // ------------------------------------------------------------------
+        const { numero } = req.params;
+        const nota = await buscarNota(req, numero);
+
+        // ------------------------------------------------------------------
+        // 2. Gera o PDF
+        // ------------------------------------------------------------------
+        const pdf = await buildDanfsePdf(nota, { homologacao: req.emitente.ambiente === 'homologacao' });
+
+        res.set('Content-Disposition', `inline; filename="nfse-${numero}.pdf"`);
+        return res.type('application/pdf').send(pdf);
+    } catch(err) {
+        logger.error('gerarPdfNota :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'gerarPdfNota',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_PDF_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// QR code (PNG ou SVG) do link de verificação de uma NFS-e
+async function gerarQrCodeNota(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('gerarQrCodeNota');
+        logger.info('Params:', req.params);
+        logger.info('Query:', req.query);
+
+        // ------------------------------------------------------------------
+        // 1. Validação
+        // ------------------------------------------------------------------
+        const formato = (req.query.formato || 'png').toString().toLowerCase();
+        const tamanho = req.query.tamanho === undefined ? 256 : Number(req.query.tamanho);
+        const errors = [];
+        if (!FORMATOS_QRCODE.includes(formato)) {
+            errors.push({ campo: 'formato', mensagem: `Formato deve ser um de: ${FORMATOS_QRCODE.join(', ')}` });
+        }
+        if (!Number.isInteger(tamanho) || tamanho < 64 || tamanho > 1024) {
+            errors.push({ campo: 'tamanho', mensagem: 'Tamanho deve ser um inteiro entre 64 e 1024' });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Parâmetros do QR code inválidos', errors);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Gera o QR code
+        // ------------------------------------------------------------------
+        const nota = await buscarNota(req, req.params.numero);
+        const imagem = await req.nfsp.qrCodeVerificacao(nota, { formato, tamanho });
+
+        return res.type(formato === 'svg' ? 'image/svg+xml' : 'image/png').send(imagem);
+    } catch(err) {
+        logger.error('gerarQrCodeNota :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'gerarQrCodeNota',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_QRCODE_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
     }
 }
 
@@ -131,14 +678,57 @@ async function consultarNota(req, res, next) {
 //------------------------------------------------------------------------------
 async function cancelarNota(req, res, next) {
     try {
-        console.log("========================================");
-        console.log("cancelarNota:");
-        console.log("Query:", req.query);
-        console.log("Body:", req.body);       
-                
-        return sendSuccessResponse(res, req.body);
+        logger.info('========================================');
+        logger.info('cancelarNota');
+        logger.info('Body:', req.body);
+
+        // ------------------------------------------------------------------
+        // 1. Validação
+        // ------------------------------------------------------------------
+        const { numeroNfse, motivo } = req.body || {};
+        const errors = [];
+        if (!numeroNfse) {
+            errors.push({ campo: 'numeroNfse', mensagem: 'Número da NF-e para cancelamento é obrigatório' });
+        }
+        if (!motivo || typeof motivo !== 'string') {
+            errors.push({ campo: 'motivo', mensagem: 'Motivo do cancelamento é obrigatório' });
+        } else if (motivo.length > MAX_MOTIVO) {
+            errors.push({ campo: 'motivo', mensagem: `Motivo do cancelamento não pode exceder ${MAX_MOTIVO} caracteres` });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Dados de cancelamento inválidos', errors);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Cancela a nota
+        // ------------------------------------------------------------------
+        const nfsp = req.nfsp;
+        const retorno = verificarRetorno(await nfsp.cancelarNota({
+            numeroNfse: numeroNfse.toString(),
+            motivo,
+        }), 'Cancelamento rejeitado pela Prefeitura');
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, {
+            success: true,
+            numeroNfse: numeroNfse.toString(),
+            alertas: resumirEventos(retorno.alertas),
+        });
     } catch(err) {
-        return sendErrorResponse(res, 'cancelarNota', err.message, err.errorCode, true, req.email);
+        logger.error('cancelarNota :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'cancelarNota',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'NFSE_CANCELAMENTO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
     }
 }
 
@@ -147,14 +737,378 @@ async function cancelarNota(req, res, next) {
 //------------------------------------------------------------------------------
 async function consultarInscricao(req, res, next) {
     try {
-        console.log("========================================");
-        console.log("consultarInscricao:");
-        console.log("Query:", req.query);
-        console.log("Body:", req.body);       
-                
-        return sendSuccessResponse(res, req.body);
+        logger.info('========================================');
+        logger.info('consultarInscricao');
+        logger.info('Params:', req.params);
+
+        // ------------------------------------------------------------------
+        // 1. Validação
+        // ------------------------------------------------------------------
+        const cnpj = limparDocumento(req.params.cnpj);
+        if (!validarCnpj(cnpj)) {
+            throw new ValidationError('CNPJ inválido', [
+                { campo: 'cnpj', mensagem: 'CNPJ deve ter 14 posições com dígitos verificadores válidos' },
+            ]);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Consulta a inscrição municipal
+        // ------------------------------------------------------------------
+        const nfsp = req.nfsp;
+        const retorno = await nfsp.consultarInscricao(cnpj);
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        const emissora = retorno.inscricoes.find((i) => i.emiteNfe) || retorno.inscricoes[0];
+        return sendSuccessResponse(res, {
+            success: true,
+            cnpj,
+            inscricaoMunicipal: emissora.inscricaoMunicipal,
+            inscricoes: retorno.inscricoes,
+        });
+    } catch(err) {
+        logger.error('consultarInscricao :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'consultarInscricao',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'INSCRICAO_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//------------------------------------------------------------------------------
+// TABELA DE CÓDIGOS DE SERVIÇO
+// Busca por código, subitem da LC 116 ou palavras da descrição (q); sem q lista a tabela
+//------------------------------------------------------------------------------
+async function listarServicos(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('listarServicos');
+        logger.info('Query:', req.query);
+
+        const tabela = obterTabelaServicos();
+        const q = (req.query.q || '').toString().trim();
+        const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 50, 1), 200);
+        const servicos = tabela.buscar(q, { limite });
+
+        return sendSuccessResponse(res, { success: true, versao: tabela.versao, total: servicos.length, servicos });
     } catch(err) {
-        return sendErrorResponse(res, 'consultarInscricao', err.message, err.errorCode, true, req.email);
+        logger.error('listarServicos :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'listarServicos',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'SERVICOS_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+async function obterServico(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('obterServico');
+        logger.info('Params:', req.params);
+
+        const tabela = obterTabelaServicos();
+        const servico = tabela.obter(req.params.codigo);
+        if (!servico) {
+            throw new NotFoundError(`Código de serviço ${req.params.codigo} não consta da tabela (versão ${tabela.versao})`);
+        }
+
+        return sendSuccessResponse(res, { success: true, versao: tabela.versao, servico });
+    } catch(err) {
+        logger.error('obterServico :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'obterServico',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'SERVICOS_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+
+//------------------------------------------------------------------------------
+// SEQUÊNCIA DE NUMERAÇÃO DE RPS
+//------------------------------------------------------------------------------
+async function consultarSequenciaRps(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('consultarSequenciaRps');
+        logger.info('Query:', req.query);
+
+        // ------------------------------------------------------------------
+        // 1. Sem série: todas as séries já usadas pelo emitente
+        // ------------------------------------------------------------------
+        const cnpj = req.emitente.cnpj;
+        const serie = (req.query.serie || '').toString().trim();
+        const sequencias = serie
+            ? [await sequenciaRps().consultar(cnpj, serie)]
+            : await sequenciaRps().listar(cnpj);
+
+        // ------------------------------------------------------------------
+        // 2. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, { success: true, cnpj, sequencias });
+    } catch(err) {
+        logger.error('consultarSequenciaRps :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'consultarSequenciaRps',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'RPS_SEQUENCIA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// Redefine o próximo número da série. Retroceder a sequência pode gerar RPS duplicados
+// na Prefeitura, por isso exige "forcar": true.
+async function reiniciarSequenciaRps(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('reiniciarSequenciaRps');
+        logger.info('Body:', req.body);
+
+        // ------------------------------------------------------------------
+        // 1. Validação
+        // ------------------------------------------------------------------
+        const cnpj = req.emitente.cnpj;
+        const { serie: serieInformada, proximo, forcar } = req.body || {};
+        const serie = (serieInformada || Rps.SERIE_PADRAO).toString().trim();
+        const errors = [];
+        if (!serie || serie.length > 5) {
+            errors.push({ campo: 'serie', mensagem: 'Série deve ter de 1 a 5 caracteres' });
+        }
+        if (!Number.isSafeInteger(proximo) || proximo < 1 || proximo > 999999999999) {
+            errors.push({ campo: 'proximo', mensagem: 'Próximo número deve ser um inteiro entre 1 e 999999999999' });
+        }
+        if (errors.length > 0) {
+            throw new ValidationError('Sequência de RPS inválida', errors);
+        }
+
+        const atual = await sequenciaRps().consultar(cnpj, serie);
+        if (proximo < atual.proximo && forcar !== true) {
+            throw new ValidationError('Sequência de RPS não pode retroceder', [
+                { campo: 'proximo', mensagem: `Próximo número atual é ${atual.proximo}; envie "forcar": true para retroceder` },
+            ]);
+        }
+
+        // ------------------------------------------------------------------
+        // 2. Redefine a sequência
+        // ------------------------------------------------------------------
+        const sequencia = await sequenciaRps().reiniciar(cnpj, serie, proximo);
+        logger.info(`reiniciarSequenciaRps :: ${cnpj}/${serie}: ${atual.proximo} -> ${proximo}`);
+
+        // ------------------------------------------------------------------
+        // 3. Retorno de sucesso
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, { success: true, cnpj, anterior: atual.proximo, sequencia });
+    } catch(err) {
+        logger.error('reiniciarSequenciaRps :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'reiniciarSequenciaRps',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'RPS_SEQUENCIA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//------------------------------------------------------------------------------
+// WEBHOOKS
+//------------------------------------------------------------------------------
+async function criarWebhook(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('criarWebhook');
+        logger.info('Body:', { ...req.body, segredo: undefined });
+
+        // ------------------------------------------------------------------
+        // 1. Validação e cadastro (lança ValidationError com erros por campo)
+        // ------------------------------------------------------------------
+        const { url, segredo, eventos, descricao } = req.body || {};
+        const assinatura = await obterDispatcher().assinar(req.emitente.cnpj, { url, segredo, eventos, descricao });
+
+        // ------------------------------------------------------------------
+        // 2. Retorno de sucesso (o segredo só é devolvido aqui)
+        // ------------------------------------------------------------------
+        return sendSuccessResponse(res, { success: true, webhook: assinatura });
+    } catch(err) {
+        logger.error('criarWebhook :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'criarWebhook',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_CADASTRO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+async function listarWebhooks(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('listarWebhooks');
+        logger.info('Params:', req.params);
+
+        const assinaturas = await obterDispatcher().store.listarAssinaturas(req.emitente.cnpj);
+        return sendSuccessResponse(res, { success: true, webhooks: assinaturas.map(semSegredo) });
+    } catch(err) {
+        logger.error('listarWebhooks :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'listarWebhooks',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+async function removerWebhook(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('removerWebhook');
+        logger.info('Params:', req.params);
+
+        // Assinaturas de outro emitente são tratadas como inexistentes
+        const { store } = obterDispatcher();
+        const assinatura = await store.obterAssinatura(req.params.id);
+        if (!assinatura || assinatura.cnpj !== req.emitente.cnpj) {
+            throw new NotFoundError(`Webhook ${req.params.id} não encontrado`);
+        }
+        await store.removerAssinatura(assinatura.id);
+        return sendSuccessResponse(res, { success: true, id: assinatura.id });
+    } catch(err) {
+        logger.error('removerWebhook :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'removerWebhook',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_REMOCAO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// Log de entregas, da mais recente para a mais antiga (filtros: assinaturaId, evento, status, limite <= 200)
+async function listarEntregasWebhook(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('listarEntregasWebhook');
+        logger.info('Query:', req.query);
+
+        const { assinaturaId, evento, status } = req.query;
+        const limite = Math.min(Math.max(parseInt(req.query.limite, 10) || 50, 1), 200);
+        const entregas = await obterDispatcher().store.listarEntregas(req.emitente.cnpj, { assinaturaId, evento, status, limite });
+        return sendSuccessResponse(res, { success: true, entregas });
+    } catch(err) {
+        logger.error('listarEntregasWebhook :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'listarEntregasWebhook',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+async function consultarEntregaWebhook(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('consultarEntregaWebhook');
+        logger.info('Params:', req.params);
+
+        const entrega = await obterDispatcher().store.obterEntrega(req.params.id);
+        if (!entrega || entrega.cnpj !== req.emitente.cnpj) {
+            throw new NotFoundError(`Entrega ${req.params.id} não encontrada`);
+        }
+        return sendSuccessResponse(res, { success: true, entrega });
+    } catch(err) {
+        logger.error('consultarEntregaWebhook :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'consultarEntregaWebhook',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_CONSULTA_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
+    }
+}
+
+//-------------------------------------------------------------
+// Reenvia a entrega com o mesmo id e corpo (o assinante deve descartar ids já processados)
+async function reenviarEntregaWebhook(req, res, next) {
+    try {
+        logger.info('========================================');
+        logger.info('reenviarEntregaWebhook');
+        logger.info('Params:', req.params);
+
+        const entrega = await obterDispatcher().reenviar(req.emitente.cnpj, req.params.id);
+        return sendSuccessResponse(res, { success: true, entrega });
+    } catch(err) {
+        logger.error('reenviarEntregaWebhook :: erro=%o', err);
+        return sendErrorResponse(
+            res,
+            'reenviarEntregaWebhook',
+            err.message || 'Erro desconhecido',
+            err.errorCode || 'WEBHOOK_REENVIO_FALHA',
+            true,
+            req.email,
+            err.statusCode || 500,
+            err.errors,
+            err.retryable
+        );
     }
 }
 
@@ -162,7 +1116,25 @@ async function consultarInscricao(req, res, next) {
 module.exports = {    
     teste,
     emitirNota,
+    consultarJob,
+    testarLote,
     consultarNota,
+    consultarEmitidas,
+    consultarRecebidas,
+    listarNotas,
+    obterNotaRegistrada,
+    gerarPdfNota,
+    gerarQrCodeNota,
     cancelarNota,
     consultarInscricao,
+    listarServicos,
+    obterServico,
+    consultarSequenciaRps,
+    reiniciarSequenciaRps,
+    criarWebhook,
+    listarWebhooks,
+    removerWebhook,
+    listarEntregasWebhook,
+    consultarEntregaWebhook,
+    reenviarEntregaWebhook,
 }
\ No newline at end of file
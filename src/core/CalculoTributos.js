@@ -0,0 +1,157 @@
+// src/core/CalculoTributos.js
+// Cálculo do ISS e das retenções federais (PIS, COFINS, CSLL, IR e INSS) de um RPS.
+
+// Tributos federais que podem ser retidos na fonte pelo tomador
+const TRIBUTOS_RETIDOS = ['PIS', 'COFINS', 'CSLL', 'IR', 'INSS'];
+
+// Alíquotas padrão de retenção: PIS/COFINS/CSLL (Lei 10.833/2003, art. 30), IR sobre serviços
+// profissionais (RIR/2018, art. 714) e INSS sobre cessão de mão de obra (Lei 8.212/1991, art. 31)
+const ALIQUOTAS_RETENCAO = { PIS: 0.0065, COFINS: 0.03, CSLL: 0.01, IR: 0.015, INSS: 0.11 };
+
+// Retenções dispensadas: IR e a soma de PIS/COFINS/CSLL iguais ou inferiores a R$ 10,00
+// (Lei 9.430/1996, art. 67; Lei 10.833/2003, art. 31, § 3º) e INSS inferior a R$ 10,00
+const VALOR_MINIMO_RETENCAO = 10;
+
+/**
+ * @typedef {Object} Tributos
+ * @property {number} valorServicos
+ * @property {number} valorDeducoes
+ * @property {number} baseCalculo - Base de cálculo do ISS (valorServicos - valorDeducoes)
+ * @property {number} aliquotaServicos - Alíquota do ISS (ex: 0.05)
+ * @property {number} valorIss
+ * @property {boolean} issRetido
+ * @property {number} valorPis
+ * @property {number} valorCofins
+ * @property {number} valorCsll
+ * @property {number} valorIr
+ * @property {number} valorInss
+ * @property {number} totalRetencoes - Retenções federais, mais o ISS quando retido
+ * @property {number} valorLiquido - Valor a receber do tomador (valorServicos - totalRetencoes)
+ */
+
+/**
+ * Arredonda ao centavo (meio centavo para cima), sem o erro de ponto flutuante de Math.round(v * 100).
+ * @param {number} valor
+ * @returns {number}
+ */
+function arredondar(valor) {
+  return Math.round(Number((valor * 100).toFixed(6))) / 100;
+}
+
+/**
+ * Tipo do tomador, que define quem é responsável pelas retenções federais.
+ * @param {Object} [tomador] - Tomador no formato do RPS (cpf ou cnpj)
+ * @returns {'PJ'|'PF'|null}
+ */
+function tipoTomador(tomador) {
+  if (!tomador) return null;
+  if (tomador.cnpj) return 'PJ';
+  if (tomador.cpf) return 'PF';
+  return null;
+}
+
+/**
+ * Normaliza as retenções informadas no serviço em { tributo: aliquota }.
+ * Aceita a lista de tributos (alíquotas padrão) ou um objeto com alíquotas próprias
+ * (true usa a alíquota padrão do tributo).
+ *
+ * @example
+ * aliquotasRetencao(['PIS', 'COFINS', 'CSLL', 'IR'])
+ * aliquotasRetencao({ IR: 0.01, INSS: true })
+ *
+ * @param {string[]|Object<string, number|boolean>|null} [retencoes]
+ * @returns {Object<string, number>}
+ * @throws {Error} - Tributo desconhecido ou alíquota fora do intervalo 0..1
+ */
+function aliquotasRetencao(retencoes) {
+  if (retencoes === undefined || retencoes === null) return {};
+  if (typeof retencoes !== 'object') {
+    throw new Error('Retenções devem ser uma lista de tributos ou um objeto { tributo: aliquota }');
+  }
+
+  const entradas = Array.isArray(retencoes)
+    ? retencoes.map((tributo) => [tributo, true])
+    : Object.entries(retencoes);
+  const aliquotas = {};
+  entradas.forEach(([tributo, aliquota]) => {
+    const nome = String(tributo).toUpperCase();
+    if (!TRIBUTOS_RETIDOS.includes(nome)) {
+      throw new Error(`Tributo retido deve ser um de: ${TRIBUTOS_RETIDOS.join(', ')}`);
+    }
+    if (aliquota === false) return;
+    const valor = aliquota === true ? ALIQUOTAS_RETENCAO[nome] : aliquota;
+    if (typeof valor !== 'number' || valor < 0 || valor > 1) {
+      throw new Error(`Alíquota de retenção do ${nome} deve ser número entre 0 e 1`);
+    }
+    aliquotas[nome] = valor;
+  });
+  return aliquotas;
+}
+
+/**
+ * Calcula o ISS e as retenções federais de um serviço.
+ * O ISS incide sobre valorServicos - valorDeducoes; as retenções federais incidem sobre o valor
+ * bruto e só existem quando o tomador é pessoa jurídica e o tributo consta em servico.retencoes.
+ *
+ * @param {Object} servico - Mesmo formato de servico em Rps.toObject()
+ * @param {number} servico.valorServicos
+ * @param {number} [servico.valorDeducoes=0]
+ * @param {number} [servico.aliquotaServicos=0]
+ * @param {number} [servico.issRetido=2] - 1 = retido, 2 = não retido
+ * @param {string[]|Object} [servico.retencoes] - Ver aliquotasRetencao
+ * @param {Object} [tomador] - Tomador no formato do RPS (cpf ou cnpj)
+ * @returns {Tributos}
+ */
+function calcularTributos(servico, tomador) {
+  if (!servico || typeof servico !== 'object') {
+    throw new Error('Dados do serviço são obrigatórios para o cálculo dos tributos');
+  }
+  const valorServicos = arredondar(Number(servico.valorServicos) || 0);
+  const valorDeducoes = arredondar(Number(servico.valorDeducoes) || 0);
+  const baseCalculo = Math.max(arredondar(valorServicos - valorDeducoes), 0);
+  const aliquotaServicos = Number(servico.aliquotaServicos) || 0;
+  const valorIss = arredondar(baseCalculo * aliquotaServicos);
+  const issRetido = Number(servico.issRetido) === 1;
+
+  const aliquotas = tipoTomador(tomador) === 'PJ' ? aliquotasRetencao(servico.retencoes) : {};
+  const retido = {};
+  TRIBUTOS_RETIDOS.forEach((tributo) => {
+    retido[tributo] = aliquotas[tributo] ? arredondar(valorServicos * aliquotas[tributo]) : 0;
+  });
+  if (retido.IR <= VALOR_MINIMO_RETENCAO) retido.IR = 0;
+  if (retido.PIS + retido.COFINS + retido.CSLL <= VALOR_MINIMO_RETENCAO) {
+    retido.PIS = 0;
+    retido.COFINS = 0;
+    retido.CSLL = 0;
+  }
+  if (retido.INSS < VALOR_MINIMO_RETENCAO) retido.INSS = 0;
+
+  const totalRetencoes = arredondar(
+    TRIBUTOS_RETIDOS.reduce((total, tributo) => total + retido[tributo], 0) + (issRetido ? valorIss : 0)
+  );
+
+  return {
+    valorServicos,
+    valorDeducoes,
+    baseCalculo,
+    aliquotaServicos,
+    valorIss,
+    issRetido,
+    valorPis: retido.PIS,
+    valorCofins: retido.COFINS,
+    valorCsll: retido.CSLL,
+    valorIr: retido.IR,
+    valorInss: retido.INSS,
+    totalRetencoes,
+    valorLiquido: arredondar(valorServicos - totalRetencoes),
+  };
+}
+
+module.exports = {
+  TRIBUTOS_RETIDOS,
+  ALIQUOTAS_RETENCAO,
+  arredondar,
+  tipoTomador,
+  aliquotasRetencao,
+  calcularTributos,
+};
@@ -0,0 +1,148 @@
+// src/core/IssuerRegistry.js
+
+const path = require('path');
+const { NotaFiscalSP } = require('./NotaFiscalSP');
+const { NfseError, NotFoundError } = require('./errors');
+const { limparDocumento } = require('./Validacao');
+const { obterDispatcher } = require('./WebhookDispatcher');
+const { criarIssuerStore } = require('../storage/IssuerStore');
+const { criarNfseRepository } = require('../storage/NfseRepository');
+
+// Certificado da instalação com empresa única (EMPRESA_CNPJ / CERT_PASSWORD)
+const CERTIFICADO_LEGADO = path.resolve(__dirname, '../../certificados/up-leg-certificate-2025.pfx');
+
+/**
+ * IssuerRegistry - resolve o emitente (tenant) pelo CNPJ e mantém uma instância de
+ * NotaFiscalSP por emitente, para reaproveitar certificado, clientes SOAP e inscrição municipal.
+ */
+class IssuerRegistry {
+  /**
+   * @param {import('../storage/IssuerStore').IssuerStore} store - Repositório de emitentes
+   * @param {Object} [options]
+   * @param {import('./WebhookDispatcher').WebhookDispatcher} [options.webhooks] - Recebe os eventos de cada instância criada
+   * @param {import('../storage/NfseRepository').NfseRepository} [options.repositorio] - Registro dos RPS/NFS-e de todos os emitentes
+   */
+  constructor(store, { webhooks = null, repositorio = null } = {}) {
+    if (!store) throw new Error('Store de emitentes é obrigatório');
+    this.store = store;
+    this.webhooks = webhooks;
+    this.repositorio = repositorio;
+    this.instancias = new Map(); // cnpj -> { atualizadoEm, nfsp }
+  }
+
+  /**
+   * Busca o emitente no store. Sem cadastro, aceita o emitente configurado por variáveis
+   * de ambiente (EMPRESA_CNPJ), mantendo compatibilidade com a instalação de empresa única.
+   *
+   * @param {string} cnpj
+   * @returns {Promise<import('../storage/IssuerStore').Emitente>}
+   * @throws {NotFoundError}
+   */
+  async obterEmitente(cnpj) {
+    const chave = limparDocumento(cnpj);
+    const emitente = await this.store.obter(chave);
+    if (emitente) {
+      return emitente;
+    }
+
+    const legado = limparDocumento(process.env.EMPRESA_CNPJ);
+    if (legado && legado === chave && process.env.CERT_PASSWORD) {
+      return {
+        cnpj: legado,
+        certificado: CERTIFICADO_LEGADO,
+        senhaCertificado: process.env.CERT_PASSWORD,
+        usuario: process.env.NFSE_CPF_USUARIO || '',
+        senhaUsuario: process.env.NFSE_SENHA_USUARIO || '',
+        ambiente: process.env.AMBIENTE || 'producao',
+        atualizadoEm: 'env',
+      };
+    }
+
+    throw new NotFoundError(`Emitente ${chave} não cadastrado`);
+  }
+
+  /**
+   * Retorna a instância de NotaFiscalSP do emitente, criando-a na primeira chamada
+   * ou quando o cadastro foi alterado desde a criação.
+   *
+   * @param {string} cnpj
+   * @returns {Promise<NotaFiscalSP>}
+   */
+  async notaFiscal(cnpj) {
+    const emitente = await this.obterEmitente(cnpj);
+    const existente = this.instancias.get(emitente.cnpj);
+    if (existente && existente.atualizadoEm === emitente.atualizadoEm) {
+      return existente.nfsp;
+    }
+
+    let nfsp;
+    try {
+      nfsp = new NotaFiscalSP({
+        cnpj: emitente.cnpj,
+        certificado: emitente.certificadoBase64
+          ? Buffer.from(emitente.certificadoBase64, 'base64')
+          : emitente.certificado,
+        senhaCertificado: emitente.senhaCertificado,
+        ambiente: emitente.ambiente,
+        usuario: emitente.usuario || '',
+        senhaUsuario: emitente.senhaUsuario || '',
+        repositorio: this.repositorio,
+        layout: emitente.layout,
+      });
+    } catch (error) {
+      throw new NfseError(`Não foi possível carregar o certificado do emitente ${emitente.cnpj}: ${error.message}`, {
+        code: 'EMITENTE_CERTIFICADO_INVALIDO',
+        cause: error,
+      });
+    }
+
+    if (this.webhooks) {
+      this.webhooks.conectar(nfsp);
+    }
+    this.instancias.set(emitente.cnpj, { atualizadoEm: emitente.atualizadoEm, nfsp });
+    return nfsp;
+  }
+
+  /**
+   * Inclui ou altera um emitente, descartando a instância em cache.
+   * @param {Object} dados
+   * @returns {Promise<import('../storage/IssuerStore').Emitente>}
+   */
+  async salvarEmitente(dados) {
+    const emitente = await this.store.salvar(dados);
+    this.instancias.delete(emitente.cnpj);
+    return emitente;
+  }
+
+  /**
+   * Remove um emitente e a instância em cache.
+   * @param {string} cnpj
+   * @returns {Promise<boolean>}
+   */
+  async removerEmitente(cnpj) {
+    const chave = limparDocumento(cnpj);
+    this.instancias.delete(chave);
+    return this.store.remover(chave);
+  }
+}
+
+// Registry do processo, criado sob demanda com o store configurado no ambiente
+let registryPadrao = null;
+
+/**
+ * @returns {IssuerRegistry}
+ */
+function obterRegistry() {
+  if (!registryPadrao) {
+    registryPadrao = new IssuerRegistry(criarIssuerStore(), {
+      webhooks: obterDispatcher(),
+      repositorio: criarNfseRepository(),
+    });
+  }
+  return registryPadrao;
+}
+
+module.exports = {
+  IssuerRegistry,
+  obterRegistry,
+};
@@ -0,0 +1,258 @@
+// src/core/JobWorker.js
+
+const { obterRegistry } = require('./IssuerRegistry');
+const { obterDispatcher } = require('./WebhookDispatcher');
+const { erroDaPrefeitura } = require('./errorCodes');
+const { limparDocumento } = require('./Validacao');
+const { criarJobStore } = require('../storage/JobStore');
+const { calcularBackoff } = require('../utils/backoff');
+const logger = require('../utils/logger');
+
+// Configuração padrão (variáveis de ambiente JOBS_*)
+const MAX_TENTATIVAS = Number(process.env.JOBS_MAX_TENTATIVAS) || 8;
+const INTERVALO_MS = Number(process.env.JOBS_INTERVALO_MS) || 1000;
+const BACKOFF_BASE_MS = Number(process.env.JOBS_BACKOFF_BASE_MS) || 5000;
+const BACKOFF_MAX_MS = Number(process.env.JOBS_BACKOFF_MAX_MS) || 15 * 60 * 1000;
+// Tempo de reserva de um job; deve cobrir com folga a consulta de inscrição + o envio (timeout SOAP de 15s cada)
+const BLOQUEIO_MS = Number(process.env.JOBS_BLOQUEIO_MS) || 5 * 60 * 1000;
+
+/**
+ * Reduz um erro ao formato gravado no job (mesmos campos da resposta de erro da API).
+ * @param {Error} err
+ * @returns {{errorCode: string, errorMessage: string, retryable: boolean, errors?: Array}}
+ */
+function resumirErro(err) {
+  const erro = {
+    errorCode: err.errorCode || 'NFSE_EMISSAO_FALHA',
+    errorMessage: err.message || 'Erro desconhecido',
+    retryable: err.retryable === true,
+  };
+  if (err.errors) {
+    erro.errors = err.errors;
+  }
+  return erro;
+}
+
+/**
+ * Confere se a NFS-e localizada pela chave do RPS é a do payload do job (tomador, serviço e valor):
+ * o número pode ter sido usado por outro RPS, cuja nota não pode ser entregue como a deste job.
+ * @param {Object} nota - NFS-e decodificada da ConsultaNFe
+ * @param {Object} payload - RPS do job
+ * @returns {boolean}
+ */
+function mesmoRps(nota, payload) {
+  const tomador = payload.tomador || {};
+  return (limparDocumento(tomador.cnpj || tomador.cpf) || null) === (nota.tomador.cpfCnpj || null)
+    && Number(nota.codigoServico) === Number(payload.servico.codigoServico)
+    && Number(nota.valorServicos) === Number(payload.servico.valorServicos);
+}
+
+/**
+ * JobWorker - consome a fila persistente de jobs (JobStore) e emite as notas com o NotaFiscalSP do emitente.
+ * Erros retryable (transporte, Prefeitura indisponível) são reagendados com backoff exponencial até maxTentativas;
+ * os demais marcam o job como "falhou". Vários workers (modo cluster) podem consumir a mesma fila SQLite.
+ * Os eventos dos jobs são decididos pelo worker: o NotaFiscalSP não notifica as rejeições (notificarFalha: false), para
+ * que um RPS rejeitado como duplicado e recuperado gere apenas nfse.emitida. Toda falha definitiva gera um único nfse.falhou.
+ */
+class JobWorker {
+  /**
+   * @param {Object} [options]
+   * @param {import('../storage/JobStore').JobStore} [options.store] - Fila de jobs (padrão: criarJobStore())
+   * @param {import('./IssuerRegistry').IssuerRegistry} [options.registry] - Registry de emitentes (padrão: obterRegistry())
+   * @param {import('./WebhookDispatcher').WebhookDispatcher} [options.webhooks] - Padrão: obterDispatcher()
+   * @param {number} [options.intervaloMs] - Intervalo entre consultas à fila quando ela está vazia
+   * @param {number} [options.bloqueioMs] - Tempo de reserva de cada job
+   * @param {number} [options.backoffBaseMs]
+   * @param {number} [options.backoffMaxMs]
+   */
+  constructor(options = {}) {
+    this.store = options.store || criarJobStore();
+    this.registry = options.registry || obterRegistry();
+    this.webhooks = options.webhooks || obterDispatcher();
+    this.intervaloMs = options.intervaloMs || INTERVALO_MS;
+    this.bloqueioMs = options.bloqueioMs || BLOQUEIO_MS;
+    this.backoff = {
+      baseMs: options.backoffBaseMs || BACKOFF_BASE_MS,
+      maxMs: options.backoffMaxMs || BACKOFF_MAX_MS,
+    };
+    this.ativo = false;
+    this.timer = null;
+    this.emAndamento = null;
+  }
+
+  /**
+   * Inicia o consumo da fila.
+   * @returns {JobWorker}
+   */
+  iniciar() {
+    if (!this.ativo) {
+      this.ativo = true;
+      this._agendar(0);
+    }
+    return this;
+  }
+
+  /**
+   * Para o consumo, aguardando o job em andamento terminar.
+   * @returns {Promise<void>}
+   */
+  async parar() {
+    this.ativo = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.emAndamento) {
+      await this.emAndamento.catch(() => {});
+    }
+  }
+
+  _agendar(ms) {
+    this.timer = setTimeout(() => this._ciclo(), ms);
+  }
+
+  async _ciclo() {
+    let processou = false;
+    try {
+      this.emAndamento = this.processarProximo();
+      processou = await this.emAndamento;
+    } catch (err) {
+      logger.error('JobWorker :: erro ao consumir a fila:', err);
+    } finally {
+      this.emAndamento = null;
+    }
+    // Com a fila andando, busca o próximo imediatamente; vazia, espera o intervalo
+    if (this.ativo) {
+      this._agendar(processou ? 0 : this.intervaloMs);
+    }
+  }
+
+  /**
+   * Reserva e processa o próximo job disponível.
+   * @returns {Promise<boolean>} - false se a fila não tinha job disponível
+   */
+  async processarProximo() {
+    const job = await this.store.reservar(this.bloqueioMs);
+    if (!job) return false;
+
+    logger.info(`JobWorker :: job ${job.id} (${job.tipo}) tentativa ${job.tentativas}/${job.maxTentativas}`);
+    try {
+      const resultado = await this._executar(job);
+      await this.store.atualizar(job.id, { status: 'emitida', resultado, erro: null, bloqueadoAte: null });
+      logger.info(`JobWorker :: job ${job.id} emitido (NFS-e ${resultado.numeroNfse})`);
+    } catch (err) {
+      const erro = resumirErro(err);
+      if (erro.retryable && job.tentativas < job.maxTentativas) {
+        const atraso = calcularBackoff(job.tentativas, this.backoff);
+        await this.store.atualizar(job.id, {
+          status: 'pendente',
+          erro,
+          bloqueadoAte: null,
+          proximaTentativaEm: new Date(Date.now() + atraso).toISOString(),
+        });
+        logger.warn(`JobWorker :: job ${job.id} reagendado em ${atraso} ms: ${erro.errorMessage}`);
+      } else {
+        await this.store.atualizar(job.id, { status: 'falhou', erro, bloqueadoAte: null });
+        logger.error(`JobWorker :: job ${job.id} falhou: ${erro.errorMessage}`);
+        const { numeroRps, serie } = job.payload.rps;
+        await this.webhooks.publicar(job.cnpj, 'nfse.falhou', {
+          cnpj: job.cnpj,
+          numeroRps: String(numeroRps),
+          serie,
+          jobId: job.id,
+          errorCode: erro.errorCode,
+          erros: erro.errors || [],
+        }).catch((e) => logger.error(`JobWorker :: falha ao notificar o job ${job.id}:`, e));
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Executa o job de emissão.
+   * @param {import('../storage/JobStore').Job} job
+   * @returns {Promise<{numeroNfse: string, codigoVerificacao: string, linkVerificacao: string|null, alertas: Array}>}
+   */
+  async _executar(job) {
+    if (job.tipo !== 'emissao') {
+      throw new Error(`Tipo de job desconhecido: ${job.tipo}`);
+    }
+
+    const nfsp = await this.registry.notaFiscal(job.cnpj);
+    // Sem nfse.falhou do NotaFiscalSP: a rejeição pode ser um duplicado recuperado abaixo
+    const retorno = await nfsp.enviarNota(job.payload, { notificarFalha: false });
+    if (retorno.sucesso) {
+      return {
+        numeroNfse: retorno.numeroNfe,
+        codigoVerificacao: retorno.codigoVerificacao,
+        linkVerificacao: nfsp.linkVerificacao(retorno),
+        alertas: retorno.alertas.map(({ codigo, code, descricao }) => ({ codigo, code, descricao })),
+      };
+    }
+
+    const err = erroDaPrefeitura(retorno.erros, 'RPS rejeitado pela Prefeitura');
+    // Um envio anterior (deste job, ou de um worker interrompido antes de gravar a tentativa) pode ter chegado
+    // à Prefeitura sem que a resposta chegasse ao worker: nesse caso o RPS já virou NFS-e e a nota é
+    // recuperada pela chave do RPS, desde que corresponda ao payload do job
+    if (err.code === 'RPS_DUPLICADO') {
+      const { numeroRps, serie } = job.payload.rps;
+      const consulta = await nfsp.consultarNota({ numeroRps, serie });
+      const [nota] = consulta.sucesso ? consulta.notas : [];
+      if (nota && !mesmoRps(nota, job.payload)) {
+        logger.warn(`JobWorker :: RPS ${serie}/${numeroRps} já convertido na NFS-e ${nota.numeroNfe}, de outro conteúdo`);
+      } else if (nota) {
+        const resultado = {
+          numeroNfse: nota.numeroNfe,
+          codigoVerificacao: nota.codigoVerificacao,
+          linkVerificacao: nfsp.linkVerificacao(nota),
+          alertas: [],
+        };
+        // O envio rejeitado acabou de registrar o RPS como "rejeitada"
+        if (nfsp.repositorio) {
+          await nfsp.repositorio.registrar({
+            cnpj: job.cnpj,
+            serie: String(serie || ''),
+            numeroRps: String(numeroRps),
+            status: 'emitida',
+            numeroNfse: nota.numeroNfe,
+            codigoVerificacao: nota.codigoVerificacao,
+            emitidaEm: nota.dataEmissao || new Date().toISOString(),
+            erros: [],
+          }).catch((e) => logger.error(`JobWorker :: falha ao registrar a NFS-e recuperada do job ${job.id}:`, e));
+        }
+        await this.webhooks.publicar(job.cnpj, 'nfse.emitida', { cnpj: job.cnpj, numeroRps: String(numeroRps), serie, ...resultado });
+        return resultado;
+      }
+    }
+    throw err;
+  }
+}
+
+// Worker do processo, iniciado pelo server.js
+let workerPadrao = null;
+
+/**
+ * Inicia o worker do processo (uma única vez).
+ * @returns {JobWorker}
+ */
+function iniciarWorker() {
+  if (!workerPadrao) {
+    workerPadrao = new JobWorker().iniciar();
+  }
+  return workerPadrao;
+}
+
+/**
+ * Para o worker do processo, se iniciado.
+ * @returns {Promise<void>}
+ */
+async function pararWorker() {
+  if (workerPadrao) {
+    await workerPadrao.parar();
+  }
+}
+
+module.exports = {
+  MAX_TENTATIVAS,
+  JobWorker,
+  iniciarWorker,
+  pararWorker,
+};
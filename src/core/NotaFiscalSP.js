@@ -2,16 +2,47 @@
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { SoapClient } = require('./SoapClient');
 const { WsdlFactory } = require('./WsdlFactory');
 const { buildRpsXml } = require('../xml/RpsBuilder');
 const { buildCancelXml } = require('../xml/CancelBuilder');
+const { buildLoteXml, dividirEmLotes, calcularTotaisLote } = require('../xml/LoteBuilder');
+const {
+  buildConsultaPeriodoXml,
+  buildConsultaCnpjXml,
+  buildConsultaNfeXml,
+  buildConsultaLoteXml,
+  buildInformacoesLoteXml,
+} = require('../xml/ConsultaBuilder');
+const { ResponseHandler } = require('./ResponseHandler');
+const { Rps, validarEmissao } = require('../models');
+const { assinarRps, assinarCancelamento, assinarXml } = require('../xml/Signer');
+const { LAYOUT_PADRAO, obterLayout, exigirLayoutHabilitado } = require('../xml/helpers');
 const { sha1 } = require('../utils/hash');
+const { loadPfx } = require('../utils/cert');
+const { linkVerificacao, gerarQrCode } = require('../utils/verificacao');
+const { NotFoundError, ValidationError, marcarAntesDoEnvio } = require('./errors');
+const { erroDaPrefeitura } = require('./errorCodes');
+const { limparDocumento, validarCpf, validarCnpj } = require('./Validacao');
+const logger = require('../utils/logger');
+
+// Quantidade máxima de notas devolvidas por página nas consultas por período
+const NOTAS_POR_PAGINA = 50;
+
+// Eventos emitidos pela instância (ver _notificar), também usados como eventos de webhook
+const EVENTOS = ['nfse.emitida', 'nfse.cancelada', 'nfse.falhou', 'lote.processado'];
 
 /**
  * Configurações e objetos necessários para comunicação com o webservice da Prefeitura de SP para NFS-e (Nota do Milhão).
+ *
+ * Emite os eventos de EVENTOS ao final da emissão, do cancelamento e do envio de lotes:
+ * - nfse.emitida: { cnpj, numeroRps, serie, numeroNfse, codigoVerificacao, alertas }
+ * - nfse.falhou: { cnpj, numeroRps, serie, errorCode, erros } (só rejeições definitivas; erros retryable não geram evento)
+ * - nfse.cancelada: { cnpj, numeroNfse, alertas }
+ * - lote.processado: { cnpj, lote, numeroLote, sucesso, qtdRps, totais, informacoesLote, alertas, erros, rps }
  */
-class NotaFiscalSP {
+class NotaFiscalSP extends EventEmitter {
   /**
    * @param {Object} options
    * @param {string} options.cnpj - CNPJ do tomador/prestador (sem formatação)
@@ -20,6 +51,9 @@ class NotaFiscalSP {
    * @param {'producao'|'homologacao'} [options.ambiente='producao'] - Ambiente do serviço
    * @param {string} [options.usuario=''] - CPF do usuário autorizado (geralmente CPF do responsável)
    * @param {string} [options.senhaUsuario=''] - Senha configurada na Prefeitura para o usuário (aplicada hash SHA1)
+   * @param {import('../storage/NfseRepository').NfseRepository} [options.repositorio] - Onde registrar os RPS enviados, os XMLs e as NFS-e
+   * @param {'v01'|'v02'} [options.layout='v01'] - Layout dos pedidos de envio de RPS e lotes; o v02 (Reforma Tributária)
+   *   exige o grupo ibsCbs em cada RPS e só emite com NFSE_LAYOUT_V02=true. Consultas e cancelamentos seguem no v01.
    */
   constructor({
     cnpj,
@@ -28,17 +62,24 @@ class NotaFiscalSP {
     ambiente = 'producao',
     usuario = '',
     senhaUsuario = '',
+    repositorio = null,
+    layout = LAYOUT_PADRAO,
   }) {
+    super();
     if (!cnpj) throw new Error('CNPJ obrigatório na inicialização');
     if (!certificado) throw new Error('Certificado digital (.pfx) é obrigatório');
     if (!senhaCertificado) throw new Error('Senha do certificado é obrigatória');
+    if (!validarCnpj(cnpj)) throw new Error(`CNPJ inválido: ${cnpj}`);
+    if (usuario && !validarCpf(usuario)) throw new Error(`CPF do usuário inválido: ${usuario}`);
+    obterLayout(layout);
 
-    this.cnpj = cnpj.replace(/\D/g, '');
+    this.cnpj = limparDocumento(cnpj);
     this.ambiente = ambiente === 'homologacao' ? 'hml' : 'prod';
-    this.usuario = usuario.replace(/\D/g, '') || ''; // CPF com números apenas
+    this.usuario = limparDocumento(usuario); // CPF com números apenas
     this.senhaUsuario = senhaUsuario ? sha1(senhaUsuario) : ''; // hash SHA1 obrigatório
 
     this.im = null; // Inscrição municipal (carregada dinamicamente)
+    this.layout = layout; // Layout do envio de RPS (v01 ou v02)
 
     // Lê o certificado: se for caminho, lê o arquivo, se for buffer, usa direto
     this.certificadoBuffer =
@@ -48,37 +89,138 @@ class NotaFiscalSP {
 
     this.senhaCertificado = senhaCertificado;
 
+    // Chave privada e certificado em PEM, usados na assinatura dos documentos
+    this.certificado = loadPfx(this.certificadoBuffer, this.senhaCertificado);
+
     // Obter URLs WSDL conforme ambiente
     const wsdlUrls = WsdlFactory.build(this.ambiente);
 
-    // Instancia clientes SOAP para cada serviço
-    this.soapEntrada = new SoapClient(wsdlUrls.entrada, this.certificadoBuffer, this.senhaCertificado);
-    this.soapSaida = new SoapClient(wsdlUrls.saida, this.certificadoBuffer, this.senhaCertificado);
-    this.soapUtil = new SoapClient(wsdlUrls.util, this.certificadoBuffer, this.senhaCertificado);
+    // Cliente SOAP do serviço de pedidos v1 (lotenfe.asmx), usado por todas as operações
+    this.soapLote = new SoapClient(wsdlUrls.lote, this.certificadoBuffer, this.senhaCertificado);
+
+    // Decodificadores dos RetornoXML de cada operação
+    this.responseHandler = new ResponseHandler();
+
+    this.repositorio = repositorio;
   }
 
   /**
-   * Consulta inscrição municipal para o CNPJ configurado.
-   * Retorna objeto com informações cadastradas, incluindo Inscrição Municipal (IM).
+   * Assina o pedido, chama a operação no webservice e decodifica o retorno.
+   * @param {string} operacao - Operação SOAP (ex: 'EnvioRPS')
+   * @param {string} xml - Pedido XML ainda sem a assinatura XMLDSig
+   * @returns {Promise<Object>} - Retorno decodificado (ver ResponseHandler.decode)
    */
-  async consultarInscricao(cnpjConsulta) {
-    const cpf = this.usuario;
-    const senha = this.senhaUsuario;
-    const cnpjAlvo = (cnpjConsulta || this.cnpj).replace(/\D/g, '');
-
-    const params = {
-      cnpj: cnpjAlvo,
-      cpfUsuario: cpf,
-      senha,
+  async _chamar(operacao, xml) {
+    const { retorno } = await this._trocar(operacao, assinarXml(xml, this.certificado));
+    return retorno;
+  }
+
+  /**
+   * Envia um pedido já assinado e devolve, além do retorno decodificado, o RetornoXML recebido.
+   * @param {string} operacao - Operação SOAP
+   * @param {string} xmlPedido - Pedido XML assinado
+   * @param {string} [layout='v01'] - Layout do pedido (VersaoSchema)
+   * @returns {Promise<{retorno: Object, xmlRetorno: string|null}>}
+   */
+  async _trocar(operacao, xmlPedido, layout = LAYOUT_PADRAO) {
+    const response = await this.soapLote.call(operacao, {
+      VersaoSchema: obterLayout(layout).versaoSchema,
+      MensagemXML: xmlPedido,
+    });
+    return {
+      retorno: this.responseHandler.decode(operacao, response),
+      xmlRetorno: typeof response === 'string' ? response : (response && response.RetornoXML) || null,
     };
+  }
+
+  /**
+   * Registra o RPS no repositório (quando configurado). Falhas do repositório são apenas registradas no log,
+   * para não interromper a operação que já foi concluída na Prefeitura.
+   * Um RPS que já virou NFS-e não volta a "rejeitada"/"erro" (ex.: reenvio rejeitado como duplicado).
+   *
+   * @param {Object} payload - RPS enviado (ver _prepararRps)
+   * @param {Object} campos - status e demais campos do registro (ver NfseRepository)
+   */
+  async _registrar(payload, campos) {
+    if (!this.repositorio) return;
+    try {
+      const tomador = payload.tomador || {};
+      const chave = { cnpj: this.cnpj, serie: String(payload.rps.serie || ''), numeroRps: String(payload.rps.numeroRps) };
+      const existente = await this.repositorio.obterPorRps(chave.cnpj, chave.serie, chave.numeroRps);
+      if (existente && ['emitida', 'cancelada'].includes(existente.status) && campos.status !== 'emitida') {
+        return;
+      }
 
-    const response = await this.soapUtil.call('consultarCnpj', params);
+      const padrao = {
+        numeroNfse: null,
+        codigoVerificacao: null,
+        emitidaEm: null,
+        numeroLote: null,
+        xmlPedido: null,
+        xmlRetorno: null,
+        alertas: [],
+        erros: [],
+        erro: null,
+      };
+      await this.repositorio.registrar({
+        ...(existente ? {} : padrao),
+        ...chave,
+        dataEmissao: String(payload.rps.dataEmissao || '').slice(0, 10),
+        tomador: {
+          // Tomador no exterior: NIF; sem documento: null
+          documento: limparDocumento(tomador.cnpj || tomador.cpf) || tomador.nif || null,
+          razaoSocial: tomador.razaoSocial || '',
+        },
+        valorServicos: Number(payload.servico.valorServicos),
+        rps: payload,
+        ...campos,
+      });
+    } catch (error) {
+      logger.error(`NotaFiscalSP :: falha ao registrar o RPS ${payload.rps.serie}/${payload.rps.numeroRps}:`, error);
+    }
+  }
+
+  /**
+   * Emite um evento com o CNPJ do prestador. Falhas dos listeners são apenas registradas,
+   * para não interromper a operação que já foi concluída na Prefeitura.
+   * @param {string} evento - Um dos EVENTOS
+   * @param {Object} dados
+   */
+  _notificar(evento, dados) {
+    try {
+      this.emit(evento, { cnpj: this.cnpj, ...dados });
+    } catch (error) {
+      logger.error(`NotaFiscalSP :: falha no listener do evento ${evento}:`, error);
+    }
+  }
 
-    if (!response || !response.inscricaomunicipal) {
-      throw new Error('Não foi possível obter inscrição municipal para o CNPJ informado.');
+  /**
+   * Consulta as inscrições municipais vinculadas a um CNPJ (operação ConsultaCNPJ).
+   * Sem parâmetro, consulta o CNPJ configurado e memoriza a primeira IM que emite NFS-e.
+   *
+   * @param {string} [cnpjConsulta] - CNPJ a consultar (padrão: CNPJ configurado)
+   * @returns {Promise<Object>} - Retorno decodificado, com a lista "inscricoes"
+   */
+  async consultarInscricao(cnpjConsulta) {
+    const cnpjAlvo = limparDocumento(cnpjConsulta || this.cnpj);
+
+    const retorno = await this._chamar('ConsultaCNPJ', buildConsultaCnpjXml({
+      cnpjRemetente: this.cnpj,
+      cnpjContribuinte: cnpjAlvo,
+    }));
+
+    if (!retorno.sucesso) {
+      throw erroDaPrefeitura(retorno.erros, 'Consulta de inscrição municipal rejeitada pela Prefeitura');
+    }
+    if (retorno.inscricoes.length === 0) {
+      throw new NotFoundError('Não foi possível obter inscrição municipal para o CNPJ informado.');
+    }
+    // Só memoriza a IM quando a consulta é do próprio prestador configurado
+    if (cnpjAlvo === this.cnpj) {
+      const emissora = retorno.inscricoes.find((i) => i.emiteNfe) || retorno.inscricoes[0];
+      this.im = emissora.inscricaoMunicipal;
     }
-    this.im = response.inscricaomunicipal;
-    return response;
+    return retorno;
   }
 
   /**
@@ -89,102 +231,436 @@ class NotaFiscalSP {
    * @param {string} rpsPayload.cpfUsuario - CPF do usuário autorizador
    * @param {string} rpsPayload.numeroRps - Número do RPS
    * // demais campos conforme contrato do RPS na Prefeitura, deverá ser convertido em XML
-   * @returns {Promise<Object>} - resposta com protocolo de recebimento
+   * @param {Object} [options]
+   * @param {boolean} [options.notificarFalha=true] - false: a rejeição definitiva não gera nfse.falhou e quem
+   *   chama decide o evento (ex.: JobWorker, que antes tenta recuperar um RPS rejeitado como duplicado)
+   * @returns {Promise<Object>} - RetornoEnvioRPS decodificado (sucesso, alertas, erros, chaveNfe, numeroNfe, codigoVerificacao)
+   * @throws {Error} - Erros anteriores ao envio saem marcados (ver errors.ocorreuAntesDoEnvio)
    */
-  async enviarNota(rpsPayload) {
+  async enviarNota(rpsPayload, { notificarFalha = true } = {}) {
+    // Constrói o PedidoEnvioRPS, com a assinatura do RPS e a assinatura XMLDSig do pedido.
+    // Falhas até aqui são marcadas: o RPS não saiu e o seu número pode ser reaproveitado
+    let dados;
+    let xmlPedido;
+    try {
+      if (!this.im) {
+        await this.consultarInscricao();
+      }
+      if (!rpsPayload) throw new Error('Payload para envio da nota é obrigatório');
+      exigirLayoutHabilitado(this.layout);
+
+      dados = this._prepararRps(rpsPayload);
+      xmlPedido = assinarXml(buildRpsXml({ ...dados, cnpjRemetente: this.cnpj, layout: this.layout }), this.certificado);
+    } catch (error) {
+      throw marcarAntesDoEnvio(error);
+    }
+
+    let troca;
+    try {
+      troca = await this._trocar('EnvioRPS', xmlPedido, this.layout);
+    } catch (error) {
+      await this._registrar(dados, {
+        status: 'erro',
+        xmlPedido,
+        erro: { errorCode: error.errorCode || 'SOAP_CALL_FAILED', errorMessage: error.message },
+      });
+      throw error;
+    }
+    const { retorno, xmlRetorno } = troca;
+    const eventos = (lista) => lista.map(({ codigo, code, descricao }) => ({ codigo, code, descricao }));
+    await this._registrar(dados, {
+      status: retorno.sucesso ? 'emitida' : 'rejeitada',
+      numeroNfse: retorno.numeroNfe || null,
+      codigoVerificacao: retorno.codigoVerificacao || null,
+      emitidaEm: retorno.sucesso ? new Date().toISOString() : null,
+      xmlPedido,
+      xmlRetorno,
+      alertas: eventos(retorno.alertas),
+      erros: eventos(retorno.erros),
+      erro: null,
+    });
+
+    const chave = { numeroRps: String(dados.rps.numeroRps), serie: dados.rps.serie };
+    if (retorno.sucesso) {
+      this._notificar('nfse.emitida', {
+        ...chave,
+        numeroNfse: retorno.numeroNfe,
+        codigoVerificacao: retorno.codigoVerificacao,
+        linkVerificacao: this.linkVerificacao(retorno),
+        alertas: eventos(retorno.alertas),
+      });
+    } else {
+      const erro = erroDaPrefeitura(retorno.erros);
+      if (!erro.retryable && notificarFalha) {
+        this._notificar('nfse.falhou', { ...chave, errorCode: erro.code, erros: erro.errors });
+      }
+    }
+    return retorno;
+  }
+
+  /**
+   * Envia vários RPS em lote (operação EnvioLoteRPS).
+   * Os RPS são divididos em lotes que respeitam o limite da Prefeitura (50 RPS / 500KB)
+   * e cada lote é enviado separadamente, na ordem recebida.
+   *
+   * @param {Array<Rps|Object>} rpsList - Instâncias de Rps ou objetos no formato de Rps.toObject()
+   * @param {Object} [options]
+   * @param {boolean} [options.transacao=true] - Se true, cada lote é rejeitado inteiro caso algum RPS tenha erro
+   * @returns {Promise<Array<Object>>} - Um item por lote (ver _enviarLotes)
+   */
+  async enviarLote(rpsList, options = {}) {
+    return this._enviarLotes('EnvioLoteRPS', rpsList, options);
+  }
+
+  /**
+   * Envia o lote para a operação TesteEnvioLoteRPS, que apenas valida os RPS sem gerar notas.
+   * Usa a mesma montagem e divisão de lotes de enviarLote.
+   *
+   * @param {Array<Rps|Object>} rpsList - Instâncias de Rps ou objetos no formato de Rps.toObject()
+   * @param {Object} [options]
+   * @param {boolean} [options.transacao=true]
+   * @returns {Promise<Array<Object>>} - Um item por lote, com alertas e erros por RPS (ver _enviarLotes)
+   */
+  async testarLote(rpsList, options = {}) {
+    return this._enviarLotes('TesteEnvioLoteRPS', rpsList, options);
+  }
+
+  /**
+   * Monta, divide, assina e envia os lotes para a operação informada.
+   *
+   * @param {'EnvioLoteRPS'|'TesteEnvioLoteRPS'} operacao - Operação SOAP
+   * @param {Array<Rps|Object>} rpsList
+   * @param {Object} [options]
+   * @param {boolean} [options.transacao=true]
+   * @returns {Promise<Array<Object>>} - Um item por lote:
+   *   { lote, qtdRps, totais, sucesso, numeroLote, alertas, erros, rps: [{ serie, numeroRps, alertas, erros }], informacoesLote, erro, errorCode, retryable }
+   */
+  async _enviarLotes(operacao, rpsList, { transacao = true } = {}) {
+    if (!Array.isArray(rpsList) || rpsList.length === 0) {
+      throw new Error('Lista de RPS para envio do lote é obrigatória');
+    }
+    // O TesteEnvioLoteRPS não gera notas: serve para conferir os pedidos v02 na Prefeitura antes da liberação
+    if (operacao === 'EnvioLoteRPS') {
+      exigirLayoutHabilitado(this.layout);
+    }
     if (!this.im) {
       await this.consultarInscricao();
     }
-    if (!rpsPayload) throw new Error('Payload para envio da nota é obrigatório');
 
-    // Constrói XML do RPS conforme dados enviados
-    const xml = buildRpsXml({ ...rpsPayload, im: this.im });
+    const dados = {
+      im: this.im,
+      cnpjRemetente: this.cnpj,
+      layout: this.layout,
+      transacao,
+      rpsList: rpsList.map((rps) => this._prepararRps(rps)),
+    };
+
+    const retornos = [];
+    const lotes = dividirEmLotes(dados);
+
+    for (let i = 0; i < lotes.length; i++) {
+      const lote = { ...dados, rpsList: lotes[i] };
+      const item = {
+        lote: i + 1,
+        qtdRps: lote.rpsList.length,
+        totais: calcularTotaisLote(lote.rpsList),
+      };
+
+      let xmlPedido = null;
+      try {
+        xmlPedido = assinarXml(buildLoteXml(lote), this.certificado);
+        const { retorno, xmlRetorno } = await this._trocar(operacao, xmlPedido, this.layout);
+        Object.assign(item, this._resumirRetornoLote(retorno, lote.rpsList));
+        // O teste de envio não gera notas, por isso não é registrado nem notificado
+        if (operacao === 'EnvioLoteRPS') {
+          for (let j = 0; j < lote.rpsList.length; j++) {
+            const resumo = item.rps[j];
+            const aceito = item.sucesso && resumo.erros.length === 0;
+            await this._registrar(lote.rpsList[j], {
+              status: aceito ? 'enviada' : 'rejeitada',
+              numeroLote: item.numeroLote,
+              xmlPedido,
+              xmlRetorno,
+              alertas: resumo.alertas,
+              erros: resumo.erros.length > 0 ? resumo.erros : item.erros,
+              erro: null,
+            });
+          }
+          this._notificar('lote.processado', item);
+        }
+      } catch (error) {
+        // Um lote com falha não impede o envio dos demais
+        item.sucesso = false;
+        item.numeroLote = null;
+        item.erro = error.message;
+        item.errorCode = error.errorCode || null;
+        item.retryable = error.retryable === true;
+        if (operacao === 'EnvioLoteRPS') {
+          for (const rps of lote.rpsList) {
+            await this._registrar(rps, {
+              status: 'erro',
+              xmlPedido,
+              erro: { errorCode: error.errorCode || 'SOAP_CALL_FAILED', errorMessage: error.message },
+            });
+          }
+        }
+      }
+
+      retornos.push(item);
+    }
+
+    return retornos;
+  }
+
+  /**
+   * Resume o RetornoEnvioLoteRPS: situação do lote e alertas/erros agrupados por RPS.
+   * Eventos sem ChaveRPS são considerados do lote como um todo.
+   *
+   * @param {Object} retorno - RetornoEnvioLoteRPS decodificado (ResponseHandler.retornoEnvioLoteRPS)
+   * @param {Object[]} rpsList - RPS enviados no lote
+   * @returns {{sucesso: boolean, numeroLote: string|null, informacoesLote: Object|null, alertas: Object[], erros: Object[], rps: Object[]}}
+   */
+  _resumirRetornoLote(retorno, rpsList) {
+    const { alertas, erros, informacoesLote } = retorno;
+    const semChave = ({ codigo, code, descricao }) => ({ codigo, code, descricao });
+    const doRps = (eventos, { serie, numeroRps }) => eventos
+      .filter((e) => e.chaveRps && e.chaveRps.numeroRps === String(numeroRps) && e.chaveRps.serieRps === String(serie || ''))
+      .map(semChave);
 
-    const params = {
-      cpfUsuario: this.usuario,
-      senha: this.senhaUsuario,
-      codCidade: 1, // Código fixo para São Paulo
-      xml,
+    return {
+      sucesso: retorno.sucesso,
+      numeroLote: informacoesLote ? informacoesLote.numeroLote : null,
+      informacoesLote,
+      alertas: alertas.filter((e) => !e.chaveRps).map(semChave),
+      erros: erros.filter((e) => !e.chaveRps).map(semChave),
+      rps: rpsList.map(({ rps }) => ({
+        serie: rps.serie,
+        numeroRps: String(rps.numeroRps),
+        alertas: doRps(alertas, rps),
+        erros: doRps(erros, rps),
+      })),
     };
+  }
+
+  /**
+   * Normaliza um RPS (instância de Rps ou objeto) para envio: inclui a IM do prestador
+   * e calcula o campo Assinatura. Objetos são validados contra o SCHEMA_EMISSAO (no layout configurado)
+   * antes da assinatura.
+   * @param {Rps|Object} rps
+   * @returns {Object}
+   * @throws {ValidationError}
+   */
+  _prepararRps(rps) {
+    if (!(rps instanceof Rps)) {
+      const errors = validarEmissao(rps, { layout: this.layout });
+      if (errors.length > 0) {
+        throw new ValidationError('Dados do RPS inválidos', errors);
+      }
+    }
+    const dados = { ...(rps instanceof Rps ? rps.toObject() : rps), im: this.im };
+    dados.assinatura = assinarRps(dados, this.certificado.key);
+    return dados;
+  }
 
-    const response = await this.soapEntrada.call('nfdEntrada', params);
+  /**
+   * Link público de verificação de autenticidade de uma NFS-e no portal da Prefeitura.
+   * A inscrição municipal padrão é a do prestador configurado.
+   *
+   * @param {Object} chave - Retorno de enviarNota, nota decodificada ou { numeroNfe, codigoVerificacao }
+   * @param {string} [chave.numeroNfe] - Número da NFS-e (aceita numeroNfse)
+   * @param {string} chave.codigoVerificacao - Código de verificação
+   * @param {string} [chave.inscricaoPrestador] - Inscrição municipal do prestador
+   * @returns {string|null} - null quando a chave está incompleta
+   */
+  linkVerificacao({ numeroNfe, numeroNfse, codigoVerificacao, inscricaoPrestador } = {}) {
+    return linkVerificacao({
+      inscricaoPrestador: inscricaoPrestador || this.im,
+      numeroNfe: numeroNfe || numeroNfse,
+      codigoVerificacao,
+    });
+  }
 
-    // Retorna o recibo de protocolo da nota emitida
-    return response;
+  /**
+   * QR code do link de verificação de uma NFS-e (ver linkVerificacao).
+   *
+   * @param {Object} chave - Mesmo formato de linkVerificacao
+   * @param {Object} [options] - formato ('png' ou 'svg'), tamanho e margem (ver utils/verificacao.gerarQrCode)
+   * @returns {Promise<Buffer|string>} - PNG (Buffer) ou SVG (string)
+   */
+  async qrCodeVerificacao(chave, options) {
+    const link = this.linkVerificacao(chave);
+    if (!link) {
+      throw new Error('Inscrição municipal, número da NFS-e e código de verificação são obrigatórios para o QR code');
+    }
+    return gerarQrCode(link, options);
   }
 
   /**
-   * Consulta a situação de uma nota emitida, via número do recibo (protocolo).
-   * @param {string} reciboNumero - Número do protocolo/recibo retornado no envio da nota
-   * @returns {Promise<Object>} - Resultado da consulta da nota
+   * Consulta uma NFS-e (operação ConsultaNFe), pelo número da nota ou pela chave do RPS.
+   * @param {string|number|Object} chave - Número da NFS-e, ou { numeroNfe, codigoVerificacao } / { numeroRps, serie }
+   * @returns {Promise<Object>} - RetornoConsulta decodificado, com a lista "notas"
    */
-  async consultarNota(reciboNumero) {
+  async consultarNota(chave) {
+    if (!chave) throw new Error('Número da NFS-e ou chave do RPS é obrigatório para consulta');
     if (!this.im) {
       await this.consultarInscricao();
     }
-    if (!reciboNumero) throw new Error('Número do recibo é obrigatório para consulta');
 
-    const params = {
-      cpfUsuario: this.usuario,
-      senha: this.senhaUsuario,
+    const chaves = [typeof chave === 'object' ? chave : { numeroNfe: chave }];
+    return this._chamar('ConsultaNFe', buildConsultaNfeXml({
+      cnpjRemetente: this.cnpj,
       im: this.im,
-      xmlRecibo: reciboNumero,
-    };
-
-    const response = await this.soapSaida.call('nfdSaida', params);
-    return response;
+      chaves,
+    }));
   }
 
   /**
    * Cancela uma nota emitida.
    * @param {Object} cancelPayload - Objeto com dados necessários para o cancelamento.
-   * @param {string} cancelPayload.cpfUsuario - CPF do usuário autorizador
-   * @param {string} cancelPayload.numeroRps - Número da nota para cancelar
-   * @param {string} cancelPayload.motivo - Justificativa para cancelamento
-   * @returns {Promise<Object>} - Resposta da operação de cancelamento
+   * @param {string} cancelPayload.numeroNfse - Número da nota para cancelar (aceita numeroRps por compatibilidade)
+   * @param {string} cancelPayload.motivo - Justificativa para cancelamento (máx. 255 caracteres)
+   * @returns {Promise<Object>} - RetornoCancelamentoNFe decodificado (sucesso, alertas, erros)
    */
   async cancelarNota(cancelPayload) {
     if (!cancelPayload) throw new Error('Payload para cancelamento é obrigatório');
-    if (!cancelPayload.numeroRps) throw new Error('Número do RPS/nfs a cancelar é obrigatório');
+    const numeroNfse = cancelPayload.numeroNfse || cancelPayload.numeroRps;
+    if (!numeroNfse) throw new Error('Número do RPS/nfs a cancelar é obrigatório');
     if (!cancelPayload.motivo) throw new Error('Motivo do cancelamento é obrigatório');
-    if (!this.usuario) throw new Error('CPF usuário deve estar configurado para cancelamento');
 
-    // Constrói XML para cancelamento
-    const xml = buildCancelXml(cancelPayload);
+    if (!this.im) {
+      await this.consultarInscricao();
+    }
 
-    const params = {
-      cpfUsuario: this.usuario,
-      senha: this.senhaUsuario,
-      xml,
-    };
+    // Constrói o PedidoCancelamentoNFe com a AssinaturaCancelamento
+    const assinatura = assinarCancelamento({ im: this.im, numeroNfse }, this.certificado.key);
+    const xmlCancelamento = assinarXml(buildCancelXml({
+      ...cancelPayload,
+      numeroNfse,
+      im: this.im,
+      cnpjRemetente: this.cnpj,
+      assinatura,
+    }), this.certificado);
+    const { retorno, xmlRetorno } = await this._trocar('CancelamentoNFe', xmlCancelamento);
 
-    const response = await this.soapEntrada.call('nfdEntradaCancelar', params);
+    if (retorno.sucesso) {
+      if (this.repositorio) {
+        await this.repositorio.atualizarPorNfse(this.cnpj, String(numeroNfse), {
+          status: 'cancelada',
+          canceladaEm: new Date().toISOString(),
+          xmlCancelamento,
+          xmlRetornoCancelamento: xmlRetorno,
+        }).catch((error) => logger.error(`NotaFiscalSP :: falha ao registrar o cancelamento da NFS-e ${numeroNfse}:`, error));
+      }
+      this._notificar('nfse.cancelada', {
+        numeroNfse: String(numeroNfse),
+        alertas: retorno.alertas.map(({ codigo, code, descricao }) => ({ codigo, code, descricao })),
+      });
+    }
+    return retorno;
+  }
 
-    return response;
+  /**
+   * Consulta as NFS-e emitidas pelo prestador no período (operação ConsultaNFeEmitidas).
+   * A paginação é feita automaticamente: as páginas são buscadas sob demanda enquanto o iterador é consumido.
+   *
+   * @example
+   * for await (const nota of nfsp.consultarEmitidas({ inicio: '2025-01-01', fim: '2025-01-31' })) { ... }
+   *
+   * @param {Object} periodo
+   * @param {string|Date} periodo.inicio - Data inicial
+   * @param {string|Date} periodo.fim - Data final
+   * @returns {AsyncGenerator<Object>} - Notas decodificadas (ver ResponseHandler.nfe)
+   */
+  consultarEmitidas({ inicio, fim } = {}) {
+    return this._consultarPeriodo('ConsultaNFeEmitidas', { inicio, fim });
   }
 
   /**
-   * Consulta status de lote de notas.
-   * @param {number|string} numeroLote - Número do lote gerenciado pela Prefeitura
-   * @returns {Promise<Object>} - Resultado da consulta do lote
+   * Consulta as NFS-e recebidas (tomadas) pelo contribuinte no período (operação ConsultaNFeRecebidas).
+   * A paginação é feita automaticamente, como em consultarEmitidas.
+   *
+   * @param {Object} periodo
+   * @param {string|Date} periodo.inicio - Data inicial
+   * @param {string|Date} periodo.fim - Data final
+   * @returns {AsyncGenerator<Object>} - Notas decodificadas (ver ResponseHandler.nfe)
    */
-  async consultarLote(numeroLote) {
+  consultarRecebidas({ inicio, fim } = {}) {
+    return this._consultarPeriodo('ConsultaNFeRecebidas', { inicio, fim });
+  }
+
+  /**
+   * Percorre todas as páginas de uma consulta por período.
+   * @param {'ConsultaNFeEmitidas'|'ConsultaNFeRecebidas'} operacao
+   * @param {Object} periodo
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *_consultarPeriodo(operacao, { inicio, fim }) {
+    const formatar = (d) => (d instanceof Date ? d.toISOString() : String(d || '')).slice(0, 10);
+    if (!inicio || isNaN(Date.parse(inicio))) throw new Error('Data inicial do período é inválida');
+    if (!fim || isNaN(Date.parse(fim))) throw new Error('Data final do período é inválida');
+    if (formatar(inicio) > formatar(fim)) throw new Error('Data inicial não pode ser posterior à data final');
+
     if (!this.im) {
       await this.consultarInscricao();
     }
+
+    for (let pagina = 1; ; pagina++) {
+      const retorno = await this._chamar(operacao, buildConsultaPeriodoXml({
+        cnpjRemetente: this.cnpj,
+        cnpj: this.cnpj,
+        im: this.im,
+        inicio: formatar(inicio),
+        fim: formatar(fim),
+        pagina,
+      }));
+
+      if (!retorno.sucesso) {
+        throw erroDaPrefeitura(retorno.erros, `Consulta ${operacao} rejeitada pela Prefeitura`);
+      }
+
+      for (const nota of retorno.notas) {
+        yield nota;
+      }
+
+      if (retorno.notas.length < NOTAS_POR_PAGINA) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Consulta as notas geradas por um lote (operação ConsultaLote).
+   * @param {number|string} numeroLote - Número do lote gerenciado pela Prefeitura
+   * @returns {Promise<Object>} - RetornoConsulta decodificado, com a lista "notas"
+   */
+  async consultarLote(numeroLote) {
     if (!numeroLote) throw new Error('Número do lote é obrigatório para consulta');
 
-    const params = {
-      cpfUsuario: this.usuario,
-      senha: this.senhaUsuario,
-      im: this.im,
+    return this._chamar('ConsultaLote', buildConsultaLoteXml({
+      cnpjRemetente: this.cnpj,
       numeroLote,
-    };
+    }));
+  }
 
-    const response = await this.soapSaida.call('nfdConsultaLote', params);
+  /**
+   * Consulta as informações de processamento de um lote (operação ConsultaInformacoesLote).
+   * Sem numeroLote, a Prefeitura devolve as informações do último lote enviado.
+   * @param {number|string} [numeroLote] - Número do lote
+   * @returns {Promise<Object>} - RetornoInformacoesLote decodificado (informacoesLote)
+   */
+  async consultarInformacoesLote(numeroLote) {
+    if (!this.im) {
+      await this.consultarInscricao();
+    }
 
-    return response;
+    return this._chamar('ConsultaInformacoesLote', buildInformacoesLoteXml({
+      cnpjRemetente: this.cnpj,
+      im: this.im,
+      numeroLote,
+    }));
   }
 }
 
+NotaFiscalSP.EVENTOS = EVENTOS;
+
 module.exports = { NotaFiscalSP };
\ No newline at end of file
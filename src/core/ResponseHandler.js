@@ -2,6 +2,58 @@
 // Responsável por processar, normalizar, e extrair informações das respostas SOAP recebidas dos webservices da Prefeitura de São Paulo para NFS-e.
 
 const { XMLParser } = require('fast-xml-parser');
+const { Parser } = require('../xml/Parser');
+const { codigoEstavel } = require('./errorCodes');
+
+/**
+ * @typedef {Object} ChaveRPS
+ * @property {string} inscricaoPrestador
+ * @property {string} serieRps
+ * @property {string} numeroRps
+ */
+
+/**
+ * @typedef {Object} ChaveNFe
+ * @property {string} inscricaoPrestador
+ * @property {string} numeroNfe
+ * @property {string|null} codigoVerificacao
+ */
+
+/**
+ * @typedef {Object} Evento - Alerta ou Erro devolvido pela Prefeitura
+ * @property {number} codigo - Código numérico da Prefeitura
+ * @property {string|null} code - Código estável do catálogo (ver errorCodes.js)
+ * @property {string} descricao
+ * @property {ChaveRPS|null} chaveRps
+ * @property {ChaveNFe|null} chaveNfe
+ */
+
+/**
+ * @typedef {Object} Retorno - Campos comuns a todos os retornos
+ * @property {boolean} sucesso
+ * @property {Evento[]} alertas
+ * @property {Evento[]} erros
+ */
+
+// Nó raiz do RetornoXML esperado para cada operação do webservice
+const RETORNOS = {
+  EnvioRPS: 'RetornoEnvioRPS',
+  EnvioLoteRPS: 'RetornoEnvioLoteRPS',
+  TesteEnvioLoteRPS: 'RetornoEnvioLoteRPS',
+  CancelamentoNFe: 'RetornoCancelamentoNFe',
+  ConsultaNFe: 'RetornoConsulta',
+  ConsultaNFeEmitidas: 'RetornoConsulta',
+  ConsultaNFeRecebidas: 'RetornoConsulta',
+  ConsultaLote: 'RetornoConsulta',
+  ConsultaCNPJ: 'RetornoConsultaCNPJ',
+  ConsultaInformacoesLote: 'RetornoInformacoesLote',
+};
+
+// Converte valor opcional em array (o parser devolve objeto quando há um único elemento)
+const lista = (v) => (v === undefined || v === null || v === '' ? [] : [].concat(v));
+const texto = (v) => (v === undefined || v === null ? null : String(v));
+const numero = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+const documento = (v) => (v ? String(v.CNPJ || v.CPF || '') || null : null);
 
 /**
  * ResponseHandler - Classe utilitária para tratamento e normalização
@@ -20,130 +72,278 @@ class ResponseHandler {
       removeNSPrefix: true,
       // Outras configurações podem ser ajustadas conforme necessidade
     });
+
+    // Parser do RetornoXML: mantém os valores como texto (ex: zeros à esquerda do código de verificação)
+    this.retornoParser = new Parser();
   }
 
   /**
-   * Parseia string XML para objeto JavaScript.
-   * @param {string} xml - XML a ser parseado
-   * @returns {Object} - Objeto JS representando o XML
+   * Decodifica o resultado SOAP de uma operação no objeto tipado correspondente.
+   * @param {string} operacao - Nome da operação SOAP (ex: 'EnvioRPS')
+   * @param {Object} response - Resultado da chamada SOAP (com RetornoXML)
+   * @returns {Retorno}
    */
-  parseXml(xml) {
-    if (!xml || typeof xml !== 'string') {
-      throw new Error('parseXml: XML inválido ou vazio');
+  decode(operacao, response) {
+    const raiz = RETORNOS[operacao];
+    if (!raiz) {
+      throw new Error(`decode: operação sem decodificador: ${operacao}`);
     }
-    return this.parser.parse(xml);
+    const decoders = {
+      RetornoEnvioRPS: (r) => this.retornoEnvioRPS(r),
+      RetornoEnvioLoteRPS: (r) => this.retornoEnvioLoteRPS(r),
+      RetornoCancelamentoNFe: (r) => this.retornoCancelamentoNFe(r),
+      RetornoConsulta: (r) => this.retornoConsulta(r),
+      RetornoConsultaCNPJ: (r) => this.retornoConsultaCNPJ(r),
+      RetornoInformacoesLote: (r) => this.retornoInformacoesLote(r),
+    };
+    return decoders[raiz](this.parseRetornoXml(response, raiz));
   }
 
   /**
-   * Verifica se a resposta SOAP contém erro/falha (fault).
-   * @param {Object|string} response - Objeto já parseado ou XML puro
-   * @returns {boolean} - true se houver fault
+   * Extrai e parseia o RetornoXML (string) contido no resultado SOAP.
+   * @param {Object|string} response - Resultado SOAP ou a própria string RetornoXML
+   * @param {string} raiz - Nó raiz esperado (ex: 'RetornoEnvioRPS')
+   * @returns {Object} - Conteúdo do nó raiz
    */
-  hasFault(response) {
-    if (typeof response === 'string') {
-      response = this.parseXml(response);
+  parseRetornoXml(response, raiz) {
+    const xml = typeof response === 'string' ? response : response && response.RetornoXML;
+    if (!xml || typeof xml !== 'string') {
+      throw new Error('parseRetornoXml: resposta sem RetornoXML');
+    }
+    const obj = this.retornoParser.parse(xml);
+    if (!obj[raiz]) {
+      throw new Error(`parseRetornoXml: nó ${raiz} não encontrado no retorno`);
     }
-    return response && response.Envelope && response.Envelope.Body && response.Envelope.Body.Fault;
+    return obj[raiz];
   }
 
   /**
-   * Extrai mensagem de erro/fault da resposta SOAP parseada.
-   * @param {Object} response - Objeto parseado da resposta XML
-   * @returns {string|null} - Mensagem de erro ou null se não houver
+   * @param {Object} chave - Nó ChaveRPS
+   * @returns {ChaveRPS|null}
    */
-  getFaultMessage(response) {
-    if (!response || !response.Envelope || !response.Envelope.Body || !response.Envelope.Body.Fault) {
-      return null;
-    }
-    const fault = response.Envelope.Body.Fault;
-    if (typeof fault === 'string') {
-      return fault;
-    }
-    // Tenta extrair motivo da falha, código e detalhes
-    const faultString = fault.faultstring || fault.faultString || '';
-    const faultCode = fault.faultcode || fault.faultCode || '';
-    const detail = fault.detail || '';
-    let message = faultString;
-    if (faultCode) {
-      message = `[${faultCode}] ${message}`;
-    }
-    if (detail) {
-      message += ` - Detalhe: ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`;
-    }
-    return message.trim();
+  chaveRps(chave) {
+    if (!chave) return null;
+    return {
+      inscricaoPrestador: texto(chave.InscricaoPrestador),
+      serieRps: texto(chave.SerieRPS) || '',
+      numeroRps: texto(chave.NumeroRPS),
+    };
   }
 
   /**
-   * Normaliza a resposta da prefeitura extraindo dados úteis e status.
-   * Pode ser customizado para cada método SOAP usado.
-   * @param {Object} responseObj - Objeto parseado da resposta
-   * @param {string} rootNode - Nome esperado do núcleo da resposta comum (ex: 'nfdEntradaReturn')
-   * @returns {Object} - Objeto com propriedades: success(boolean), data(qualquer), error(string|null)
+   * @param {Object} chave - Nó ChaveNFe
+   * @returns {ChaveNFe|null}
    */
-  normalizeResponse(responseObj, rootNode) {
-    if (!responseObj) {
-      return { success: false, data: null, error: 'Resposta vazia' };
-    }
+  chaveNfe(chave) {
+    if (!chave) return null;
+    return {
+      inscricaoPrestador: texto(chave.InscricaoPrestador),
+      numeroNfe: texto(chave.NumeroNFe),
+      codigoVerificacao: texto(chave.CodigoVerificacao),
+    };
+  }
 
-    // Busca o body
-    const body = responseObj.Envelope && responseObj.Envelope.Body;
-    if (!body) {
-      return { success: false, data: null, error: 'Resposta sem corpo (Body)' };
-    }
+  /**
+   * Decodifica um endereço (tpEndereco), nos mesmos nomes de campo aceitos pelo RPS.
+   * @param {Object} endereco - Nó EnderecoPrestador/EnderecoTomador
+   * @returns {Object|null}
+   */
+  endereco(endereco) {
+    if (!endereco) return null;
+    return {
+      tipoLogradouro: texto(endereco.TipoLogradouro),
+      logradouro: texto(endereco.Logradouro),
+      numero: texto(endereco.NumeroEndereco),
+      complemento: texto(endereco.ComplementoEndereco),
+      bairro: texto(endereco.Bairro),
+      codigoMunicipio: texto(endereco.Cidade),
+      uf: texto(endereco.UF),
+      cep: texto(endereco.CEP),
+    };
+  }
 
-    // Verifica falha SOAP
-    if (body.Fault) {
-      return {
-        success: false,
-        data: null,
-        error: this.getFaultMessage(responseObj),
-      };
-    }
+  /**
+   * Decodifica Cabecalho/Sucesso e as listas de Alerta e Erro, comuns a todos os retornos.
+   * @param {Object} retorno - Nó raiz parseado
+   * @returns {Retorno}
+   */
+  retornoBase(retorno) {
+    const evento = (e) => ({
+      codigo: numero(e.Codigo),
+      code: codigoEstavel(numero(e.Codigo)),
+      descricao: texto(e.Descricao) || '',
+      chaveRps: this.chaveRps(e.ChaveRPS),
+      chaveNfe: this.chaveNfe(e.ChaveNFe),
+    });
+    const cabecalho = retorno.Cabecalho || {};
+    return {
+      sucesso: String(cabecalho.Sucesso) === 'true',
+      alertas: lista(retorno.Alerta).map(evento),
+      erros: lista(retorno.Erro).map(evento),
+    };
+  }
 
-    // Busca o nó de resultado esperado (ex: nfdEntradaReturn)
-    const result = rootNode ? body[rootNode] : null;
+  /**
+   * RetornoEnvioRPS: chave da NFS-e gerada para o RPS enviado.
+   * @param {Object} retorno
+   * @returns {Retorno & {chaveNfe: ChaveNFe|null, chaveRps: ChaveRPS|null, numeroNfe: string|null, codigoVerificacao: string|null}}
+   */
+  retornoEnvioRPS(retorno) {
+    const chaves = lista(retorno.ChaveNFeRPS)[0] || {};
+    const chaveNfe = this.chaveNfe(chaves.ChaveNFe);
+    return {
+      ...this.retornoBase(retorno),
+      chaveNfe,
+      chaveRps: this.chaveRps(chaves.ChaveRPS),
+      numeroNfe: chaveNfe ? chaveNfe.numeroNfe : null,
+      codigoVerificacao: chaveNfe ? chaveNfe.codigoVerificacao : null,
+    };
+  }
 
-    if (!result) {
-      // Se não achou nó, retorna o corpo para análise
-      return {
-        success: true,
-        data: body,
-        error: null,
-      };
-    }
+  /**
+   * RetornoEnvioLoteRPS (também usado por TesteEnvioLoteRPS).
+   * @param {Object} retorno
+   * @returns {Retorno & {informacoesLote: Object|null, chaves: Array<{chaveNfe: ChaveNFe|null, chaveRps: ChaveRPS|null}>}}
+   */
+  retornoEnvioLoteRPS(retorno) {
+    const cabecalho = retorno.Cabecalho || {};
+    return {
+      ...this.retornoBase(retorno),
+      informacoesLote: this.informacoesLote(cabecalho.InformacoesLote),
+      chaves: lista(retorno.ChaveNFeRPS).map((c) => ({
+        chaveNfe: this.chaveNfe(c.ChaveNFe),
+        chaveRps: this.chaveRps(c.ChaveRPS),
+      })),
+    };
+  }
 
-    // Análise comum dos dados contidos
-    // Exemplo: objeto com status, código, mensagem, protocolo
-    // Pode customizar conforme estrutura retornada pelo webservice
-
-    let success = false;
-    let error = null;
-
-    // Exemplo heurística para campos comuns:
-    if (typeof result === 'object') {
-      // Normalmente o campo 'status' ou 'situacao' indica sucesso ('1' ou 'Processado')
-      const statusVal = result.status || result.situacao || result.Status || '';
-      success = (statusVal === '1' || /processado/i.test(statusVal));
-
-      // Mensagem de erro ou motivo se houver
-      if (!success) {
-        error = result.mensagem || result.MsgErro || result.erro || null;
-        if (!error) {
-          // tenta compor erro genérico
-          error = JSON.stringify(result);
-        }
-      }
-    } else {
-      // Resposta simples assume sucesso
-      success = true;
-    }
+  /**
+   * RetornoCancelamentoNFe.
+   * @param {Object} retorno
+   * @returns {Retorno}
+   */
+  retornoCancelamentoNFe(retorno) {
+    return this.retornoBase(retorno);
+  }
+
+  /**
+   * RetornoConsulta (ConsultaNFe, ConsultaNFeEmitidas, ConsultaNFeRecebidas e ConsultaLote).
+   * @param {Object} retorno
+   * @returns {Retorno & {notas: Object[]}}
+   */
+  retornoConsulta(retorno) {
+    return {
+      ...this.retornoBase(retorno),
+      notas: lista(retorno.NFe).map((nfe) => this.nfe(nfe)),
+    };
+  }
+
+  /**
+   * RetornoConsultaCNPJ: inscrições municipais vinculadas ao CNPJ consultado.
+   * @param {Object} retorno
+   * @returns {Retorno & {inscricoes: Array<{inscricaoMunicipal: string, emiteNfe: boolean}>}}
+   */
+  retornoConsultaCNPJ(retorno) {
+    return {
+      ...this.retornoBase(retorno),
+      inscricoes: lista(retorno.Detalhe).map((d) => ({
+        inscricaoMunicipal: texto(d.InscricaoMunicipal),
+        emiteNfe: String(d.EmiteNFe) === 'true',
+      })),
+    };
+  }
+
+  /**
+   * RetornoInformacoesLote.
+   * @param {Object} retorno
+   * @returns {Retorno & {informacoesLote: Object|null}}
+   */
+  retornoInformacoesLote(retorno) {
+    const cabecalho = retorno.Cabecalho || {};
+    return {
+      ...this.retornoBase(retorno),
+      informacoesLote: this.informacoesLote(cabecalho.InformacoesLote),
+    };
+  }
 
+  /**
+   * Decodifica o grupo InformacoesLote (tpInformacoesLote).
+   * @param {Object} info
+   * @returns {Object|null}
+   */
+  informacoesLote(info) {
+    if (!info) return null;
+    return {
+      numeroLote: texto(info.NumeroLote),
+      inscricaoPrestador: texto(info.InscricaoPrestador),
+      cpfCnpjRemetente: documento(info.CPFCNPJRemetente),
+      dataEnvioLote: texto(info.DataEnvioLote),
+      qtdNotasProcessadas: numero(info.QtdNotasProcessadas),
+      tempoProcessamento: numero(info.TempoProcessamento),
+      valorTotalServicos: numero(info.ValorTotalServicos),
+      valorTotalDeducoes: numero(info.ValorTotalDeducoes),
+    };
+  }
+
+  /**
+   * Decodifica uma NFS-e (tpNFe).
+   * @param {Object} nfe
+   * @returns {Object}
+   */
+  nfe(nfe) {
+    const chaveNfe = this.chaveNfe(nfe.ChaveNFe) || {};
+    const chaveRps = this.chaveRps(nfe.ChaveRPS);
     return {
-      success,
-      data: result,
-      error,
+      numeroNfe: chaveNfe.numeroNfe || null,
+      codigoVerificacao: chaveNfe.codigoVerificacao || null,
+      inscricaoPrestador: chaveNfe.inscricaoPrestador || null,
+      dataEmissao: texto(nfe.DataEmissaoNFe),
+      numeroLote: texto(nfe.NumeroLote),
+      status: texto(nfe.StatusNFe),
+      dataCancelamento: texto(nfe.DataCancelamento),
+      rps: chaveRps ? { serie: chaveRps.serieRps, numeroRps: chaveRps.numeroRps, dataEmissao: texto(nfe.DataEmissaoRPS) } : null,
+      tipoRps: texto(nfe.TipoRPS),
+      prestador: {
+        cpfCnpj: documento(nfe.CPFCNPJPrestador),
+        razaoSocial: texto(nfe.RazaoSocialPrestador),
+        email: texto(nfe.EmailPrestador),
+        endereco: this.endereco(nfe.EnderecoPrestador),
+      },
+      tomador: {
+        cpfCnpj: documento(nfe.CPFCNPJTomador),
+        inscricaoMunicipal: texto(nfe.InscricaoMunicipalTomador),
+        razaoSocial: texto(nfe.RazaoSocialTomador),
+        email: texto(nfe.EmailTomador),
+        endereco: this.endereco(nfe.EnderecoTomador),
+      },
+      codigoServico: texto(nfe.CodigoServico),
+      tributacao: texto(nfe.TributacaoNFe),
+      valorServicos: numero(nfe.ValorServicos),
+      valorDeducoes: numero(nfe.ValorDeducoes),
+      aliquotaServicos: numero(nfe.AliquotaServicos),
+      valorIss: numero(nfe.ValorISS),
+      valorPis: numero(nfe.ValorPIS) || 0,
+      valorCofins: numero(nfe.ValorCOFINS) || 0,
+      valorInss: numero(nfe.ValorINSS) || 0,
+      valorIr: numero(nfe.ValorIR) || 0,
+      valorCsll: numero(nfe.ValorCSLL) || 0,
+      valorCredito: numero(nfe.ValorCredito),
+      issRetido: String(nfe.ISSRetido) === 'true',
+      discriminacao: texto(nfe.Discriminacao),
     };
   }
+
+  /**
+   * Parseia string XML para objeto JavaScript.
+   * @param {string} xml - XML a ser parseado
+   * @returns {Object} - Objeto JS representando o XML
+   */
+  parseXml(xml) {
+    if (!xml || typeof xml !== 'string') {
+      throw new Error('parseXml: XML inválido ou vazio');
+    }
+    return this.parser.parse(xml);
+  }
 }
 
 module.exports = { ResponseHandler };
@@ -4,6 +4,13 @@ const soap = require('soap');
 const https = require('https');
 const tls = require('tls');
 const forge = require('node-forge');
+const { UpstreamError } = require('./errors');
+
+// Operações que emitem ou cancelam NFS-e: repetidas depois de um timeout, podem ser processadas duas vezes
+const OPERACOES_SEM_REPETICAO = new Set(['EnvioRPS', 'EnvioLoteRPS', 'CancelamentoNFe']);
+
+// Erros de conexão ocorridos antes de o pedido ser escrito no socket (seguros para repetir qualquer operação)
+const ERROS_ANTES_DO_ENVIO = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
 
 /**
  * SoapClient - Wrapper para cliente SOAP com suporte a certificado A1 (.pfx)
@@ -29,8 +36,8 @@ class SoapClient {
     this.options = {
       timeout: options.timeout || 15000, // 15 segundos padrão
       userAgent: options.userAgent || 'NotaFiscalSP-Client/1.0',
-      maxRetries: options.maxRetries || 2,
-      retryInterval: options.retryInterval || 1000, // 1 segundo
+      maxRetries: options.maxRetries ?? 2,
+      retryInterval: options.retryInterval ?? 1000, // 1 segundo
     };
 
     this.client = null;
@@ -95,7 +102,8 @@ class SoapClient {
 
   /**
    * Realiza a chamada SOAP para o método especificado com parâmetros
-   * Faz retries caso haja falha temporária.
+   * Faz retries caso haja falha temporária. EnvioRPS, EnvioLoteRPS e CancelamentoNFe só são
+   * repetidos quando a falha ocorreu antes de o pedido sair (WSDL ou conexão recusada).
    * 
    * @param {string} methodName - Nome do método SOAP (ex: 'nfdEntrada')
    * @param {Object} args - Argumentos para o método SOAP
@@ -108,6 +116,7 @@ class SoapClient {
     const maxAttempts = this.options.maxRetries + 1; // inclui primeira tentativa
 
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      let enviado = false;
       try {
         const client = await this._createClient();
 
@@ -116,6 +125,7 @@ class SoapClient {
         }
 
         // Chamada Async do método SOAP (retorna array: [result, rawResponse, soapHeader, rawRequest])
+        enviado = true;
         const [result, rawResponse, soapHeader, rawRequest] = await client[methodName + 'Async'](args);
 
         // Log básico - pode ser substituído por logger real
@@ -124,9 +134,10 @@ class SoapClient {
 
         return result;
       } catch (error) {
-        // Se última tentativa, lança o erro
-        if (attempt === maxAttempts) {
-          throw new Error(`Erro na chamada SOAP '${methodName}': ${error.message}`);
+        // Se última tentativa (ou operação que não pode ser repetida depois do envio), lança o erro
+        const repetivel = !OPERACOES_SEM_REPETICAO.has(methodName) || !enviado || ERROS_ANTES_DO_ENVIO.has(error.code);
+        if (attempt === maxAttempts || !repetivel) {
+          throw new UpstreamError(`Erro na chamada SOAP '${methodName}': ${error.message}`, error);
         }
         // Espera antes da próxima tentativa
         await this._delay(this.options.retryInterval);
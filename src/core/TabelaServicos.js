@@ -0,0 +1,156 @@
+// src/core/TabelaServicos.js
+// Tabela de códigos de serviço do município (código, descrição, alíquota de ISS e subitem da LC 116/2003).
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Tabela embarcada, parcial (só parte dos códigos da Prefeitura); SERVICOS_ARQUIVO aponta para
+// a tabela completa no mesmo formato, que deve ser informada em produção
+const ARQUIVO_PADRAO = path.join(__dirname, 'tabelas', 'servicos.json');
+
+/**
+ * @typedef {Object} Servico
+ * @property {string} codigo - Código do serviço com 5 dígitos (ex: '02919')
+ * @property {string} descricao
+ * @property {number} aliquota - Alíquota padrão de ISS (ex: 0.05)
+ * @property {string} itemLc116 - Subitem da lista da LC 116/2003 (ex: '1.07')
+ */
+
+/**
+ * Normaliza o código do serviço em 5 dígitos, como aparece na tabela ('2919' e '02.919' -> '02919').
+ * @param {string|number} codigo
+ * @returns {string|null} - null quando o código não tem de 1 a 5 dígitos
+ */
+function normalizarCodigoServico(codigo) {
+  if (codigo === undefined || codigo === null) return null;
+  const digitos = String(codigo).trim().replace(/[.\-\s]/g, '');
+  if (!/^\d{1,5}$/.test(digitos)) return null;
+  return digitos.padStart(5, '0');
+}
+
+/**
+ * Remove acentos e caixa, para a busca por descrição.
+ * @param {string} texto
+ * @returns {string}
+ */
+function normalizarTexto(texto) {
+  return String(texto).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * TabelaServicos - tabela versionada de códigos de serviço, carregada uma vez em memória.
+ */
+class TabelaServicos {
+  /**
+   * @param {Object} dados - Conteúdo do arquivo da tabela
+   * @param {string} dados.versao - Versão da tabela
+   * @param {Servico[]} dados.servicos
+   * @param {Object} [options]
+   * @param {boolean} [options.estrita=true] - Rejeita códigos de serviço que não constam da tabela;
+   *   false aceita o código e registra um aviso no log
+   */
+  constructor(dados, { estrita = true } = {}) {
+    if (!dados || !dados.versao || !Array.isArray(dados.servicos)) {
+      throw new Error('Tabela de serviços deve ter versao e a lista de servicos');
+    }
+    this.versao = dados.versao;
+    this.estrita = estrita;
+    this.servicos = new Map(); // codigo -> Servico
+    this.avisados = new Set(); // códigos fora da tabela já registrados no log
+    dados.servicos.forEach((servico) => {
+      const codigo = normalizarCodigoServico(servico.codigo);
+      if (!codigo) {
+        throw new Error(`Código de serviço inválido na tabela: ${servico.codigo}`);
+      }
+      this.servicos.set(codigo, {
+        codigo,
+        descricao: servico.descricao,
+        aliquota: Number(servico.aliquota),
+        itemLc116: servico.itemLc116 || null,
+      });
+    });
+  }
+
+  /**
+   * Lê a tabela de um arquivo JSON.
+   * @param {string} [arquivo] - Padrão: tabela embarcada
+   * @param {Object} [options] - Ver constructor
+   * @returns {TabelaServicos}
+   */
+  static carregar(arquivo = ARQUIVO_PADRAO, options = {}) {
+    return new TabelaServicos(JSON.parse(fs.readFileSync(arquivo, 'utf8')), options);
+  }
+
+  /**
+   * @param {string|number} codigo - Código do serviço, com ou sem zeros à esquerda
+   * @returns {Servico|null}
+   */
+  obter(codigo) {
+    return this.servicos.get(normalizarCodigoServico(codigo)) || null;
+  }
+
+  /**
+   * Confere se o código consta da tabela. Na tabela estrita, um código ausente é erro; na não estrita,
+   * o código é aceito e registrado no log (uma vez por código), para a tabela ser completada.
+   *
+   * @param {string|number} codigo - Código do serviço já normalizado
+   * @returns {string|null} - Mensagem de erro, ou null quando o código é aceito
+   */
+  conferir(codigo) {
+    if (this.obter(codigo)) return null;
+    const normalizado = normalizarCodigoServico(codigo);
+    if (this.estrita) {
+      return `Código do serviço ${normalizado} não consta da tabela de serviços (versão ${this.versao})`;
+    }
+    if (!this.avisados.has(normalizado)) {
+      this.avisados.add(normalizado);
+      logger.warn(`TabelaServicos :: código de serviço ${normalizado} não consta da tabela (versão ${this.versao}); aceito sem alíquota padrão`);
+    }
+    return null;
+  }
+
+  /**
+   * Busca serviços pelo código, pelo subitem da LC 116 ou por palavras da descrição
+   * (todas as palavras precisam aparecer, sem diferenciar acentos e maiúsculas).
+   *
+   * @param {string} [termo] - Vazio lista a tabela inteira
+   * @param {Object} [options]
+   * @param {number} [options.limite=50]
+   * @returns {Servico[]}
+   */
+  buscar(termo, { limite = 50 } = {}) {
+    const palavras = normalizarTexto(termo || '').split(/\s+/).filter(Boolean);
+    const encontrados = [];
+    for (const servico of this.servicos.values()) {
+      if (encontrados.length >= limite) break;
+      const texto = normalizarTexto(`${servico.codigo} ${servico.itemLc116 || ''} ${servico.descricao}`);
+      if (palavras.every((palavra) => texto.includes(palavra))) {
+        encontrados.push(servico);
+      }
+    }
+    return encontrados;
+  }
+}
+
+let tabelaPadrao = null;
+
+/**
+ * Tabela usada pelo RPS e pela API (SERVICOS_ARQUIVO). Códigos fora da tabela são rejeitados;
+ * SERVICOS_VALIDAR=false passa a aceitá-los com aviso no log (ex.: enquanto a tabela completa não é configurada).
+ * @returns {TabelaServicos}
+ */
+function obterTabelaServicos() {
+  if (!tabelaPadrao) {
+    tabelaPadrao = TabelaServicos.carregar(process.env.SERVICOS_ARQUIVO || ARQUIVO_PADRAO, {
+      estrita: process.env.SERVICOS_VALIDAR !== 'false',
+    });
+  }
+  return tabelaPadrao;
+}
+
+module.exports = {
+  TabelaServicos,
+  normalizarCodigoServico,
+  obterTabelaServicos,
+};
@@ -0,0 +1,207 @@
+// src/core/Validacao.js
+// Validação de CPF, CNPJ (numérico e alfanumérico), CEP, UF e código IBGE do município.
+
+const fs = require('fs');
+const path = require('path');
+const { ufs } = require('./tabelas/ufs.json');
+
+// UF pela sigla
+const UF_POR_SIGLA = new Map(ufs.map((uf) => [uf.sigla, uf]));
+
+// Lista de municípios do IBGE embarcada; MUNICIPIOS_ARQUIVO aponta para uma lista mais recente no mesmo formato
+const ARQUIVO_MUNICIPIOS = path.join(__dirname, 'tabelas', 'municipios.json');
+
+let municipiosPorCodigo = null; // codigo -> { codigo, nome, uf }, carregado no primeiro uso
+
+/**
+ * Remove a máscara de CPF/CNPJ, mantendo letras (CNPJ alfanumérico) em maiúsculas.
+ * @param {string|number} valor
+ * @returns {string}
+ */
+function limparDocumento(valor) {
+  if (valor === undefined || valor === null) return '';
+  return String(valor).toUpperCase().replace(/[.\-/\s]/g, '');
+}
+
+/**
+ * Dígito verificador módulo 11 com pesos de 2 a `pesoMaximo`, da direita para a esquerda.
+ * Cada caractere vale o código ASCII menos 48 ('0' = 0, 'A' = 17), como no CNPJ alfanumérico.
+ * @param {string} base
+ * @param {number} pesoMaximo
+ * @returns {number}
+ */
+function digitoModulo11(base, pesoMaximo) {
+  let soma = 0;
+  let peso = 2;
+  for (let i = base.length - 1; i >= 0; i--) {
+    soma += (base.charCodeAt(i) - 48) * peso;
+    peso = peso === pesoMaximo ? 2 : peso + 1;
+  }
+  const resto = soma % 11;
+  return resto < 2 ? 0 : 11 - resto;
+}
+
+/**
+ * @param {string} cpf - Com ou sem máscara
+ * @returns {boolean}
+ */
+function validarCpf(cpf) {
+  const numeros = limparDocumento(cpf);
+  if (!/^\d{11}$/.test(numeros) || /^(\d)\1{10}$/.test(numeros)) return false;
+  const dv1 = digitoModulo11(numeros.slice(0, 9), 11);
+  const dv2 = digitoModulo11(numeros.slice(0, 9) + dv1, 11);
+  return numeros.endsWith(`${dv1}${dv2}`);
+}
+
+/**
+ * Valida o CNPJ numérico e o alfanumérico (12 posições com letras e números e 2 dígitos verificadores).
+ * @param {string} cnpj - Com ou sem máscara
+ * @returns {boolean}
+ */
+function validarCnpj(cnpj) {
+  const valor = limparDocumento(cnpj);
+  if (!/^[0-9A-Z]{12}\d{2}$/.test(valor) || /^(\d)\1{13}$/.test(valor)) return false;
+  const dv1 = digitoModulo11(valor.slice(0, 12), 9);
+  const dv2 = digitoModulo11(valor.slice(0, 12) + dv1, 9);
+  return valor.endsWith(`${dv1}${dv2}`);
+}
+
+/**
+ * CEP com 8 dígitos (números com menos dígitos recebem os zeros à esquerda).
+ * @param {string|number} cep
+ * @returns {string|null} - null quando não é um CEP
+ */
+function normalizarCep(cep) {
+  if (cep === undefined || cep === null) return null;
+  const numeros = typeof cep === 'number' ? String(cep).padStart(8, '0') : String(cep).replace(/[.\-\s]/g, '');
+  return /^\d{8}$/.test(numeros) ? numeros : null;
+}
+
+/**
+ * UF da faixa de CEP.
+ * @param {string|number} cep
+ * @returns {string|null}
+ */
+function ufDoCep(cep) {
+  const numeros = normalizarCep(cep);
+  if (!numeros) return null;
+  const uf = ufs.find((item) => item.ceps.some(([inicio, fim]) => numeros >= inicio && numeros <= fim));
+  return uf ? uf.sigla : null;
+}
+
+/**
+ * @param {string} uf - Sigla (ex: "SP")
+ * @returns {boolean}
+ */
+function validarUf(uf) {
+  return UF_POR_SIGLA.has(String(uf || '').toUpperCase());
+}
+
+/**
+ * Município pelo código IBGE, na lista de municípios do IBGE.
+ * @param {string|number} codigo
+ * @returns {{codigo: string, nome: string, uf: string}|null}
+ */
+function obterMunicipio(codigo) {
+  if (!municipiosPorCodigo) {
+    const { municipios } = JSON.parse(fs.readFileSync(process.env.MUNICIPIOS_ARQUIVO || ARQUIVO_MUNICIPIOS, 'utf8'));
+    municipiosPorCodigo = new Map(municipios.map((municipio) => [String(municipio.codigo), municipio]));
+  }
+  const valor = String(codigo === undefined || codigo === null ? '' : codigo).trim();
+  return municipiosPorCodigo.get(valor) || null;
+}
+
+/**
+ * Valida o código IBGE do município: precisa constar da lista de municípios do IBGE.
+ * @param {string|number} codigo
+ * @returns {boolean}
+ */
+function validarCodigoMunicipio(codigo) {
+  return obterMunicipio(codigo) !== null;
+}
+
+/**
+ * UF do município pelo código IBGE.
+ * @param {string|number} codigo
+ * @returns {string|null} - null quando o município não consta da lista
+ */
+function ufDoMunicipio(codigo) {
+  const municipio = obterMunicipio(codigo);
+  return municipio ? municipio.uf : null;
+}
+
+/**
+ * Confere CEP, UF e código do município de um endereço, e a consistência entre eles.
+ * Campos ausentes não são apontados (a obrigatoriedade é verificada por quem chama).
+ *
+ * @param {Object} endereco
+ * @param {string|number} [endereco.codigoMunicipio]
+ * @param {string} [endereco.uf]
+ * @param {string|number} [endereco.cep]
+ * @returns {Array<{campo: string, mensagem: string}>} - Campos relativos ao endereço (ex: "cep")
+ */
+function validarEndereco(endereco = {}) {
+  const errors = [];
+  const uf = endereco.uf ? String(endereco.uf).toUpperCase() : null;
+  const ufValida = uf && validarUf(uf);
+  if (uf && !ufValida) {
+    errors.push({ campo: 'uf', mensagem: `UF desconhecida: ${endereco.uf}` });
+  }
+
+  if (endereco.codigoMunicipio) {
+    if (!validarCodigoMunicipio(endereco.codigoMunicipio)) {
+      errors.push({ campo: 'codigoMunicipio', mensagem: `Município ${endereco.codigoMunicipio} não consta da lista de municípios do IBGE` });
+    } else if (ufValida && ufDoMunicipio(endereco.codigoMunicipio) !== uf) {
+      errors.push({
+        campo: 'codigoMunicipio',
+        mensagem: `Município ${endereco.codigoMunicipio} pertence a ${ufDoMunicipio(endereco.codigoMunicipio)}, não a ${uf}`,
+      });
+    }
+  }
+
+  if (endereco.cep) {
+    const ufCep = ufDoCep(endereco.cep);
+    if (!normalizarCep(endereco.cep)) {
+      errors.push({ campo: 'cep', mensagem: 'CEP deve conter 8 dígitos' });
+    } else if (!ufCep) {
+      errors.push({ campo: 'cep', mensagem: `CEP fora das faixas conhecidas: ${endereco.cep}` });
+    } else if (ufValida && ufCep !== uf) {
+      errors.push({ campo: 'cep', mensagem: `CEP ${endereco.cep} pertence a ${ufCep}, não a ${uf}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Valida o documento (CPF ou CNPJ) e o endereço de um tomador no formato do RPS.
+ * @param {Object} tomador
+ * @returns {Array<{campo: string, mensagem: string}>} - Campos relativos ao tomador (ex: "cnpj", "endereco.cep")
+ */
+function validarTomador(tomador = {}) {
+  const errors = [];
+  if (tomador.cpf && !validarCpf(tomador.cpf)) {
+    errors.push({ campo: 'cpf', mensagem: `CPF inválido: ${tomador.cpf}` });
+  } else if (!tomador.cpf && tomador.cnpj && !validarCnpj(tomador.cnpj)) {
+    errors.push({ campo: 'cnpj', mensagem: `CNPJ inválido: ${tomador.cnpj}` });
+  }
+  if (tomador.endereco && typeof tomador.endereco === 'object') {
+    validarEndereco(tomador.endereco).forEach(({ campo, mensagem }) => {
+      errors.push({ campo: `endereco.${campo}`, mensagem });
+    });
+  }
+  return errors;
+}
+
+module.exports = {
+  limparDocumento,
+  validarCpf,
+  validarCnpj,
+  normalizarCep,
+  ufDoCep,
+  validarUf,
+  obterMunicipio,
+  validarCodigoMunicipio,
+  ufDoMunicipio,
+  validarEndereco,
+  validarTomador,
+};
@@ -0,0 +1,317 @@
+// src/core/WebhookDispatcher.js
+
+const crypto = require('crypto');
+const { NotaFiscalSP } = require('./NotaFiscalSP');
+const { ValidationError, NotFoundError } = require('./errors');
+const { criarWebhookStore, novaEntrega } = require('../storage/WebhookStore');
+const { calcularBackoff } = require('../utils/backoff');
+const { hmacSha256 } = require('../utils/hash');
+const logger = require('../utils/logger');
+
+// Configuração padrão (variáveis de ambiente WEBHOOKS_*)
+const MAX_TENTATIVAS = Number(process.env.WEBHOOKS_MAX_TENTATIVAS) || 10;
+const INTERVALO_MS = Number(process.env.WEBHOOKS_INTERVALO_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOKS_TIMEOUT_MS) || 10000;
+const BACKOFF_BASE_MS = Number(process.env.WEBHOOKS_BACKOFF_BASE_MS) || 10000;
+const BACKOFF_MAX_MS = Number(process.env.WEBHOOKS_BACKOFF_MAX_MS) || 60 * 60 * 1000;
+
+// Tentativas mantidas no histórico de cada entrega
+const MAX_HISTORICO = 20;
+
+/**
+ * Valida os dados de uma nova assinatura.
+ * @param {Object} dados
+ * @returns {{url: string, segredo: string, eventos: string[], descricao: string}}
+ * @throws {ValidationError}
+ */
+function normalizarAssinatura({ url, segredo, eventos = NotaFiscalSP.EVENTOS, descricao = '' } = {}) {
+  const errors = [];
+  let endereco = null;
+  try {
+    endereco = new URL(url);
+  } catch (error) {
+    errors.push({ campo: 'url', mensagem: 'URL inválida' });
+  }
+  if (endereco && !['http:', 'https:'].includes(endereco.protocol)) {
+    errors.push({ campo: 'url', mensagem: 'URL deve usar http ou https' });
+  }
+  if (segredo !== undefined && (typeof segredo !== 'string' || segredo.length < 16)) {
+    errors.push({ campo: 'segredo', mensagem: 'Segredo deve ter ao menos 16 caracteres' });
+  }
+  if (!Array.isArray(eventos) || eventos.length === 0) {
+    errors.push({ campo: 'eventos', mensagem: `Informe ao menos um evento (${NotaFiscalSP.EVENTOS.join(', ')})` });
+  } else {
+    eventos.filter((e) => !NotaFiscalSP.EVENTOS.includes(e)).forEach((e) => {
+      errors.push({ campo: 'eventos', mensagem: `Evento desconhecido: ${e}` });
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Assinatura de webhook inválida', errors);
+  }
+
+  return {
+    url: endereco.toString(),
+    segredo: segredo || crypto.randomBytes(24).toString('base64url'),
+    eventos: [...new Set(eventos)],
+    descricao: String(descricao),
+  };
+}
+
+/**
+ * Assina o corpo enviado ao assinante: HMAC-SHA256 (hex maiúsculo) de "<timestamp>.<corpo>" com o segredo da assinatura.
+ * O assinante recalcula com o X-Webhook-Timestamp recebido e compara com o X-Webhook-Assinatura.
+ *
+ * @param {string} segredo
+ * @param {string} timestamp - Segundos desde a época (X-Webhook-Timestamp)
+ * @param {string} corpo - Corpo JSON exatamente como enviado
+ * @returns {string}
+ */
+function assinarCorpo(segredo, timestamp, corpo) {
+  return hmacSha256(segredo, `${timestamp}.${corpo}`);
+}
+
+/**
+ * WebhookDispatcher - registra as entregas dos eventos do NotaFiscalSP para as assinaturas do emitente
+ * e as envia em segundo plano, com backoff exponencial entre as tentativas (como o JobWorker).
+ * As entregas ficam no WebhookStore, que também serve de log e permite o reenvio.
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} [options]
+   * @param {import('../storage/WebhookStore').WebhookStore} [options.store] - Padrão: criarWebhookStore()
+   * @param {number} [options.intervaloMs] - Intervalo entre consultas quando não há entregas
+   * @param {number} [options.timeoutMs] - Timeout de cada POST
+   * @param {number} [options.maxTentativas]
+   * @param {number} [options.backoffBaseMs]
+   * @param {number} [options.backoffMaxMs]
+   */
+  constructor(options = {}) {
+    this.store = options.store || criarWebhookStore();
+    this.intervaloMs = options.intervaloMs || INTERVALO_MS;
+    this.timeoutMs = options.timeoutMs || TIMEOUT_MS;
+    this.maxTentativas = options.maxTentativas || MAX_TENTATIVAS;
+    this.backoff = {
+      baseMs: options.backoffBaseMs || BACKOFF_BASE_MS,
+      maxMs: options.backoffMaxMs || BACKOFF_MAX_MS,
+    };
+    this.ativo = false;
+    this.timer = null;
+    this.emAndamento = null;
+  }
+
+  /**
+   * Encaminha os eventos de uma instância de NotaFiscalSP para as assinaturas do seu CNPJ.
+   * @param {NotaFiscalSP} nfsp
+   * @returns {NotaFiscalSP}
+   */
+  conectar(nfsp) {
+    NotaFiscalSP.EVENTOS.forEach((evento) => {
+      nfsp.on(evento, (dados) => {
+        this.publicar(nfsp.cnpj, evento, dados)
+          .catch((error) => logger.error(`WebhookDispatcher :: falha ao registrar o evento ${evento}:`, error));
+      });
+    });
+    return nfsp;
+  }
+
+  /**
+   * Cadastra uma assinatura para o emitente. Sem segredo, um é gerado.
+   * @param {string} cnpj
+   * @param {Object} dados - { url, segredo?, eventos?, descricao? }
+   * @returns {Promise<import('../storage/WebhookStore').AssinaturaWebhook>}
+   * @throws {ValidationError}
+   */
+  async assinar(cnpj, dados) {
+    return this.store.salvarAssinatura({
+      id: crypto.randomUUID(),
+      cnpj,
+      ...normalizarAssinatura(dados),
+      criadaEm: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Registra uma entrega para cada assinatura do emitente interessada no evento.
+   * @param {string} cnpj
+   * @param {string} evento
+   * @param {Object} dados
+   * @returns {Promise<Array<import('../storage/WebhookStore').EntregaWebhook>>}
+   */
+  async publicar(cnpj, evento, dados) {
+    const assinaturas = (await this.store.listarAssinaturas(cnpj)).filter((a) => a.eventos.includes(evento));
+    const agora = Date.now();
+    const entregas = [];
+    for (const assinatura of assinaturas) {
+      entregas.push(await this.store.registrarEntrega(novaEntrega(assinatura, evento, dados, this.maxTentativas, agora)));
+    }
+    return entregas;
+  }
+
+  /**
+   * Reenvia uma entrega (entregue ou não) com o mesmo id e corpo, reiniciando as tentativas.
+   * @param {string} cnpj - Emitente da requisição; entregas de outro emitente são tratadas como inexistentes
+   * @param {string} id
+   * @returns {Promise<import('../storage/WebhookStore').EntregaWebhook>}
+   * @throws {NotFoundError}
+   */
+  async reenviar(cnpj, id) {
+    const entrega = await this.store.obterEntrega(id);
+    if (!entrega || entrega.cnpj !== cnpj) {
+      throw new NotFoundError(`Entrega ${id} não encontrada`);
+    }
+    return this.store.atualizarEntrega(id, {
+      status: 'pendente',
+      tentativas: 0,
+      maxTentativas: this.maxTentativas,
+      proximaTentativaEm: new Date().toISOString(),
+      bloqueadoAte: null,
+    });
+  }
+
+  /**
+   * Inicia o envio das entregas pendentes.
+   * @returns {WebhookDispatcher}
+   */
+  iniciar() {
+    if (!this.ativo) {
+      this.ativo = true;
+      this._agendar(0);
+    }
+    return this;
+  }
+
+  /**
+   * Para o envio, aguardando a entrega em andamento terminar.
+   * @returns {Promise<void>}
+   */
+  async parar() {
+    this.ativo = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.emAndamento) {
+      await this.emAndamento.catch(() => {});
+    }
+  }
+
+  _agendar(ms) {
+    this.timer = setTimeout(() => this._ciclo(), ms);
+  }
+
+  async _ciclo() {
+    let processou = false;
+    try {
+      this.emAndamento = this.processarProxima();
+      processou = await this.emAndamento;
+    } catch (err) {
+      logger.error('WebhookDispatcher :: erro ao enviar entregas:', err);
+    } finally {
+      this.emAndamento = null;
+    }
+    if (this.ativo) {
+      this._agendar(processou ? 0 : this.intervaloMs);
+    }
+  }
+
+  /**
+   * Reserva e envia a próxima entrega disponível.
+   * @returns {Promise<boolean>} - false se não havia entrega disponível
+   */
+  async processarProxima() {
+    const entrega = await this.store.reservarEntrega(this.timeoutMs * 3);
+    if (!entrega) return false;
+
+    const assinatura = await this.store.obterAssinatura(entrega.assinaturaId);
+    if (!assinatura) {
+      await this.store.atualizarEntrega(entrega.id, {
+        status: 'falhou',
+        bloqueadoAte: null,
+        historico: [...entrega.historico, { em: new Date().toISOString(), httpStatus: null, erro: 'Assinatura removida', duracaoMs: 0 }],
+      });
+      return true;
+    }
+
+    const tentativa = await this._enviar(entrega, assinatura);
+    const historico = [...entrega.historico, tentativa].slice(-MAX_HISTORICO);
+
+    if (!tentativa.erro) {
+      await this.store.atualizarEntrega(entrega.id, { status: 'entregue', historico, bloqueadoAte: null, entregueEm: tentativa.em });
+    } else if (entrega.tentativas < entrega.maxTentativas) {
+      const atraso = calcularBackoff(entrega.tentativas, this.backoff);
+      await this.store.atualizarEntrega(entrega.id, {
+        status: 'pendente',
+        historico,
+        bloqueadoAte: null,
+        proximaTentativaEm: new Date(Date.now() + atraso).toISOString(),
+      });
+      logger.warn(`WebhookDispatcher :: entrega ${entrega.id} (${entrega.evento}) reagendada em ${atraso} ms: ${tentativa.erro}`);
+    } else {
+      await this.store.atualizarEntrega(entrega.id, { status: 'falhou', historico, bloqueadoAte: null });
+      logger.error(`WebhookDispatcher :: entrega ${entrega.id} (${entrega.evento}) falhou: ${tentativa.erro}`);
+    }
+    return true;
+  }
+
+  /**
+   * Faz o POST assinado da entrega. Só respostas 2xx contam como entregue.
+   * @param {import('../storage/WebhookStore').EntregaWebhook} entrega
+   * @param {import('../storage/WebhookStore').AssinaturaWebhook} assinatura
+   * @returns {Promise<{em: string, httpStatus: number|null, erro: string|null, duracaoMs: number}>}
+   */
+  async _enviar(entrega, assinatura) {
+    const inicio = Date.now();
+    const timestamp = String(Math.floor(inicio / 1000));
+    const corpo = JSON.stringify({
+      id: entrega.id,
+      evento: entrega.evento,
+      cnpj: entrega.cnpj,
+      criadoEm: entrega.criadaEm,
+      dados: entrega.dados,
+    });
+
+    const tentativa = { em: new Date(inicio).toISOString(), httpStatus: null, erro: null, duracaoMs: 0 };
+    try {
+      const resposta = await fetch(assinatura.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'nfe-sp-webhooks',
+          'X-Webhook-Id': entrega.id,
+          'X-Webhook-Evento': entrega.evento,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Assinatura': assinarCorpo(assinatura.segredo, timestamp, corpo),
+        },
+        body: corpo,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      tentativa.httpStatus = resposta.status;
+      if (!resposta.ok) {
+        tentativa.erro = `HTTP ${resposta.status}`;
+      }
+      await resposta.body?.cancel();
+    } catch (error) {
+      tentativa.erro = error.name === 'TimeoutError' ? `Timeout após ${this.timeoutMs} ms` : (error.cause || error).message;
+    }
+    tentativa.duracaoMs = Date.now() - inicio;
+    return tentativa;
+  }
+}
+
+// Dispatcher do processo, criado sob demanda e iniciado pelo server.js
+let dispatcherPadrao = null;
+
+/**
+ * @returns {WebhookDispatcher}
+ */
+function obterDispatcher() {
+  if (!dispatcherPadrao) {
+    dispatcherPadrao = new WebhookDispatcher();
+  }
+  return dispatcherPadrao;
+}
+
+module.exports = {
+  assinarCorpo,
+  WebhookDispatcher,
+  obterDispatcher,
+};
@@ -10,7 +10,7 @@ class WsdlFactory {
      * variando conforme o ambiente especificado.
      * 
      * @param {'prod'|'hml'} ambiente - Ambiente: 'prod' para produção, 'hml' para homologação
-     * @returns {{ entrada: string, saida: string, util: string }}
+     * @returns {{ entrada: string, saida: string, util: string, lote: string }}
      */
     static build(ambiente) {
       // Normaliza ambiente para valores aceitos
@@ -27,7 +27,9 @@ class WsdlFactory {
       return {
         entrada: `${base}/WSEntrada.e?wsdl`,
         saida: `${base}/WSSaida.e?wsdl`,
-        util: `${base}/WSUtil.e?wsdl`
+        util: `${base}/WSUtil.e?wsdl`,
+        // Serviço dos pedidos no layout v1 (EnvioRPS, CancelamentoNFe, ...)
+        lote: `${base}/lotenfe.asmx?wsdl`
       };
     }
   }
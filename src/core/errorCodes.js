@@ -0,0 +1,95 @@
+// src/core/errorCodes.js
+// Catálogo dos códigos de Erro e Alerta devolvidos pelo webservice da Prefeitura de SP
+// (tabela de erros e alertas do manual do Web Service NFS-e), mapeados para as classes de errors.js.
+
+const {
+  RejectedError,
+  AuthorizationError,
+  SignatureError,
+  DuplicateError,
+  UnavailableError,
+} = require('./errors');
+
+/**
+ * Erros conhecidos: código numérico da Prefeitura -> código estável, classe e mensagem.
+ * httpStatus/retryable só são informados quando diferem do padrão da classe.
+ */
+const ERROS = {
+  1000: { code: 'ERRO_PROCESSAMENTO', classe: UnavailableError, mensagem: 'Erro de processamento interno da Prefeitura' },
+  1001: { code: 'XML_FORA_DO_SCHEMA', classe: RejectedError, mensagem: 'XML do pedido não está de acordo com o schema' },
+  1002: { code: 'VERSAO_SCHEMA_INVALIDA', classe: RejectedError, mensagem: 'Versão do schema não suportada' },
+  1057: { code: 'ASSINATURA_RPS_INVALIDA', classe: SignatureError, mensagem: 'Assinatura do RPS não confere' },
+  1058: { code: 'ASSINATURA_CANCELAMENTO_INVALIDA', classe: SignatureError, mensagem: 'Assinatura de cancelamento não confere' },
+  1103: { code: 'CERTIFICADO_INVALIDO', classe: AuthorizationError, mensagem: 'Certificado digital do remetente inválido, revogado ou expirado' },
+  1104: { code: 'REMETENTE_NAO_AUTORIZADO', classe: AuthorizationError, mensagem: 'CPF/CNPJ do remetente não autorizado a enviar pedidos para o prestador' },
+  1108: { code: 'ASSINATURA_PEDIDO_INVALIDA', classe: SignatureError, mensagem: 'Assinatura digital (XMLDSig) do pedido inválida' },
+  1203: { code: 'RPS_DUPLICADO', classe: DuplicateError, mensagem: 'RPS já convertido em NFS-e' },
+  1204: { code: 'NFSE_JA_CANCELADA', classe: DuplicateError, mensagem: 'NFS-e já cancelada' },
+  1205: { code: 'NFSE_NAO_ENCONTRADA', classe: RejectedError, httpStatus: 404, mensagem: 'NFS-e não encontrada' },
+  1206: { code: 'CANCELAMENTO_FORA_DO_PRAZO', classe: RejectedError, mensagem: 'Prazo para cancelamento da NFS-e expirado' },
+  1207: { code: 'INSCRICAO_NAO_PERTENCE_AO_REMETENTE', classe: AuthorizationError, mensagem: 'Inscrição municipal do prestador não pertence ao CPF/CNPJ do remetente' },
+  1208: { code: 'CODIGO_SERVICO_INVALIDO', classe: RejectedError, mensagem: 'Código de serviço inválido ou não permitido para o prestador' },
+  1209: { code: 'DATA_EMISSAO_FUTURA', classe: RejectedError, mensagem: 'Data de emissão do RPS posterior à data atual' },
+  1210: { code: 'LOTE_EM_PROCESSAMENTO', classe: DuplicateError, retryable: true, mensagem: 'Já existe um lote em processamento para o prestador' },
+  1211: { code: 'QTD_RPS_DIVERGENTE', classe: RejectedError, mensagem: 'Quantidade de RPS do lote diverge do Cabecalho (QtdRPS)' },
+  1212: { code: 'TOTAL_LOTE_DIVERGENTE', classe: RejectedError, mensagem: 'Valores totais do lote divergem da soma dos RPS' },
+  1300: { code: 'SERVICO_INDISPONIVEL', classe: UnavailableError, mensagem: 'Serviço temporariamente indisponível' },
+};
+
+/**
+ * Alertas conhecidos: não impedem o processamento, mas são devolvidos ao chamador com o código estável.
+ */
+const ALERTAS = {
+  201: { code: 'TOMADOR_SEM_INSCRICAO', mensagem: 'Tomador estabelecido em São Paulo sem inscrição municipal informada' },
+  203: { code: 'ALIQUOTA_DIVERGENTE', mensagem: 'Alíquota informada diferente da cadastrada; foi usada a alíquota cadastrada' },
+  206: { code: 'RPS_FORA_DO_PRAZO', mensagem: 'RPS convertido fora do prazo; sujeito a multa' },
+  224: { code: 'EMAIL_TOMADOR_INVALIDO', mensagem: 'E-mail do tomador inválido; a NFS-e não será enviada por e-mail' },
+};
+
+/**
+ * Retorna o código estável de um Erro/Alerta da Prefeitura.
+ * Códigos fora do catálogo viram "PREFEITURA_<codigo>", para que ainda possam ser tratados pelo chamador.
+ * @param {number|string} codigo - Código numérico devolvido pela Prefeitura
+ * @returns {string|null}
+ */
+function codigoEstavel(codigo) {
+  if (codigo === null || codigo === undefined || codigo === '') return null;
+  const entrada = ERROS[codigo] || ALERTAS[codigo];
+  return entrada ? entrada.code : `PREFEITURA_${codigo}`;
+}
+
+/**
+ * Converte os Erros de um retorno sem sucesso na exceção correspondente.
+ * A classe, o status HTTP e o flag retryable vêm do primeiro erro catalogado; os demais vão em "errors".
+ *
+ * @param {Array<{codigo: number, descricao: string}>} erros - Erros decodificados (ResponseHandler.retornoBase)
+ * @param {string} [mensagem] - Mensagem geral (padrão: descrição do primeiro erro)
+ * @returns {RejectedError}
+ */
+function erroDaPrefeitura(erros = [], mensagem) {
+  const lista = erros.map(({ codigo, descricao }) => ({
+    codigo,
+    code: codigoEstavel(codigo),
+    descricao: descricao || (ERROS[codigo] && ERROS[codigo].mensagem) || '',
+  }));
+
+  const principal = lista.find((e) => ERROS[e.codigo]) || lista[0];
+  const entrada = principal && ERROS[principal.codigo];
+  const texto = mensagem || (principal ? principal.descricao : 'Pedido rejeitado pela Prefeitura');
+
+  if (!entrada) {
+    return new RejectedError(texto, lista, { codigo: principal ? principal.codigo : null });
+  }
+
+  const options = { codigo: principal.codigo, code: entrada.code };
+  if (entrada.httpStatus !== undefined) options.httpStatus = entrada.httpStatus;
+  if (entrada.retryable !== undefined) options.retryable = entrada.retryable;
+  return new entrada.classe(texto, lista, options);
+}
+
+module.exports = {
+  ERROS,
+  ALERTAS,
+  codigoEstavel,
+  erroDaPrefeitura,
+};
@@ -0,0 +1,204 @@
+// src/core/errors.js
+// Classes de erro compartilhadas entre o SDK e a camada HTTP.
+
+/**
+ * NfseError - base de todos os erros do SDK.
+ * Carrega um código estável (para o chamador decidir o que fazer sem interpretar a mensagem),
+ * o status HTTP correspondente e se a operação pode ser repetida.
+ */
+class NfseError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {Object} [options]
+   * @param {string} [options.code='NFSE_ERRO'] - Código estável do erro
+   * @param {number} [options.httpStatus=500] - Status HTTP sugerido para a resposta
+   * @param {boolean} [options.retryable=false] - Se a mesma requisição pode ser repetida depois
+   * @param {Error} [options.cause] - Erro original
+   */
+  constructor(message, { code = 'NFSE_ERRO', httpStatus = 500, retryable = false, cause } = {}) {
+    super(message);
+    this.name = 'NfseError';
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+    if (cause) {
+      this.cause = cause;
+    }
+  }
+
+  // Aliases usados pelos controllers (sendErrorResponse)
+  get errorCode() {
+    return this.code;
+  }
+
+  get statusCode() {
+    return this.httpStatus;
+  }
+}
+
+/**
+ * ValidationError - erro de validação de dados de entrada.
+ * Agrega os erros por campo para que o chamador possa exibi-los de uma só vez.
+ */
+class ValidationError extends NfseError {
+  /**
+   * @param {string} message - Mensagem geral do erro
+   * @param {Array<{campo: string, mensagem: string}>} [errors=[]] - Erros por campo
+   */
+  constructor(message, errors = []) {
+    super(message, { code: 'VALIDATION_ERROR', httpStatus: 422 });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * NotFoundError - recurso consultado não existe (ex.: CNPJ sem inscrição municipal).
+ */
+class NotFoundError extends NfseError {
+  /**
+   * @param {string} message - Mensagem do erro
+   */
+  constructor(message) {
+    super(message, { code: 'NOT_FOUND', httpStatus: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * UpstreamError - falha na comunicação com o webservice da Prefeitura.
+ * Falhas de transporte (timeout, conexão, SOAP fault) podem ser repetidas.
+ */
+class UpstreamError extends NfseError {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {Error} [cause] - Erro original
+   */
+  constructor(message, cause) {
+    super(message, { code: 'SOAP_CALL_FAILED', httpStatus: 502, retryable: true, cause });
+    this.name = 'UpstreamError';
+  }
+}
+
+/**
+ * AuthenticationError - credencial (API key ou JWT) ausente ou inválida.
+ */
+class AuthenticationError extends NfseError {
+  /**
+   * @param {string} message - Mensagem do erro
+   */
+  constructor(message) {
+    super(message, { code: 'NAO_AUTENTICADO', httpStatus: 401 });
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * ForbiddenError - credencial válida, mas sem o escopo ou o emitente exigidos pela rota.
+ */
+class ForbiddenError extends NfseError {
+  /**
+   * @param {string} message - Mensagem do erro
+   */
+  constructor(message) {
+    super(message, { code: 'ACESSO_NEGADO', httpStatus: 403 });
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * RejectedError - pedido recebido pela Prefeitura, mas rejeitado (Sucesso = false no retorno).
+ * Base dos erros mapeados a partir dos códigos da Prefeitura (ver errorCodes.js).
+ */
+class RejectedError extends NfseError {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {Array<{codigo: number, code: string, descricao: string}>} [errors=[]] - Erros devolvidos pela Prefeitura
+   * @param {Object} [options] - Ver NfseError; options.codigo é o código numérico da Prefeitura
+   */
+  constructor(message, errors = [], { codigo = null, code = 'NFSE_REJEITADA', httpStatus = 422, retryable = false } = {}) {
+    super(message, { code, httpStatus, retryable });
+    this.name = 'RejectedError';
+    this.codigo = codigo;
+    this.errors = errors;
+  }
+}
+
+/**
+ * AuthorizationError - remetente, certificado ou inscrição não autorizados pela Prefeitura.
+ */
+class AuthorizationError extends RejectedError {
+  constructor(message, errors = [], options = {}) {
+    super(message, errors, { code: 'NFSE_NAO_AUTORIZADO', httpStatus: 403, ...options });
+    this.name = 'AuthorizationError';
+  }
+}
+
+/**
+ * SignatureError - assinatura do RPS, do cancelamento ou do pedido (XMLDSig) não confere.
+ */
+class SignatureError extends RejectedError {
+  constructor(message, errors = [], options = {}) {
+    super(message, errors, { code: 'NFSE_ASSINATURA_INVALIDA', ...options });
+    this.name = 'SignatureError';
+  }
+}
+
+/**
+ * DuplicateError - operação já realizada (RPS já convertido, NFS-e já cancelada, ...).
+ */
+class DuplicateError extends RejectedError {
+  constructor(message, errors = [], options = {}) {
+    super(message, errors, { code: 'NFSE_DUPLICADA', httpStatus: 409, ...options });
+    this.name = 'DuplicateError';
+  }
+}
+
+/**
+ * UnavailableError - a Prefeitura não conseguiu processar o pedido no momento; pode ser repetido.
+ */
+class UnavailableError extends RejectedError {
+  constructor(message, errors = [], options = {}) {
+    super(message, errors, { code: 'NFSE_INDISPONIVEL', httpStatus: 503, retryable: true, ...options });
+    this.name = 'UnavailableError';
+  }
+}
+
+/**
+ * Marca um erro como ocorrido antes de o pedido ser enviado à Prefeitura (validação, montagem
+ * ou assinatura do XML). Só nesse caso é seguro reaproveitar o número do RPS.
+ * @param {Error} error
+ * @returns {Error} - O próprio erro, para ser relançado
+ */
+function marcarAntesDoEnvio(error) {
+  if (error && typeof error === 'object') {
+    error.antesDoEnvio = true;
+  }
+  return error;
+}
+
+/**
+ * Se o erro foi marcado por marcarAntesDoEnvio. Qualquer outro erro, inclusive os de decodificação
+ * do retorno, pode ter ocorrido com o pedido já recebido pela Prefeitura.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function ocorreuAntesDoEnvio(error) {
+  return Boolean(error && error.antesDoEnvio === true);
+}
+
+module.exports = {
+  marcarAntesDoEnvio,
+  ocorreuAntesDoEnvio,
+  NfseError,
+  ValidationError,
+  NotFoundError,
+  UpstreamError,
+  AuthenticationError,
+  ForbiddenError,
+  RejectedError,
+  AuthorizationError,
+  SignatureError,
+  DuplicateError,
+  UnavailableError,
+};
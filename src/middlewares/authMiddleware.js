@@ -0,0 +1,90 @@
+// src/middlewares/authMiddleware.js
+
+const { criarApiKeyStore, hashChave } = require('../storage/ApiKeyStore');
+const { verificarJwt } = require('../utils/jwt');
+const { AuthenticationError, ForbiddenError } = require('../core/errors');
+const { limparDocumento } = require('../core/Validacao');
+const { sendErrorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Store de API keys do processo, criado na primeira requisição
+let apiKeyStore = null;
+
+//-------------------------------------------------------------
+// Extrai a credencial de "Authorization: Bearer <token>" ou do cabeçalho X-API-Key
+function extrairCredencial(req) {
+    const authorization = req.get('Authorization') || '';
+    if (/^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return (req.get('X-API-Key') || '').trim();
+}
+
+
+//-------------------------------------------------------------
+// Valida a credencial (API key ou JWT HS256) e devolve { tipo, id, usuario, escopos, emitentes }
+async function autenticar(req) {
+    const credencial = extrairCredencial(req);
+    if (!credencial) {
+        throw new AuthenticationError('Credencial não informada (Authorization: Bearer ou X-API-Key)');
+    }
+
+    // JWT: três partes separadas por ponto, assinado com JWT_SECRET
+    if (credencial.split('.').length === 3) {
+        if (!process.env.JWT_SECRET) {
+            throw new AuthenticationError('Autenticação por JWT não configurada');
+        }
+        let claims;
+        try {
+            // JWT_VIDA_MAXIMA: validade máxima aceita, em segundos (padrão 24h)
+            claims = verificarJwt(credencial, process.env.JWT_SECRET, {
+                vidaMaxima: Number(process.env.JWT_VIDA_MAXIMA) || undefined,
+            });
+        } catch(err) {
+            throw new AuthenticationError(err.message);
+        }
+        const escopos = Array.isArray(claims.scopes) ? claims.scopes : (claims.scope || '').split(' ').filter(Boolean);
+        const emitentes = [].concat(claims.emitentes || claims.cnpj || [])
+            .map((c) => (c === '*' ? c : limparDocumento(c)));
+        return { tipo: 'jwt', id: claims.jti || null, usuario: claims.email || claims.sub || '', escopos, emitentes };
+    }
+
+    // API key: localizada pelo hash, nunca pela chave em texto
+    if (!apiKeyStore) {
+        apiKeyStore = criarApiKeyStore();
+    }
+    const registro = await apiKeyStore.obterPorHash(hashChave(credencial));
+    if (!registro || registro.revogadaEm) {
+        throw new AuthenticationError('API key inválida ou revogada');
+    }
+    return {
+        tipo: 'apiKey',
+        id: registro.id,
+        usuario: registro.descricao || registro.id,
+        escopos: registro.escopos,
+        emitentes: registro.emitentes,
+    };
+}
+
+
+//-------------------------------------------------------------
+// Gera o middleware que exige uma credencial válida e, se informado, o escopo da rota.
+// O vínculo com o emitente é verificado no tenantMiddleware (req.auth.emitentes).
+function authMiddleware(escopo) {
+    return async function (req, res, next) {
+        try {
+            const auth = await autenticar(req);
+            if (escopo && !auth.escopos.includes(escopo)) {
+                throw new ForbiddenError(`Credencial sem o escopo "${escopo}"`);
+            }
+            req.auth = auth;
+            req.email = auth.usuario;
+            return next();
+        } catch(err) {
+            logger.warn(`authMiddleware :: ${req.method} ${req.originalUrl} :: ${err.message}`);
+            return sendErrorResponse(res, 'authMiddleware', err.message || 'Erro desconhecido', err.errorCode || 'NAO_AUTENTICADO', true, '', err.statusCode || 401);
+        }
+    };
+}
+
+module.exports = authMiddleware;
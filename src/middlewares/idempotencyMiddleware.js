@@ -0,0 +1,116 @@
+// src/middlewares/idempotencyMiddleware.js
+
+const { criarIdempotencyStore } = require('../storage/IdempotencyStore');
+const { NfseError } = require('../core/errors');
+const { sha256 } = require('../utils/hash');
+const { sendErrorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Store de idempotência do processo, criado na primeira requisição
+let idempotencyStore = null;
+
+//-------------------------------------------------------------
+// Chaves da requisição: Idempotency-Key (se enviada) e (CNPJ, série, número do RPS)
+function chavesDaRequisicao(req) {
+    const cnpj = req.emitente.cnpj;
+    const chaves = [];
+    const idempotencyKey = (req.get('Idempotency-Key') || '').trim();
+    if (idempotencyKey) {
+        chaves.push({ tipo: 'chave', chave: `chave:${cnpj}:${idempotencyKey}` });
+    }
+    const rps = (req.body && req.body.rps) || {};
+    if (rps.numeroRps) {
+        chaves.push({ tipo: 'rps', chave: `rps:${cnpj}:${rps.serie || ''}:${rps.numeroRps}` });
+    }
+    return chaves;
+}
+
+
+//-------------------------------------------------------------
+// Erro para uma chave já reservada por outra requisição (ou por outro payload)
+function erroDeConflito({ tipo }, registro, impressao) {
+    if (registro.impressao !== impressao) {
+        return tipo === 'chave'
+            ? new NfseError('Idempotency-Key já utilizada com outro conteúdo', { code: 'IDEMPOTENCY_KEY_REUTILIZADA', httpStatus: 422 })
+            : new NfseError('Número de RPS já utilizado nesta série com outro conteúdo', { code: 'RPS_JA_ENVIADO', httpStatus: 409 });
+    }
+    return new NfseError('Emissão idêntica em andamento; aguarde e repita a requisição', { code: 'EMISSAO_EM_ANDAMENTO', httpStatus: 409, retryable: true });
+}
+
+
+//-------------------------------------------------------------
+// Torna POST /nfse/emitir idempotente. Deve rodar depois do tenantMiddleware (req.emitente).
+// - requisição repetida (mesmo conteúdo) depois de concluída: devolve a resposta original
+// - requisição repetida enquanto a primeira está em andamento: 409
+// - requisição repetida depois de uma falha: reenvia o mesmo RPS (req.idempotencia.rps)
+// Só respostas de sucesso são gravadas. A reserva só é desfeita quando o controller indica que a falha
+// ocorreu antes do envio (req.idempotencia.antesDoEnvio); nas demais o RPS pode ter chegado à Prefeitura,
+// e a chave fica aceitando apenas o mesmo conteúdo.
+async function idempotencyMiddleware(req, res, next) {
+    const chaves = chavesDaRequisicao(req);
+    if (chaves.length === 0) {
+        return next();
+    }
+
+    const impressao = sha256(JSON.stringify(req.body || {}));
+    const reservadas = [];
+    let rpsVinculado = null;
+
+    try {
+        if (!idempotencyStore) {
+            idempotencyStore = criarIdempotencyStore();
+        }
+
+        for (const item of chaves) {
+            const { reservado, registro } = await idempotencyStore.reservar(item.chave, impressao);
+            if (reservado) {
+                reservadas.push(item.chave);
+                rpsVinculado = rpsVinculado || registro.rps;
+                continue;
+            }
+
+            // Desfaz as reservas já feitas por esta requisição antes de responder
+            for (const chave of reservadas) {
+                await idempotencyStore.liberar(chave);
+            }
+
+            if (registro.estado === 'concluido' && registro.impressao === impressao) {
+                logger.info(`idempotencyMiddleware :: resposta original devolvida para ${item.chave}`);
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(registro.resposta.status).json(registro.resposta.body);
+            }
+            throw erroDeConflito(item, registro, impressao);
+        }
+    } catch(err) {
+        logger.warn(`idempotencyMiddleware :: ${err.message}`);
+        return sendErrorResponse(res, 'idempotencyMiddleware', err.message || 'Erro desconhecido', err.errorCode || 'IDEMPOTENCIA_FALHA', true, req.email, err.statusCode || 500, err.errors, err.retryable);
+    }
+
+    // RPS de uma tentativa anterior, a reenviar, e o vínculo do RPS numerado agora (ver emitirNota)
+    req.idempotencia = {
+        rps: rpsVinculado,
+        antesDoEnvio: false,
+        vincular: (rps) => Promise.all(reservadas.map((chave) => idempotencyStore.vincular(chave, rps))),
+    };
+
+    // Intercepta a resposta do controller para gravar (sucesso), liberar (erro antes do envio) ou
+    // marcar como falha (erro depois do envio, ou repetição de um RPS já enviado) as chaves
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const status = res.statusCode;
+        let gravar = (chave) => idempotencyStore.falhar(chave);
+        if (status >= 200 && status < 300) {
+            gravar = (chave) => idempotencyStore.concluir(chave, { status, body });
+        } else if (req.idempotencia.antesDoEnvio && !rpsVinculado) {
+            gravar = (chave) => idempotencyStore.liberar(chave);
+        }
+        Promise.all(reservadas.map(gravar)).catch((err) => {
+            logger.error('idempotencyMiddleware :: falha ao gravar resposta=%o', err);
+        });
+        return json(body);
+    };
+
+    return next();
+}
+
+module.exports = idempotencyMiddleware;
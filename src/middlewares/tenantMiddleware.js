@@ -0,0 +1,47 @@
+// src/middlewares/tenantMiddleware.js
+
+const { obterRegistry } = require('../core/IssuerRegistry');
+const { ForbiddenError, ValidationError } = require('../core/errors');
+const { limparDocumento, validarCnpj } = require('../core/Validacao');
+const { sendErrorResponse } = require('../utils/response');
+const logger = require('../utils/logger');
+
+// Cabeçalho alternativo ao path /api/v1/emitentes/:emitente/...
+const HEADER_EMITENTE = 'X-Emitente-CNPJ';
+
+//-------------------------------------------------------------
+// Resolve o emitente da requisição (path, cabeçalho ou EMPRESA_CNPJ), confere se a credencial
+// (req.auth, ver authMiddleware) pode operar esse emitente e disponibiliza req.emitente e req.nfsp.
+async function tenantMiddleware(req, res, next) {
+    const cnpj = limparDocumento(req.params.emitente || req.get(HEADER_EMITENTE) || process.env.EMPRESA_CNPJ);
+
+    if (!cnpj) {
+        return sendErrorResponse(res, 'tenantMiddleware', `Emitente não informado (path /emitentes/:cnpj ou cabeçalho ${HEADER_EMITENTE})`, 'EMITENTE_NAO_INFORMADO', true, req.email, 400);
+    }
+
+    try {
+        if (!validarCnpj(cnpj)) {
+            throw new ValidationError(`CNPJ do emitente inválido: ${cnpj}`, [
+                { campo: 'emitente', mensagem: 'CNPJ deve ter 14 posições com dígitos verificadores válidos' },
+            ]);
+        }
+        if (req.auth && !req.auth.emitentes.includes('*') && !req.auth.emitentes.includes(cnpj)) {
+            throw new ForbiddenError(`Credencial não autorizada para o emitente ${cnpj}`);
+        }
+
+        const registry = obterRegistry();
+        const emitente = await registry.obterEmitente(cnpj);
+        req.nfsp = await registry.notaFiscal(cnpj);
+        req.emitente = {
+            cnpj: emitente.cnpj,
+            razaoSocial: emitente.razaoSocial || null,
+            ambiente: emitente.ambiente,
+        };
+        return next();
+    } catch(err) {
+        logger.error('tenantMiddleware :: erro=%o', err);
+        return sendErrorResponse(res, 'tenantMiddleware', err.message || 'Erro desconhecido', err.errorCode || 'EMITENTE_FALHA', true, req.email, err.statusCode || 500, err.errors, err.retryable);
+    }
+}
+
+module.exports = tenantMiddleware;
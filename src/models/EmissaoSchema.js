@@ -0,0 +1,445 @@
+// src/models/EmissaoSchema.js
+// Schema do payload de emissão (mesmo formato de Rps.fromObject / Rps.toObject), com os limites do layout v1.
+
+const { validarSchema } = require('../utils/schema');
+const { aliquotasRetencao } = require('../core/CalculoTributos');
+const { normalizarCodigoServico, obterTabelaServicos } = require('../core/TabelaServicos');
+const { limparDocumento, validarCpf, validarCnpj, validarEndereco, validarCodigoMunicipio } = require('../core/Validacao');
+const { LAYOUT_PADRAO } = require('../xml/helpers');
+
+// Tipos de RPS aceitos pelo layout v1 (o índice numérico legado 1..3 é mantido por compatibilidade)
+const TIPOS_RPS = ['RPS', 'RPS-M', 'RPS-C'];
+
+// Tipos de tributação (TributacaoRPS) aceitos pelo layout v1
+const TRIBUTACOES = ['T', 'F', 'A', 'B', 'M', 'N', 'X', 'V', 'P'];
+
+// Tributação de exportação de serviços (TributacaoRPS), exclusiva de tomador no exterior
+const TRIBUTACAO_EXPORTACAO = 'P';
+
+// Tomador no exterior sem NIF: 1 = dispensado do NIF, 2 = NIF não exigido pelo país
+const MOTIVOS_SEM_NIF = [1, 2];
+
+// Exportação de serviços (mesmos códigos da NFS-e nacional). Modo de prestação: 0 = desconhecido,
+// 1 = transfronteiriço, 2 = consumo no Brasil, 3 = presença comercial no exterior, 4 = movimento temporário
+// de pessoas físicas. Vínculo entre as partes: 0 = sem vínculo, 1 = controlada, 2 = controladora,
+// 3 = coligada, 4 = matriz, 5 = filial ou sucursal, 6 = outro vínculo
+const MODOS_PRESTACAO = [0, 1, 2, 3, 4];
+const VINCULOS = [0, 1, 2, 3, 4, 5, 6];
+
+// Tamanhos máximos dos textos (TiposNFe_v01.xsd; NIF e endereço no exterior seguem a NFS-e nacional)
+const LIMITES = {
+  serie: 5,
+  discriminacao: 2000,
+  razaoSocial: 75,
+  email: 75,
+  tipoLogradouro: 3,
+  logradouro: 50,
+  numeroEndereco: 10,
+  complemento: 30,
+  bairro: 30,
+  nif: 40,
+  cidadeExterior: 50,
+  estadoExterior: 60,
+  codigoPostal: 11,
+};
+
+const texto = (maxLength, extras = {}) => ({ tipo: 'texto', maxLength, ...extras });
+
+/**
+ * Código do serviço com até 5 dígitos, conferido contra a tabela (ver TabelaServicos.conferir).
+ * @param {string|number} codigo
+ * @returns {string|null}
+ */
+function validarCodigoServico(codigo) {
+  const normalizado = normalizarCodigoServico(codigo);
+  if (!normalizado) return 'Código do serviço deve ter até 5 dígitos';
+  return obterTabelaServicos().conferir(normalizado);
+}
+
+/**
+ * Tomador no exterior: identificado pelo país (codigoPais, ISO 3166-1 alfa-2) e NIF em vez de CPF/CNPJ.
+ * @param {Object} [tomador]
+ * @returns {boolean}
+ */
+function tomadorNoExterior(tomador) {
+  return Boolean(tomador && tomador.codigoPais);
+}
+
+/**
+ * Discriminação enviada no RPS. O layout v1 não tem campos para o tomador no exterior nem para a
+ * exportação: país, NIF, cidade/código postal e o valor em moeda estrangeira vão em linhas
+ * acrescentadas ao texto ("|" é a quebra de linha da NFS-e). No v02 eles têm elementos próprios
+ * e a discriminação vai como recebida.
+ *
+ * @param {Object} dados - Payload no formato de Rps.toObject()
+ * @param {Object} [options]
+ * @param {string} [options.layout='v01']
+ * @returns {string}
+ */
+function discriminacaoRps(dados, { layout = LAYOUT_PADRAO } = {}) {
+  const servico = dados.servico || {};
+  const tomador = dados.tomador;
+  const linhas = [String(servico.discriminacao || '')];
+  if (layout === 'v02') return linhas[0];
+  if (tomadorNoExterior(tomador)) {
+    const endereco = tomador.endereco || {};
+    const nif = tomador.nif ? `NIF ${tomador.nif}` : `sem NIF (${Number(tomador.motivoSemNif) === 1 ? 'dispensado' : 'não exigido pelo país'})`;
+    const local = [endereco.cidade, endereco.estado, endereco.codigoPostal].filter(Boolean).join(' - ');
+    linhas.push(`Tomador no exterior: país ${tomador.codigoPais}, ${nif}${local ? `, ${local}` : ''}`);
+  }
+  const exportacao = servico.exportacao;
+  if (exportacao && exportacao.moeda) {
+    linhas.push(`Exportação de serviços: ${exportacao.moeda} ${Number(exportacao.valorMoeda).toFixed(2)}`);
+  }
+  return linhas.join('|');
+}
+
+const SCHEMA_ENDERECO = {
+  tipo: 'objeto',
+  obrigatorio: true,
+  campos: {
+    tipoLogradouro: texto(LIMITES.tipoLogradouro),
+    logradouro: texto(LIMITES.logradouro, { obrigatorio: true }),
+    numero: { tipo: ['texto', 'numero'], obrigatorio: true, maxLength: LIMITES.numeroEndereco },
+    complemento: texto(LIMITES.complemento),
+    bairro: texto(LIMITES.bairro, { obrigatorio: true }),
+    codigoMunicipio: { tipo: ['texto', 'numero'], obrigatorio: true },
+    uf: texto(2, { obrigatorio: true }),
+    cep: { tipo: ['texto', 'numero'], obrigatorio: true },
+  },
+  // Formato e consistência entre CEP, UF e município
+  validar: (endereco) => validarEndereco(endereco),
+};
+
+// Endereço no exterior: sem CEP, UF e código IBGE
+const SCHEMA_ENDERECO_EXTERIOR = {
+  tipo: 'objeto',
+  campos: {
+    logradouro: texto(LIMITES.logradouro, { obrigatorio: true }),
+    numero: { tipo: ['texto', 'numero'], maxLength: LIMITES.numeroEndereco },
+    complemento: texto(LIMITES.complemento),
+    bairro: texto(LIMITES.bairro),
+    cidade: texto(LIMITES.cidadeExterior, { obrigatorio: true }),
+    estado: texto(LIMITES.estadoExterior),
+    codigoPostal: { tipo: ['texto', 'numero'], maxLength: LIMITES.codigoPostal },
+  },
+  validar: (endereco) => ['cep', 'uf', 'codigoMunicipio', 'tipoLogradouro']
+    .filter((campo) => endereco[campo])
+    .map((campo) => ({ campo, mensagem: 'Não se aplica a endereço no exterior (use cidade, estado e codigoPostal)' })),
+};
+
+// Inscrições do tomador no Brasil (InscricaoMunicipalTomador, de São Paulo, e InscricaoEstadualTomador)
+const SCHEMA_INSCRICOES_TOMADOR = {
+  tipo: 'objeto',
+  campos: {
+    inscricaoMunicipal: { tipo: ['texto', 'numero'], formato: /^\d{8}$/, mensagem: 'Inscrição municipal deve ter 8 dígitos' },
+    inscricaoEstadual: { tipo: ['texto', 'numero'], formato: /^\d{1,19}$/, mensagem: 'Inscrição estadual deve ter até 19 dígitos' },
+  },
+};
+
+const SCHEMA_TOMADOR = {
+  tipo: 'objeto',
+  campos: {
+    cpf: { tipo: ['texto', 'numero'], validar: (cpf) => (validarCpf(cpf) ? null : `CPF do tomador inválido: ${cpf}`) },
+    cnpj: { tipo: 'texto', validar: (cnpj) => (validarCnpj(cnpj) ? null : `CNPJ do tomador inválido: ${cnpj}`) },
+    razaoSocial: texto(LIMITES.razaoSocial),
+    nome: texto(LIMITES.razaoSocial),
+    email: texto(LIMITES.email),
+    ...SCHEMA_INSCRICOES_TOMADOR.campos,
+    codigoPais: { tipo: 'texto', formato: /^[A-Z]{2}$/, mensagem: 'Código do país deve ter 2 letras maiúsculas (ISO 3166-1, ex: US)' },
+    nif: texto(LIMITES.nif),
+    motivoSemNif: { valores: MOTIVOS_SEM_NIF, mensagem: 'Motivo sem NIF deve ser 1 (dispensado) ou 2 (não exigido pelo país)' },
+  },
+  // Cada tipo de tomador tem suas regras: no exterior (codigoPais), com CPF/CNPJ ou sem documento
+  validar: (tomador) => {
+    const errors = [];
+    const nome = tomador.razaoSocial || tomador.nome;
+    if (tomadorNoExterior(tomador)) {
+      if (tomador.cpf || tomador.cnpj) {
+        errors.push({ campo: tomador.cpf ? 'cpf' : 'cnpj', mensagem: 'Tomador no exterior é identificado pelo NIF, não por CPF/CNPJ' });
+      }
+      if (tomador.codigoPais === 'BR') {
+        errors.push({ campo: 'codigoPais', mensagem: 'Tomador no exterior não pode ter o país BR' });
+      }
+      if (!tomador.nif && !tomador.motivoSemNif) {
+        errors.push({ campo: 'nif', mensagem: 'Informe o NIF do tomador no exterior ou o motivoSemNif' });
+      } else if (tomador.nif && tomador.motivoSemNif) {
+        errors.push({ campo: 'motivoSemNif', mensagem: 'Não informe motivoSemNif junto com o NIF' });
+      }
+      if (!nome) {
+        errors.push({ campo: 'razaoSocial', mensagem: 'Nome/razão social do tomador no exterior é obrigatório' });
+      }
+      ['inscricaoMunicipal', 'inscricaoEstadual'].filter((campo) => tomador[campo]).forEach((campo) => {
+        errors.push({ campo, mensagem: 'Não se aplica a tomador no exterior' });
+      });
+      errors.push(...validarSchema(SCHEMA_ENDERECO_EXTERIOR, tomador.endereco, 'endereco'));
+      return errors;
+    }
+
+    if (tomador.nif || tomador.motivoSemNif) {
+      errors.push({ campo: 'codigoPais', mensagem: 'Código do país é obrigatório para tomador no exterior (NIF informado)' });
+    }
+    // Sem CPF/CNPJ o tomador não é identificado (consumidor final): nome e endereço são opcionais
+    const identificado = Boolean(tomador.cpf || tomador.cnpj);
+    if (identificado && !nome) {
+      errors.push({ campo: 'razaoSocial', mensagem: 'Nome/razão social do tomador é obrigatório' });
+    }
+    errors.push(...validarSchema({ ...SCHEMA_ENDERECO, obrigatorio: identificado }, tomador.endereco, 'endereco'));
+    return errors;
+  },
+};
+
+// Exportação de serviços (só com tomador no exterior, ver SCHEMA_EMISSAO.validar)
+const SCHEMA_EXPORTACAO = {
+  tipo: 'objeto',
+  campos: {
+    modoPrestacao: { valores: MODOS_PRESTACAO, mensagem: 'Modo de prestação deve ser de 0 a 4' },
+    vinculo: { valores: VINCULOS, mensagem: 'Vínculo entre as partes deve ser de 0 a 6' },
+    moeda: { tipo: 'texto', formato: /^[A-Z]{3}$/, mensagem: 'Moeda deve ter o código ISO 4217 (ex: USD)' },
+    valorMoeda: { tipo: 'numero', minimo: 0 },
+  },
+  validar: (exportacao) => {
+    if (Boolean(exportacao.moeda) === (exportacao.valorMoeda !== undefined && exportacao.valorMoeda !== null)) return null;
+    return [{ campo: exportacao.moeda ? 'valorMoeda' : 'moeda', mensagem: 'Informe a moeda junto com o valor em moeda estrangeira' }];
+  },
+};
+
+// Intermediário do serviço (CPFCNPJIntermediario, InscricaoMunicipalIntermediario, ISSRetidoIntermediario)
+const SCHEMA_INTERMEDIARIO = {
+  tipo: 'objeto',
+  campos: {
+    cpf: { tipo: ['texto', 'numero'], validar: (cpf) => (validarCpf(cpf) ? null : `CPF do intermediário inválido: ${cpf}`) },
+    cnpj: { tipo: 'texto', validar: (cnpj) => (validarCnpj(cnpj) ? null : `CNPJ do intermediário inválido: ${cnpj}`) },
+    inscricaoMunicipal: { tipo: ['texto', 'numero'], formato: /^\d{8}$/, mensagem: 'Inscrição municipal deve ter 8 dígitos' },
+    issRetido: { tipo: 'booleano' },
+    email: texto(LIMITES.email),
+  },
+  validar: (intermediario) => {
+    if (!intermediario.cpf && !intermediario.cnpj) {
+      return [{ campo: 'cnpj', mensagem: 'CPF ou CNPJ do intermediário é obrigatório' }];
+    }
+    if (intermediario.cpf && intermediario.cnpj) {
+      return [{ campo: 'cpf', mensagem: 'Informe apenas o CPF ou o CNPJ do intermediário' }];
+    }
+    return null;
+  },
+};
+
+// Construção civil: CEI/matrícula da obra e número do encapsulamento (até 12 dígitos cada)
+const SCHEMA_CONSTRUCAO_CIVIL = {
+  tipo: 'objeto',
+  campos: {
+    codigoCei: { tipo: ['texto', 'numero'], formato: /^\d{1,12}$/, mensagem: 'Código CEI deve ter de 1 a 12 dígitos' },
+    matriculaObra: { tipo: ['texto', 'numero'], formato: /^\d{1,12}$/, mensagem: 'Matrícula da obra deve ter de 1 a 12 dígitos' },
+    numeroEncapsulamento: {
+      tipo: ['texto', 'numero'],
+      formato: /^\d{1,12}$/,
+      mensagem: 'Número do encapsulamento deve ter de 1 a 12 dígitos',
+    },
+  },
+  validar: (obra) => (['codigoCei', 'matriculaObra', 'numeroEncapsulamento'].some((campo) => obra[campo])
+    ? null
+    : 'Informe o código CEI, a matrícula da obra ou o número do encapsulamento'),
+};
+
+// IBS/CBS da Reforma Tributária (layout v02): CST e cClassTrib da tabela de classificação tributária,
+// município de incidência (código IBGE) e valores dos tributos
+const SCHEMA_IBS_CBS = {
+  tipo: 'objeto',
+  campos: {
+    cst: { tipo: 'texto', obrigatorio: true, formato: /^\d{3}$/, mensagem: 'CST do IBS/CBS deve ter 3 dígitos (ex: "000")' },
+    cClassTrib: { tipo: 'texto', obrigatorio: true, formato: /^\d{6}$/, mensagem: 'cClassTrib deve ter 6 dígitos (ex: "000001")' },
+    codigoMunicipioIncidencia: {
+      tipo: ['texto', 'numero'],
+      obrigatorio: true,
+      validar: (codigo) => (validarCodigoMunicipio(codigo) ? null : `Município de incidência ${codigo} não consta da lista de municípios do IBGE`),
+    },
+    valorIbs: { tipo: 'numero', minimo: 0 },
+    valorCbs: { tipo: 'numero', minimo: 0 },
+  },
+};
+
+/**
+ * Schema do payload de emissão de um RPS.
+ * @type {import('../utils/schema').Regra}
+ */
+const SCHEMA_EMISSAO = {
+  tipo: 'objeto',
+  obrigatorio: true,
+  campos: {
+    rps: {
+      tipo: 'objeto',
+      obrigatorio: true,
+      campos: {
+        numeroRps: { tipo: ['texto', 'numero'], obrigatorio: true, formato: /^\d{1,12}$/, mensagem: 'Número do RPS deve ter de 1 a 12 dígitos' },
+        serie: { tipo: ['texto', 'numero'], maxLength: LIMITES.serie },
+        dataEmissao: { tipo: 'data', obrigatorio: true },
+        tipo: { valores: [...TIPOS_RPS, 1, 2, 3], mensagem: 'Tipo deve ser RPS, RPS-M ou RPS-C' },
+      },
+    },
+    servico: {
+      tipo: 'objeto',
+      obrigatorio: true,
+      campos: {
+        valorServicos: { tipo: 'numero', obrigatorio: true, minimo: 0 },
+        valorDeducoes: { tipo: 'numero', minimo: 0 },
+        codigoServico: { tipo: ['texto', 'numero'], obrigatorio: true, validar: validarCodigoServico },
+        aliquotaServicos: { tipo: 'numero', minimo: 0, maximo: 1 },
+        issRetido: { valores: [1, 2, '1', '2'], mensagem: 'ISS retido deve ser 1 (retido) ou 2 (não retido)' },
+        tributacao: { valores: TRIBUTACOES },
+        retencoes: {
+          tipo: ['lista', 'objeto'],
+          validar: (retencoes) => {
+            try {
+              aliquotasRetencao(retencoes);
+              return null;
+            } catch (err) {
+              return err.message;
+            }
+          },
+        },
+        discriminacao: texto(LIMITES.discriminacao, { obrigatorio: true }),
+        exportacao: SCHEMA_EXPORTACAO,
+      },
+      validar: (servico) => (Number(servico.valorDeducoes) > Number(servico.valorServicos)
+        ? [{ campo: 'valorDeducoes', mensagem: 'Valor das deduções não pode ser maior que o valor dos serviços' }]
+        : null),
+    },
+    // Opcional: sem tomador, a NFS-e é emitida para consumidor não identificado
+    tomador: SCHEMA_TOMADOR,
+    emailTomador: texto(LIMITES.email),
+    intermediario: SCHEMA_INTERMEDIARIO,
+    construcaoCivil: SCHEMA_CONSTRUCAO_CIVIL,
+    // Enviado só no layout v02 (obrigatório nele, ver validarEmissao)
+    ibsCbs: SCHEMA_IBS_CBS,
+  },
+  validar: (dados) => {
+    const errors = [];
+    const servico = dados.servico || {};
+    const intermediario = dados.intermediario;
+    if (intermediario) {
+      const documento = limparDocumento(intermediario.cnpj || intermediario.cpf);
+      const tomador = dados.tomador || {};
+      if (documento && documento === limparDocumento(tomador.cnpj || tomador.cpf)) {
+        errors.push({ campo: `intermediario.${intermediario.cnpj ? 'cnpj' : 'cpf'}`, mensagem: 'Intermediário não pode ser o próprio tomador' });
+      }
+      if (intermediario.issRetido === true && Number(servico.issRetido) === 1) {
+        errors.push({ campo: 'intermediario.issRetido', mensagem: 'ISS não pode ser retido pelo tomador e pelo intermediário' });
+      }
+    }
+    const exterior = tomadorNoExterior(dados.tomador);
+    if (servico.tributacao === TRIBUTACAO_EXPORTACAO && !exterior) {
+      errors.push({ campo: 'servico.tributacao', mensagem: 'Exportação de serviços (P) exige tomador no exterior (tomador.codigoPais)' });
+    }
+    if (servico.exportacao && !exterior) {
+      errors.push({ campo: 'servico.exportacao', mensagem: 'Dados de exportação exigem tomador no exterior (tomador.codigoPais)' });
+    }
+    return errors;
+  },
+};
+
+/**
+ * Valida o payload de emissão e devolve todas as violações de uma vez, com o caminho de cada campo
+ * (ex: "tomador.endereco.cep").
+ *
+ * @param {Object} dados - Payload no formato de Rps.fromObject / Rps.toObject
+ * @param {Object} [options]
+ * @param {string} [options.layout='v01'] - No v02 o grupo ibsCbs é obrigatório; no v01 a discriminação
+ *   inclui os dados do tomador no exterior e da exportação
+ * @returns {Array<{campo: string, mensagem: string}>} - Vazio quando o payload é válido
+ */
+function validarEmissao(dados, { layout = LAYOUT_PADRAO } = {}) {
+  const errors = validarSchema(SCHEMA_EMISSAO, dados);
+  if (!dados || typeof dados !== 'object') return errors;
+  if (layout === 'v02' && !dados.ibsCbs) {
+    errors.push({ campo: 'ibsCbs', mensagem: 'Grupo IBS/CBS é obrigatório no layout v02' });
+  }
+
+  // No v01 as linhas acrescentadas à discriminação (ver discriminacaoRps) também contam no limite
+  const servico = dados.servico || {};
+  if (layout !== 'v02' && typeof servico.discriminacao === 'string' && (tomadorNoExterior(dados.tomador) || servico.exportacao)
+    && !errors.some(({ campo }) => campo === 'servico.discriminacao')) {
+    const tamanho = discriminacaoRps(dados, { layout }).length;
+    if (tamanho > LIMITES.discriminacao) {
+      errors.push({
+        campo: 'servico.discriminacao',
+        mensagem: `Com os dados do tomador no exterior/exportação, a discriminação tem ${tamanho} caracteres (máximo ${LIMITES.discriminacao})`,
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Valida apenas o tomador (mesmas regras do SCHEMA_EMISSAO), com os campos prefixados por "tomador.".
+ * @param {Object} tomador
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarTomadorEmissao(tomador) {
+  return validarSchema(SCHEMA_TOMADOR, tomador, 'tomador');
+}
+
+/**
+ * Valida apenas as inscrições municipal e estadual do tomador, com os campos prefixados por "tomador.".
+ * @param {Object} inscricoes - { inscricaoMunicipal, inscricaoEstadual }
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarInscricoesTomador(inscricoes) {
+  return validarSchema(SCHEMA_INSCRICOES_TOMADOR, inscricoes, 'tomador');
+}
+
+/**
+ * Valida apenas os dados de exportação, com os campos prefixados por "servico.exportacao.".
+ * @param {Object} exportacao
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarExportacao(exportacao) {
+  return validarSchema(SCHEMA_EXPORTACAO, exportacao, 'servico.exportacao');
+}
+
+/**
+ * Valida apenas o intermediário, com os campos prefixados por "intermediario.".
+ * @param {Object} intermediario
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarIntermediario(intermediario) {
+  return validarSchema(SCHEMA_INTERMEDIARIO, intermediario, 'intermediario');
+}
+
+/**
+ * Valida apenas os dados de construção civil, com os campos prefixados por "construcaoCivil.".
+ * @param {Object} construcaoCivil
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarConstrucaoCivil(construcaoCivil) {
+  return validarSchema(SCHEMA_CONSTRUCAO_CIVIL, construcaoCivil, 'construcaoCivil');
+}
+
+/**
+ * Valida apenas o grupo IBS/CBS, com os campos prefixados por "ibsCbs.".
+ * @param {Object} ibsCbs
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarIbsCbs(ibsCbs) {
+  return validarSchema(SCHEMA_IBS_CBS, ibsCbs, 'ibsCbs');
+}
+
+module.exports = {
+  TIPOS_RPS,
+  TRIBUTACOES,
+  TRIBUTACAO_EXPORTACAO,
+  MOTIVOS_SEM_NIF,
+  MODOS_PRESTACAO,
+  VINCULOS,
+  LIMITES,
+  SCHEMA_EMISSAO,
+  tomadorNoExterior,
+  discriminacaoRps,
+  validarEmissao,
+  validarTomadorEmissao,
+  validarInscricoesTomador,
+  validarExportacao,
+  validarIntermediario,
+  validarConstrucaoCivil,
+  validarIbsCbs,
+};
@@ -1,5 +1,41 @@
 // src/models/Rps.js
 
+const { ValidationError } = require('../core/errors');
+const { aliquotasRetencao, calcularTributos } = require('../core/CalculoTributos');
+const { normalizarCodigoServico, obterTabelaServicos } = require('../core/TabelaServicos');
+const { limparDocumento, validarCpf, validarCnpj, normalizarCep, validarEndereco } = require('../core/Validacao');
+const {
+  TIPOS_RPS,
+  TRIBUTACOES,
+  tomadorNoExterior,
+  validarEmissao,
+  validarTomadorEmissao,
+  validarInscricoesTomador,
+  validarExportacao,
+  validarIntermediario,
+  validarConstrucaoCivil,
+  validarIbsCbs,
+} = require('./EmissaoSchema');
+
+/**
+ * Confere CEP, UF e município do endereço do tomador e devolve uma cópia com UF em maiúsculas e CEP com 8 dígitos.
+ * @param {Object} endereco
+ * @returns {Object}
+ * @throws {Error} - Primeira inconsistência encontrada (ver validarEndereco)
+ */
+function normalizarEndereco(endereco) {
+  const [erro] = validarEndereco(endereco);
+  if (erro) throw new Error(`Endereço do tomador: ${erro.mensagem}`);
+  return {
+    ...endereco,
+    uf: endereco.uf ? String(endereco.uf).toUpperCase() : endereco.uf,
+    cep: normalizarCep(endereco.cep) || endereco.cep,
+  };
+}
+
+// Série usada quando o RPS não informa uma
+const SERIE_PADRAO = 'RPS';
+
 /**
  * Classe Rps - representa um Recibo Provisório de Serviço (RPS)
  * para uso na emissão da NFS-e no município de São Paulo.
@@ -9,16 +45,20 @@ class Rps {
     constructor() {
       // Dados básicos do RPS
       this.numeroRps = null;       // Número do RPS (string ou number)
-      this.serie = 'RPS';          // Série do RPS, default "RPS"
+      this.serie = SERIE_PADRAO;   // Série do RPS, default "RPS"
       this.dataEmissao = null;     // Data emissão no formato ISO string
-      this.tipo = 1;               // Tipo do RPS: 1=RPS normal, 2=subsídiado
+      this.tipo = 'RPS';           // Tipo do RPS: RPS, RPS-M (misto) ou RPS-C (cupom)
       
       // Dados do serviço
       this.valorServicos = null;   // Valor total do serviço (number)
+      this.valorDeducoes = 0;      // Valor das deduções (number)
       this.codigoServico = null;   // Código do serviço (string)
       this.aliquotaServicos = null;// Alíquota de ISS (decimal, ex: 0.05)
       this.issRetido = 2;          // ISS retido na fonte (2=Não retido, 1=Retido)
+      this.tributacao = 'T';       // Tributação do RPS (T=Tributado em São Paulo)
+      this.retencoes = null;       // Tributos federais retidos pelo tomador (ver CalculoTributos)
       this.discriminacao = null;   // Discriminação ou descrição do serviço (string)
+      this.exportacao = null;      // Exportação de serviços: modo, vínculo e valor em moeda estrangeira
   
       // Dados do tomador do serviço
       this.tomadorCpf = null;        // CPF (string) do tomador (se pessoa física)
@@ -26,9 +66,21 @@ class Rps {
       this.tomadorRazaoSocial = null;// Nome/Razão Social do tomador
       this.tomadorEndereco = null;   // Endereço do tomador (objeto)
       this.tomadorEmail = null;      // Email do tomador
+      this.tomadorCodigoPais = null; // País do tomador no exterior (ISO 3166-1 alfa-2, ex: 'US')
+      this.tomadorNif = null;        // NIF do tomador no exterior
+      this.tomadorMotivoSemNif = null;// Motivo da falta de NIF (1=dispensado, 2=não exigido pelo país)
+      this.tomadorInscricaoMunicipal = null;// CCM do tomador estabelecido em São Paulo
+      this.tomadorInscricaoEstadual = null; // Inscrição estadual do tomador
       
-      // Campos opcionais adicionais (pode estender depois)
-      // ...
+      // Intermediário do serviço, opcional: { cpf|cnpj, inscricaoMunicipal, issRetido, email }
+      this.intermediario = null;
+  
+      // Construção civil, opcional: { codigoCei, matriculaObra, numeroEncapsulamento }
+      this.construcaoCivil = null;
+  
+      // IBS/CBS da Reforma Tributária, enviado só no layout v02:
+      // { cst, cClassTrib, codigoMunicipioIncidencia, valorIbs, valorCbs }
+      this.ibsCbs = null;
     }
   
     /**
@@ -77,15 +129,17 @@ class Rps {
     }
   
     /**
-     * Define o tipo do RPS - 1 (normal) ou 2 (subsidiado).
-     * @param {number} tipo 
+     * Define o tipo do RPS - 'RPS', 'RPS-M' (misto) ou 'RPS-C' (cupom).
+     * Também aceita o código numérico 1, 2 ou 3, na mesma ordem.
+     * @param {string|number} tipo 
      * @returns {Rps}
      */
     setTipo(tipo) {
-      if (![1, 2].includes(tipo)) {
-        throw new Error('Tipo deve ser 1 (normal) ou 2 (subsidiado)');
+      const valor = typeof tipo === 'number' ? TIPOS_RPS[tipo - 1] : tipo;
+      if (!TIPOS_RPS.includes(valor)) {
+        throw new Error('Tipo deve ser RPS, RPS-M ou RPS-C');
       }
-      this.tipo = tipo;
+      this.tipo = valor;
       return this;
     }
   
@@ -102,15 +156,39 @@ class Rps {
       return this;
     }
   
+    /**
+     * Define o valor das deduções permitidas em lei.
+     * @param {number} valor 
+     * @returns {Rps}
+     */
+    setValorDeducoes(valor) {
+      if (typeof valor !== 'number' || valor < 0) {
+        throw new Error('Valor das deduções deve ser número positivo');
+      }
+      this.valorDeducoes = valor;
+      return this;
+    }
+  
     /**
      * Define o código do serviço.
-     * Deve seguir o código válido conforme tabela da prefeitura.
+     * Deve seguir o código válido conforme tabela da prefeitura (ver TabelaServicos);
+     * sem alíquota definida, usa a alíquota padrão do código.
      * @param {string} codigo 
      * @returns {Rps}
      */
     setCodigoServico(codigo) {
       if (!codigo) throw new Error('Código do serviço é obrigatório');
-      this.codigoServico = codigo.toString();
+      const normalizado = normalizarCodigoServico(codigo);
+      if (!normalizado) throw new Error('Código do serviço deve ter até 5 dígitos');
+
+      const tabela = obterTabelaServicos();
+      const erro = tabela.conferir(normalizado);
+      if (erro) throw new Error(erro);
+      const servico = tabela.obter(normalizado);
+      this.codigoServico = normalizado;
+      if (servico && this.aliquotaServicos === null) {
+        this.aliquotaServicos = servico.aliquota;
+      }
       return this;
     }
   
@@ -140,6 +218,32 @@ class Rps {
       return this;
     }
   
+    /**
+     * Define os tributos federais retidos na fonte pelo tomador (PIS, COFINS, CSLL, IR, INSS).
+     * Lista de tributos, com as alíquotas padrão, ou objeto { tributo: aliquota }.
+     * @param {string[]|Object<string, number|boolean>|null} retencoes
+     * @returns {Rps}
+     */
+    setRetencoes(retencoes) {
+      aliquotasRetencao(retencoes);
+      this.retencoes = retencoes;
+      return this;
+    }
+  
+    /**
+     * Define a tributação do RPS (TributacaoRPS), ex: 'T' tributado em São Paulo,
+     * 'F' tributado fora de São Paulo, 'A' isento, 'P' exportação... conforme tabela do manual.
+     * @param {string} tributacao 
+     * @returns {Rps}
+     */
+    setTributacao(tributacao) {
+      if (!TRIBUTACOES.includes(tributacao)) {
+        throw new Error(`Tributação deve ser uma de: ${TRIBUTACOES.join(', ')}`);
+      }
+      this.tributacao = tributacao;
+      return this;
+    }
+  
     /**
      * Define a descrição/discriminação do serviço.
      * @param {string} texto 
@@ -158,17 +262,21 @@ class Rps {
      * @param {string} dados.razaoSocial - Razão social do tomador
      * @param {Object} dados.endereco - Endereço do tomador
      * @param {string} [dados.email] - Email opcional
+     * @param {string|number} [dados.inscricaoMunicipal] - Inscrição municipal (CCM) em São Paulo, 8 dígitos
+     * @param {string|number} [dados.inscricaoEstadual] - Inscrição estadual, até 19 dígitos
      * @returns {Rps}
      */
-    setTomadorPJ({ cnpj, razaoSocial, endereco, email }) {
+    setTomadorPJ({ cnpj, razaoSocial, endereco, email, inscricaoMunicipal, inscricaoEstadual }) {
       if (!cnpj) throw new Error('CNPJ do tomador é obrigatório');
       if (!razaoSocial) throw new Error('Razão social do tomador é obrigatória');
       if (!endereco) throw new Error('Endereço do tomador é obrigatório');
+      if (!validarCnpj(cnpj)) throw new Error(`CNPJ do tomador inválido: ${cnpj}`);
   
-      this.tomadorCnpj = cnpj.replace(/\D/g, '');
+      this._resetarTomador();
+      this.tomadorCnpj = limparDocumento(cnpj);
       this.tomadorRazaoSocial = razaoSocial;
-      this.tomadorCpf = null; // reseta CPF
-      this.tomadorEndereco = endereco;
+      this.tomadorEndereco = normalizarEndereco(endereco);
+      this._setInscricoesTomador({ inscricaoMunicipal, inscricaoEstadual });
       if (email) {
         this.tomadorEmail = email;
       }
@@ -182,41 +290,296 @@ class Rps {
      * @param {string} dados.nome - Nome completo do tomador
      * @param {Object} dados.endereco - Endereço do tomador
      * @param {string} [dados.email] - Email opcional
+     * @param {string|number} [dados.inscricaoMunicipal] - Inscrição municipal (CCM) em São Paulo, 8 dígitos
+     * @param {string|number} [dados.inscricaoEstadual] - Inscrição estadual, até 19 dígitos
      * @returns {Rps}
      */
-    setTomadorPF({ cpf, nome, endereco, email }) {
+    setTomadorPF({ cpf, nome, endereco, email, inscricaoMunicipal, inscricaoEstadual }) {
       if (!cpf) throw new Error('CPF do tomador é obrigatório');
       if (!nome) throw new Error('Nome do tomador é obrigatório');
       if (!endereco) throw new Error('Endereço do tomador é obrigatório');
+      if (!validarCpf(cpf)) throw new Error(`CPF do tomador inválido: ${cpf}`);
+  
+      this._resetarTomador();
+      this.tomadorCpf = limparDocumento(cpf);
+      this.tomadorRazaoSocial = nome;
+      this.tomadorEndereco = normalizarEndereco(endereco);
+      this._setInscricoesTomador({ inscricaoMunicipal, inscricaoEstadual });
+      if (email) {
+        this.tomadorEmail = email;
+      }
+      return this;
+    }
   
-      this.tomadorCpf = cpf.replace(/\D/g, '');
+    /**
+     * Configura o tomador no exterior, identificado pelo país e pelo NIF (ou pelo motivo de não ter NIF).
+     * O endereço é opcional e não tem CEP, UF nem código IBGE.
+     * @param {Object} dados
+     * @param {string} dados.codigoPais - País do tomador (ISO 3166-1 alfa-2, ex: 'US')
+     * @param {string} [dados.nif] - Número de identificação fiscal no país do tomador
+     * @param {number} [dados.motivoSemNif] - Sem NIF: 1 = dispensado, 2 = não exigido pelo país
+     * @param {string} dados.nome - Nome/razão social do tomador
+     * @param {Object} [dados.endereco] - { logradouro, numero, complemento, bairro, cidade, estado, codigoPostal }
+     * @param {string} [dados.email] - Email opcional
+     * @returns {Rps}
+     */
+    setTomadorExterior({ codigoPais, nif, motivoSemNif, nome, endereco, email }) {
+      const [erro] = validarTomadorEmissao({ codigoPais, nif, motivoSemNif, razaoSocial: nome, endereco });
+      if (erro) throw new Error(`Tomador no exterior: ${erro.campo} - ${erro.mensagem}`);
+
+      this._resetarTomador();
+      this.tomadorCodigoPais = codigoPais;
+      this.tomadorNif = nif ? String(nif) : null;
+      this.tomadorMotivoSemNif = nif ? null : motivoSemNif;
       this.tomadorRazaoSocial = nome;
-      this.tomadorCnpj = null; // reseta CNPJ
-      this.tomadorEndereco = endereco;
+      this.tomadorEndereco = endereco ? { ...endereco } : null;
       if (email) {
         this.tomadorEmail = email;
       }
       return this;
     }
   
+    /**
+     * Configura o tomador sem CPF/CNPJ (consumidor não identificado). Todos os dados são opcionais;
+     * sem nenhum deles a NFS-e é emitida sem tomador.
+     * @param {Object} [dados]
+     * @param {string} [dados.nome] - Nome do tomador
+     * @param {Object} [dados.endereco] - Endereço no Brasil, validado como o dos demais tomadores
+     * @param {string} [dados.email] - Email opcional
+     * @returns {Rps}
+     */
+    setTomadorSemDocumento({ nome, endereco, email } = {}) {
+      const [erro] = validarTomadorEmissao({ razaoSocial: nome, endereco });
+      if (erro) throw new Error(`Tomador: ${erro.campo} - ${erro.mensagem}`);
+
+      this._resetarTomador();
+      this.tomadorRazaoSocial = nome || null;
+      this.tomadorEndereco = endereco ? normalizarEndereco(endereco) : null;
+      if (email) {
+        this.tomadorEmail = email;
+      }
+      return this;
+    }
+  
+    /**
+     * Define os dados de exportação de serviços (exige tomador no exterior, conferido em toObject()).
+     * @param {Object} dados
+     * @param {number} [dados.modoPrestacao] - 0 a 4 (ver MODOS_PRESTACAO)
+     * @param {number} [dados.vinculo] - Vínculo entre as partes, 0 a 6 (ver VINCULOS)
+     * @param {string} [dados.moeda] - Código ISO 4217 (ex: 'USD')
+     * @param {number} [dados.valorMoeda] - Valor do serviço na moeda estrangeira
+     * @returns {Rps}
+     */
+    setExportacao(dados) {
+      const [erro] = validarExportacao(dados);
+      if (erro) throw new Error(`Exportação: ${erro.campo} - ${erro.mensagem}`);
+      this.exportacao = dados ? { ...dados } : null;
+      return this;
+    }
+  
+    /**
+     * Configura o intermediário do serviço.
+     * @param {Object} dados
+     * @param {string} [dados.cpf] - CPF do intermediário (se pessoa física)
+     * @param {string} [dados.cnpj] - CNPJ do intermediário (se pessoa jurídica)
+     * @param {string} [dados.inscricaoMunicipal] - Inscrição municipal do intermediário (somente SP)
+     * @param {boolean} [dados.issRetido=false] - ISS retido pelo intermediário
+     * @param {string} [dados.email] - Email opcional
+     * @returns {Rps}
+     */
+    setIntermediario({ cpf, cnpj, inscricaoMunicipal, issRetido = false, email }) {
+      const [erro] = validarIntermediario({ cpf, cnpj, inscricaoMunicipal, issRetido, email });
+      if (erro) throw new Error(`Intermediário: ${erro.campo} - ${erro.mensagem}`);
+  
+      this.intermediario = {
+        ...(cpf ? { cpf: limparDocumento(cpf) } : { cnpj: limparDocumento(cnpj) }),
+        inscricaoMunicipal: inscricaoMunicipal ? String(inscricaoMunicipal) : null,
+        issRetido,
+        email: email || null,
+      };
+      return this;
+    }
+  
+    /**
+     * Define os dados de construção civil (pelo menos um dos campos).
+     * @param {Object} dados
+     * @param {string|number} [dados.codigoCei] - Código do CEI da obra (até 12 dígitos)
+     * @param {string|number} [dados.matriculaObra] - Matrícula da obra (até 12 dígitos)
+     * @param {string|number} [dados.numeroEncapsulamento] - Número do encapsulamento (até 12 dígitos)
+     * @returns {Rps}
+     */
+    setConstrucaoCivil({ codigoCei, matriculaObra, numeroEncapsulamento }) {
+      const [erro] = validarConstrucaoCivil({ codigoCei, matriculaObra, numeroEncapsulamento });
+      if (erro) throw new Error(`Construção civil: ${erro.campo} - ${erro.mensagem}`);
+  
+      const texto = (valor) => (valor ? String(valor) : null);
+      this.construcaoCivil = {
+        codigoCei: texto(codigoCei),
+        matriculaObra: texto(matriculaObra),
+        numeroEncapsulamento: texto(numeroEncapsulamento),
+      };
+      return this;
+    }
+  
+    /**
+     * Define o grupo IBS/CBS (obrigatório no layout v02; ignorado no v01).
+     * @param {Object} dados
+     * @param {string} dados.cst - CST do IBS/CBS, 3 dígitos (ex: '000')
+     * @param {string} dados.cClassTrib - Classificação tributária, 6 dígitos (ex: '000001')
+     * @param {string|number} dados.codigoMunicipioIncidencia - Código IBGE do município de incidência
+     * @param {number} [dados.valorIbs] - Valor do IBS
+     * @param {number} [dados.valorCbs] - Valor da CBS
+     * @returns {Rps}
+     */
+    setIbsCbs({ cst, cClassTrib, codigoMunicipioIncidencia, valorIbs, valorCbs }) {
+      const [erro] = validarIbsCbs({ cst, cClassTrib, codigoMunicipioIncidencia, valorIbs, valorCbs });
+      if (erro) throw new Error(`IBS/CBS: ${erro.campo} - ${erro.mensagem}`);
+  
+      this.ibsCbs = {
+        cst,
+        cClassTrib,
+        codigoMunicipioIncidencia: String(codigoMunicipioIncidencia),
+        valorIbs: valorIbs === undefined ? null : valorIbs,
+        valorCbs: valorCbs === undefined ? null : valorCbs,
+      };
+      return this;
+    }
+  
+    /**
+     * Confere e guarda as inscrições do tomador com CPF/CNPJ.
+     * @param {Object} inscricoes - { inscricaoMunicipal, inscricaoEstadual }
+     * @private
+     */
+    _setInscricoesTomador({ inscricaoMunicipal, inscricaoEstadual }) {
+      const [erro] = validarInscricoesTomador({ inscricaoMunicipal, inscricaoEstadual });
+      if (erro) throw new Error(`${erro.campo} - ${erro.mensagem}`);
+      this.tomadorInscricaoMunicipal = inscricaoMunicipal ? String(inscricaoMunicipal) : null;
+      this.tomadorInscricaoEstadual = inscricaoEstadual ? String(inscricaoEstadual) : null;
+    }
+
+    /**
+     * Limpa a identificação do tomador antes de configurar outro tipo de tomador.
+     * @private
+     */
+    _resetarTomador() {
+      this.tomadorCpf = null;
+      this.tomadorCnpj = null;
+      this.tomadorCodigoPais = null;
+      this.tomadorNif = null;
+      this.tomadorMotivoSemNif = null;
+      this.tomadorInscricaoMunicipal = null;
+      this.tomadorInscricaoEstadual = null;
+      this.tomadorRazaoSocial = null;
+      this.tomadorEndereco = null;
+    }
+  
+    /**
+     * Cria um Rps a partir de um objeto no mesmo formato de toObject().
+     * O payload é validado contra o SCHEMA_EMISSAO e todas as violações são agregadas
+     * em um único ValidationError, com o caminho de cada campo (ex: "tomador.endereco.cep").
+     * @param {Object} data - Objeto com as chaves rps, servico, tomador, emailTomador, intermediario,
+     *   construcaoCivil e ibsCbs
+     * @returns {Rps}
+     * @throws {ValidationError}
+     */
+    static fromObject(data) {
+      if (!data || typeof data !== 'object') {
+        throw new ValidationError('Dados do RPS são obrigatórios', [
+          { campo: '', mensagem: 'Objeto com os dados do RPS é obrigatório' },
+        ]);
+      }
+
+      const errors = validarEmissao(data);
+      if (errors.length > 0) {
+        throw new ValidationError('Dados do RPS inválidos', errors);
+      }
+
+      // Payload válido: os setters só normalizam (erros aqui indicam divergência entre setter e schema)
+      const rps = new Rps();
+      const aplicar = (campo, fn) => {
+        try {
+          fn();
+        } catch (err) {
+          errors.push({ campo, mensagem: err.message });
+        }
+      };
+
+      const dadosRps = data.rps;
+      const servico = data.servico;
+      const tomador = data.tomador || {};
+
+      aplicar('rps.numeroRps', () => rps.setNumeroRps(dadosRps.numeroRps));
+      if (dadosRps.serie !== undefined) aplicar('rps.serie', () => rps.setSerie(dadosRps.serie));
+      aplicar('rps.dataEmissao', () => rps.setDataEmissao(dadosRps.dataEmissao));
+      if (dadosRps.tipo !== undefined) aplicar('rps.tipo', () => rps.setTipo(dadosRps.tipo));
+
+      aplicar('servico.valorServicos', () => rps.setValorServicos(servico.valorServicos));
+      if (servico.valorDeducoes !== undefined) {
+        aplicar('servico.valorDeducoes', () => rps.setValorDeducoes(servico.valorDeducoes));
+      }
+      aplicar('servico.codigoServico', () => rps.setCodigoServico(servico.codigoServico));
+      if (servico.aliquotaServicos !== undefined) {
+        aplicar('servico.aliquotaServicos', () => rps.setAliquotaServicos(servico.aliquotaServicos));
+      }
+      if (servico.issRetido !== undefined) {
+        aplicar('servico.issRetido', () => rps.setIssRetido(Number(servico.issRetido)));
+      }
+      if (servico.tributacao !== undefined) {
+        aplicar('servico.tributacao', () => rps.setTributacao(servico.tributacao));
+      }
+      if (servico.retencoes !== undefined) {
+        aplicar('servico.retencoes', () => rps.setRetencoes(servico.retencoes));
+      }
+      aplicar('servico.discriminacao', () => rps.setDiscriminacao(servico.discriminacao));
+      if (servico.exportacao) {
+        aplicar('servico.exportacao', () => rps.setExportacao(servico.exportacao));
+      }
+
+      // Tomador no exterior, PF, PJ ou sem documento (inclusive sem tomador)
+      const nomeTomador = tomador.razaoSocial || tomador.nome;
+      const email = tomador.email || data.emailTomador;
+      const endereco = tomador.endereco || undefined;
+      const inscricoes = { inscricaoMunicipal: tomador.inscricaoMunicipal, inscricaoEstadual: tomador.inscricaoEstadual };
+      if (tomadorNoExterior(tomador)) {
+        aplicar('tomador', () => rps.setTomadorExterior({
+          codigoPais: tomador.codigoPais,
+          nif: tomador.nif,
+          motivoSemNif: tomador.motivoSemNif,
+          nome: nomeTomador,
+          endereco,
+          email,
+        }));
+      } else if (tomador.cpf) {
+        aplicar('tomador', () => rps.setTomadorPF({ cpf: String(tomador.cpf), nome: nomeTomador, endereco, email, ...inscricoes }));
+      } else if (tomador.cnpj) {
+        aplicar('tomador', () => rps.setTomadorPJ({ cnpj: String(tomador.cnpj), razaoSocial: nomeTomador, endereco, email, ...inscricoes }));
+      } else {
+        aplicar('tomador', () => rps.setTomadorSemDocumento({ nome: nomeTomador, endereco, email }));
+      }
+  
+      if (data.intermediario) {
+        aplicar('intermediario', () => rps.setIntermediario(data.intermediario));
+      }
+      if (data.construcaoCivil) {
+        aplicar('construcaoCivil', () => rps.setConstrucaoCivil(data.construcaoCivil));
+      }
+      if (data.ibsCbs) {
+        aplicar('ibsCbs', () => rps.setIbsCbs(data.ibsCbs));
+      }
+
+      if (errors.length > 0) {
+        throw new ValidationError('Dados do RPS inválidos', errors);
+      }
+      return rps;
+    }
+
     /**
      * Retorna o objeto simples para construção do XML.
      * Deve estar compatível com o builder XML usado.
      * @returns {Object}
+     * @throws {ValidationError} - Campos obrigatórios ausentes ou inválidos (ver SCHEMA_EMISSAO)
      */
     toObject() {
-      if (
-        this.numeroRps === null ||
-        this.dataEmissao === null ||
-        this.valorServicos === null ||
-        this.codigoServico === null ||
-        !this.discriminacao ||
-        !this.tomadorRazaoSocial ||
-        !this.tomadorEndereco
-      ) {
-        throw new Error('Campos obrigatórios do RPS não preenchidos');
-      }
-  
       const obj = {
         rps: {
           numeroRps: this.numeroRps,
@@ -226,30 +589,80 @@ class Rps {
         },
         servico: {
           valorServicos: this.valorServicos,
+          valorDeducoes: this.valorDeducoes,
           codigoServico: this.codigoServico,
           aliquotaServicos: this.aliquotaServicos,
           issRetido: this.issRetido,
+          tributacao: this.tributacao,
+          retencoes: this.retencoes,
           discriminacao: this.discriminacao,
-        },
-        tomador: {
-          razaoSocial: this.tomadorRazaoSocial,
-          endereco: this.tomadorEndereco,
+          exportacao: this.exportacao,
         },
       };
   
+      // Sem documento, nome nem endereço o RPS vai sem tomador
+      if (this.tomadorCpf || this.tomadorCnpj || this.tomadorCodigoPais || this.tomadorRazaoSocial || this.tomadorEndereco) {
+        obj.tomador = {
+          razaoSocial: this.tomadorRazaoSocial,
+          endereco: this.tomadorEndereco,
+        };
+      }
       if (this.tomadorCpf) {
         obj.tomador.cpf = this.tomadorCpf;
       } else if (this.tomadorCnpj) {
         obj.tomador.cnpj = this.tomadorCnpj;
+      } else if (this.tomadorCodigoPais) {
+        obj.tomador.codigoPais = this.tomadorCodigoPais;
+        if (this.tomadorNif) {
+          obj.tomador.nif = this.tomadorNif;
+        } else {
+          obj.tomador.motivoSemNif = this.tomadorMotivoSemNif;
+        }
       }
-  
+      if (this.tomadorInscricaoMunicipal) {
+        obj.tomador.inscricaoMunicipal = this.tomadorInscricaoMunicipal;
+      }
+      if (this.tomadorInscricaoEstadual) {
+        obj.tomador.inscricaoEstadual = this.tomadorInscricaoEstadual;
+      }
+
       if (this.tomadorEmail) {
         obj.emailTomador = this.tomadorEmail;
       }
-  
+      if (this.intermediario) {
+        obj.intermediario = this.intermediario;
+      }
+      if (this.construcaoCivil) {
+        obj.construcaoCivil = this.construcaoCivil;
+      }
+      if (this.ibsCbs) {
+        obj.ibsCbs = this.ibsCbs;
+      }
+
+      const errors = validarEmissao(obj);
+      if (errors.length > 0) {
+        throw new ValidationError('Campos obrigatórios do RPS não preenchidos', errors);
+      }
       return obj;
     }
+
+    /**
+     * Calcula o ISS e as retenções federais do RPS (os mesmos valores enviados no XML).
+     * @returns {import('../core/CalculoTributos').Tributos}
+     */
+    calcularTributos() {
+      const tomador = this.tomadorCnpj ? { cnpj: this.tomadorCnpj } : this.tomadorCpf ? { cpf: this.tomadorCpf } : null;
+      return calcularTributos({
+        valorServicos: this.valorServicos,
+        valorDeducoes: this.valorDeducoes,
+        aliquotaServicos: this.aliquotaServicos,
+        issRetido: this.issRetido,
+        retencoes: this.retencoes,
+      }, tomador);
+    }
   }
   
+  Rps.SERIE_PADRAO = SERIE_PADRAO;
+
   module.exports = Rps;
   
\ No newline at end of file
@@ -4,6 +4,7 @@
 
 
 const Rps = require('./Rps');
+const { SCHEMA_EMISSAO, validarEmissao } = require('./EmissaoSchema');
 
 // Aqui você pode adicionar outros modelos no futuro, como Tomador, Cancelamento, etc.
 // Exemplo:
@@ -12,6 +13,8 @@ const Rps = require('./Rps');
 
 module.exports = {
   Rps,
+  SCHEMA_EMISSAO,
+  validarEmissao,
   // Tomador,
   // Cancelamento,
 };
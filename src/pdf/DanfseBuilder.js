@@ -0,0 +1,370 @@
+// src/pdf/DanfseBuilder.js
+
+const PDFDocument = require('pdfkit');
+const { linkVerificacao, gerarQrCode } = require('../utils/verificacao');
+const { calcularTributos } = require('../core/CalculoTributos');
+const { obterTabelaServicos } = require('../core/TabelaServicos');
+const { limparDocumento } = require('../core/Validacao');
+
+// Página A4 em pontos; as fontes usadas são as Type 1 padrão do PDF, embutidas no pdfkit (não há acesso à rede)
+const MARGEM = 28;
+const LARGURA = 595.28 - MARGEM * 2;
+const ALTURA_LINHA = 12;
+const ALTURA_DISCRIMINACAO = 250;
+const TAMANHO_QRCODE = 72;
+
+const MUNICIPIO_SAO_PAULO = '3550308';
+
+/**
+ * Formata CPF (11 dígitos) ou CNPJ (14 posições, numérico ou alfanumérico); outros valores são devolvidos como vieram.
+ * @param {string|null} documento
+ * @returns {string}
+ */
+function formatarDocumento(documento) {
+  const valor = limparDocumento(documento);
+  if (/^[0-9A-Z]{12}\d{2}$/.test(valor)) return valor.replace(/^(\w{2})(\w{3})(\w{3})(\w{4})(\d{2})$/, '$1.$2.$3/$4-$5');
+  if (/^\d{11}$/.test(valor)) return valor.replace(/^(\d{3})(\d{3})(\d{3})(\d{2})$/, '$1.$2.$3-$4');
+  return documento || '-';
+}
+
+/**
+ * @param {number|null} valor
+ * @returns {string} - Ex.: 1.234,50
+ */
+function formatarValor(valor) {
+  return (Number(valor) || 0).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Formata datas AAAA-MM-DD[THH:MM:SS] como DD/MM/AAAA [HH:MM:SS].
+ * Instantes com fuso (ex.: emitidaEm, em UTC) são exibidos no horário de São Paulo.
+ * @param {string|null} valor
+ * @param {boolean} [comHora=false]
+ * @returns {string}
+ */
+function formatarData(valor, comHora = false) {
+  if (!valor) return '-';
+  const texto = String(valor);
+  if (/(Z|[+-]\d{2}:\d{2})$/.test(texto) && !isNaN(Date.parse(texto))) {
+    const opcoes = { timeZone: 'America/Sao_Paulo', day: '2-digit', month: '2-digit', year: 'numeric' };
+    if (comHora) Object.assign(opcoes, { hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false });
+    return new Intl.DateTimeFormat('pt-BR', opcoes).format(new Date(texto)).replace(',', '');
+  }
+  const partes = texto.match(/^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}:\d{2}:\d{2}))?/);
+  if (!partes) return texto;
+  return `${partes[3]}/${partes[2]}/${partes[1]}${comHora && partes[4] ? ` ${partes[4]}` : ''}`;
+}
+
+/**
+ * @param {Object|null} endereco - Mesmo formato do endereço do RPS (ver ResponseHandler.endereco)
+ * @returns {{linha: string, municipio: string, uf: string}}
+ */
+function formatarEndereco(endereco) {
+  if (!endereco) return { linha: '-', municipio: '-', uf: '-' };
+  const logradouro = [endereco.tipoLogradouro, endereco.logradouro].filter(Boolean).join(' ');
+  // CEP é numérico no XSD: a Prefeitura devolve sem os zeros à esquerda
+  const digitosCep = String(endereco.cep || '').replace(/\D/g, '');
+  const cep = digitosCep && digitosCep.padStart(8, '0').replace(/^(\d{5})(\d{3})$/, '$1-$2');
+  const linha = [
+    [logradouro, endereco.numero].filter(Boolean).join(', '),
+    endereco.complemento,
+    endereco.bairro,
+    cep && `CEP: ${cep}`,
+    endereco.codigoPostal && `Código postal: ${endereco.codigoPostal}`,
+  ].filter(Boolean).join(' - ');
+  const codigo = String(endereco.codigoMunicipio || '');
+  return {
+    linha: linha || '-',
+    municipio: codigo === MUNICIPIO_SAO_PAULO ? 'São Paulo' : codigo || endereco.cidade || '-',
+    uf: endereco.uf || '-',
+  };
+}
+
+/**
+ * Converte um registro do NfseRepository no formato de nota decodificado pelo ResponseHandler.nfe,
+ * para que o DANFSe possa ser gerado sem consultar a Prefeitura.
+ * O registro só guarda o RPS enviado: o ISS e as retenções são recalculados (CalculoTributos)
+ * e o endereço do prestador não é conhecido.
+ *
+ * @param {import('../storage/NfseRepository').RegistroNfse} registro - Registro com status "emitida" ou "cancelada"
+ * @param {Object} [prestador] - Dados do emitente (razaoSocial, email)
+ * @returns {Object}
+ */
+function notaDoRegistro(registro, prestador = {}) {
+  const dados = registro.rps || {};
+  const rps = dados.rps || {};
+  const servico = dados.servico || {};
+  const tomador = dados.tomador || {};
+  const tributos = calcularTributos(servico, tomador);
+
+  return {
+    numeroNfe: registro.numeroNfse,
+    codigoVerificacao: registro.codigoVerificacao,
+    inscricaoPrestador: dados.im ? String(dados.im) : null,
+    dataEmissao: registro.emitidaEm || registro.dataEmissao,
+    numeroLote: registro.numeroLote || null,
+    status: registro.status === 'cancelada' ? 'C' : 'N',
+    dataCancelamento: registro.canceladaEm || null,
+    rps: { serie: registro.serie, numeroRps: registro.numeroRps, dataEmissao: rps.dataEmissao || registro.dataEmissao },
+    tipoRps: rps.tipo || 'RPS',
+    prestador: {
+      cpfCnpj: registro.cnpj,
+      razaoSocial: prestador.razaoSocial || null,
+      email: prestador.email || null,
+      endereco: null,
+    },
+    tomador: {
+      cpfCnpj: limparDocumento(tomador.cnpj || tomador.cpf) || (tomador.nif ? `NIF ${tomador.nif}` : null),
+      inscricaoMunicipal: tomador.inscricaoMunicipal ? String(tomador.inscricaoMunicipal) : null,
+      razaoSocial: tomador.razaoSocial || null,
+      email: dados.emailTomador || tomador.email || null,
+      // No exterior o quadro mostra a cidade e o país no lugar do município e da UF
+      endereco: tomador.codigoPais ? { ...tomador.endereco, uf: tomador.codigoPais } : tomador.endereco || null,
+    },
+    codigoServico: servico.codigoServico ? String(servico.codigoServico) : null,
+    tributacao: servico.tributacao || 'T',
+    valorServicos: tributos.valorServicos,
+    valorDeducoes: tributos.valorDeducoes,
+    aliquotaServicos: tributos.aliquotaServicos,
+    valorIss: tributos.valorIss,
+    valorPis: tributos.valorPis,
+    valorCofins: tributos.valorCofins,
+    valorInss: tributos.valorInss,
+    valorIr: tributos.valorIr,
+    valorCsll: tributos.valorCsll,
+    valorCredito: 0,
+    issRetido: tributos.issRetido,
+    discriminacao: servico.discriminacao || '',
+  };
+}
+
+/**
+ * Quadro com título centralizado e linhas de campos "Rótulo: valor".
+ * @param {PDFDocument} doc
+ * @param {number} y - Topo do quadro
+ * @param {string} titulo
+ * @param {Array<Array<[string, string]>>} linhas - Cada linha é dividida igualmente entre os seus campos
+ * @returns {number} - Posição logo abaixo do quadro
+ */
+function desenharQuadro(doc, y, titulo, linhas) {
+  const altura = 18 + linhas.length * ALTURA_LINHA;
+  doc.rect(MARGEM, y, LARGURA, altura).stroke();
+  doc.font('Helvetica-Bold').fontSize(8).text(titulo, MARGEM, y + 4, { width: LARGURA, align: 'center' });
+
+  linhas.forEach((campos, i) => {
+    const largura = (LARGURA - 12) / campos.length;
+    campos.forEach(([rotulo, valor], j) => {
+      doc.font('Helvetica').fontSize(7.5)
+        .text(`${rotulo}: `, MARGEM + 6 + j * largura, y + 16 + i * ALTURA_LINHA, { width: largura - 4, lineBreak: false, continued: true })
+        .font('Helvetica-Bold')
+        .text(valor || '-', { lineBreak: false });
+    });
+  });
+  return y + altura;
+}
+
+/**
+ * Linha de células com rótulo pequeno acima do valor (valores da nota).
+ * @param {PDFDocument} doc
+ * @param {number} y
+ * @param {Array<[string, string]>} celulas
+ * @returns {number}
+ */
+function desenharCelulas(doc, y, celulas) {
+  const altura = 28;
+  const largura = LARGURA / celulas.length;
+  celulas.forEach(([rotulo, valor], i) => {
+    const x = MARGEM + i * largura;
+    doc.rect(x, y, largura, altura).stroke();
+    doc.font('Helvetica').fontSize(6.5).text(rotulo, x + 3, y + 4, { width: largura - 6, align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(9).text(valor, x + 3, y + 15, { width: largura - 6, align: 'center' });
+  });
+  return y + altura;
+}
+
+/**
+ * Marca d'água diagonal (nota cancelada ou emitida em homologação).
+ * @param {PDFDocument} doc
+ * @param {string} texto
+ */
+function desenharMarcaDagua(doc, texto) {
+  const centroX = doc.page.width / 2;
+  const centroY = doc.page.height / 2;
+  doc.save()
+    .rotate(-35, { origin: [centroX, centroY] })
+    .fillColor('#cc0000')
+    .fillOpacity(0.2)
+    .font('Helvetica-Bold')
+    .fontSize(72)
+    .text(texto, 0, centroY - 36, { width: doc.page.width, align: 'center', lineBreak: false })
+    .restore();
+}
+
+/**
+ * Gera o PDF de uma NFS-e no leiaute do documento auxiliar (DANFSe) da Prefeitura de São Paulo:
+ * cabeçalho com número, data e código de verificação, quadros do prestador e do tomador,
+ * discriminação dos serviços, valores do ISS e outras informações (com o link e o QR code de verificação).
+ * A geração é feita inteiramente em memória, sem recursos externos.
+ *
+ * @param {Object} nota - Nota no formato de ResponseHandler.nfe (ou de notaDoRegistro)
+ * @param {Object} [options]
+ * @param {boolean} [options.homologacao=false] - Inclui a marca "SEM VALOR FISCAL"
+ * @returns {Promise<Buffer>} - Conteúdo do PDF
+ */
+async function buildDanfsePdf(nota, { homologacao = false } = {}) {
+  if (!nota || typeof nota !== 'object') {
+    throw new Error('Dados da NFS-e são obrigatórios para geração do PDF');
+  }
+  if (!nota.numeroNfe) {
+    throw new Error('Número da NFS-e é obrigatório para geração do PDF');
+  }
+  const link = linkVerificacao(nota);
+  const qrCode = link ? await gerarQrCode(link, { formato: 'png', tamanho: TAMANHO_QRCODE * 3, margem: 0 }) : null;
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: MARGEM,
+    info: {
+      Title: `NFS-e ${nota.numeroNfe}`,
+      Subject: 'Nota Fiscal Eletrônica de Serviços - NFS-e',
+    },
+  });
+  const partes = [];
+  const pdf = new Promise((resolve, reject) => {
+    doc.on('data', (parte) => partes.push(parte));
+    doc.on('end', () => resolve(Buffer.concat(partes)));
+    doc.on('error', reject);
+  });
+
+  const prestador = nota.prestador || {};
+  const tomador = nota.tomador || {};
+  const rps = nota.rps || {};
+  doc.lineWidth(0.7);
+
+  // Cabeçalho: identificação da Prefeitura e chave da nota
+  const larguraChave = 150;
+  const larguraTitulo = LARGURA - larguraChave;
+  let y = MARGEM;
+  doc.rect(MARGEM, y, larguraTitulo, 72).stroke();
+  doc.font('Helvetica-Bold').fontSize(11).text('PREFEITURA DO MUNICÍPIO DE SÃO PAULO', MARGEM, y + 8, { width: larguraTitulo, align: 'center' });
+  doc.font('Helvetica').fontSize(9).text('SECRETARIA MUNICIPAL DA FAZENDA', { width: larguraTitulo, align: 'center' });
+  doc.font('Helvetica-Bold').fontSize(11).text('NOTA FISCAL ELETRÔNICA DE SERVIÇOS - NFS-e', MARGEM, y + 36, { width: larguraTitulo, align: 'center' });
+  if (rps.numeroRps) {
+    const serie = rps.serie ? ` Série ${rps.serie}` : '';
+    doc.font('Helvetica').fontSize(8)
+      .text(`RPS Nº ${rps.numeroRps}${serie}, emitido em ${formatarData(rps.dataEmissao)}`, MARGEM, y + 54, { width: larguraTitulo, align: 'center' });
+  }
+
+  [
+    ['Número da Nota', String(nota.numeroNfe).padStart(8, '0')],
+    ['Data e Hora de Emissão', formatarData(nota.dataEmissao, true)],
+    ['Código de Verificação', nota.codigoVerificacao || '-'],
+  ].forEach(([rotulo, valor], i) => {
+    const x = MARGEM + larguraTitulo;
+    doc.rect(x, y + i * 24, larguraChave, 24).stroke();
+    doc.font('Helvetica').fontSize(6.5).text(rotulo, x + 4, y + i * 24 + 3, { width: larguraChave - 8 });
+    doc.font('Helvetica-Bold').fontSize(9).text(valor, x + 4, y + i * 24 + 12, { width: larguraChave - 8, align: 'center' });
+  });
+  y += 72;
+
+  // Prestador e tomador
+  const enderecoPrestador = formatarEndereco(prestador.endereco);
+  y = desenharQuadro(doc, y, 'PRESTADOR DE SERVIÇOS', [
+    [['CPF/CNPJ', formatarDocumento(prestador.cpfCnpj)], ['Inscrição Municipal', nota.inscricaoPrestador]],
+    [['Nome/Razão Social', prestador.razaoSocial]],
+    [['Endereço', enderecoPrestador.linha]],
+    [['Município', enderecoPrestador.municipio], ['UF', enderecoPrestador.uf], ['E-mail', prestador.email]],
+  ]);
+
+  const enderecoTomador = formatarEndereco(tomador.endereco);
+  y = desenharQuadro(doc, y, 'TOMADOR DE SERVIÇOS', [
+    [['CPF/CNPJ', formatarDocumento(tomador.cpfCnpj)], ['Inscrição Municipal', tomador.inscricaoMunicipal]],
+    [['Nome/Razão Social', tomador.razaoSocial]],
+    [['Endereço', enderecoTomador.linha]],
+    [['Município', enderecoTomador.municipio], ['UF', enderecoTomador.uf], ['E-mail', tomador.email]],
+  ]);
+
+  // Discriminação: a Prefeitura usa "|" como quebra de linha
+  doc.rect(MARGEM, y, LARGURA, ALTURA_DISCRIMINACAO).stroke();
+  doc.font('Helvetica-Bold').fontSize(8).text('DISCRIMINAÇÃO DOS SERVIÇOS', MARGEM, y + 4, { width: LARGURA, align: 'center' });
+  doc.font('Helvetica').fontSize(8).text(String(nota.discriminacao || '').replace(/\|/g, '\n'), MARGEM + 6, y + 18, {
+    width: LARGURA - 12,
+    height: ALTURA_DISCRIMINACAO - 24,
+    ellipsis: true,
+  });
+  y += ALTURA_DISCRIMINACAO;
+
+  // Valores
+  doc.rect(MARGEM, y, LARGURA, 20).stroke();
+  doc.font('Helvetica-Bold').fontSize(10)
+    .text(`VALOR TOTAL DO SERVIÇO = R$ ${formatarValor(nota.valorServicos)}`, MARGEM, y + 6, { width: LARGURA, align: 'center' });
+  y += 20;
+
+  const servico = nota.codigoServico ? obterTabelaServicos().obter(nota.codigoServico) : null;
+  doc.rect(MARGEM, y, LARGURA, 16).stroke();
+  doc.font('Helvetica').fontSize(7.5)
+    .text('Código do Serviço: ', MARGEM + 6, y + 5, { continued: true, width: LARGURA - 12, height: 9, ellipsis: true })
+    .font('Helvetica-Bold')
+    .text(servico ? `${servico.codigo} - ${servico.descricao}` : nota.codigoServico || '-');
+  y += 16;
+
+  const baseCalculo = (Number(nota.valorServicos) || 0) - (Number(nota.valorDeducoes) || 0);
+  y = desenharCelulas(doc, y, [
+    ['Valor Total das Deduções (R$)', formatarValor(nota.valorDeducoes)],
+    ['Base de Cálculo (R$)', formatarValor(baseCalculo)],
+    ['Alíquota (%)', formatarValor((Number(nota.aliquotaServicos) || 0) * 100)],
+    ['Valor do ISS (R$)', formatarValor(nota.valorIss)],
+    ['Crédito (R$)', formatarValor(nota.valorCredito)],
+  ]);
+  y = desenharCelulas(doc, y, [
+    ['INSS (R$)', formatarValor(nota.valorInss)],
+    ['IRRF (R$)', formatarValor(nota.valorIr)],
+    ['CSLL (R$)', formatarValor(nota.valorCsll)],
+    ['COFINS (R$)', formatarValor(nota.valorCofins)],
+    ['PIS/PASEP (R$)', formatarValor(nota.valorPis)],
+  ]);
+
+  // Outras informações
+  const informacoes = ['Esta NFS-e foi emitida com respaldo na Lei nº 14.097/2005.'];
+  if (rps.numeroRps) {
+    informacoes.push(`Esta NFS-e substitui o RPS Nº ${rps.numeroRps}${rps.serie ? ` Série ${rps.serie}` : ''}, emitido em ${formatarData(rps.dataEmissao)}.`);
+  }
+  if (nota.issRetido) {
+    informacoes.push('O ISS desta NFS-e é retido pelo tomador de serviços.');
+  }
+  if (nota.status === 'C') {
+    informacoes.push(`Esta NFS-e foi CANCELADA em ${formatarData(nota.dataCancelamento, true)}.`);
+  }
+
+  // O QR code do link de verificação fica à direita do quadro
+  const larguraTexto = LARGURA - 12 - (qrCode ? TAMANHO_QRCODE + 8 : 0);
+  const alturaInformacoes = Math.max(16 + (informacoes.length + 2) * ALTURA_LINHA, qrCode ? TAMANHO_QRCODE + 12 : 0);
+  doc.rect(MARGEM, y, LARGURA, alturaInformacoes).stroke();
+  doc.font('Helvetica-Bold').fontSize(8).text('OUTRAS INFORMAÇÕES', MARGEM, y + 4, { width: LARGURA, align: 'center' });
+  doc.font('Helvetica').fontSize(7.5);
+  informacoes.forEach((texto, i) => {
+    doc.text(`(${i + 1}) ${texto}`, MARGEM + 6, y + 16 + i * ALTURA_LINHA, { width: larguraTexto });
+  });
+  if (link) {
+    doc.text('Verifique a autenticidade desta NFS-e em:', MARGEM + 6, y + 16 + informacoes.length * ALTURA_LINHA, { width: larguraTexto });
+    doc.fillColor('#1a0dab').text(link, { width: larguraTexto, link, underline: true }).fillColor('black');
+    doc.image(qrCode, MARGEM + LARGURA - TAMANHO_QRCODE - 6, y + 6, { fit: [TAMANHO_QRCODE, TAMANHO_QRCODE] });
+  }
+
+  if (nota.status === 'C') {
+    desenharMarcaDagua(doc, 'CANCELADA');
+  } else if (homologacao) {
+    desenharMarcaDagua(doc, 'SEM VALOR FISCAL');
+  }
+
+  doc.end();
+  return pdf;
+}
+
+module.exports = {
+  buildDanfsePdf,
+  notaDoRegistro,
+  formatarDocumento,
+  formatarValor,
+  formatarData,
+};
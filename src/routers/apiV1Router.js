@@ -1,8 +1,11 @@
 const express = require('express');
-const router = express.Router();
+// mergeParams: o router também é montado em /api/v1/emitentes/:emitente (ver app.js)
+const router = express.Router({ mergeParams: true });
 
-// const authMiddleware = require('../middlewares/authMiddleware');
+const authMiddleware = require('../middlewares/authMiddleware');
 // const commonParamsMiddleware = require('../middlewares/commonParamsMiddleware');
+const tenantMiddleware = require('../middlewares/tenantMiddleware');
+const idempotencyMiddleware = require('../middlewares/idempotencyMiddleware');
 const apiV1Controller = require('../controllers/apiV1Controller');
 
 
@@ -15,14 +18,37 @@ const apiV1Controller = require('../controllers/apiV1Controller');
 
 //==============================================================================
 // ROTAS PROTEGIDAS
-// TODO: Implementar authMiddleware
+// authMiddleware(escopo): API key ou JWT com o escopo da rota (emitir, cancelar, consultar, webhooks)
+// tenantMiddleware: emitente da requisição, que deve estar vinculado à credencial
+// idempotencyMiddleware: Idempotency-Key / (CNPJ, série, número do RPS) na emissão
+// GET /servicos não depende do emitente: a tabela de códigos de serviço é a mesma para todos
+// POST /nfse/emitir?async=true enfileira a emissão; o andamento é consultado em GET /jobs/:id
 //==============================================================================
-router.post('/teste', apiV1Controller.teste);
-
-router.post('/nfse/emitir', apiV1Controller.emitirNota);
-router.get('/nfse/consultar', apiV1Controller.consultarNota);
-router.post('/nfse/cancelar', apiV1Controller.cancelarNota);
-router.get('/cnpj/:cnpj/inscricao', apiV1Controller.consultarInscricao);
+router.post('/teste', authMiddleware(), apiV1Controller.teste);
+
+router.post('/nfse/emitir', authMiddleware('emitir'), tenantMiddleware, idempotencyMiddleware, apiV1Controller.emitirNota);
+router.get('/jobs/:id', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarJob);
+router.post('/nfse/lote/testar', authMiddleware('emitir'), tenantMiddleware, apiV1Controller.testarLote);
+router.get('/nfse/consultar', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarNota);
+router.get('/nfse/emitidas', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarEmitidas);
+router.get('/nfse/recebidas', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarRecebidas);
+router.get('/nfse', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.listarNotas);
+router.get('/nfse/:numero(\\d+)', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.obterNotaRegistrada);
+router.get('/nfse/:numero(\\d+)/pdf', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.gerarPdfNota);
+router.get('/nfse/:numero(\\d+)/qrcode', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.gerarQrCodeNota);
+router.post('/nfse/cancelar', authMiddleware('cancelar'), tenantMiddleware, apiV1Controller.cancelarNota);
+router.get('/cnpj/:cnpj/inscricao', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarInscricao);
+router.get('/servicos', authMiddleware(), apiV1Controller.listarServicos);
+router.get('/servicos/:codigo', authMiddleware(), apiV1Controller.obterServico);
+router.get('/rps/sequencia', authMiddleware('consultar'), tenantMiddleware, apiV1Controller.consultarSequenciaRps);
+router.put('/rps/sequencia', authMiddleware('emitir'), tenantMiddleware, apiV1Controller.reiniciarSequenciaRps);
+
+router.post('/webhooks', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.criarWebhook);
+router.get('/webhooks', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.listarWebhooks);
+router.get('/webhooks/entregas', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.listarEntregasWebhook);
+router.get('/webhooks/entregas/:id', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.consultarEntregaWebhook);
+router.post('/webhooks/entregas/:id/reenviar', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.reenviarEntregaWebhook);
+router.delete('/webhooks/:id', authMiddleware('webhooks'), tenantMiddleware, apiV1Controller.removerWebhook);
 
 
 
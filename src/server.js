@@ -1,6 +1,8 @@
 require('dotenv').config();
 
 const http = require('http');
+const { iniciarWorker, pararWorker } = require('./core/JobWorker');
+const { obterDispatcher } = require('./core/WebhookDispatcher');
 let app;
 let server;
 
@@ -21,6 +23,13 @@ async function startServer() {
       // console.log(`DB_NAME_RDS: ${process.env.DB_NAME_RDS}`);
     });
 
+    // Workers da fila de emissão assíncrona e das entregas de webhook (JOBS_WORKER=false desativa neste processo)
+    if (process.env.JOBS_WORKER !== 'false') {
+      iniciarWorker();
+      obterDispatcher().iniciar();
+      console.log(`Job worker ${process.pid} started`);
+    }
+
   } catch(err) {
     console.error('Failed to start server:', err);
     process.exit(1);
@@ -33,12 +42,16 @@ async function startServer() {
 process.on('SIGINT', async () => {
   // console.log('SIGINT received. Closing MongoDB connection.');
   // await closeMongoConnection();
+  await pararWorker();
+  await obterDispatcher().parar();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   // console.log('SIGTERM received. Closing MongoDB connection.');
   // await closeMongoConnection();
+  await pararWorker();
+  await obterDispatcher().parar();
   process.exit(0);
 });
 //-----------------------------------------------------------------
@@ -0,0 +1,151 @@
+// src/storage/ApiKeyStore.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { sha256 } = require('../utils/hash');
+const { ValidationError } = require('../core/errors');
+const { limparDocumento, validarCnpj } = require('../core/Validacao');
+const { DATA_DIR } = require('./sqlite');
+
+// Escopos aceitos pelas rotas protegidas
+const ESCOPOS = ['emitir', 'cancelar', 'consultar', 'webhooks'];
+
+// Prefixo das chaves geradas (facilita identificar a credencial em logs e no cliente)
+const PREFIXO_CHAVE = 'nfsp_';
+
+/**
+ * @typedef {Object} ApiKey - Registro de uma API key; a chave em si nunca é gravada, só o hash
+ * @property {string} id - Identificador público (início do hash)
+ * @property {string} hash - SHA-256 da chave
+ * @property {string} descricao
+ * @property {string[]} escopos - Subconjunto de ESCOPOS
+ * @property {string[]} emitentes - CNPJs permitidos; ['*'] libera todos
+ * @property {string} criadaEm
+ * @property {string|null} revogadaEm
+ */
+
+/**
+ * Hash usado para gravar e localizar uma API key.
+ * @param {string} chave
+ * @returns {string}
+ */
+function hashChave(chave) {
+  return sha256(chave);
+}
+
+/**
+ * Gera uma nova chave aleatória e o registro correspondente (ainda não gravado).
+ *
+ * @param {Object} dados
+ * @param {string} [dados.descricao]
+ * @param {string[]} dados.escopos
+ * @param {string[]} [dados.emitentes=['*']]
+ * @returns {{chave: string, registro: ApiKey}} - A chave só é devolvida aqui
+ * @throws {ValidationError}
+ */
+function gerarApiKey({ descricao = '', escopos = [], emitentes = ['*'] } = {}) {
+  const errors = [];
+  if (!Array.isArray(escopos) || escopos.length === 0) {
+    errors.push({ campo: 'escopos', mensagem: `Informe ao menos um escopo (${ESCOPOS.join(', ')})` });
+  } else {
+    escopos.filter((e) => !ESCOPOS.includes(e)).forEach((e) => {
+      errors.push({ campo: 'escopos', mensagem: `Escopo desconhecido: ${e}` });
+    });
+  }
+  const cnpjs = (emitentes || []).map((c) => (c === '*' ? c : limparDocumento(c)));
+  if (cnpjs.length === 0) {
+    errors.push({ campo: 'emitentes', mensagem: 'Informe os CNPJs permitidos ou "*"' });
+  }
+  cnpjs.filter((c) => c !== '*' && !validarCnpj(c)).forEach((c) => {
+    errors.push({ campo: 'emitentes', mensagem: `CNPJ inválido: ${c}` });
+  });
+  if (errors.length > 0) {
+    throw new ValidationError('Dados da API key inválidos', errors);
+  }
+
+  const chave = PREFIXO_CHAVE + crypto.randomBytes(24).toString('base64url');
+  const hash = hashChave(chave);
+  return {
+    chave,
+    registro: {
+      id: hash.slice(0, 12).toLowerCase(),
+      hash,
+      descricao,
+      escopos: [...new Set(escopos)],
+      emitentes: [...new Set(cnpjs)],
+      criadaEm: new Date().toISOString(),
+      revogadaEm: null,
+    },
+  };
+}
+
+/**
+ * ApiKeyStore - interface dos repositórios de API keys.
+ * Implementações: JsonApiKeyStore (arquivo JSON) e SqliteApiKeyStore (SQLite).
+ */
+class ApiKeyStore {
+  /**
+   * @param {string} hash - SHA-256 da chave apresentada
+   * @returns {Promise<ApiKey|null>}
+   */
+  async obterPorHash(hash) {
+    throw new Error(`${this.constructor.name}.obterPorHash não implementado`);
+  }
+
+  /**
+   * @returns {Promise<ApiKey[]>}
+   */
+  async listar() {
+    throw new Error(`${this.constructor.name}.listar não implementado`);
+  }
+
+  /**
+   * @param {ApiKey} registro
+   * @returns {Promise<ApiKey>}
+   */
+  async salvar(registro) {
+    throw new Error(`${this.constructor.name}.salvar não implementado`);
+  }
+
+  /**
+   * Marca a chave como revogada (o registro é mantido para auditoria).
+   * @param {string} id
+   * @returns {Promise<boolean>} - true se a chave existia e estava ativa
+   */
+  async revogar(id) {
+    throw new Error(`${this.constructor.name}.revogar não implementado`);
+  }
+}
+
+/**
+ * Cria o store de API keys configurado no ambiente.
+ * API_KEYS_STORE: 'json' (padrão) ou 'sqlite'; API_KEYS_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {ApiKeyStore}
+ */
+function criarApiKeyStore({
+  tipo = process.env.API_KEYS_STORE || 'json',
+  arquivo = process.env.API_KEYS_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteApiKeyStore } = require('./SqliteApiKeyStore');
+    return new SqliteApiKeyStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonApiKeyStore } = require('./JsonApiKeyStore');
+    return new JsonApiKeyStore(arquivo || path.join(DATA_DIR, 'api-keys.json'));
+  }
+  throw new Error(`Tipo de store de API keys desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  ESCOPOS,
+  ApiKeyStore,
+  hashChave,
+  gerarApiKey,
+  criarApiKeyStore,
+};
@@ -0,0 +1,163 @@
+// src/storage/IdempotencyStore.js
+
+const path = require('path');
+const { DATA_DIR } = require('./sqlite');
+
+// Validade das respostas gravadas (horas)
+const TTL_HORAS = Number(process.env.IDEMPOTENCIA_TTL_HORAS) || 24;
+
+// Tempo após o qual uma reserva "processando" é considerada abandonada (ex.: worker reiniciado)
+const TEMPO_MAXIMO_PROCESSANDO_MS = 10 * 60 * 1000;
+
+/**
+ * @typedef {Object} RegistroIdempotencia
+ * @property {string} chave - Ex: 'chave:<cnpj>:<Idempotency-Key>' ou 'rps:<cnpj>:<serie>:<numero>'
+ * @property {string} impressao - Hash do corpo da requisição original
+ * @property {'processando'|'concluido'|'falhou'} estado - 'falhou': a emissão falhou depois do envio e
+ *   só pode ser repetida com o mesmo conteúdo
+ * @property {{status: number, body: Object}|null} resposta - Resposta original (quando concluído)
+ * @property {{serie: string, numeroRps: string}|null} rps - RPS numerado para a requisição, reenviado nas repetições
+ * @property {string} criadoEm
+ * @property {string} expiraEm
+ */
+
+/**
+ * Indica se um registro existente pode ser substituído por uma nova reserva.
+ * @param {RegistroIdempotencia} registro
+ * @param {number} agora - Date.now()
+ * @returns {boolean}
+ */
+function registroVencido(registro, agora) {
+  if (Date.parse(registro.expiraEm) <= agora) return true;
+  return registro.estado === 'processando' && agora - Date.parse(registro.criadoEm) > TEMPO_MAXIMO_PROCESSANDO_MS;
+}
+
+/**
+ * Cria o registro de uma nova reserva.
+ * @param {string} chave
+ * @param {string} impressao
+ * @param {number} agora
+ * @returns {RegistroIdempotencia}
+ */
+function novoRegistro(chave, impressao, agora) {
+  return {
+    chave,
+    impressao,
+    estado: 'processando',
+    resposta: null,
+    rps: null,
+    criadoEm: new Date(agora).toISOString(),
+    expiraEm: new Date(agora + TTL_HORAS * 3600 * 1000).toISOString(),
+  };
+}
+
+/**
+ * Decide a reserva da chave diante do registro existente. Uma emissão que falhou depois do envio
+ * (ou foi abandonada no meio) pode ser repetida com o mesmo conteúdo, e a nova reserva herda o RPS
+ * vinculado: a repetição reenvia o mesmo número em vez de numerar outro RPS.
+ * @param {RegistroIdempotencia|null} existente
+ * @param {string} chave
+ * @param {string} impressao
+ * @param {number} agora - Date.now()
+ * @returns {{reservado: boolean, registro: RegistroIdempotencia}}
+ */
+function avaliarReserva(existente, chave, impressao, agora) {
+  if (!existente || Date.parse(existente.expiraEm) <= agora) {
+    return { reservado: true, registro: novoRegistro(chave, impressao, agora) };
+  }
+  const repetivel = existente.estado === 'falhou' || registroVencido(existente, agora);
+  if (!repetivel || (existente.estado === 'falhou' && existente.impressao !== impressao)) {
+    return { reservado: false, registro: existente };
+  }
+  const rps = existente.impressao === impressao ? existente.rps : null;
+  return { reservado: true, registro: { ...novoRegistro(chave, impressao, agora), rps } };
+}
+
+/**
+ * IdempotencyStore - interface dos repositórios de idempotência.
+ * A reserva precisa ser atômica: duas requisições com a mesma chave nunca podem reservar ao mesmo tempo.
+ * Implementações: SqliteIdempotencyStore (padrão, atômico entre processos) e JsonIdempotencyStore (um único processo).
+ */
+class IdempotencyStore {
+  /**
+   * Reserva a chave para a requisição atual.
+   * @param {string} chave
+   * @param {string} impressao - Hash do corpo da requisição
+   * @returns {Promise<{reservado: boolean, registro: RegistroIdempotencia}>} - reservado=false traz o registro existente
+   */
+  async reservar(chave, impressao) {
+    throw new Error(`${this.constructor.name}.reservar não implementado`);
+  }
+
+  /**
+   * Grava a resposta da requisição que reservou a chave.
+   * @param {string} chave
+   * @param {{status: number, body: Object}} resposta
+   * @returns {Promise<void>}
+   */
+  async concluir(chave, resposta) {
+    throw new Error(`${this.constructor.name}.concluir não implementado`);
+  }
+
+  /**
+   * Vincula à reserva o RPS numerado para a requisição, antes do envio.
+   * @param {string} chave
+   * @param {{serie: string, numeroRps: string}} rps
+   * @returns {Promise<void>}
+   */
+  async vincular(chave, rps) {
+    throw new Error(`${this.constructor.name}.vincular não implementado`);
+  }
+
+  /**
+   * Marca a reserva como falha depois do envio: o RPS pode ter chegado à Prefeitura, então a chave
+   * só volta a ser aceita com o mesmo conteúdo (e o mesmo RPS vinculado).
+   * @param {string} chave
+   * @returns {Promise<void>}
+   */
+  async falhar(chave) {
+    throw new Error(`${this.constructor.name}.falhar não implementado`);
+  }
+
+  /**
+   * Desfaz a reserva (a requisição falhou antes do envio e pode ser repetida com qualquer conteúdo).
+   * @param {string} chave
+   * @returns {Promise<void>}
+   */
+  async liberar(chave) {
+    throw new Error(`${this.constructor.name}.liberar não implementado`);
+  }
+}
+
+/**
+ * Cria o store de idempotência configurado no ambiente.
+ * IDEMPOTENCIA_STORE: 'sqlite' (padrão) ou 'json'; IDEMPOTENCIA_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {IdempotencyStore}
+ */
+function criarIdempotencyStore({
+  tipo = process.env.IDEMPOTENCIA_STORE || 'sqlite',
+  arquivo = process.env.IDEMPOTENCIA_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteIdempotencyStore } = require('./SqliteIdempotencyStore');
+    return new SqliteIdempotencyStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonIdempotencyStore } = require('./JsonIdempotencyStore');
+    return new JsonIdempotencyStore(arquivo || path.join(DATA_DIR, 'idempotencia.json'));
+  }
+  throw new Error(`Tipo de store de idempotência desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  IdempotencyStore,
+  registroVencido,
+  novoRegistro,
+  avaliarReserva,
+  criarIdempotencyStore,
+};
@@ -0,0 +1,142 @@
+// src/storage/IssuerStore.js
+
+const path = require('path');
+const { ValidationError } = require('../core/errors');
+const { limparDocumento, validarCpf, validarCnpj } = require('../core/Validacao');
+const { DATA_DIR } = require('./sqlite');
+const { LAYOUTS, LAYOUT_PADRAO } = require('../xml/helpers');
+
+const AMBIENTES = ['producao', 'homologacao'];
+
+/**
+ * @typedef {Object} Emitente - Dados de um emitente (tenant), identificado pelo CNPJ
+ * @property {string} cnpj - CNPJ sem formatação
+ * @property {string} [razaoSocial]
+ * @property {string} [certificado] - Caminho do arquivo .pfx
+ * @property {string} [certificadoBase64] - Conteúdo do .pfx em base64 (alternativa ao caminho)
+ * @property {string} senhaCertificado - Senha do .pfx
+ * @property {string} [usuario] - CPF do usuário autorizado na Prefeitura
+ * @property {string} [senhaUsuario] - Senha do usuário na Prefeitura
+ * @property {'producao'|'homologacao'} ambiente
+ * @property {'v01'|'v02'} layout - Layout do envio de RPS (v02: Reforma Tributária, com IBS/CBS)
+ * @property {string} atualizadoEm - Data/hora ISO da última alteração
+ */
+
+/**
+ * Valida e normaliza os dados de um emitente antes de gravar.
+ * @param {Object} dados
+ * @returns {Emitente}
+ * @throws {ValidationError}
+ */
+function normalizarEmitente(dados = {}) {
+  const errors = [];
+  const cnpj = limparDocumento(dados.cnpj);
+  const usuario = limparDocumento(dados.usuario);
+  const ambiente = dados.ambiente || 'producao';
+  const layout = dados.layout || LAYOUT_PADRAO;
+
+  if (!validarCnpj(cnpj)) {
+    errors.push({ campo: 'cnpj', mensagem: 'CNPJ inválido (14 posições com dígitos verificadores)' });
+  }
+  if (usuario && !validarCpf(usuario)) {
+    errors.push({ campo: 'usuario', mensagem: 'CPF do usuário inválido' });
+  }
+  if (!dados.certificado && !dados.certificadoBase64) {
+    errors.push({ campo: 'certificado', mensagem: 'Informe o caminho do certificado ou certificadoBase64' });
+  }
+  if (!dados.senhaCertificado) {
+    errors.push({ campo: 'senhaCertificado', mensagem: 'Senha do certificado é obrigatória' });
+  }
+  if (!AMBIENTES.includes(ambiente)) {
+    errors.push({ campo: 'ambiente', mensagem: `Ambiente deve ser um de: ${AMBIENTES.join(', ')}` });
+  }
+  if (!LAYOUTS[layout]) {
+    errors.push({ campo: 'layout', mensagem: `Layout deve ser um de: ${Object.keys(LAYOUTS).join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Dados do emitente inválidos', errors);
+  }
+
+  return {
+    cnpj,
+    razaoSocial: dados.razaoSocial || null,
+    certificado: dados.certificado || null,
+    certificadoBase64: dados.certificadoBase64 || null,
+    senhaCertificado: dados.senhaCertificado,
+    usuario,
+    senhaUsuario: dados.senhaUsuario || '',
+    ambiente,
+    layout,
+    atualizadoEm: new Date().toISOString(),
+  };
+}
+
+/**
+ * IssuerStore - interface dos repositórios de emitentes.
+ * Implementações: JsonIssuerStore (arquivo JSON) e SqliteIssuerStore (SQLite).
+ * Outras (ex.: banco remoto, secrets manager) só precisam implementar os quatro métodos abaixo.
+ */
+class IssuerStore {
+  /**
+   * @param {string} cnpj
+   * @returns {Promise<Emitente|null>}
+   */
+  async obter(cnpj) {
+    throw new Error(`${this.constructor.name}.obter não implementado`);
+  }
+
+  /**
+   * @returns {Promise<Emitente[]>}
+   */
+  async listar() {
+    throw new Error(`${this.constructor.name}.listar não implementado`);
+  }
+
+  /**
+   * Grava (inclui ou substitui) um emitente.
+   * @param {Object} dados
+   * @returns {Promise<Emitente>}
+   */
+  async salvar(dados) {
+    throw new Error(`${this.constructor.name}.salvar não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @returns {Promise<boolean>} - true se o emitente existia
+   */
+  async remover(cnpj) {
+    throw new Error(`${this.constructor.name}.remover não implementado`);
+  }
+}
+
+/**
+ * Cria o store de emitentes configurado no ambiente.
+ * EMITENTES_STORE: 'json' (padrão) ou 'sqlite'; EMITENTES_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {IssuerStore}
+ */
+function criarIssuerStore({
+  tipo = process.env.EMITENTES_STORE || 'json',
+  arquivo = process.env.EMITENTES_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteIssuerStore } = require('./SqliteIssuerStore');
+    return new SqliteIssuerStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonIssuerStore } = require('./JsonIssuerStore');
+    return new JsonIssuerStore(arquivo || path.join(DATA_DIR, 'emitentes.json'));
+  }
+  throw new Error(`Tipo de store de emitentes desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  IssuerStore,
+  normalizarEmitente,
+  criarIssuerStore,
+};
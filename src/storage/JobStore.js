@@ -0,0 +1,133 @@
+// src/storage/JobStore.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./sqlite');
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {'emissao'} tipo
+ * @property {string} cnpj - Emitente (tenant) do job
+ * @property {'pendente'|'processando'|'emitida'|'falhou'} status
+ * @property {Object} payload - Dados do job (na emissão, o RPS no formato de Rps.toObject())
+ * @property {number} tentativas - Tentativas já iniciadas
+ * @property {number} maxTentativas
+ * @property {string} proximaTentativaEm - Job pendente só é reservado a partir deste instante
+ * @property {string|null} bloqueadoAte - Fim da reserva de um job "processando"; depois disso outro worker pode retomá-lo
+ * @property {Object|null} resultado - Ex: { numeroNfse, codigoVerificacao, alertas }
+ * @property {{errorCode: string, errorMessage: string, retryable: boolean, errors?: Array}|null} erro - Último erro
+ * @property {string} criadoEm
+ * @property {string} atualizadoEm
+ */
+
+/**
+ * Cria um job pendente, disponível imediatamente.
+ * @param {{tipo: string, cnpj: string, payload: Object, maxTentativas: number}} dados
+ * @param {number} agora - Date.now()
+ * @returns {Job}
+ */
+function novoJob({ tipo, cnpj, payload, maxTentativas }, agora) {
+  const instante = new Date(agora).toISOString();
+  return {
+    id: crypto.randomUUID(),
+    tipo,
+    cnpj,
+    status: 'pendente',
+    payload,
+    tentativas: 0,
+    maxTentativas,
+    proximaTentativaEm: instante,
+    bloqueadoAte: null,
+    resultado: null,
+    erro: null,
+    criadoEm: instante,
+    atualizadoEm: instante,
+  };
+}
+
+/**
+ * Indica se o job pode ser reservado: pendente e vencido, ou "processando" com a reserva expirada
+ * (worker encerrado no meio do processamento).
+ * @param {Job} job
+ * @param {number} agora
+ * @returns {boolean}
+ */
+function jobDisponivel(job, agora) {
+  if (job.status === 'pendente') return Date.parse(job.proximaTentativaEm) <= agora;
+  return job.status === 'processando' && Date.parse(job.bloqueadoAte) <= agora;
+}
+
+/**
+ * JobStore - interface da fila persistente de jobs.
+ * A reserva precisa ser atômica: um job nunca pode ser entregue a dois workers ao mesmo tempo.
+ * Implementações: SqliteJobStore (padrão, atômico entre processos) e JsonJobStore (um único processo).
+ */
+class JobStore {
+  /**
+   * @param {{tipo: string, cnpj: string, payload: Object, maxTentativas: number}} dados
+   * @returns {Promise<Job>}
+   */
+  async enfileirar(dados) {
+    throw new Error(`${this.constructor.name}.enfileirar não implementado`);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Job|null>}
+   */
+  async obter(id) {
+    throw new Error(`${this.constructor.name}.obter não implementado`);
+  }
+
+  /**
+   * Reserva o job disponível mais antigo: passa a "processando", incrementa as tentativas e bloqueia por duracaoMs.
+   * @param {number} duracaoMs
+   * @returns {Promise<Job|null>}
+   */
+  async reservar(duracaoMs) {
+    throw new Error(`${this.constructor.name}.reservar não implementado`);
+  }
+
+  /**
+   * Altera o job (status, resultado, erro, proximaTentativaEm...) e atualiza atualizadoEm.
+   * @param {string} id
+   * @param {Partial<Job>} campos
+   * @returns {Promise<Job|null>}
+   */
+  async atualizar(id, campos) {
+    throw new Error(`${this.constructor.name}.atualizar não implementado`);
+  }
+}
+
+/**
+ * Cria a fila de jobs configurada no ambiente.
+ * JOBS_STORE: 'sqlite' (padrão) ou 'json'; JOBS_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {JobStore}
+ */
+function criarJobStore({
+  tipo = process.env.JOBS_STORE || 'sqlite',
+  arquivo = process.env.JOBS_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteJobStore } = require('./SqliteJobStore');
+    return new SqliteJobStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonJobStore } = require('./JsonJobStore');
+    return new JsonJobStore(arquivo || path.join(DATA_DIR, 'jobs.json'));
+  }
+  throw new Error(`Tipo de fila de jobs desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  JobStore,
+  novoJob,
+  jobDisponivel,
+  criarJobStore,
+};
@@ -0,0 +1,41 @@
+// src/storage/JsonApiKeyStore.js
+
+const { ApiKeyStore } = require('./ApiKeyStore');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonApiKeyStore - API keys gravadas em um arquivo JSON ({ "apiKeys": { "<hash>": {...} } }).
+ */
+class JsonApiKeyStore extends ApiKeyStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'apiKeys');
+  }
+
+  async obterPorHash(hash) {
+    const registro = this.arquivo.ler()[hash];
+    return registro ? { ...registro } : null;
+  }
+
+  async listar() {
+    return Object.values(this.arquivo.ler()).map((r) => ({ ...r }));
+  }
+
+  async salvar(registro) {
+    this.arquivo.gravar({ ...this.arquivo.ler(), [registro.hash]: registro });
+    return { ...registro };
+  }
+
+  async revogar(id) {
+    const registros = this.arquivo.ler();
+    const registro = Object.values(registros).find((r) => r.id === id && !r.revogadaEm);
+    if (!registro) return false;
+    this.arquivo.gravar({ ...registros, [registro.hash]: { ...registro, revogadaEm: new Date().toISOString() } });
+    return true;
+  }
+}
+
+module.exports = { JsonApiKeyStore };
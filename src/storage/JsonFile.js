@@ -0,0 +1,54 @@
+// src/storage/JsonFile.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JsonFile - leitura e gravação de um arquivo JSON usado como store ({ "<raiz>": { "<chave>": {...} } }).
+ * O conteúdo é relido quando o arquivo é alterado externamente (mtime) e gravado de forma atômica.
+ */
+class JsonFile {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   * @param {string} raiz - Nome da propriedade raiz (ex: 'emitentes')
+   */
+  constructor(arquivo, raiz) {
+    if (!arquivo) throw new Error('Caminho do arquivo JSON é obrigatório');
+    this.arquivo = path.resolve(arquivo);
+    this.raiz = raiz;
+    this.cache = null;
+    this.mtime = 0;
+  }
+
+  /**
+   * Lê os registros, reaproveitando o conteúdo enquanto o arquivo não for alterado.
+   * @returns {Object<string, Object>}
+   */
+  ler() {
+    if (!fs.existsSync(this.arquivo)) {
+      return {};
+    }
+    const { mtimeMs } = fs.statSync(this.arquivo);
+    if (!this.cache || mtimeMs !== this.mtime) {
+      const conteudo = JSON.parse(fs.readFileSync(this.arquivo, 'utf8') || '{}');
+      this.cache = conteudo[this.raiz] || {};
+      this.mtime = mtimeMs;
+    }
+    return this.cache;
+  }
+
+  /**
+   * Grava todos os registros (arquivo temporário + rename).
+   * @param {Object<string, Object>} registros
+   */
+  gravar(registros) {
+    fs.mkdirSync(path.dirname(this.arquivo), { recursive: true });
+    const temporario = `${this.arquivo}.${process.pid}.tmp`;
+    fs.writeFileSync(temporario, JSON.stringify({ [this.raiz]: registros }, null, 2), { mode: 0o600 });
+    fs.renameSync(temporario, this.arquivo);
+    this.cache = registros;
+    this.mtime = fs.statSync(this.arquivo).mtimeMs;
+  }
+}
+
+module.exports = { JsonFile };
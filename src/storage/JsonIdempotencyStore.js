@@ -0,0 +1,65 @@
+// src/storage/JsonIdempotencyStore.js
+
+const { IdempotencyStore, registroVencido, avaliarReserva } = require('./IdempotencyStore');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonIdempotencyStore - registros de idempotência em um arquivo JSON.
+ * A reserva é atômica apenas dentro do processo; em modo cluster use o SqliteIdempotencyStore.
+ */
+class JsonIdempotencyStore extends IdempotencyStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'registros');
+  }
+
+  async reservar(chave, impressao) {
+    const agora = Date.now();
+    const registros = this.arquivo.ler();
+    const { reservado, registro } = avaliarReserva(registros[chave] || null, chave, impressao, agora);
+    if (!reservado) {
+      return { reservado, registro: { ...registro } };
+    }
+
+    // Descarta os vencidos a cada gravação, para o arquivo não crescer indefinidamente
+    const validos = Object.fromEntries(Object.entries(registros).filter(([, r]) => !registroVencido(r, agora)));
+    this.arquivo.gravar({ ...validos, [chave]: registro });
+    return { reservado, registro };
+  }
+
+  async concluir(chave, resposta) {
+    this._atualizar(chave, { estado: 'concluido', resposta });
+  }
+
+  async vincular(chave, rps) {
+    this._atualizar(chave, { rps });
+  }
+
+  async falhar(chave) {
+    this._atualizar(chave, { estado: 'falhou' });
+  }
+
+  async liberar(chave) {
+    const { [chave]: removido, ...demais } = this.arquivo.ler();
+    if (removido) {
+      this.arquivo.gravar(demais);
+    }
+  }
+
+  /**
+   * Altera os campos do registro da chave, se existir.
+   * @param {string} chave
+   * @param {Object} alteracoes
+   * @private
+   */
+  _atualizar(chave, alteracoes) {
+    const registros = this.arquivo.ler();
+    if (!registros[chave]) return;
+    this.arquivo.gravar({ ...registros, [chave]: { ...registros[chave], ...alteracoes } });
+  }
+}
+
+module.exports = { JsonIdempotencyStore };
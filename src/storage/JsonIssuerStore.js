@@ -0,0 +1,44 @@
+// src/storage/JsonIssuerStore.js
+
+const { IssuerStore, normalizarEmitente } = require('./IssuerStore');
+const { JsonFile } = require('./JsonFile');
+const { limparDocumento } = require('../core/Validacao');
+
+/**
+ * JsonIssuerStore - emitentes gravados em um arquivo JSON ({ "emitentes": { "<cnpj>": {...} } }).
+ */
+class JsonIssuerStore extends IssuerStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'emitentes');
+  }
+
+  async obter(cnpj) {
+    const chave = limparDocumento(cnpj);
+    const emitente = this.arquivo.ler()[chave];
+    return emitente ? { ...emitente } : null;
+  }
+
+  async listar() {
+    return Object.values(this.arquivo.ler()).map((e) => ({ ...e }));
+  }
+
+  async salvar(dados) {
+    const emitente = normalizarEmitente(dados);
+    this.arquivo.gravar({ ...this.arquivo.ler(), [emitente.cnpj]: emitente });
+    return { ...emitente };
+  }
+
+  async remover(cnpj) {
+    const chave = limparDocumento(cnpj);
+    const { [chave]: removido, ...demais } = this.arquivo.ler();
+    if (!removido) return false;
+    this.arquivo.gravar(demais);
+    return true;
+  }
+}
+
+module.exports = { JsonIssuerStore };
@@ -0,0 +1,58 @@
+// src/storage/JsonJobStore.js
+
+const { JobStore, novoJob, jobDisponivel } = require('./JobStore');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonJobStore - fila de jobs em um arquivo JSON ({ "jobs": { "<id>": {...} } }).
+ * A reserva é atômica apenas dentro do processo; em modo cluster use o SqliteJobStore.
+ */
+class JsonJobStore extends JobStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'jobs');
+  }
+
+  async enfileirar(dados) {
+    const job = novoJob(dados, Date.now());
+    this.arquivo.gravar({ ...this.arquivo.ler(), [job.id]: job });
+    return job;
+  }
+
+  async obter(id) {
+    const job = this.arquivo.ler()[id];
+    return job ? { ...job } : null;
+  }
+
+  async reservar(duracaoMs) {
+    const agora = Date.now();
+    const jobs = this.arquivo.ler();
+    const [proximo] = Object.values(jobs)
+      .filter((job) => jobDisponivel(job, agora))
+      .sort((a, b) => a.proximaTentativaEm.localeCompare(b.proximaTentativaEm));
+    if (!proximo) return null;
+
+    const job = {
+      ...proximo,
+      status: 'processando',
+      tentativas: proximo.tentativas + 1,
+      bloqueadoAte: new Date(agora + duracaoMs).toISOString(),
+      atualizadoEm: new Date(agora).toISOString(),
+    };
+    this.arquivo.gravar({ ...jobs, [job.id]: job });
+    return job;
+  }
+
+  async atualizar(id, campos) {
+    const jobs = this.arquivo.ler();
+    if (!jobs[id]) return null;
+    const job = { ...jobs[id], ...campos, id, atualizadoEm: new Date().toISOString() };
+    this.arquivo.gravar({ ...jobs, [id]: job });
+    return job;
+  }
+}
+
+module.exports = { JsonJobStore };
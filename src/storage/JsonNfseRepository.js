@@ -0,0 +1,63 @@
+// src/storage/JsonNfseRepository.js
+
+const { NfseRepository, semXml } = require('./NfseRepository');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonNfseRepository - registros em um arquivo JSON ({ "notas": { "<cnpj>:<serie>:<numeroRps>": {...} } }).
+ * Indicado apenas para desenvolvimento: o arquivo inteiro é regravado a cada registro.
+ */
+class JsonNfseRepository extends NfseRepository {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'notas');
+  }
+
+  async registrar(registro) {
+    const chave = `${registro.cnpj}:${registro.serie}:${registro.numeroRps}`;
+    const notas = this.arquivo.ler();
+    const agora = new Date().toISOString();
+    const gravado = { ...(notas[chave] || { criadoEm: agora }), ...registro, atualizadoEm: agora };
+    this.arquivo.gravar({ ...notas, [chave]: gravado });
+    return gravado;
+  }
+
+  async obterPorRps(cnpj, serie, numeroRps) {
+    const registro = this.arquivo.ler()[`${cnpj}:${serie}:${numeroRps}`];
+    return registro ? { ...registro } : null;
+  }
+
+  async obterPorNfse(cnpj, numeroNfse) {
+    const registro = Object.values(this.arquivo.ler())
+      .find((r) => r.cnpj === cnpj && r.numeroNfse === String(numeroNfse));
+    return registro ? { ...registro } : null;
+  }
+
+  async atualizarPorNfse(cnpj, numeroNfse, campos) {
+    const registro = await this.obterPorNfse(cnpj, numeroNfse);
+    return registro ? this.registrar({ ...registro, ...campos }) : null;
+  }
+
+  async listar(cnpj, { tomador, inicio, fim, status, valorMinimo, valorMaximo, pagina = 1, limite = 50 } = {}) {
+    const busca = (tomador || '').toLowerCase();
+    const filtradas = Object.values(this.arquivo.ler())
+      .filter((r) => r.cnpj === cnpj)
+      .filter((r) => !busca || r.tomador.documento === busca || r.tomador.razaoSocial.toLowerCase().includes(busca))
+      .filter((r) => !inicio || r.dataEmissao >= inicio)
+      .filter((r) => !fim || r.dataEmissao <= fim)
+      .filter((r) => !status || r.status === status)
+      .filter((r) => valorMinimo === undefined || r.valorServicos >= valorMinimo)
+      .filter((r) => valorMaximo === undefined || r.valorServicos <= valorMaximo)
+      .sort((a, b) => b.dataEmissao.localeCompare(a.dataEmissao) || b.criadoEm.localeCompare(a.criadoEm));
+
+    return {
+      total: filtradas.length,
+      notas: filtradas.slice((pagina - 1) * limite, pagina * limite).map(semXml),
+    };
+  }
+}
+
+module.exports = { JsonNfseRepository };
@@ -0,0 +1,80 @@
+// src/storage/JsonRpsSequenceStore.js
+
+const { RpsSequenceStore } = require('./RpsSequenceStore');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonRpsSequenceStore - numeração de RPS em um arquivo JSON ({ "sequencias": { "<cnpj>:<serie>": {...} } }).
+ * A alocação é atômica apenas dentro do processo; em modo cluster use o SqliteRpsSequenceStore.
+ */
+class JsonRpsSequenceStore extends RpsSequenceStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON
+   */
+  constructor(arquivo) {
+    super();
+    this.arquivo = new JsonFile(arquivo, 'sequencias');
+  }
+
+  _obter(cnpj, serie) {
+    const atual = this.arquivo.ler()[`${cnpj}:${serie}`];
+    return atual
+      ? { ...atual, devolvidos: [...atual.devolvidos] }
+      : { cnpj, serie, proximo: 1, devolvidos: [], atualizadoEm: null };
+  }
+
+  _gravar(sequencia) {
+    const gravada = { ...sequencia, atualizadoEm: new Date().toISOString() };
+    this.arquivo.gravar({ ...this.arquivo.ler(), [`${sequencia.cnpj}:${sequencia.serie}`]: gravada });
+    return gravada;
+  }
+
+  async alocar(cnpj, serie) {
+    const sequencia = this._obter(cnpj, serie);
+    let numero;
+    if (sequencia.devolvidos.length > 0) {
+      numero = sequencia.devolvidos.shift();
+    } else {
+      numero = sequencia.proximo;
+      sequencia.proximo += 1;
+    }
+    this._gravar(sequencia);
+    return numero;
+  }
+
+  async registrar(cnpj, serie, numero) {
+    const sequencia = this._obter(cnpj, serie);
+    sequencia.proximo = Math.max(sequencia.proximo, numero + 1);
+    sequencia.devolvidos = sequencia.devolvidos.filter((n) => n !== numero);
+    return this._gravar(sequencia);
+  }
+
+  async devolver(cnpj, serie, numero) {
+    const sequencia = this._obter(cnpj, serie);
+    if (numero >= sequencia.proximo || sequencia.devolvidos.includes(numero)) {
+      return false;
+    }
+    sequencia.devolvidos = [...sequencia.devolvidos, numero].sort((a, b) => a - b);
+    this._gravar(sequencia);
+    return true;
+  }
+
+  async consultar(cnpj, serie) {
+    return this._obter(cnpj, serie);
+  }
+
+  async listar(cnpj) {
+    return Object.values(this.arquivo.ler())
+      .filter((s) => s.cnpj === cnpj)
+      .sort((a, b) => a.serie.localeCompare(b.serie));
+  }
+
+  async reiniciar(cnpj, serie, proximo) {
+    const sequencia = this._obter(cnpj, serie);
+    sequencia.proximo = proximo;
+    sequencia.devolvidos = sequencia.devolvidos.filter((n) => n < proximo);
+    return this._gravar(sequencia);
+  }
+}
+
+module.exports = { JsonRpsSequenceStore };
@@ -0,0 +1,92 @@
+// src/storage/JsonWebhookStore.js
+
+const { WebhookStore, entregaDisponivel } = require('./WebhookStore');
+const { JsonFile } = require('./JsonFile');
+
+/**
+ * JsonWebhookStore - assinaturas em um arquivo JSON ({ "assinaturas": {...} }) e o log de entregas
+ * em um segundo arquivo ao lado dele (<arquivo>-entregas.json, { "entregas": {...} }).
+ * A reserva é atômica apenas dentro do processo; em modo cluster use o SqliteWebhookStore.
+ */
+class JsonWebhookStore extends WebhookStore {
+  /**
+   * @param {string} arquivo - Caminho do arquivo JSON das assinaturas
+   */
+  constructor(arquivo) {
+    super();
+    this.assinaturas = new JsonFile(arquivo, 'assinaturas');
+    this.entregas = new JsonFile(arquivo.replace(/\.json$/i, '') + '-entregas.json', 'entregas');
+  }
+
+  async salvarAssinatura(assinatura) {
+    this.assinaturas.gravar({ ...this.assinaturas.ler(), [assinatura.id]: assinatura });
+    return { ...assinatura };
+  }
+
+  async obterAssinatura(id) {
+    const assinatura = this.assinaturas.ler()[id];
+    return assinatura ? { ...assinatura } : null;
+  }
+
+  async listarAssinaturas(cnpj) {
+    return Object.values(this.assinaturas.ler())
+      .filter((a) => a.cnpj === cnpj)
+      .sort((a, b) => a.criadaEm.localeCompare(b.criadaEm));
+  }
+
+  async removerAssinatura(id) {
+    const { [id]: removida, ...demais } = this.assinaturas.ler();
+    if (!removida) return false;
+    this.assinaturas.gravar(demais);
+    return true;
+  }
+
+  async registrarEntrega(entrega) {
+    this.entregas.gravar({ ...this.entregas.ler(), [entrega.id]: entrega });
+    return { ...entrega };
+  }
+
+  async obterEntrega(id) {
+    const entrega = this.entregas.ler()[id];
+    return entrega ? { ...entrega } : null;
+  }
+
+  async listarEntregas(cnpj, { assinaturaId, evento, status, limite = 50 } = {}) {
+    return Object.values(this.entregas.ler())
+      .filter((e) => e.cnpj === cnpj)
+      .filter((e) => !assinaturaId || e.assinaturaId === assinaturaId)
+      .filter((e) => !evento || e.evento === evento)
+      .filter((e) => !status || e.status === status)
+      .sort((a, b) => b.criadaEm.localeCompare(a.criadaEm))
+      .slice(0, limite);
+  }
+
+  async reservarEntrega(duracaoMs) {
+    const agora = Date.now();
+    const entregas = this.entregas.ler();
+    const [proxima] = Object.values(entregas)
+      .filter((e) => entregaDisponivel(e, agora))
+      .sort((a, b) => a.proximaTentativaEm.localeCompare(b.proximaTentativaEm));
+    if (!proxima) return null;
+
+    const entrega = {
+      ...proxima,
+      status: 'processando',
+      tentativas: proxima.tentativas + 1,
+      bloqueadoAte: new Date(agora + duracaoMs).toISOString(),
+      atualizadaEm: new Date(agora).toISOString(),
+    };
+    this.entregas.gravar({ ...entregas, [entrega.id]: entrega });
+    return entrega;
+  }
+
+  async atualizarEntrega(id, campos) {
+    const entregas = this.entregas.ler();
+    if (!entregas[id]) return null;
+    const entrega = { ...entregas[id], ...campos, id, atualizadaEm: new Date().toISOString() };
+    this.entregas.gravar({ ...entregas, [id]: entrega });
+    return entrega;
+  }
+}
+
+module.exports = { JsonWebhookStore };
@@ -0,0 +1,142 @@
+// src/storage/NfseRepository.js
+
+const path = require('path');
+const { DATA_DIR } = require('./sqlite');
+
+// Situações de um RPS registrado
+const STATUS = ['emitida', 'rejeitada', 'erro', 'enviada', 'cancelada'];
+
+/**
+ * @typedef {Object} RegistroNfse
+ * @property {string} cnpj - Emitente (prestador)
+ * @property {string} serie
+ * @property {string} numeroRps
+ * @property {'emitida'|'rejeitada'|'erro'|'enviada'|'cancelada'} status - "enviada": RPS aceito em lote, NFS-e ainda não conhecida
+ * @property {string|null} numeroNfse
+ * @property {string|null} codigoVerificacao
+ * @property {string|null} numeroLote
+ * @property {string|null} emitidaEm - Data/hora em que a NFS-e foi gerada
+ * @property {string} dataEmissao - Data de emissão do RPS (AAAA-MM-DD)
+ * @property {{documento: string|null, razaoSocial: string}} tomador
+ * @property {number} valorServicos
+ * @property {Object} rps - Payload enviado (formato de Rps.toObject(), com im e assinatura)
+ * @property {string|null} xmlPedido - Pedido assinado
+ * @property {string|null} xmlRetorno - RetornoXML recebido
+ * @property {string|null} xmlCancelamento - Pedido de cancelamento assinado
+ * @property {string|null} xmlRetornoCancelamento
+ * @property {Array<{codigo: number, code: string, descricao: string}>} alertas
+ * @property {Array<{codigo: number, code: string, descricao: string}>} erros
+ * @property {{errorCode: string, errorMessage: string}|null} erro - Falha sem retorno da Prefeitura (transporte)
+ * @property {string|null} canceladaEm
+ * @property {string} criadoEm
+ * @property {string} atualizadoEm
+ */
+
+/**
+ * @typedef {Object} FiltrosNfse
+ * @property {string} [tomador] - CPF/CNPJ (só dígitos, exato) ou parte da razão social
+ * @property {string} [inicio] - Data de emissão inicial (AAAA-MM-DD)
+ * @property {string} [fim] - Data de emissão final (AAAA-MM-DD)
+ * @property {string} [status]
+ * @property {number} [valorMinimo]
+ * @property {number} [valorMaximo]
+ * @property {number} [pagina=1]
+ * @property {number} [limite=50]
+ */
+
+/**
+ * Registro sem os XMLs, usado nas listagens.
+ * @param {RegistroNfse} registro
+ * @returns {Object}
+ */
+function semXml({ xmlPedido, xmlRetorno, xmlCancelamento, xmlRetornoCancelamento, ...resumo }) {
+  return resumo;
+}
+
+/**
+ * NfseRepository - interface dos repositórios dos RPS enviados e das NFS-e resultantes.
+ * Cada RPS é identificado por (cnpj, serie, numeroRps); novos envios do mesmo RPS atualizam o registro.
+ * Implementações: SqliteNfseRepository (padrão) e JsonNfseRepository.
+ */
+class NfseRepository {
+  /**
+   * Inclui o RPS ou mescla os campos informados no registro existente.
+   * @param {Partial<RegistroNfse>} registro - Deve conter cnpj, serie e numeroRps
+   * @returns {Promise<RegistroNfse>}
+   */
+  async registrar(registro) {
+    throw new Error(`${this.constructor.name}.registrar não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @param {string} serie
+   * @param {string} numeroRps
+   * @returns {Promise<RegistroNfse|null>}
+   */
+  async obterPorRps(cnpj, serie, numeroRps) {
+    throw new Error(`${this.constructor.name}.obterPorRps não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @param {string} numeroNfse
+   * @returns {Promise<RegistroNfse|null>}
+   */
+  async obterPorNfse(cnpj, numeroNfse) {
+    throw new Error(`${this.constructor.name}.obterPorNfse não implementado`);
+  }
+
+  /**
+   * Mescla os campos informados no registro da NFS-e.
+   * @param {string} cnpj
+   * @param {string} numeroNfse
+   * @param {Partial<RegistroNfse>} campos
+   * @returns {Promise<RegistroNfse|null>} - null se a NFS-e não foi registrada
+   */
+  async atualizarPorNfse(cnpj, numeroNfse, campos) {
+    throw new Error(`${this.constructor.name}.atualizarPorNfse não implementado`);
+  }
+
+  /**
+   * Registros do emitente (sem os XMLs), do mais recente para o mais antigo.
+   * @param {string} cnpj
+   * @param {FiltrosNfse} [filtros]
+   * @returns {Promise<{total: number, notas: Object[]}>}
+   */
+  async listar(cnpj, filtros) {
+    throw new Error(`${this.constructor.name}.listar não implementado`);
+  }
+}
+
+/**
+ * Cria o repositório de NFS-e configurado no ambiente.
+ * NFSE_STORE: 'sqlite' (padrão) ou 'json'; NFSE_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {NfseRepository}
+ */
+function criarNfseRepository({
+  tipo = process.env.NFSE_STORE || 'sqlite',
+  arquivo = process.env.NFSE_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteNfseRepository } = require('./SqliteNfseRepository');
+    return new SqliteNfseRepository(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonNfseRepository } = require('./JsonNfseRepository');
+    return new JsonNfseRepository(arquivo || path.join(DATA_DIR, 'nfse.json'));
+  }
+  throw new Error(`Tipo de repositório de NFS-e desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  STATUS,
+  NfseRepository,
+  semXml,
+  criarNfseRepository,
+};
@@ -0,0 +1,111 @@
+// src/storage/RpsSequenceStore.js
+
+const path = require('path');
+const { DATA_DIR } = require('./sqlite');
+
+/**
+ * @typedef {Object} SequenciaRps
+ * @property {string} cnpj
+ * @property {string} serie
+ * @property {number} proximo - Próximo número a ser alocado (quando não houver devolvidos)
+ * @property {number[]} devolvidos - Números alocados e devolvidos, reutilizados antes de "proximo"
+ * @property {string|null} atualizadoEm
+ */
+
+/**
+ * RpsSequenceStore - interface dos repositórios da numeração de RPS por (CNPJ, série).
+ * A alocação precisa ser atômica: o mesmo número nunca pode ser entregue a duas requisições.
+ * Implementações: SqliteRpsSequenceStore (padrão, atômico entre processos) e JsonRpsSequenceStore (um único processo).
+ */
+class RpsSequenceStore {
+  /**
+   * Aloca o próximo número da série (primeiro os devolvidos, do menor para o maior).
+   * @param {string} cnpj
+   * @param {string} serie
+   * @returns {Promise<number>}
+   */
+  async alocar(cnpj, serie) {
+    throw new Error(`${this.constructor.name}.alocar não implementado`);
+  }
+
+  /**
+   * Registra um número informado explicitamente no RPS: a série passa a alocar a partir do seguinte
+   * (proximo = max(proximo, numero + 1)) e o número deixa de constar entre os devolvidos.
+   * @param {string} cnpj
+   * @param {string} serie
+   * @param {number} numero
+   * @returns {Promise<SequenciaRps>}
+   */
+  async registrar(cnpj, serie, numero) {
+    throw new Error(`${this.constructor.name}.registrar não implementado`);
+  }
+
+  /**
+   * Devolve um número alocado que não chegou a ser enviado à Prefeitura.
+   * @param {string} cnpj
+   * @param {string} serie
+   * @param {number} numero
+   * @returns {Promise<boolean>} - true se o número foi devolvido
+   */
+  async devolver(cnpj, serie, numero) {
+    throw new Error(`${this.constructor.name}.devolver não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @param {string} serie
+   * @returns {Promise<SequenciaRps>} - Série sem uso começa em 1
+   */
+  async consultar(cnpj, serie) {
+    throw new Error(`${this.constructor.name}.consultar não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @returns {Promise<SequenciaRps[]>} - Séries já usadas pelo CNPJ
+   */
+  async listar(cnpj) {
+    throw new Error(`${this.constructor.name}.listar não implementado`);
+  }
+
+  /**
+   * Redefine o próximo número da série, descartando os devolvidos a partir dele.
+   * @param {string} cnpj
+   * @param {string} serie
+   * @param {number} proximo
+   * @returns {Promise<SequenciaRps>}
+   */
+  async reiniciar(cnpj, serie, proximo) {
+    throw new Error(`${this.constructor.name}.reiniciar não implementado`);
+  }
+}
+
+/**
+ * Cria o store de numeração de RPS configurado no ambiente.
+ * RPS_SEQUENCIA_STORE: 'sqlite' (padrão) ou 'json'; RPS_SEQUENCIA_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {RpsSequenceStore}
+ */
+function criarRpsSequenceStore({
+  tipo = process.env.RPS_SEQUENCIA_STORE || 'sqlite',
+  arquivo = process.env.RPS_SEQUENCIA_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteRpsSequenceStore } = require('./SqliteRpsSequenceStore');
+    return new SqliteRpsSequenceStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonRpsSequenceStore } = require('./JsonRpsSequenceStore');
+    return new JsonRpsSequenceStore(arquivo || path.join(DATA_DIR, 'rps-sequencia.json'));
+  }
+  throw new Error(`Tipo de store de numeração de RPS desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  RpsSequenceStore,
+  criarRpsSequenceStore,
+};
@@ -0,0 +1,52 @@
+// src/storage/SqliteApiKeyStore.js
+
+const { ApiKeyStore } = require('./ApiKeyStore');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteApiKeyStore - API keys gravadas na tabela "api_keys" do banco SQLite.
+ */
+class SqliteApiKeyStore extends ApiKeyStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        hash TEXT PRIMARY KEY,
+        id TEXT NOT NULL UNIQUE,
+        dados TEXT NOT NULL,
+        revogada_em TEXT
+      )
+    `);
+  }
+
+  async obterPorHash(hash) {
+    const linha = this.db.prepare('SELECT dados FROM api_keys WHERE hash = ?').get(hash);
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async listar() {
+    return this.db.prepare('SELECT dados FROM api_keys ORDER BY id').all()
+      .map((linha) => JSON.parse(linha.dados));
+  }
+
+  async salvar(registro) {
+    this.db.prepare(`
+      INSERT INTO api_keys (hash, id, dados, revogada_em) VALUES (@hash, @id, @dados, @revogadaEm)
+      ON CONFLICT(hash) DO UPDATE SET dados = excluded.dados, revogada_em = excluded.revogada_em
+    `).run({ hash: registro.hash, id: registro.id, dados: JSON.stringify(registro), revogadaEm: registro.revogadaEm });
+    return registro;
+  }
+
+  async revogar(id) {
+    const linha = this.db.prepare('SELECT dados FROM api_keys WHERE id = ? AND revogada_em IS NULL').get(id);
+    if (!linha) return false;
+    await this.salvar({ ...JSON.parse(linha.dados), revogadaEm: new Date().toISOString() });
+    return true;
+  }
+}
+
+module.exports = { SqliteApiKeyStore };
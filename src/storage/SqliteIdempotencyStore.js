@@ -0,0 +1,84 @@
+// src/storage/SqliteIdempotencyStore.js
+
+const { IdempotencyStore, avaliarReserva } = require('./IdempotencyStore');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteIdempotencyStore - registros de idempotência na tabela "idempotencia".
+ * A reserva roda em transação IMMEDIATE, o que a torna atômica entre os workers do cluster.
+ */
+class SqliteIdempotencyStore extends IdempotencyStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS idempotencia (
+        chave TEXT PRIMARY KEY,
+        impressao TEXT NOT NULL,
+        estado TEXT NOT NULL,
+        resposta TEXT,
+        rps TEXT,
+        criado_em TEXT NOT NULL,
+        expira_em TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_idempotencia_expira_em ON idempotencia (expira_em);
+    `);
+    // Bancos criados antes do vínculo com o RPS
+    if (!this.db.prepare('PRAGMA table_info(idempotencia)').all().some((coluna) => coluna.name === 'rps')) {
+      this.db.exec('ALTER TABLE idempotencia ADD COLUMN rps TEXT');
+    }
+
+    const deLinha = (linha) => linha && {
+      chave: linha.chave,
+      impressao: linha.impressao,
+      estado: linha.estado,
+      resposta: linha.resposta ? JSON.parse(linha.resposta) : null,
+      rps: linha.rps ? JSON.parse(linha.rps) : null,
+      criadoEm: linha.criado_em,
+      expiraEm: linha.expira_em,
+    };
+
+    this._reservar = this.db.transaction((chave, impressao) => {
+      const agora = Date.now();
+      this.db.prepare('DELETE FROM idempotencia WHERE expira_em <= ?').run(new Date(agora).toISOString());
+
+      const existente = deLinha(this.db.prepare('SELECT * FROM idempotencia WHERE chave = ?').get(chave));
+      const { reservado, registro } = avaliarReserva(existente || null, chave, impressao, agora);
+      if (!reservado) {
+        return { reservado, registro };
+      }
+
+      this.db.prepare(`
+        INSERT OR REPLACE INTO idempotencia (chave, impressao, estado, resposta, rps, criado_em, expira_em)
+        VALUES (@chave, @impressao, @estado, NULL, @rps, @criadoEm, @expiraEm)
+      `).run({ ...registro, rps: registro.rps && JSON.stringify(registro.rps) });
+      return { reservado, registro };
+    });
+  }
+
+  async reservar(chave, impressao) {
+    return this._reservar.immediate(chave, impressao);
+  }
+
+  async concluir(chave, resposta) {
+    this.db.prepare("UPDATE idempotencia SET estado = 'concluido', resposta = ? WHERE chave = ?")
+      .run(JSON.stringify(resposta), chave);
+  }
+
+  async vincular(chave, rps) {
+    this.db.prepare('UPDATE idempotencia SET rps = ? WHERE chave = ?').run(JSON.stringify(rps), chave);
+  }
+
+  async falhar(chave) {
+    this.db.prepare("UPDATE idempotencia SET estado = 'falhou' WHERE chave = ?").run(chave);
+  }
+
+  async liberar(chave) {
+    this.db.prepare('DELETE FROM idempotencia WHERE chave = ?').run(chave);
+  }
+}
+
+module.exports = { SqliteIdempotencyStore };
@@ -0,0 +1,53 @@
+// src/storage/SqliteIssuerStore.js
+
+const { IssuerStore, normalizarEmitente } = require('./IssuerStore');
+const { abrirBanco } = require('./sqlite');
+const { limparDocumento } = require('../core/Validacao');
+
+/**
+ * SqliteIssuerStore - emitentes gravados na tabela "emitentes" do banco SQLite.
+ * Os dados ficam em uma coluna JSON para que novos campos não exijam migração.
+ */
+class SqliteIssuerStore extends IssuerStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS emitentes (
+        cnpj TEXT PRIMARY KEY,
+        dados TEXT NOT NULL,
+        atualizado_em TEXT NOT NULL
+      )
+    `);
+  }
+
+  async obter(cnpj) {
+    const chave = limparDocumento(cnpj);
+    const linha = this.db.prepare('SELECT dados FROM emitentes WHERE cnpj = ?').get(chave);
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async listar() {
+    return this.db.prepare('SELECT dados FROM emitentes ORDER BY cnpj').all()
+      .map((linha) => JSON.parse(linha.dados));
+  }
+
+  async salvar(dados) {
+    const emitente = normalizarEmitente(dados);
+    this.db.prepare(`
+      INSERT INTO emitentes (cnpj, dados, atualizado_em) VALUES (@cnpj, @dados, @atualizadoEm)
+      ON CONFLICT(cnpj) DO UPDATE SET dados = excluded.dados, atualizado_em = excluded.atualizado_em
+    `).run({ cnpj: emitente.cnpj, dados: JSON.stringify(emitente), atualizadoEm: emitente.atualizadoEm });
+    return emitente;
+  }
+
+  async remover(cnpj) {
+    const chave = limparDocumento(cnpj);
+    return this.db.prepare('DELETE FROM emitentes WHERE cnpj = ?').run(chave).changes > 0;
+  }
+}
+
+module.exports = { SqliteIssuerStore };
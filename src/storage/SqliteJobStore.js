@@ -0,0 +1,89 @@
+// src/storage/SqliteJobStore.js
+
+const { JobStore, novoJob } = require('./JobStore');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteJobStore - fila de jobs na tabela "jobs" (job completo em JSON, com as colunas usadas na reserva).
+ * A reserva roda em transação IMMEDIATE, o que a torna atômica entre os workers do cluster.
+ */
+class SqliteJobStore extends JobStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        cnpj TEXT NOT NULL,
+        status TEXT NOT NULL,
+        proxima_tentativa_em TEXT NOT NULL,
+        bloqueado_ate TEXT,
+        dados TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs (status, proxima_tentativa_em);
+    `);
+
+    this._atualizar = this.db.transaction((id, campos) => {
+      const linha = this.db.prepare('SELECT dados FROM jobs WHERE id = ?').get(id);
+      if (!linha) return null;
+      const job = { ...JSON.parse(linha.dados), ...campos, id, atualizadoEm: new Date().toISOString() };
+      this._gravar(job);
+      return job;
+    });
+
+    this._reservar = this.db.transaction((duracaoMs) => {
+      const agora = Date.now();
+      const instante = new Date(agora).toISOString();
+      const linha = this.db.prepare(`
+        SELECT dados FROM jobs
+        WHERE (status = 'pendente' AND proxima_tentativa_em <= @instante)
+           OR (status = 'processando' AND bloqueado_ate <= @instante)
+        ORDER BY proxima_tentativa_em
+        LIMIT 1
+      `).get({ instante });
+      if (!linha) return null;
+
+      const anterior = JSON.parse(linha.dados);
+      const job = {
+        ...anterior,
+        status: 'processando',
+        tentativas: anterior.tentativas + 1,
+        bloqueadoAte: new Date(agora + duracaoMs).toISOString(),
+        atualizadoEm: instante,
+      };
+      this._gravar(job);
+      return job;
+    });
+  }
+
+  _gravar(job) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO jobs (id, cnpj, status, proxima_tentativa_em, bloqueado_ate, dados)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(job.id, job.cnpj, job.status, job.proximaTentativaEm, job.bloqueadoAte, JSON.stringify(job));
+  }
+
+  async enfileirar(dados) {
+    const job = novoJob(dados, Date.now());
+    this._gravar(job);
+    return job;
+  }
+
+  async obter(id) {
+    const linha = this.db.prepare('SELECT dados FROM jobs WHERE id = ?').get(id);
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async reservar(duracaoMs) {
+    return this._reservar.immediate(duracaoMs);
+  }
+
+  async atualizar(id, campos) {
+    return this._atualizar.immediate(id, campos);
+  }
+}
+
+module.exports = { SqliteJobStore };
@@ -0,0 +1,98 @@
+// src/storage/SqliteNfseRepository.js
+
+const { NfseRepository, semXml } = require('./NfseRepository');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteNfseRepository - registros na tabela "nfse" (registro completo em JSON, com as colunas usadas nos filtros).
+ */
+class SqliteNfseRepository extends NfseRepository {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS nfse (
+        cnpj TEXT NOT NULL,
+        serie TEXT NOT NULL,
+        numero_rps TEXT NOT NULL,
+        numero_nfse TEXT,
+        status TEXT NOT NULL,
+        data_emissao TEXT NOT NULL,
+        tomador_documento TEXT,
+        tomador_razao_social TEXT,
+        valor_servicos REAL NOT NULL,
+        criado_em TEXT NOT NULL,
+        dados TEXT NOT NULL,
+        PRIMARY KEY (cnpj, serie, numero_rps)
+      );
+      CREATE INDEX IF NOT EXISTS idx_nfse_numero ON nfse (cnpj, numero_nfse);
+      CREATE INDEX IF NOT EXISTS idx_nfse_emissao ON nfse (cnpj, data_emissao);
+      CREATE INDEX IF NOT EXISTS idx_nfse_tomador ON nfse (cnpj, tomador_documento);
+    `);
+
+    this._registrar = this.db.transaction((registro) => {
+      const anterior = this.db.prepare('SELECT dados FROM nfse WHERE cnpj = ? AND serie = ? AND numero_rps = ?')
+        .get(registro.cnpj, registro.serie, registro.numeroRps);
+      const agora = new Date().toISOString();
+      const gravado = { ...(anterior ? JSON.parse(anterior.dados) : { criadoEm: agora }), ...registro, atualizadoEm: agora };
+      this.db.prepare(`
+        INSERT OR REPLACE INTO nfse
+          (cnpj, serie, numero_rps, numero_nfse, status, data_emissao, tomador_documento, tomador_razao_social, valor_servicos, criado_em, dados)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        gravado.cnpj, gravado.serie, gravado.numeroRps, gravado.numeroNfse || null, gravado.status,
+        gravado.dataEmissao, gravado.tomador.documento, gravado.tomador.razaoSocial, gravado.valorServicos,
+        gravado.criadoEm, JSON.stringify(gravado)
+      );
+      return gravado;
+    });
+  }
+
+  async registrar(registro) {
+    return this._registrar.immediate(registro);
+  }
+
+  async obterPorRps(cnpj, serie, numeroRps) {
+    const linha = this.db.prepare('SELECT dados FROM nfse WHERE cnpj = ? AND serie = ? AND numero_rps = ?')
+      .get(cnpj, String(serie), String(numeroRps));
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async obterPorNfse(cnpj, numeroNfse) {
+    const linha = this.db.prepare('SELECT dados FROM nfse WHERE cnpj = ? AND numero_nfse = ?').get(cnpj, String(numeroNfse));
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async atualizarPorNfse(cnpj, numeroNfse, campos) {
+    const registro = await this.obterPorNfse(cnpj, numeroNfse);
+    return registro ? this.registrar({ ...registro, ...campos }) : null;
+  }
+
+  async listar(cnpj, { tomador, inicio, fim, status, valorMinimo, valorMaximo, pagina = 1, limite = 50 } = {}) {
+    const condicoes = ['cnpj = @cnpj'];
+    if (tomador) condicoes.push("(tomador_documento = @tomador OR tomador_razao_social LIKE '%' || @tomador || '%')");
+    if (inicio) condicoes.push('data_emissao >= @inicio');
+    if (fim) condicoes.push('data_emissao <= @fim');
+    if (status) condicoes.push('status = @status');
+    if (valorMinimo !== undefined) condicoes.push('valor_servicos >= @valorMinimo');
+    if (valorMaximo !== undefined) condicoes.push('valor_servicos <= @valorMaximo');
+
+    const parametros = { cnpj, tomador, inicio, fim, status, valorMinimo, valorMaximo };
+    const where = condicoes.join(' AND ');
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM nfse WHERE ${where}`).get(parametros);
+    const notas = this.db.prepare(`
+      SELECT dados FROM nfse
+      WHERE ${where}
+      ORDER BY data_emissao DESC, criado_em DESC
+      LIMIT @limite OFFSET @offset
+    `).all({ ...parametros, limite, offset: (pagina - 1) * limite })
+      .map((linha) => semXml(JSON.parse(linha.dados)));
+
+    return { total, notas };
+  }
+}
+
+module.exports = { SqliteNfseRepository };
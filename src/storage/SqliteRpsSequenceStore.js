@@ -0,0 +1,118 @@
+// src/storage/SqliteRpsSequenceStore.js
+
+const { RpsSequenceStore } = require('./RpsSequenceStore');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteRpsSequenceStore - numeração de RPS nas tabelas "rps_sequencia" e "rps_devolvidos".
+ * A alocação roda em transação IMMEDIATE, o que a torna atômica entre os workers do cluster.
+ */
+class SqliteRpsSequenceStore extends RpsSequenceStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS rps_sequencia (
+        cnpj TEXT NOT NULL,
+        serie TEXT NOT NULL,
+        proximo INTEGER NOT NULL,
+        atualizado_em TEXT NOT NULL,
+        PRIMARY KEY (cnpj, serie)
+      );
+      CREATE TABLE IF NOT EXISTS rps_devolvidos (
+        cnpj TEXT NOT NULL,
+        serie TEXT NOT NULL,
+        numero INTEGER NOT NULL,
+        devolvido_em TEXT NOT NULL,
+        PRIMARY KEY (cnpj, serie, numero)
+      );
+    `);
+
+    this._alocar = this.db.transaction((cnpj, serie) => {
+      const devolvido = this.db.prepare(
+        'SELECT MIN(numero) AS numero FROM rps_devolvidos WHERE cnpj = ? AND serie = ?'
+      ).get(cnpj, serie);
+      if (devolvido.numero !== null) {
+        this.db.prepare('DELETE FROM rps_devolvidos WHERE cnpj = ? AND serie = ? AND numero = ?')
+          .run(cnpj, serie, devolvido.numero);
+        return devolvido.numero;
+      }
+
+      const { proximo } = this.db.prepare(`
+        INSERT INTO rps_sequencia (cnpj, serie, proximo, atualizado_em) VALUES (?, ?, 2, ?)
+        ON CONFLICT(cnpj, serie) DO UPDATE SET proximo = proximo + 1, atualizado_em = excluded.atualizado_em
+        RETURNING proximo
+      `).get(cnpj, serie, new Date().toISOString());
+      return proximo - 1;
+    });
+
+    this._registrar = this.db.transaction((cnpj, serie, numero) => {
+      this.db.prepare(`
+        INSERT INTO rps_sequencia (cnpj, serie, proximo, atualizado_em) VALUES (?, ?, ?, ?)
+        ON CONFLICT(cnpj, serie) DO UPDATE SET proximo = MAX(proximo, excluded.proximo), atualizado_em = excluded.atualizado_em
+      `).run(cnpj, serie, numero + 1, new Date().toISOString());
+      this.db.prepare('DELETE FROM rps_devolvidos WHERE cnpj = ? AND serie = ? AND numero = ?').run(cnpj, serie, numero);
+      return this._sequencia(cnpj, serie);
+    });
+
+    this._devolver = this.db.transaction((cnpj, serie, numero) => {
+      const { proximo } = this._sequencia(cnpj, serie);
+      if (numero >= proximo) return false;
+      return this.db.prepare(
+        'INSERT OR IGNORE INTO rps_devolvidos (cnpj, serie, numero, devolvido_em) VALUES (?, ?, ?, ?)'
+      ).run(cnpj, serie, numero, new Date().toISOString()).changes > 0;
+    });
+
+    this._reiniciar = this.db.transaction((cnpj, serie, proximo) => {
+      this.db.prepare(`
+        INSERT INTO rps_sequencia (cnpj, serie, proximo, atualizado_em) VALUES (?, ?, ?, ?)
+        ON CONFLICT(cnpj, serie) DO UPDATE SET proximo = excluded.proximo, atualizado_em = excluded.atualizado_em
+      `).run(cnpj, serie, proximo, new Date().toISOString());
+      this.db.prepare('DELETE FROM rps_devolvidos WHERE cnpj = ? AND serie = ? AND numero >= ?').run(cnpj, serie, proximo);
+      return this._sequencia(cnpj, serie);
+    });
+  }
+
+  _sequencia(cnpj, serie) {
+    const linha = this.db.prepare('SELECT proximo, atualizado_em FROM rps_sequencia WHERE cnpj = ? AND serie = ?').get(cnpj, serie);
+    const devolvidos = this.db.prepare('SELECT numero FROM rps_devolvidos WHERE cnpj = ? AND serie = ? ORDER BY numero')
+      .all(cnpj, serie).map((d) => d.numero);
+    return {
+      cnpj,
+      serie,
+      proximo: linha ? linha.proximo : 1,
+      devolvidos,
+      atualizadoEm: linha ? linha.atualizado_em : null,
+    };
+  }
+
+  async alocar(cnpj, serie) {
+    return this._alocar.immediate(cnpj, serie);
+  }
+
+  async registrar(cnpj, serie, numero) {
+    return this._registrar.immediate(cnpj, serie, numero);
+  }
+
+  async devolver(cnpj, serie, numero) {
+    return this._devolver.immediate(cnpj, serie, numero);
+  }
+
+  async consultar(cnpj, serie) {
+    return this._sequencia(cnpj, serie);
+  }
+
+  async listar(cnpj) {
+    return this.db.prepare('SELECT serie FROM rps_sequencia WHERE cnpj = ? ORDER BY serie').all(cnpj)
+      .map(({ serie }) => this._sequencia(cnpj, serie));
+  }
+
+  async reiniciar(cnpj, serie, proximo) {
+    return this._reiniciar.immediate(cnpj, serie, proximo);
+  }
+}
+
+module.exports = { SqliteRpsSequenceStore };
@@ -0,0 +1,138 @@
+// src/storage/SqliteWebhookStore.js
+
+const { WebhookStore } = require('./WebhookStore');
+const { abrirBanco } = require('./sqlite');
+
+/**
+ * SqliteWebhookStore - assinaturas na tabela "webhooks" e log de entregas na tabela "webhook_entregas"
+ * (registro completo em JSON, com as colunas usadas nos filtros e na reserva).
+ * A reserva roda em transação IMMEDIATE, o que a torna atômica entre os workers do cluster.
+ */
+class SqliteWebhookStore extends WebhookStore {
+  /**
+   * @param {string} [arquivo] - Caminho do banco (padrão: data/nfse.sqlite)
+   */
+  constructor(arquivo) {
+    super();
+    this.db = abrirBanco(arquivo);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id TEXT PRIMARY KEY,
+        cnpj TEXT NOT NULL,
+        criada_em TEXT NOT NULL,
+        dados TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhooks_cnpj ON webhooks (cnpj);
+      CREATE TABLE IF NOT EXISTS webhook_entregas (
+        id TEXT PRIMARY KEY,
+        assinatura_id TEXT NOT NULL,
+        cnpj TEXT NOT NULL,
+        evento TEXT NOT NULL,
+        status TEXT NOT NULL,
+        proxima_tentativa_em TEXT NOT NULL,
+        bloqueado_ate TEXT,
+        criada_em TEXT NOT NULL,
+        dados TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_webhook_entregas_status ON webhook_entregas (status, proxima_tentativa_em);
+      CREATE INDEX IF NOT EXISTS idx_webhook_entregas_cnpj ON webhook_entregas (cnpj, criada_em);
+    `);
+
+    this._atualizarEntrega = this.db.transaction((id, campos) => {
+      const linha = this.db.prepare('SELECT dados FROM webhook_entregas WHERE id = ?').get(id);
+      if (!linha) return null;
+      const entrega = { ...JSON.parse(linha.dados), ...campos, id, atualizadaEm: new Date().toISOString() };
+      this._gravarEntrega(entrega);
+      return entrega;
+    });
+
+    this._reservarEntrega = this.db.transaction((duracaoMs) => {
+      const agora = Date.now();
+      const instante = new Date(agora).toISOString();
+      const linha = this.db.prepare(`
+        SELECT dados FROM webhook_entregas
+        WHERE (status = 'pendente' AND proxima_tentativa_em <= @instante)
+           OR (status = 'processando' AND bloqueado_ate <= @instante)
+        ORDER BY proxima_tentativa_em
+        LIMIT 1
+      `).get({ instante });
+      if (!linha) return null;
+
+      const anterior = JSON.parse(linha.dados);
+      const entrega = {
+        ...anterior,
+        status: 'processando',
+        tentativas: anterior.tentativas + 1,
+        bloqueadoAte: new Date(agora + duracaoMs).toISOString(),
+        atualizadaEm: instante,
+      };
+      this._gravarEntrega(entrega);
+      return entrega;
+    });
+  }
+
+  _gravarEntrega(entrega) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO webhook_entregas
+        (id, assinatura_id, cnpj, evento, status, proxima_tentativa_em, bloqueado_ate, criada_em, dados)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      entrega.id, entrega.assinaturaId, entrega.cnpj, entrega.evento, entrega.status,
+      entrega.proximaTentativaEm, entrega.bloqueadoAte, entrega.criadaEm, JSON.stringify(entrega)
+    );
+  }
+
+  async salvarAssinatura(assinatura) {
+    this.db.prepare('INSERT OR REPLACE INTO webhooks (id, cnpj, criada_em, dados) VALUES (?, ?, ?, ?)')
+      .run(assinatura.id, assinatura.cnpj, assinatura.criadaEm, JSON.stringify(assinatura));
+    return { ...assinatura };
+  }
+
+  async obterAssinatura(id) {
+    const linha = this.db.prepare('SELECT dados FROM webhooks WHERE id = ?').get(id);
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async listarAssinaturas(cnpj) {
+    return this.db.prepare('SELECT dados FROM webhooks WHERE cnpj = ? ORDER BY criada_em').all(cnpj)
+      .map((linha) => JSON.parse(linha.dados));
+  }
+
+  async removerAssinatura(id) {
+    return this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  }
+
+  async registrarEntrega(entrega) {
+    this._gravarEntrega(entrega);
+    return { ...entrega };
+  }
+
+  async obterEntrega(id) {
+    const linha = this.db.prepare('SELECT dados FROM webhook_entregas WHERE id = ?').get(id);
+    return linha ? JSON.parse(linha.dados) : null;
+  }
+
+  async listarEntregas(cnpj, { assinaturaId, evento, status, limite = 50 } = {}) {
+    const condicoes = ['cnpj = @cnpj'];
+    if (assinaturaId) condicoes.push('assinatura_id = @assinaturaId');
+    if (evento) condicoes.push('evento = @evento');
+    if (status) condicoes.push('status = @status');
+    return this.db.prepare(`
+      SELECT dados FROM webhook_entregas
+      WHERE ${condicoes.join(' AND ')}
+      ORDER BY criada_em DESC
+      LIMIT @limite
+    `).all({ cnpj, assinaturaId, evento, status, limite })
+      .map((linha) => JSON.parse(linha.dados));
+  }
+
+  async reservarEntrega(duracaoMs) {
+    return this._reservarEntrega.immediate(duracaoMs);
+  }
+
+  async atualizarEntrega(id, campos) {
+    return this._atualizarEntrega.immediate(id, campos);
+  }
+}
+
+module.exports = { SqliteWebhookStore };
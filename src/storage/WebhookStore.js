@@ -0,0 +1,194 @@
+// src/storage/WebhookStore.js
+
+const path = require('path');
+const crypto = require('crypto');
+const { DATA_DIR } = require('./sqlite');
+
+/**
+ * @typedef {Object} AssinaturaWebhook
+ * @property {string} id
+ * @property {string} cnpj - Emitente (tenant) da assinatura
+ * @property {string} url - Endpoint que recebe os POSTs
+ * @property {string} segredo - Chave do HMAC-SHA256 enviado no cabeçalho X-Webhook-Assinatura
+ * @property {string[]} eventos - Eventos assinados (ver NotaFiscalSP.EVENTOS)
+ * @property {string} descricao
+ * @property {string} criadaEm
+ */
+
+/**
+ * @typedef {Object} EntregaWebhook
+ * @property {string} id - Também enviado no corpo e no cabeçalho X-Webhook-Id (o mesmo em reenvios)
+ * @property {string} assinaturaId
+ * @property {string} cnpj
+ * @property {string} evento
+ * @property {Object} dados - Dados do evento
+ * @property {'pendente'|'processando'|'entregue'|'falhou'} status
+ * @property {number} tentativas
+ * @property {number} maxTentativas
+ * @property {string} proximaTentativaEm
+ * @property {string|null} bloqueadoAte
+ * @property {Array<{em: string, httpStatus: number|null, erro: string|null, duracaoMs: number}>} historico - Tentativas, da mais antiga para a mais recente
+ * @property {string|null} entregueEm
+ * @property {string} criadaEm
+ * @property {string} atualizadaEm
+ */
+
+/**
+ * Cria uma entrega pendente, disponível imediatamente.
+ * @param {AssinaturaWebhook} assinatura
+ * @param {string} evento
+ * @param {Object} dados
+ * @param {number} maxTentativas
+ * @param {number} agora - Date.now()
+ * @returns {EntregaWebhook}
+ */
+function novaEntrega(assinatura, evento, dados, maxTentativas, agora) {
+  const instante = new Date(agora).toISOString();
+  return {
+    id: crypto.randomUUID(),
+    assinaturaId: assinatura.id,
+    cnpj: assinatura.cnpj,
+    evento,
+    dados,
+    status: 'pendente',
+    tentativas: 0,
+    maxTentativas,
+    proximaTentativaEm: instante,
+    bloqueadoAte: null,
+    historico: [],
+    entregueEm: null,
+    criadaEm: instante,
+    atualizadaEm: instante,
+  };
+}
+
+/**
+ * Indica se a entrega pode ser reservada (mesma regra de JobStore.jobDisponivel).
+ * @param {EntregaWebhook} entrega
+ * @param {number} agora
+ * @returns {boolean}
+ */
+function entregaDisponivel(entrega, agora) {
+  if (entrega.status === 'pendente') return Date.parse(entrega.proximaTentativaEm) <= agora;
+  return entrega.status === 'processando' && Date.parse(entrega.bloqueadoAte) <= agora;
+}
+
+/**
+ * WebhookStore - interface dos repositórios de assinaturas de webhook e do log de entregas.
+ * A reserva de entregas precisa ser atômica, como na fila de jobs.
+ * Implementações: SqliteWebhookStore (padrão, atômico entre processos) e JsonWebhookStore (um único processo).
+ */
+class WebhookStore {
+  /**
+   * @param {AssinaturaWebhook} assinatura
+   * @returns {Promise<AssinaturaWebhook>}
+   */
+  async salvarAssinatura(assinatura) {
+    throw new Error(`${this.constructor.name}.salvarAssinatura não implementado`);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<AssinaturaWebhook|null>}
+   */
+  async obterAssinatura(id) {
+    throw new Error(`${this.constructor.name}.obterAssinatura não implementado`);
+  }
+
+  /**
+   * @param {string} cnpj
+   * @returns {Promise<AssinaturaWebhook[]>}
+   */
+  async listarAssinaturas(cnpj) {
+    throw new Error(`${this.constructor.name}.listarAssinaturas não implementado`);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>} - true se a assinatura existia
+   */
+  async removerAssinatura(id) {
+    throw new Error(`${this.constructor.name}.removerAssinatura não implementado`);
+  }
+
+  /**
+   * @param {EntregaWebhook} entrega
+   * @returns {Promise<EntregaWebhook>}
+   */
+  async registrarEntrega(entrega) {
+    throw new Error(`${this.constructor.name}.registrarEntrega não implementado`);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<EntregaWebhook|null>}
+   */
+  async obterEntrega(id) {
+    throw new Error(`${this.constructor.name}.obterEntrega não implementado`);
+  }
+
+  /**
+   * Entregas do emitente, da mais recente para a mais antiga.
+   * @param {string} cnpj
+   * @param {Object} [filtros]
+   * @param {string} [filtros.assinaturaId]
+   * @param {string} [filtros.evento]
+   * @param {string} [filtros.status]
+   * @param {number} [filtros.limite=50]
+   * @returns {Promise<EntregaWebhook[]>}
+   */
+  async listarEntregas(cnpj, filtros) {
+    throw new Error(`${this.constructor.name}.listarEntregas não implementado`);
+  }
+
+  /**
+   * Reserva a entrega disponível mais antiga: passa a "processando", incrementa as tentativas e bloqueia por duracaoMs.
+   * @param {number} duracaoMs
+   * @returns {Promise<EntregaWebhook|null>}
+   */
+  async reservarEntrega(duracaoMs) {
+    throw new Error(`${this.constructor.name}.reservarEntrega não implementado`);
+  }
+
+  /**
+   * Altera a entrega e atualiza atualizadaEm.
+   * @param {string} id
+   * @param {Partial<EntregaWebhook>} campos
+   * @returns {Promise<EntregaWebhook|null>}
+   */
+  async atualizarEntrega(id, campos) {
+    throw new Error(`${this.constructor.name}.atualizarEntrega não implementado`);
+  }
+}
+
+/**
+ * Cria o store de webhooks configurado no ambiente.
+ * WEBHOOKS_STORE: 'sqlite' (padrão) ou 'json'; WEBHOOKS_ARQUIVO: caminho do arquivo.
+ *
+ * @param {Object} [options]
+ * @param {'json'|'sqlite'} [options.tipo]
+ * @param {string} [options.arquivo]
+ * @returns {WebhookStore}
+ */
+function criarWebhookStore({
+  tipo = process.env.WEBHOOKS_STORE || 'sqlite',
+  arquivo = process.env.WEBHOOKS_ARQUIVO,
+} = {}) {
+  // Requires tardios: as implementações dependem desta interface
+  if (tipo === 'sqlite') {
+    const { SqliteWebhookStore } = require('./SqliteWebhookStore');
+    return new SqliteWebhookStore(arquivo);
+  }
+  if (tipo === 'json') {
+    const { JsonWebhookStore } = require('./JsonWebhookStore');
+    return new JsonWebhookStore(arquivo || path.join(DATA_DIR, 'webhooks.json'));
+  }
+  throw new Error(`Tipo de store de webhooks desconhecido: ${tipo}`);
+}
+
+module.exports = {
+  WebhookStore,
+  novaEntrega,
+  entregaDisponivel,
+  criarWebhookStore,
+};
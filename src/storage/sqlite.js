@@ -0,0 +1,41 @@
+// src/storage/sqlite.js
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Diretório padrão dos arquivos de dados (JSON/SQLite)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '..', 'data');
+
+// Banco SQLite padrão, compartilhado pelos stores
+const ARQUIVO_PADRAO = process.env.SQLITE_ARQUIVO || path.join(DATA_DIR, 'nfse.sqlite');
+
+// Uma conexão por arquivo, reaproveitada por todos os stores do processo
+const conexoes = new Map();
+
+/**
+ * Abre (ou reaproveita) a conexão com um banco SQLite, criando o diretório se necessário.
+ * @param {string} [arquivo] - Caminho do arquivo (padrão: data/nfse.sqlite)
+ * @returns {import('better-sqlite3').Database}
+ */
+function abrirBanco(arquivo = ARQUIVO_PADRAO) {
+  const caminho = path.resolve(arquivo);
+  if (conexoes.has(caminho)) {
+    return conexoes.get(caminho);
+  }
+
+  fs.mkdirSync(path.dirname(caminho), { recursive: true });
+  const db = new Database(caminho);
+  // WAL permite leituras concorrentes entre os workers do cluster
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+
+  conexoes.set(caminho, db);
+  return db;
+}
+
+module.exports = {
+  DATA_DIR,
+  ARQUIVO_PADRAO,
+  abrirBanco,
+};
@@ -0,0 +1,18 @@
+// src/utils/backoff.js
+
+/**
+ * Atraso antes da próxima tentativa: baseMs * 2^(tentativas - 1), limitado a maxMs,
+ * com variação de ±20% para que itens que falharam juntos não sejam repetidos ao mesmo tempo.
+ *
+ * @param {number} tentativas - Tentativas já realizadas (>= 1)
+ * @param {Object} options
+ * @param {number} options.baseMs - Atraso após a primeira tentativa
+ * @param {number} options.maxMs - Atraso máximo
+ * @returns {number} - Atraso em ms
+ */
+function calcularBackoff(tentativas, { baseMs, maxMs }) {
+  const atraso = Math.min(baseMs * 2 ** Math.max(tentativas - 1, 0), maxMs);
+  return Math.round(atraso * (0.8 + Math.random() * 0.4));
+}
+
+module.exports = { calcularBackoff };
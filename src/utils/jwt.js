@@ -0,0 +1,98 @@
+// src/utils/jwt.js
+
+const crypto = require('crypto');
+const { hmacSha256 } = require('./hash');
+
+// Tolerância de relógio (segundos) na verificação de exp/nbf
+const TOLERANCIA_RELOGIO = 30;
+
+// Validade máxima (segundos) de um token, contada do iat (ou do momento da verificação, sem iat)
+const VIDA_MAXIMA_PADRAO = 24 * 60 * 60;
+
+const base64url = (texto) => Buffer.from(texto, 'utf8').toString('base64url');
+
+/**
+ * Calcula a assinatura HS256 (base64url) de "header.payload".
+ * @param {string} conteudo - header e payload codificados, separados por ponto
+ * @param {string} segredo
+ * @returns {string}
+ */
+function assinaturaHs256(conteudo, segredo) {
+  return Buffer.from(hmacSha256(segredo, conteudo), 'hex').toString('base64url');
+}
+
+/**
+ * Gera um JWT HS256.
+ * @param {Object} payload - Claims (ex: { sub, scope, emitentes, exp })
+ * @param {string} segredo - Segredo compartilhado (JWT_SECRET)
+ * @returns {string}
+ */
+function assinarJwt(payload, segredo) {
+  if (!segredo) throw new Error('assinarJwt: segredo é obrigatório');
+  const conteudo = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+  return `${conteudo}.${assinaturaHs256(conteudo, segredo)}`;
+}
+
+/**
+ * Verifica assinatura e validade (exp/nbf) de um JWT HS256 e retorna o payload.
+ * O exp é obrigatório e não pode estar a mais de vidaMaxima segundos do iat (nem do momento
+ * da verificação, se o iat for posterior): um token sem expiração (ou com expiração distante)
+ * valeria para sempre caso vazasse.
+ *
+ * @param {string} token
+ * @param {string} segredo
+ * @param {Object} [options]
+ * @param {number} [options.vidaMaxima=86400] - Validade máxima do token em segundos
+ * @returns {Object} - Payload do token
+ * @throws {Error} - Token malformado, assinatura inválida, sem exp, emitido no futuro, com validade
+ *   acima da máxima, expirado ou ainda não válido
+ */
+function verificarJwt(token, segredo, { vidaMaxima = VIDA_MAXIMA_PADRAO } = {}) {
+  if (!segredo) throw new Error('verificarJwt: segredo é obrigatório');
+  const partes = (token || '').split('.');
+  if (partes.length !== 3) throw new Error('Token JWT malformado');
+
+  const [header, payload, assinatura] = partes;
+  let cabecalho;
+  let claims;
+  try {
+    cabecalho = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Token JWT malformado');
+  }
+  // Só HS256: impede tokens com alg "none" ou trocados para outro algoritmo
+  if (cabecalho.alg !== 'HS256') throw new Error(`Algoritmo JWT não suportado: ${cabecalho.alg}`);
+
+  const esperada = Buffer.from(assinaturaHs256(`${header}.${payload}`, segredo));
+  const recebida = Buffer.from(assinatura);
+  if (esperada.length !== recebida.length || !crypto.timingSafeEqual(esperada, recebida)) {
+    throw new Error('Assinatura do token JWT inválida');
+  }
+
+  const agora = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Token JWT sem expiração (exp)');
+  }
+  // iat no futuro adiaria o início da contagem da validade máxima (iat daqui a 10 anos, exp = iat + 60)
+  if (typeof claims.iat === 'number' && claims.iat > agora + TOLERANCIA_RELOGIO) {
+    throw new Error('Token JWT emitido no futuro (iat)');
+  }
+  const emitidoEm = typeof claims.iat === 'number' ? Math.min(claims.iat, agora) : agora;
+  if (claims.exp - emitidoEm > vidaMaxima) {
+    throw new Error(`Token JWT com validade acima do máximo de ${vidaMaxima} segundos`);
+  }
+  if (agora > claims.exp + TOLERANCIA_RELOGIO) {
+    throw new Error('Token JWT expirado');
+  }
+  if (typeof claims.nbf === 'number' && agora + TOLERANCIA_RELOGIO < claims.nbf) {
+    throw new Error('Token JWT ainda não é válido');
+  }
+  return claims;
+}
+
+module.exports = {
+  assinarJwt,
+  verificarJwt,
+  VIDA_MAXIMA_PADRAO,
+};
@@ -0,0 +1,36 @@
+// src/utils/response.js
+// Formato padrão das respostas da API, compartilhado entre controllers e middlewares.
+
+
+//-------------------------------------------------------------
+function sendSuccessResponse(res, data) {
+    // console.log('sendSuccessResponse() | data: ' + data);
+    res.json({ result: data });
+}
+
+
+//-------------------------------------------------------------
+function sendErrorResponse(res, functionName, errorMessage, errorCode, log = true, user = '', httpStatus = 200, errors = null, retryable = false) {
+    
+    errorCode = errorCode || 100;
+    errorMessage = errorMessage || "Undefined Error";
+    
+    if (errorMessage.startsWith("Access denied for")) {
+        errorMessage = "Access denied for user";
+    }
+
+    if(log == true) {
+        // logger2.log(fileName, functionName, 'error', errorMessage, { errorCode: errorCode, user: user });     // REGISTRAMOS O ERRO NO CLOUDWATCH
+    }    
+    const body = { error: true, errorCode, errorMessage, retryable: retryable === true };
+    if (errors) {
+        body.errors = errors;
+    }
+    res.status(httpStatus).json(body);
+}
+
+
+module.exports = {
+    sendSuccessResponse,
+    sendErrorResponse,
+};
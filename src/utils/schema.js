@@ -0,0 +1,121 @@
+// src/utils/schema.js
+// Validação declarativa de objetos: devolve todas as violações, cada uma com o caminho do campo.
+
+/**
+ * @typedef {Object} Regra
+ * @property {string|string[]} [tipo] - 'objeto', 'lista', 'texto', 'numero', 'booleano' ou 'data' (Date ou string ISO)
+ * @property {boolean} [obrigatorio=false] - undefined, null e '' contam como ausentes
+ * @property {number} [maxLength] - Tamanho máximo de textos (números são medidos como texto)
+ * @property {number} [minimo] - Valor mínimo de números
+ * @property {number} [maximo] - Valor máximo de números
+ * @property {RegExp} [formato] - Formato exigido (aplicado a String(valor))
+ * @property {Array} [valores] - Valores aceitos
+ * @property {Object<string, Regra>} [campos] - Regras dos campos de um objeto (campos não descritos são ignorados)
+ * @property {Regra} [itens] - Regra de cada item de uma lista
+ * @property {function(*, *): (string|Array<{campo: string, mensagem: string}>|null)} [validar] - Regra adicional,
+ *   chamada com (valor, raiz) quando o valor está presente e tem o tipo, os valores e o formato esperados;
+ *   devolve a mensagem ou uma lista de erros com o campo relativo ao valor validado
+ * @property {string} [mensagem] - Substitui a mensagem das regras de tipo, formato e valores
+ */
+
+const TIPOS = {
+  objeto: (v) => typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date),
+  lista: (v) => Array.isArray(v),
+  texto: (v) => typeof v === 'string',
+  numero: (v) => typeof v === 'number' && Number.isFinite(v),
+  booleano: (v) => typeof v === 'boolean',
+  data: (v) => (v instanceof Date && !isNaN(v)) || (typeof v === 'string' && !isNaN(Date.parse(v))),
+};
+
+const NOMES_TIPOS = {
+  objeto: 'objeto',
+  lista: 'lista',
+  texto: 'texto',
+  numero: 'número',
+  booleano: 'booleano',
+  data: 'data (Date ou string ISO)',
+};
+
+/**
+ * Junta o caminho do objeto com o nome do campo ("tomador" + "endereco" -> "tomador.endereco").
+ * @param {string} caminho
+ * @param {string|number} campo - Nome do campo ou índice da lista
+ * @returns {string}
+ */
+function juntarCaminho(caminho, campo) {
+  if (typeof campo === 'number') return `${caminho}[${campo}]`;
+  if (!campo) return caminho;
+  return caminho ? `${caminho}.${campo}` : campo;
+}
+
+function ausente(valor) {
+  return valor === undefined || valor === null || valor === '';
+}
+
+/**
+ * Valida um valor contra a regra e devolve todas as violações encontradas.
+ *
+ * @example
+ * validarSchema({ tipo: 'objeto', campos: { nome: { tipo: 'texto', obrigatorio: true, maxLength: 75 } } }, dados)
+ * // [{ campo: 'nome', mensagem: 'Campo obrigatório' }]
+ *
+ * @param {Regra} regra
+ * @param {*} valor
+ * @param {string} [caminho=''] - Caminho do valor (prefixo dos campos nos erros)
+ * @param {*} [raiz=valor] - Objeto completo, repassado às regras "validar"
+ * @returns {Array<{campo: string, mensagem: string}>}
+ */
+function validarSchema(regra, valor, caminho = '', raiz = valor) {
+  if (ausente(valor)) {
+    return regra.obrigatorio ? [{ campo: caminho, mensagem: 'Campo obrigatório' }] : [];
+  }
+
+  if (regra.tipo) {
+    const tipos = [].concat(regra.tipo);
+    if (!tipos.some((tipo) => TIPOS[tipo](valor))) {
+      return [{ campo: caminho, mensagem: regra.mensagem || `Deve ser ${tipos.map((t) => NOMES_TIPOS[t]).join(' ou ')}` }];
+    }
+  }
+  if (regra.valores && !regra.valores.includes(valor)) {
+    return [{ campo: caminho, mensagem: regra.mensagem || `Deve ser um de: ${regra.valores.join(', ')}` }];
+  }
+  if (regra.maxLength !== undefined && (typeof valor === 'string' || typeof valor === 'number')
+    && String(valor).length > regra.maxLength) {
+    return [{ campo: caminho, mensagem: `Deve ter no máximo ${regra.maxLength} caracteres (recebido: ${String(valor).length})` }];
+  }
+  if (regra.minimo !== undefined && valor < regra.minimo) {
+    return [{ campo: caminho, mensagem: `Deve ser maior ou igual a ${regra.minimo}` }];
+  }
+  if (regra.maximo !== undefined && valor > regra.maximo) {
+    return [{ campo: caminho, mensagem: `Deve ser menor ou igual a ${regra.maximo}` }];
+  }
+  if (regra.formato && !regra.formato.test(String(valor))) {
+    return [{ campo: caminho, mensagem: regra.mensagem || 'Formato inválido' }];
+  }
+
+  const errors = [];
+  if (regra.campos) {
+    Object.entries(regra.campos).forEach(([campo, regraCampo]) => {
+      errors.push(...validarSchema(regraCampo, valor[campo], juntarCaminho(caminho, campo), raiz));
+    });
+  }
+  if (regra.itens) {
+    valor.forEach((item, i) => {
+      errors.push(...validarSchema(regra.itens, item, juntarCaminho(caminho, i), raiz));
+    });
+  }
+
+  // Campos que já violaram as regras declarativas não são apontados de novo pela regra adicional
+  if (regra.validar) {
+    const resultado = regra.validar(valor, raiz);
+    const adicionais = typeof resultado === 'string'
+      ? [{ campo: caminho, mensagem: resultado }]
+      : (resultado || []).map(({ campo, mensagem }) => ({ campo: juntarCaminho(caminho, campo), mensagem }));
+    adicionais
+      .filter(({ campo }) => !errors.some((erro) => erro.campo === campo))
+      .forEach((erro) => errors.push(erro));
+  }
+  return errors;
+}
+
+module.exports = { validarSchema };
@@ -0,0 +1,53 @@
+// src/utils/verificacao.js
+
+const QRCode = require('qrcode');
+
+// Página pública da Prefeitura que exibe a NFS-e a partir da chave (CCM, número e código de verificação)
+const URL_VERIFICACAO = 'https://nfe.prefeitura.sp.gov.br/contribuinte/notaprint.aspx';
+
+// Formatos de imagem do QR code
+const FORMATOS_QRCODE = ['png', 'svg'];
+
+/**
+ * Monta o link de verificação de autenticidade de uma NFS-e no portal da Prefeitura.
+ *
+ * @param {Object} chave
+ * @param {string} chave.inscricaoPrestador - Inscrição municipal (CCM) do prestador
+ * @param {string|number} chave.numeroNfe - Número da NFS-e
+ * @param {string} chave.codigoVerificacao - Código de verificação devolvido pela Prefeitura
+ * @returns {string|null} - null quando a chave está incompleta
+ */
+function linkVerificacao({ inscricaoPrestador, numeroNfe, codigoVerificacao } = {}) {
+  if (!inscricaoPrestador || !numeroNfe || !codigoVerificacao) return null;
+  const params = new URLSearchParams({
+    ccm: String(inscricaoPrestador).replace(/\D/g, ''),
+    nf: String(numeroNfe),
+    cod: String(codigoVerificacao).replace(/[^0-9A-Za-z]/g, ''),
+  });
+  return `${URL_VERIFICACAO}?${params}`;
+}
+
+/**
+ * Gera o QR code de um texto (normalmente o link de verificação).
+ *
+ * @param {string} texto - Conteúdo codificado
+ * @param {Object} [options]
+ * @param {'png'|'svg'} [options.formato='png']
+ * @param {number} [options.tamanho=256] - Largura/altura da imagem em pixels
+ * @param {number} [options.margem=2] - Margem em módulos
+ * @returns {Promise<Buffer|string>} - PNG (Buffer) ou SVG (string)
+ */
+function gerarQrCode(texto, { formato = 'png', tamanho = 256, margem = 2 } = {}) {
+  if (!texto) {
+    return Promise.reject(new Error('Conteúdo do QR code é obrigatório'));
+  }
+  if (!FORMATOS_QRCODE.includes(formato)) {
+    return Promise.reject(new Error(`Formato do QR code deve ser um de: ${FORMATOS_QRCODE.join(', ')}`));
+  }
+  const opcoes = { errorCorrectionLevel: 'M', width: tamanho, margin: margem };
+  return formato === 'svg'
+    ? QRCode.toString(texto, { ...opcoes, type: 'svg' })
+    : QRCode.toBuffer(texto, { ...opcoes, type: 'png' });
+}
+
+module.exports = { URL_VERIFICACAO, FORMATOS_QRCODE, linkVerificacao, gerarQrCode };
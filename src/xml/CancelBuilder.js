@@ -1,57 +1,56 @@
 // src/xml/CancelBuilder.js
 
 const { create } = require('xmlbuilder2');
+const { NS_NFE, appendCabecalho } = require('./helpers');
+
+// Tamanho máximo aceito para o motivo do cancelamento
+const MAX_MOTIVO = 255;
 
 /**
- * Função que constrói o XML para cancelamento da NFS-e (Nota do Milhão)
- * conforme especificação da Prefeitura de São Paulo.
- * 
+ * Função que constrói o XML do PedidoCancelamentoNFe (operação CancelamentoNFe)
+ * conforme o layout v1 da Prefeitura de São Paulo (PedidoCancelamentoNFe_v01.xsd).
+ *
  * @param {Object} data - Dados para construção do cancelamento
  * @param {string} data.im - Inscrição municipal do prestador
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
  * @param {string} data.numeroNfse - Número da nota fiscal eletrônica a ser cancelada
- * @param {string} data.serie - Série da nota (ex: "RPS" ou outro)
- * @param {string} data.motivo - Justificativa para o cancelamento (máx. 255 caracteres)
- * @param {string} [data.dataEmissao] - Data de emissão da NF-e (opcional ISO 8601)
- *  
- * @returns {string} - XML de cancelamento formatado para envio
+ * @param {string} data.assinatura - Assinatura do cancelamento em base64 (ver Signer.assinarCancelamento)
+ * @param {boolean} [data.transacao=true] - Se true, nenhuma nota é cancelada caso alguma falhe
+ * @param {string} [data.motivo] - Justificativa para o cancelamento (máx. 255 caracteres).
+ *   O layout v1 não possui campo para o motivo; ele é apenas validado para registro local.
+ *
+ * @returns {string} - XML de cancelamento pronto para assinatura e envio
  */
 function buildCancelXml(data) {
   if (!data || typeof data !== 'object') {
     throw new Error('Dados para cancelamento são obrigatórios');
   }
-  const { im, numeroNfse, serie, motivo, dataEmissao } = data;
+  const { im, numeroNfse, motivo, assinatura, transacao = true } = data;
 
   if (!im) throw new Error('Inscrição municipal (im) é obrigatória');
   if (!numeroNfse) throw new Error('Número da NF-e para cancelamento é obrigatório');
-  if (!serie) throw new Error('Série da NF-e para cancelamento é obrigatória');
-  if (!motivo) throw new Error('Motivo do cancelamento é obrigatório');
-  if (motivo.length > 255) {
-    throw new Error('Motivo do cancelamento não pode exceder 255 caracteres');
+  if (!assinatura) throw new Error('Assinatura do cancelamento é obrigatória');
+  if (motivo && motivo.length > MAX_MOTIVO) {
+    throw new Error(`Motivo do cancelamento não pode exceder ${MAX_MOTIVO} caracteres`);
   }
 
-  // Construção do XML para cancelamento
-  // A estrutura base segue o layout exigido pelo webservice 'nfdEntradaCancelar'
-  const xmlDoc = create({ version: '1.0', encoding: 'UTF-8' })
-    .ele('nfd')
-      .ele('prestador')
-        .ele('inscricao').txt(im).up()
-      .up()
-      .ele('cancelar')
-        .ele('nfs')
-          .ele('numero').txt(numeroNfse.toString()).up()
-          .ele('serie').txt(serie).up();
-  
-  // Data de emissão é opcional, incluir se fornecida
-  if (dataEmissao) {
-    xmlDoc.ele('dataEmissao').txt(dataEmissao).up();
-  }
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoCancelamentoNFe');
+
+  appendCabecalho(root, data)
+    .ele('transacao').txt(transacao ? 'true' : 'false').up()
+  .up(); // fecha <Cabecalho>
 
-  xmlDoc.up() // fecha <nfs>
-    .ele('motivo').txt(motivo).up()
-  .up() // fecha <cancelar>
-  .up(); // fecha <nfd>
+  root.ele('Detalhe')
+    .ele('ChaveNFe')
+      .ele('InscricaoPrestador').txt(im.toString().replace(/\D/g, '')).up()
+      .ele('NumeroNFe').txt(numeroNfse.toString()).up()
+    .up() // fecha <ChaveNFe>
+    .ele('AssinaturaCancelamento').txt(assinatura).up()
+  .up(); // fecha <Detalhe>
 
-  return xmlDoc.end({ prettyPrint: true });
+  return root.end({ prettyPrint: true });
 }
 
-module.exports = { buildCancelXml };
+module.exports = { buildCancelXml, MAX_MOTIVO };
@@ -0,0 +1,189 @@
+// src/xml/ConsultaBuilder.js
+
+const { create } = require('xmlbuilder2');
+const { NS_NFE, appendCpfCnpj, appendCabecalho } = require('./helpers');
+
+/**
+ * Função que constrói o XML do PedidoConsultaNFePeriodo (operações ConsultaNFeEmitidas
+ * e ConsultaNFeRecebidas) conforme o layout v1 (PedidoConsultaNFePeriodo_v01.xsd).
+ *
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string} [data.cnpj] - CNPJ do contribuinte consultado
+ * @param {string} [data.cpf] - CPF do contribuinte consultado, quando não houver CNPJ
+ * @param {string} [data.im] - Inscrição municipal do contribuinte consultado
+ * @param {string} data.inicio - Data inicial do período (AAAA-MM-DD)
+ * @param {string} data.fim - Data final do período (AAAA-MM-DD)
+ * @param {number} [data.pagina=1] - Número da página (até 50 notas por página)
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ */
+function buildConsultaPeriodoXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados da consulta são obrigatórios para construção do XML');
+  }
+  const { cnpj, cpf, im, inicio, fim, pagina = 1 } = data;
+
+  if (!cnpj && !cpf) throw new Error('CPF/CNPJ do contribuinte consultado é obrigatório');
+  if (!inicio) throw new Error('Data inicial do período é obrigatória');
+  if (!fim) throw new Error('Data final do período é obrigatória');
+
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoConsultaNFePeriodo');
+
+  const cabecalho = appendCabecalho(root, data);
+  appendCpfCnpj(cabecalho, 'CPFCNPJ', { cpf, cnpj });
+  if (im) {
+    cabecalho.ele('Inscricao').txt(im.toString().replace(/\D/g, '')).up();
+  }
+  cabecalho
+    .ele('dtInicio').txt(inicio.toString().slice(0, 10)).up()
+    .ele('dtFim').txt(fim.toString().slice(0, 10)).up()
+    .ele('NumeroPagina').txt(pagina.toString()).up()
+  .up(); // fecha <Cabecalho>
+
+  return root.end({ prettyPrint: true });
+}
+
+/**
+ * Função que constrói o XML do PedidoConsultaCNPJ (operação ConsultaCNPJ),
+ * usado para obter as inscrições municipais vinculadas a um CNPJ.
+ *
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string} data.cnpjContribuinte - CNPJ consultado
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ */
+function buildConsultaCnpjXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados da consulta são obrigatórios para construção do XML');
+  }
+  if (!data.cnpjContribuinte) throw new Error('CNPJ do contribuinte consultado é obrigatório');
+
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoConsultaCNPJ');
+
+  appendCabecalho(root, data).up(); // fecha <Cabecalho>
+  appendCpfCnpj(root, 'CNPJContribuinte', { cnpj: data.cnpjContribuinte });
+
+  return root.end({ prettyPrint: true });
+}
+
+/**
+ * Função que constrói o XML do PedidoConsultaNFe (operação ConsultaNFe).
+ * Cada item consulta uma nota pela chave da NFS-e (numeroNfe) ou pela chave do RPS (numeroRps + serie).
+ *
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string} data.im - Inscrição municipal do prestador
+ * @param {Array<{numeroNfe?: string, codigoVerificacao?: string, numeroRps?: string, serie?: string}>} data.chaves - Até 50 chaves
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ */
+function buildConsultaNfeXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados da consulta são obrigatórios para construção do XML');
+  }
+  const { im, chaves } = data;
+  if (!im) throw new Error('Inscrição municipal (im) é obrigatória');
+  if (!Array.isArray(chaves) || chaves.length === 0) throw new Error('Ao menos uma chave de consulta é obrigatória');
+  if (chaves.length > 50) throw new Error('Consulta não pode conter mais de 50 chaves');
+
+  const inscricao = im.toString().replace(/\D/g, '');
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoConsultaNFe');
+
+  appendCabecalho(root, data).up(); // fecha <Cabecalho>
+
+  chaves.forEach(({ numeroNfe, codigoVerificacao, numeroRps, serie }) => {
+    const detalhe = root.ele('Detalhe');
+    if (numeroNfe) {
+      const chave = detalhe.ele('ChaveNFe')
+        .ele('InscricaoPrestador').txt(inscricao).up()
+        .ele('NumeroNFe').txt(numeroNfe.toString()).up();
+      if (codigoVerificacao) {
+        chave.ele('CodigoVerificacao').txt(codigoVerificacao).up();
+      }
+    } else if (numeroRps) {
+      detalhe.ele('ChaveRPS')
+        .ele('InscricaoPrestador').txt(inscricao).up()
+        .ele('SerieRPS').txt(serie || '').up()
+        .ele('NumeroRPS').txt(numeroRps.toString()).up();
+    } else {
+      throw new Error('Cada chave deve informar numeroNfe ou numeroRps');
+    }
+  });
+
+  return root.end({ prettyPrint: true });
+}
+
+/**
+ * Função que constrói o XML do PedidoConsultaLote (operação ConsultaLote),
+ * que devolve as notas geradas por um lote.
+ *
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string|number} data.numeroLote - Número do lote
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ */
+function buildConsultaLoteXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados da consulta são obrigatórios para construção do XML');
+  }
+  if (!data.numeroLote) throw new Error('Número do lote é obrigatório');
+
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoConsultaLote');
+
+  appendCabecalho(root, data)
+    .ele('NumeroLote').txt(data.numeroLote.toString()).up()
+  .up(); // fecha <Cabecalho>
+
+  return root.end({ prettyPrint: true });
+}
+
+/**
+ * Função que constrói o XML do PedidoInformacoesLote (operação ConsultaInformacoesLote).
+ * Sem numeroLote, a Prefeitura devolve as informações do último lote enviado.
+ *
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string} data.im - Inscrição municipal do prestador
+ * @param {string|number} [data.numeroLote] - Número do lote
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ */
+function buildInformacoesLoteXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados da consulta são obrigatórios para construção do XML');
+  }
+  if (!data.im) throw new Error('Inscrição municipal (im) é obrigatória');
+
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoInformacoesLote');
+
+  const cabecalho = appendCabecalho(root, data);
+  if (data.numeroLote) {
+    cabecalho.ele('NumeroLote').txt(data.numeroLote.toString()).up();
+  }
+  cabecalho
+    .ele('InscricaoPrestador').txt(data.im.toString().replace(/\D/g, '')).up()
+  .up(); // fecha <Cabecalho>
+
+  return root.end({ prettyPrint: true });
+}
+
+module.exports = {
+  buildConsultaPeriodoXml,
+  buildConsultaCnpjXml,
+  buildConsultaNfeXml,
+  buildConsultaLoteXml,
+  buildInformacoesLoteXml,
+};
@@ -0,0 +1,182 @@
+// src/xml/LoteBuilder.js
+
+const { create } = require('xmlbuilder2');
+const { NS_NFE, formatValor, appendCabecalho } = require('./helpers');
+const { appendRps } = require('./RpsBuilder');
+
+// Limites da Prefeitura para um lote: 50 RPS e 500KB por mensagem
+const MAX_RPS_LOTE = 50;
+const MAX_BYTES_LOTE = 500 * 1024;
+
+/**
+ * Acumula um RPS nos totais parciais do lote (datas e valores em centavos).
+ *
+ * @param {Object} parcial - Totais parciais ({} para um lote vazio)
+ * @param {Object} rps - RPS no formato de Rps.toObject()
+ * @returns {{dtInicio: string, dtFim: string, qtdRps: number, servicos: number, deducoes: number}}
+ */
+function acumularTotais(parcial, { rps, servico }) {
+  const data = rps.dataEmissao.toString().slice(0, 10);
+  return {
+    dtInicio: !parcial.dtInicio || data < parcial.dtInicio ? data : parcial.dtInicio,
+    dtFim: !parcial.dtFim || data > parcial.dtFim ? data : parcial.dtFim,
+    qtdRps: (parcial.qtdRps || 0) + 1,
+    servicos: (parcial.servicos || 0) + Math.round((Number(servico.valorServicos) || 0) * 100),
+    deducoes: (parcial.deducoes || 0) + Math.round((Number(servico.valorDeducoes) || 0) * 100),
+  };
+}
+
+/**
+ * Converte os totais parciais (em centavos) no formato de calcularTotaisLote.
+ * @param {Object} parcial - Retorno de acumularTotais
+ * @returns {{dtInicio: string, dtFim: string, qtdRps: number, valorTotalServicos: number, valorTotalDeducoes: number}}
+ */
+function fecharTotais({ dtInicio, dtFim, qtdRps, servicos, deducoes }) {
+  return {
+    dtInicio,
+    dtFim,
+    qtdRps,
+    valorTotalServicos: servicos / 100,
+    valorTotalDeducoes: deducoes / 100,
+  };
+}
+
+/**
+ * Calcula os totais do Cabecalho do lote a partir dos RPS.
+ * Os valores são somados em centavos para evitar erro de arredondamento.
+ *
+ * @param {Object[]} rpsList - RPS no formato de Rps.toObject()
+ * @returns {{dtInicio: string, dtFim: string, qtdRps: number, valorTotalServicos: number, valorTotalDeducoes: number}}
+ */
+function calcularTotaisLote(rpsList) {
+  if (!Array.isArray(rpsList) || rpsList.length === 0) {
+    throw new Error('Lista de RPS do lote é obrigatória');
+  }
+  return fecharTotais(rpsList.reduce(acumularTotais, {}));
+}
+
+/**
+ * Cria o documento do PedidoEnvioLoteRPS com o Cabecalho preenchido, sem os RPS.
+ *
+ * @param {Object} data - Mesmo formato aceito por buildLoteXml
+ * @param {Object} totais - Retorno de calcularTotaisLote
+ * @returns {Object} - Nó raiz xmlbuilder2
+ */
+function criarLote(data, totais) {
+  const { transacao = true } = data;
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoEnvioLoteRPS');
+
+  appendCabecalho(root, data)
+    .ele('transacao').txt(transacao ? 'true' : 'false').up()
+    .ele('dtInicio').txt(totais.dtInicio).up()
+    .ele('dtFim').txt(totais.dtFim).up()
+    .ele('QtdRPS').txt(totais.qtdRps.toString()).up()
+    .ele('ValorTotalServicos').txt(formatValor(totais.valorTotalServicos)).up()
+    .ele('ValorTotalDeducoes').txt(formatValor(totais.valorTotalDeducoes)).up()
+  .up(); // fecha <Cabecalho>
+
+  return root;
+}
+
+/**
+ * Função que constrói o XML do PedidoEnvioLoteRPS (operações EnvioLoteRPS e TesteEnvioLoteRPS)
+ * conforme o layout v1 da Prefeitura de São Paulo (PedidoEnvioLoteRPS_v01.xsd) ou o v2 (ver buildRpsXml).
+ * Os campos do Cabecalho (dtInicio, dtFim, QtdRPS, totais) são calculados a partir dos RPS.
+ *
+ * @param {Object} data
+ * @param {string} data.im - Inscrição municipal do prestador
+ * @param {string} [data.layout='v01'] - Layout do lote e de todos os RPS
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {boolean} [data.transacao=true] - Se true, o lote é rejeitado inteiro caso algum RPS tenha erro
+ * @param {Object[]} data.rpsList - RPS no formato aceito por buildRpsXml, já com "assinatura"
+ *
+ * @returns {string} - XML do lote pronto para assinatura e envio
+ */
+function buildLoteXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados do lote são obrigatórios para construção do XML');
+  }
+  const { im, rpsList, layout } = data;
+  if (!im) throw new Error('Inscrição Municipal "im" é obrigatória');
+
+  const totais = calcularTotaisLote(rpsList);
+  if (totais.qtdRps > MAX_RPS_LOTE) {
+    throw new Error(`Lote não pode conter mais de ${MAX_RPS_LOTE} RPS`);
+  }
+
+  const root = criarLote(data, totais);
+  rpsList.forEach((rps) => appendRps(root, { ...rps, im, layout }));
+
+  return root.end({ prettyPrint: true });
+}
+
+/**
+ * Divide os RPS em lotes que respeitam os limites da Prefeitura (quantidade e tamanho).
+ * Cada RPS é serializado uma única vez; o tamanho do lote é o do Cabecalho (recalculado
+ * com os totais acumulados) somado aos tamanhos dos RPS, reservando espaço para a assinatura do pedido.
+ *
+ * @param {Object} data - Mesmo formato aceito por buildLoteXml
+ * @param {Object} [options]
+ * @param {number} [options.maxRps=50] - Máximo de RPS por lote
+ * @param {number} [options.maxBytes=512000] - Tamanho máximo da mensagem em bytes
+ * @param {number} [options.reservaAssinatura=8192] - Bytes reservados para a assinatura XMLDSig
+ * @returns {Object[][]} - Lista de lotes, cada um com a sua lista de RPS
+ */
+function dividirEmLotes(data, {
+  maxRps = MAX_RPS_LOTE,
+  maxBytes = MAX_BYTES_LOTE,
+  reservaAssinatura = 8192,
+} = {}) {
+  const limite = maxBytes - reservaAssinatura;
+  const bytes = (root) => Buffer.byteLength(root.end({ prettyPrint: true }), 'utf8');
+
+  // A serialização é aditiva: cada <RPS> acrescenta ao documento exatamente os bytes que ocupa nele
+  const totaisVazio = { dtInicio: '', dtFim: '', qtdRps: 0, valorTotalServicos: 0, valorTotalDeducoes: 0 };
+  const semRps = bytes(criarLote(data, totaisVazio));
+  const tamanhoRps = (rps) => {
+    const root = criarLote(data, totaisVazio);
+    appendRps(root, { ...rps, im: data.im, layout: data.layout });
+    return bytes(root) - semRps;
+  };
+  const tamanhoCabecalho = (parcial) => bytes(criarLote(data, fecharTotais(parcial)));
+
+  const lotes = [];
+  let atual = [];
+  let parcial = {};
+  let bytesRps = 0;
+
+  data.rpsList.forEach((rps) => {
+    const tamanho = tamanhoRps(rps);
+    const sozinho = acumularTotais({}, rps);
+    if (tamanhoCabecalho(sozinho) + tamanho > limite) {
+      throw new Error(`RPS ${rps.rps.numeroRps} excede sozinho o tamanho máximo permitido para um lote`);
+    }
+
+    const proximo = acumularTotais(parcial, rps);
+    if (atual.length < maxRps && tamanhoCabecalho(proximo) + bytesRps + tamanho <= limite) {
+      atual.push(rps);
+      parcial = proximo;
+      bytesRps += tamanho;
+      return;
+    }
+    lotes.push(atual);
+    atual = [rps];
+    parcial = sozinho;
+    bytesRps = tamanho;
+  });
+
+  if (atual.length > 0) {
+    lotes.push(atual);
+  }
+  return lotes;
+}
+
+module.exports = {
+  buildLoteXml,
+  calcularTotaisLote,
+  dividirEmLotes,
+  MAX_RPS_LOTE,
+  MAX_BYTES_LOTE,
+};
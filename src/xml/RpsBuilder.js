@@ -1,43 +1,30 @@
 // src/xml/RpsBuilder.js
 
 const { create } = require('xmlbuilder2');
+const { NS_NFE, LAYOUT_PADRAO, formatValor, appendCpfCnpj, appendCabecalho } = require('./helpers');
+const { calcularTributos } = require('../core/CalculoTributos');
+const { normalizarCep } = require('../core/Validacao');
+const { validarEmissao, discriminacaoRps, tomadorNoExterior } = require('../models/EmissaoSchema');
+const { ValidationError } = require('../core/errors');
+
+// Mapeamento do tipo numérico legado para o TipoRPS do layout v1
+const TIPOS_RPS = { 1: 'RPS', 2: 'RPS-M', 3: 'RPS-C' };
+
+// Retenções federais (tpRPS, na ordem do XSD) -> campo calculado por calcularTributos
+const RETENCOES_XML = [
+  ['ValorPIS', 'valorPis'],
+  ['ValorCOFINS', 'valorCofins'],
+  ['ValorINSS', 'valorInss'],
+  ['ValorIR', 'valorIr'],
+  ['ValorCSLL', 'valorCsll'],
+];
 
 /**
- * Função que constrói o XML para o envio do RPS (NFS-e) conforme o layout da Prefeitura de São Paulo.
- * 
- * @param {Object} data - Dados do RPS e NFS-e
- * @param {string} data.im - Inscrição municipal do prestador
- * @param {Object} data.rps - Dados do RPS
- * @param {string} data.rps.numeroRps - Número do RPS
- * @param {string} data.rps.serie - Série do RPS (normalmente "RPS")
- * @param {string} data.rps.dataEmissao - Data de emissão do RPS (formato ISO - ex: "2025-01-30T10:00:00")
- * @param {string} data.rps.tipo - Tipo do RPS (1 para RPS normal, 2 para RPS subsídio)
- * @param {Object} data.servico - Dados do serviço prestado
- * @param {number} data.servico.valorServicos - Valor total do serviço
- * @param {string} data.servico.codigoServico - Código do serviço (Código CNAE, por exemplo)
- * @param {number} data.servico.issRetido - Indicador se o ISS é retido na fonte (1 ou 2)
- * @param {number} [data.servico.aliquotaServicos] - Alíquota de ISS (ex: 0.05 para 5%)
- * @param {string} data.servico.discriminacao - Discriminação/descrição do serviço
- * @param {Object} data.tomador - Dados do tomador do serviço
- * @param {string} [data.tomador.cpf] - CPF do tomador (se pessoa física)
- * @param {string} [data.tomador.cnpj] - CNPJ do tomador (se pessoa jurídica)
- * @param {string} data.tomador.razaoSocial - Nome ou razão social do tomador
- * @param {Object} data.tomador.endereco - Endereço do tomador
- * @param {string} data.tomador.endereco.logradouro
- * @param {string} data.tomador.endereco.numero
- * @param {string} [data.tomador.endereco.complemento]
- * @param {string} data.tomador.endereco.bairro
- * @param {string} data.tomador.endereco.codigoMunicipio - Código do município (ex: 3550308 para SP)
- * @param {string} data.tomador.endereco.uf - Sigla do estado (ex: "SP")
- * @param {string} data.tomador.endereco.cep - CEP (somente números)
- * @param {string} [data.emailTomador] - Email do tomador (opcional)
- * 
- * @returns {string} - XML do RPS pronto para envio
+ * Adiciona um elemento RPS (tpRPS) ao nó informado, na ordem exigida pelo XSD.
+ * @param {Object} parent - Nó xmlbuilder2 onde o RPS será incluído
+ * @param {Object} data - Mesmo formato aceito por buildRpsXml
  */
-function buildRpsXml(data) {
-  if (!data || typeof data !== 'object') {
-    throw new Error('Dados do RPS são obrigatórios para construção do XML');
-  }
+function appendRps(parent, data) {
   if (!data.im) {
     throw new Error('Inscrição Municipal "im" é obrigatória');
   }
@@ -47,90 +34,246 @@ function buildRpsXml(data) {
   if (!data.servico) {
     throw new Error('Objeto "servico" é obrigatório');
   }
-  if (!data.tomador) {
-    throw new Error('Objeto "tomador" é obrigatório');
+  if (!data.assinatura) {
+    throw new Error('Assinatura do RPS é obrigatória');
+  }
+
+  // Campos, tamanhos e CPF/CNPJ/endereço do tomador (SCHEMA_EMISSAO), antes de a Prefeitura rejeitar o RPS
+  const layout = data.layout || LAYOUT_PADRAO;
+  const errors = validarEmissao(data, { layout });
+  if (errors.length > 0) {
+    throw new ValidationError('Dados do RPS inválidos', errors);
   }
 
-  // Preenchimento de valores obrigatórios dentro de rps e servico
   const {
     im,
     rps,
     servico,
-    tomador,
-    emailTomador = ''
+    tomador = {},
+    emailTomador = '',
+    intermediario,
+    construcaoCivil,
+    ibsCbs,
+    assinatura
   } = data;
 
-  // Constrói XML base do RPS
-  const root = create({ version: '1.0', encoding: 'UTF-8' })
-    .ele('nfd')
-    .ele('prestador')
-      .ele('inscricao').txt(im).up()
-    .up()
-    .ele('listaNfse');
+  const rpsNode = parent.ele('RPS');
 
-  // Cria o nó rps dentro da lista
-  const rpsNode = root.ele('nfs')
-    .ele('rps');
+  rpsNode.ele('Assinatura').txt(assinatura).up();
 
-  // Dados do RPS
-  rpsNode.ele('numero').txt(rps.numeroRps.toString()).up();
-  rpsNode.ele('serie').txt(rps.serie).up();
-  rpsNode.ele('dataEmissao').txt(rps.dataEmissao).up();
-  rpsNode.ele('tipo').txt(rps.tipo || '1').up(); // 1 = RPS Normal
+  // Chave do RPS
+  rpsNode.ele('ChaveRPS')
+    .ele('InscricaoPrestador').txt(im.toString().replace(/\D/g, '')).up()
+    .ele('SerieRPS').txt(rps.serie || '').up()
+    .ele('NumeroRPS').txt(rps.numeroRps.toString()).up()
+  .up();
 
-  // Dados do serviço
-  const servicoNode = rpsNode.ele('servico');
-  servicoNode.ele('valorServicos').txt(servico.valorServicos.toFixed(2)).up();
-  servicoNode.ele('codigoServico').txt(servico.codigoServico).up();
-  servicoNode.ele('issRetido').txt(servico.issRetido ? servico.issRetido.toString() : '2').up();
+  rpsNode.ele('TipoRPS').txt(TIPOS_RPS[rps.tipo] || rps.tipo || 'RPS').up();
+  rpsNode.ele('DataEmissao').txt(rps.dataEmissao.toString().slice(0, 10)).up();
+  rpsNode.ele('StatusRPS').txt(rps.status || 'N').up();
+  rpsNode.ele('TributacaoRPS').txt(servico.tributacao || 'T').up();
+
+  // Valores do serviço
+  rpsNode.ele('ValorServicos').txt(formatValor(servico.valorServicos)).up();
+  rpsNode.ele('ValorDeducoes').txt(formatValor(servico.valorDeducoes)).up();
+
+  // Retenções federais, só quando houver valor retido
+  const tributos = calcularTributos(servico, tomador);
+  RETENCOES_XML.forEach(([elemento, campo]) => {
+    if (tributos[campo] > 0) {
+      rpsNode.ele(elemento).txt(formatValor(tributos[campo])).up();
+    }
+  });
+
+  rpsNode.ele('CodigoServico').txt(servico.codigoServico.toString()).up();
+  rpsNode.ele('AliquotaServicos').txt((Number(servico.aliquotaServicos) || 0).toFixed(4)).up();
+  rpsNode.ele('ISSRetido').txt(Number(servico.issRetido) === 1 ? 'true' : 'false').up();
+
+  // Dados do tomador (sem CPFCNPJTomador quando não identificado ou no exterior)
+  const exterior = tomadorNoExterior(tomador);
+  if (tomador.cpf || tomador.cnpj) {
+    appendCpfCnpj(rpsNode, 'CPFCNPJTomador', tomador);
+  } else if (exterior && layout === 'v02') {
+    // NIF do tomador no exterior ou o motivo de não ter (1 = dispensado, 2 = não exigido pelo país)
+    if (tomador.nif) {
+      rpsNode.ele('NIFTomador').txt(tomador.nif).up();
+    } else {
+      rpsNode.ele('NaoNIFTomador').txt(String(tomador.motivoSemNif)).up();
+    }
+  }
+  if (tomador.inscricaoMunicipal) {
+    rpsNode.ele('InscricaoMunicipalTomador').txt(tomador.inscricaoMunicipal.toString()).up();
+  }
+  if (tomador.inscricaoEstadual) {
+    rpsNode.ele('InscricaoEstadualTomador').txt(tomador.inscricaoEstadual.toString()).up();
+  }
+  if (tomador.razaoSocial) {
+    rpsNode.ele('RazaoSocialTomador').txt(tomador.razaoSocial).up();
+  }
 
-  if (typeof servico.aliquotaServicos === 'number') {
-    servicoNode.ele('aliquotaServicos').txt(servico.aliquotaServicos.toFixed(4)).up();
+  // Endereço do tomador; no exterior o v01 só tem campo para logradouro, número, complemento e bairro,
+  // e o v02 acrescenta o grupo EnderecoExterior (país, código postal, cidade e estado/província)
+  const endereco = tomador.endereco || (exterior && layout === 'v02' ? {} : null);
+  if (endereco) {
+    const enderecoNode = rpsNode.ele('EnderecoTomador');
+    if (endereco.tipoLogradouro) enderecoNode.ele('TipoLogradouro').txt(endereco.tipoLogradouro).up();
+    if (endereco.logradouro) enderecoNode.ele('Logradouro').txt(endereco.logradouro).up();
+    if (endereco.numero) enderecoNode.ele('NumeroEndereco').txt(endereco.numero.toString()).up();
+    if (endereco.complemento) enderecoNode.ele('ComplementoEndereco').txt(endereco.complemento).up();
+    if (endereco.bairro) enderecoNode.ele('Bairro').txt(endereco.bairro).up();
+    if (endereco.codigoMunicipio) enderecoNode.ele('Cidade').txt(endereco.codigoMunicipio.toString()).up();
+    if (endereco.uf) enderecoNode.ele('UF').txt(String(endereco.uf).toUpperCase()).up();
+    if (endereco.cep) enderecoNode.ele('CEP').txt(normalizarCep(endereco.cep)).up();
+    if (exterior && layout === 'v02') {
+      const exteriorNode = enderecoNode.ele('EnderecoExterior');
+      exteriorNode.ele('cPais').txt(tomador.codigoPais).up();
+      if (endereco.codigoPostal) exteriorNode.ele('cEndPost').txt(endereco.codigoPostal.toString()).up();
+      if (endereco.cidade) exteriorNode.ele('xCidade').txt(endereco.cidade).up();
+      if (endereco.estado) exteriorNode.ele('xEstProvReg').txt(endereco.estado).up();
+      exteriorNode.up(); // fecha <EnderecoExterior>
+    }
+    enderecoNode.up(); // fecha <EnderecoTomador>
   }
 
-  servicoNode.ele('discriminacao').txt(servico.discriminacao).up();
-  servicoNode.up(); // fecha <servico>
+  // Email do tomador, opcional
+  if (emailTomador) {
+    rpsNode.ele('EmailTomador').txt(emailTomador).up();
+  }
 
-  // Dados do tomador
-  const tomadorNode = rpsNode.ele('tomador');
-  
-  if (tomador.cpf) {
-    tomadorNode.ele('cpf').txt(tomador.cpf.replace(/\D/g, '')).up();
-  } else if (tomador.cnpj) {
-    tomadorNode.ele('cnpj').txt(tomador.cnpj.replace(/\D/g, '')).up();
+  // Intermediário do serviço, opcional
+  if (intermediario) {
+    appendCpfCnpj(rpsNode, 'CPFCNPJIntermediario', intermediario);
+    if (intermediario.inscricaoMunicipal) {
+      rpsNode.ele('InscricaoMunicipalIntermediario').txt(intermediario.inscricaoMunicipal.toString()).up();
+    }
+    rpsNode.ele('ISSRetidoIntermediario').txt(intermediario.issRetido ? 'true' : 'false').up();
+    if (intermediario.email) {
+      rpsNode.ele('EmailIntermediario').txt(intermediario.email).up();
+    }
   }
 
-  tomadorNode.ele('razaoSocial').txt(tomador.razaoSocial).up();
+  // No v01, país/NIF do tomador no exterior e valor em moeda estrangeira vão no fim da discriminação
+  rpsNode.ele('Discriminacao').txt(discriminacaoRps(data, { layout })).up();
 
-  // Endereço do tomador
-  const enderecoNode = tomadorNode.ele('endereco');
-  enderecoNode.ele('logradouro').txt(tomador.endereco.logradouro).up();
-  enderecoNode.ele('numero').txt(tomador.endereco.numero).up();
+  // Construção civil, opcional (ordem do XSD: CodigoCEI, MatriculaObra, NumeroEncapsulamento)
+  if (construcaoCivil) {
+    if (construcaoCivil.codigoCei) rpsNode.ele('CodigoCEI').txt(construcaoCivil.codigoCei.toString()).up();
+    if (construcaoCivil.matriculaObra) rpsNode.ele('MatriculaObra').txt(construcaoCivil.matriculaObra.toString()).up();
+    if (construcaoCivil.numeroEncapsulamento) {
+      rpsNode.ele('NumeroEncapsulamento').txt(construcaoCivil.numeroEncapsulamento.toString()).up();
+    }
+  }
 
-  if (tomador.endereco.complemento) {
-    enderecoNode.ele('complemento').txt(tomador.endereco.complemento).up();
+  // Exportação de serviços, só no layout v02 (códigos da NFS-e nacional, ver EmissaoSchema)
+  const exportacao = servico.exportacao;
+  if (exportacao && layout === 'v02') {
+    const comExtNode = rpsNode.ele('ComercioExterior');
+    if (exportacao.modoPrestacao !== undefined) comExtNode.ele('mdPrestacao').txt(String(exportacao.modoPrestacao)).up();
+    if (exportacao.vinculo !== undefined) comExtNode.ele('vincPrest').txt(String(exportacao.vinculo)).up();
+    if (exportacao.moeda) {
+      comExtNode.ele('tpMoeda').txt(exportacao.moeda).up();
+      comExtNode.ele('vServMoeda').txt(formatValor(exportacao.valorMoeda)).up();
+    }
+    comExtNode.up(); // fecha <ComercioExterior>
   }
 
-  enderecoNode.ele('bairro').txt(tomador.endereco.bairro).up();
-  enderecoNode.ele('codigoMunicipio').txt(tomador.endereco.codigoMunicipio).up();
-  enderecoNode.ele('uf').txt(tomador.endereco.uf).up();
-  enderecoNode.ele('cep').txt(tomador.endereco.cep.replace(/\D/g, '')).up();
-  enderecoNode.up(); // fecha <endereco>
+  // IBS/CBS, só no layout v02 (último grupo do RPS)
+  if (layout === 'v02') {
+    const ibsCbsNode = rpsNode.ele('IBSCBS');
+    ibsCbsNode.ele('cLocalidadeIncid').txt(ibsCbs.codigoMunicipioIncidencia.toString()).up();
+    ibsCbsNode.ele('CST').txt(ibsCbs.cst).up();
+    ibsCbsNode.ele('cClassTrib').txt(ibsCbs.cClassTrib).up();
+    if (ibsCbs.valorIbs !== undefined && ibsCbs.valorIbs !== null) ibsCbsNode.ele('vIBS').txt(formatValor(ibsCbs.valorIbs)).up();
+    if (ibsCbs.valorCbs !== undefined && ibsCbs.valorCbs !== null) ibsCbsNode.ele('vCBS').txt(formatValor(ibsCbs.valorCbs)).up();
+    ibsCbsNode.up(); // fecha <IBSCBS>
+  }
 
-  // Email do tomador, opcional
-  if (emailTomador) {
-    tomadorNode.ele('email').txt(emailTomador).up();
+  rpsNode.up(); // fecha <RPS>
+}
+
+/**
+ * Função que constrói o XML do PedidoEnvioRPS (operação EnvioRPS) conforme o layout v1
+ * da Prefeitura de São Paulo (PedidoEnvioRPS_v01.xsd) ou o v2, que acrescenta o grupo IBSCBS e
+ * os elementos do tomador no exterior (NIFTomador/NaoNIFTomador, EnderecoExterior) e da
+ * exportação (ComercioExterior).
+ *
+ * @param {Object} data - Dados do RPS e NFS-e
+ * @param {string} [data.layout='v01'] - 'v01' ou 'v02' (Versao do Cabecalho e grupo IBSCBS)
+ * @param {string} data.im - Inscrição municipal do prestador
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente (Cabecalho)
+ * @param {string} [data.cpfRemetente] - CPF do remetente, quando não houver CNPJ
+ * @param {string} data.assinatura - Assinatura do RPS em base64 (ver Signer.assinarRps)
+ * @param {Object} data.rps - Dados do RPS
+ * @param {string} data.rps.numeroRps - Número do RPS
+ * @param {string} data.rps.serie - Série do RPS (até 5 caracteres)
+ * @param {string} data.rps.dataEmissao - Data de emissão do RPS (formato ISO - ex: "2025-01-30")
+ * @param {string|number} [data.rps.tipo='RPS'] - TipoRPS: 'RPS', 'RPS-M' ou 'RPS-C' (ou 1, 2, 3)
+ * @param {string} [data.rps.status='N'] - StatusRPS: 'N' (normal) ou 'C' (cancelado)
+ * @param {Object} data.servico - Dados do serviço prestado
+ * @param {number} data.servico.valorServicos - Valor total do serviço
+ * @param {number} [data.servico.valorDeducoes=0] - Valor das deduções
+ * @param {string} data.servico.codigoServico - Código do serviço (tabela da Prefeitura, 4 ou 5 dígitos)
+ * @param {number} data.servico.issRetido - Indicador se o ISS é retido na fonte (1 = retido, 2 = não retido)
+ * @param {number} [data.servico.aliquotaServicos] - Alíquota de ISS (ex: 0.05 para 5%)
+ * @param {string} [data.servico.tributacao='T'] - TributacaoRPS (T, F, A, B, M, N, X, V, P)
+ * @param {string[]|Object} [data.servico.retencoes] - Tributos federais retidos pelo tomador PJ; os valores
+ *   de ValorPIS, ValorCOFINS, ValorINSS, ValorIR e ValorCSLL são calculados por calcularTributos
+ * @param {string} data.servico.discriminacao - Discriminação/descrição do serviço
+ * @param {Object} [data.servico.exportacao] - Exportação de serviços (só com tomador no exterior):
+ *   { modoPrestacao, vinculo, moeda, valorMoeda }
+ * @param {Object} [data.tomador] - Dados do tomador do serviço (ausente: NFS-e sem tomador)
+ * @param {string} [data.tomador.cpf] - CPF do tomador (se pessoa física)
+ * @param {string} [data.tomador.cnpj] - CNPJ do tomador (se pessoa jurídica), numérico ou alfanumérico
+ * @param {string} [data.tomador.codigoPais] - País do tomador no exterior (ISO 3166-1 alfa-2), sem CPF/CNPJ
+ * @param {string} [data.tomador.nif] - NIF do tomador no exterior
+ * @param {number} [data.tomador.motivoSemNif] - Tomador no exterior sem NIF: 1 = dispensado, 2 = não exigido
+ * @param {string} [data.tomador.inscricaoMunicipal] - Inscrição municipal do tomador (somente SP)
+ * @param {string} [data.tomador.inscricaoEstadual] - Inscrição estadual do tomador
+ * @param {string} [data.tomador.razaoSocial] - Nome ou razão social (obrigatório com CPF/CNPJ ou no exterior)
+ * @param {Object} [data.tomador.endereco] - Endereço do tomador (obrigatório com CPF/CNPJ); no exterior:
+ *   { logradouro, numero, complemento, bairro, cidade, estado, codigoPostal }
+ * @param {string} [data.tomador.endereco.tipoLogradouro] - Tipo do logradouro (ex: "R", "AV")
+ * @param {string} data.tomador.endereco.logradouro
+ * @param {string} data.tomador.endereco.numero
+ * @param {string} [data.tomador.endereco.complemento]
+ * @param {string} data.tomador.endereco.bairro
+ * @param {string} data.tomador.endereco.codigoMunicipio - Código IBGE do município (ex: 3550308 para SP)
+ * @param {string} data.tomador.endereco.uf - Sigla do estado (ex: "SP")
+ * @param {string} data.tomador.endereco.cep - CEP com 8 dígitos (com ou sem máscara)
+ * @param {string} [data.emailTomador] - Email do tomador (opcional)
+ * @param {Object} [data.intermediario] - Intermediário do serviço
+ * @param {string} [data.intermediario.cpf] - CPF do intermediário (se pessoa física)
+ * @param {string} [data.intermediario.cnpj] - CNPJ do intermediário (se pessoa jurídica)
+ * @param {string} [data.intermediario.inscricaoMunicipal] - Inscrição municipal do intermediário (somente SP)
+ * @param {boolean} [data.intermediario.issRetido=false] - ISS retido pelo intermediário
+ * @param {string} [data.intermediario.email] - Email do intermediário
+ * @param {Object} [data.construcaoCivil] - Dados de construção civil (pelo menos um campo)
+ * @param {string} [data.construcaoCivil.codigoCei] - Código do CEI da obra (até 12 dígitos)
+ * @param {string} [data.construcaoCivil.matriculaObra] - Matrícula da obra (até 12 dígitos)
+ * @param {string} [data.construcaoCivil.numeroEncapsulamento] - Número do encapsulamento (até 12 dígitos)
+ * @param {Object} [data.ibsCbs] - IBS/CBS, obrigatório no layout v02 (ignorado no v01)
+ * @param {string} data.ibsCbs.cst - CST do IBS/CBS (3 dígitos)
+ * @param {string} data.ibsCbs.cClassTrib - Classificação tributária (6 dígitos)
+ * @param {string} data.ibsCbs.codigoMunicipioIncidencia - Código IBGE do município de incidência
+ * @param {number} [data.ibsCbs.valorIbs] - Valor do IBS
+ * @param {number} [data.ibsCbs.valorCbs] - Valor da CBS
+ *
+ * @returns {string} - XML do pedido pronto para assinatura e envio
+ * @throws {ValidationError} - Payload fora do SCHEMA_EMISSAO (todas as violações, com o caminho de cada campo)
+ */
+function buildRpsXml(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Dados do RPS são obrigatórios para construção do XML');
   }
 
-  tomadorNode.up(); // fecha <tomador>
+  const root = create({ version: '1.0', encoding: 'UTF-8' })
+    .ele(NS_NFE, 'p1:PedidoEnvioRPS');
 
-  rpsNode.up(); // fecha <rps>
-  root.up(); // fecha <nfs>
-  root.up(); // fecha <listaNfse>
-  root.up(); // fecha <nfd>
+  appendCabecalho(root, data).up(); // fecha <Cabecalho>
+  appendRps(root, data);
 
   // Retorna o XML como string com formatação
   return root.end({ prettyPrint: true });
 }
 
-module.exports = { buildRpsXml };
+module.exports = { buildRpsXml, appendRps };
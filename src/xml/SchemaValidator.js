@@ -0,0 +1,57 @@
+// src/xml/SchemaValidator.js
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+
+// Diretório com os XSDs oficiais distribuídos pela Prefeitura, por versão de layout
+const SCHEMAS_DIR = path.join(__dirname, 'schemas');
+
+/**
+ * Carrega todos os XSDs de uma versão de layout (necessário para resolver os imports).
+ * @param {string} versao - Ex: 'v01'
+ * @returns {Array<{fileName: string, contents: string}>}
+ */
+function carregarSchemas(versao) {
+  const dir = path.join(SCHEMAS_DIR, versao);
+  if (!fs.existsSync(dir)) {
+    // Ex.: v02 só valida depois de copiados os XSDs oficiais da Prefeitura para schemas/v02
+    throw new Error(`XSDs do layout ${versao} não encontrados em ${dir}`);
+  }
+  return fs.readdirSync(dir)
+    .filter((f) => f.endsWith('.xsd'))
+    .map((f) => ({ fileName: f, contents: fs.readFileSync(path.join(dir, f), 'utf8') }));
+}
+
+/**
+ * Valida um XML contra o XSD do pedido informado, sem acesso à rede.
+ *
+ * @param {string} xml - Documento XML a validar
+ * @param {string} schema - Nome do pedido (ex: 'PedidoEnvioRPS', 'PedidoCancelamentoNFe')
+ * @param {string} [versao='v01'] - Versão do layout
+ * @returns {Promise<{valido: boolean, erros: string[]}>}
+ */
+async function validarXml(xml, schema, versao = 'v01') {
+  if (!xml || typeof xml !== 'string') throw new Error('XML para validação é obrigatório');
+  if (!schema) throw new Error('Nome do schema é obrigatório');
+
+  const arquivos = carregarSchemas(versao);
+  const nomeArquivo = `${schema}_${versao}.xsd`;
+  const principal = arquivos.find((a) => a.fileName === nomeArquivo);
+  if (!principal) {
+    throw new Error(`Schema ${nomeArquivo} não encontrado`);
+  }
+
+  const resultado = await validateXML({
+    xml: [{ fileName: `${schema}.xml`, contents: xml }],
+    schema: [principal],
+    preload: arquivos.filter((a) => a !== principal),
+  });
+
+  return {
+    valido: resultado.valid,
+    erros: resultado.errors.map((e) => e.message),
+  };
+}
+
+module.exports = { validarXml };
@@ -0,0 +1,159 @@
+// src/xml/Signer.js
+
+const crypto = require('crypto');
+const { SignedXml } = require('xml-crypto');
+const { limparDocumento } = require('../core/Validacao');
+
+// Algoritmos exigidos pelo webservice da Prefeitura de SP
+const C14N = 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315';
+const ENVELOPED = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+const RSA_SHA1 = 'http://www.w3.org/2000/09/xmldsig#rsa-sha1';
+const SHA1 = 'http://www.w3.org/2000/09/xmldsig#sha1';
+
+/**
+ * Completa o valor à esquerda com zeros até o tamanho informado.
+ * @param {string|number} valor
+ * @param {number} tamanho
+ * @returns {string}
+ */
+function zeros(valor, tamanho) {
+  return String(valor == null ? '' : valor).padStart(tamanho, '0').slice(-tamanho);
+}
+
+/**
+ * Converte valor monetário para centavos com 15 posições (ex: 10.5 => "000000000001050").
+ * @param {number} valor
+ * @returns {string}
+ */
+function centavos(valor) {
+  return zeros(Math.round((Number(valor) || 0) * 100), 15);
+}
+
+/**
+ * Monta a string de 86 caracteres usada na assinatura do RPS, conforme manual da Prefeitura:
+ * InscricaoPrestador(8) + SerieRPS(5) + NumeroRPS(12) + DataEmissao(8, AAAAMMDD) +
+ * TributacaoRPS(1) + StatusRPS(1) + ISSRetido(1, S/N) + ValorServicos(15) + ValorDeducoes(15) +
+ * CodigoServico(5) + IndicadorCPFCNPJ(1) + CPFCNPJTomador(14).
+ * Com intermediário, a string é complementada com IndicadorCPFCNPJIntermediario(1) +
+ * CPFCNPJIntermediario(14) + ISSRetidoIntermediario(1, S/N), totalizando 102 caracteres.
+ *
+ * @param {Object} data - Dados do RPS no formato de Rps.toObject() acrescido de im
+ * @returns {string}
+ */
+function montarStringAssinaturaRps(data) {
+  const { im, rps = {}, servico = {}, intermediario } = data || {};
+  const tomador = (data && data.tomador) || {};
+  if (!im) throw new Error('Inscrição municipal (im) é obrigatória para assinatura do RPS');
+  if (!rps.numeroRps) throw new Error('Número do RPS é obrigatório para assinatura');
+  if (!rps.dataEmissao) throw new Error('Data de emissão é obrigatória para assinatura');
+
+  const documento = tomador.cpf || tomador.cnpj || '';
+  let indicador = '3'; // 3 = tomador não informado (sem CPF/CNPJ, inclusive no exterior)
+  if (tomador.cpf) indicador = '1';
+  else if (tomador.cnpj) indicador = '2';
+
+  const campos = [
+    zeros(String(im).replace(/\D/g, ''), 8),
+    String(rps.serie || '').padEnd(5, ' ').slice(0, 5),
+    zeros(rps.numeroRps, 12),
+    String(rps.dataEmissao).slice(0, 10).replace(/-/g, ''),
+    (servico.tributacao || 'T').toString().slice(0, 1),
+    (rps.status || 'N').toString().slice(0, 1),
+    Number(servico.issRetido) === 1 ? 'S' : 'N',
+    centavos(servico.valorServicos),
+    centavos(servico.valorDeducoes),
+    zeros(servico.codigoServico, 5),
+    indicador,
+    zeros(limparDocumento(documento), 14),
+  ];
+
+  if (intermediario) {
+    campos.push(
+      intermediario.cpf ? '1' : '2',
+      zeros(limparDocumento(intermediario.cpf || intermediario.cnpj), 14),
+      intermediario.issRetido ? 'S' : 'N',
+    );
+  }
+  return campos.join('');
+}
+
+/**
+ * Assina um texto com RSA-SHA1 e retorna em base64.
+ * @param {string} texto
+ * @param {string} keyPem - Chave privada em PEM (ver loadPfx)
+ * @returns {string}
+ */
+function rsaSha1(texto, keyPem) {
+  if (!keyPem) throw new Error('Chave privada é obrigatória para assinatura');
+  return crypto.createSign('RSA-SHA1').update(texto, 'ascii').sign(keyPem, 'base64');
+}
+
+/**
+ * Gera o valor do campo Assinatura de um RPS.
+ * @param {Object} data - Dados do RPS no formato de Rps.toObject() acrescido de im
+ * @param {string} keyPem - Chave privada em PEM
+ * @returns {string} - Assinatura em base64
+ */
+function assinarRps(data, keyPem) {
+  return rsaSha1(montarStringAssinaturaRps(data), keyPem);
+}
+
+/**
+ * Gera o valor do campo AssinaturaCancelamento:
+ * InscricaoPrestador(8) + NumeroNFe(12) assinados com RSA-SHA1.
+ *
+ * @param {Object} data
+ * @param {string} data.im - Inscrição municipal do prestador
+ * @param {string} data.numeroNfse - Número da NFS-e a cancelar
+ * @param {string} keyPem - Chave privada em PEM
+ * @returns {string} - Assinatura em base64
+ */
+function assinarCancelamento({ im, numeroNfse }, keyPem) {
+  if (!im) throw new Error('Inscrição municipal (im) é obrigatória para assinatura do cancelamento');
+  if (!numeroNfse) throw new Error('Número da NF-e é obrigatório para assinatura do cancelamento');
+  const texto = zeros(String(im).replace(/\D/g, ''), 8) + zeros(numeroNfse, 12);
+  return rsaSha1(texto, keyPem);
+}
+
+/**
+ * Aplica assinatura XMLDSig envelopada (enveloped) no elemento raiz do documento.
+ * A assinatura é inserida como último filho da raiz, com o certificado em KeyInfo.
+ *
+ * @param {string} xml - Documento XML a ser assinado
+ * @param {Object} certificado - Objeto retornado por loadPfx
+ * @param {string} certificado.key - Chave privada em PEM
+ * @param {string} certificado.cert - Certificado em PEM
+ * @returns {string} - XML assinado
+ */
+function assinarXml(xml, { key, cert } = {}) {
+  if (!xml || typeof xml !== 'string') throw new Error('XML para assinatura é obrigatório');
+  if (!key || !cert) throw new Error('Chave privada e certificado são obrigatórios para assinatura XML');
+
+  const sig = new SignedXml({
+    privateKey: key,
+    publicCert: cert,
+    canonicalizationAlgorithm: C14N,
+    signatureAlgorithm: RSA_SHA1,
+  });
+
+  sig.addReference({
+    xpath: '/*',
+    transforms: [ENVELOPED, C14N],
+    digestAlgorithm: SHA1,
+    uri: '',
+    isEmptyUri: true,
+  });
+
+  sig.computeSignature(xml, {
+    location: { reference: '/*', action: 'append' },
+  });
+
+  return sig.getSignedXml();
+}
+
+module.exports = {
+  montarStringAssinaturaRps,
+  assinarRps,
+  assinarCancelamento,
+  assinarXml,
+};
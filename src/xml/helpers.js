@@ -0,0 +1,106 @@
+// src/xml/helpers.js
+// Funções auxiliares compartilhadas pelos builders de pedidos do webservice da NFS-e de SP.
+
+const { limparDocumento, validarCpf, validarCnpj } = require('../core/Validacao');
+const { NfseError } = require('../core/errors');
+
+// Namespace dos pedidos do webservice da NFS-e de São Paulo
+const NS_NFE = 'http://www.prefeitura.sp.gov.br/nfe';
+
+// Layouts do webservice: atributo Versao do Cabecalho e VersaoSchema da chamada SOAP.
+// O v02 (Reforma Tributária) acrescenta ao RPS o grupo IBSCBS e os elementos do tomador no exterior e da
+// exportação; os schemas ficam em schemas/<layout>.
+const LAYOUTS = {
+  v01: { versao: '1', versaoSchema: 1 },
+  v02: { versao: '2', versaoSchema: 2 },
+};
+const LAYOUT_PADRAO = 'v01';
+
+// Layouts cujo envio de notas depende de liberação explícita (variável de ambiente = 'true'): os XSDs
+// oficiais do v02 ainda não acompanham o projeto (schemas/v02), então os pedidos v02 não são validados
+const LAYOUTS_EXPERIMENTAIS = { v02: 'NFSE_LAYOUT_V02' };
+
+/**
+ * @param {string} [layout='v01'] - 'v01' ou 'v02'
+ * @returns {{versao: string, versaoSchema: number}}
+ * @throws {Error} - Layout desconhecido
+ */
+function obterLayout(layout = LAYOUT_PADRAO) {
+  const encontrado = LAYOUTS[layout];
+  if (!encontrado) {
+    throw new Error(`Layout desconhecido: ${layout} (use ${Object.keys(LAYOUTS).join(' ou ')})`);
+  }
+  return encontrado;
+}
+
+/**
+ * Confere se o layout pode ser usado na emissão de notas.
+ * @param {string} [layout='v01']
+ * @throws {NfseError} - LAYOUT_NAO_HABILITADO, para layout experimental sem a liberação
+ */
+function exigirLayoutHabilitado(layout = LAYOUT_PADRAO) {
+  const variavel = LAYOUTS_EXPERIMENTAIS[layout];
+  if (variavel && process.env[variavel] !== 'true') {
+    throw new NfseError(
+      `Emissão no layout ${layout} desabilitada até os XSDs oficiais acompanharem o projeto (libere com ${variavel}=true)`,
+      { code: 'LAYOUT_NAO_HABILITADO', httpStatus: 422 },
+    );
+  }
+}
+
+/**
+ * Formata valor monetário com 2 casas decimais (tpValor).
+ * @param {number} valor
+ * @returns {string}
+ */
+function formatValor(valor) {
+  return (Number(valor) || 0).toFixed(2);
+}
+
+/**
+ * Adiciona o grupo CPF/CNPJ (tpCPFCNPJ) ao nó informado, conferindo os dígitos verificadores.
+ * @param {Object} parent - Nó xmlbuilder2
+ * @param {string} nome - Nome do grupo (ex: "CPFCNPJTomador")
+ * @param {{cpf?: string, cnpj?: string}} doc
+ */
+function appendCpfCnpj(parent, nome, { cpf, cnpj }) {
+  if (cpf ? !validarCpf(cpf) : !validarCnpj(cnpj)) {
+    throw new Error(`${cpf ? 'CPF' : 'CNPJ'} inválido em ${nome}: ${cpf || cnpj}`);
+  }
+  const node = parent.ele(nome);
+  if (cpf) {
+    node.ele('CPF').txt(limparDocumento(cpf)).up();
+  } else {
+    node.ele('CNPJ').txt(limparDocumento(cnpj)).up();
+  }
+  node.up();
+}
+
+/**
+ * Adiciona o Cabecalho padrão dos pedidos (Versao + CPFCNPJRemetente).
+ * @param {Object} root - Nó raiz do pedido
+ * @param {Object} data
+ * @param {string} [data.cnpjRemetente] - CNPJ do remetente
+ * @param {string} [data.cpfRemetente] - CPF do remetente
+ * @param {string} [data.layout='v01'] - Layout do pedido (ver LAYOUTS)
+ * @returns {Object} - Nó Cabecalho (aberto, para inclusão de campos específicos do pedido)
+ */
+function appendCabecalho(root, { cnpjRemetente, cpfRemetente, layout }) {
+  if (!cnpjRemetente && !cpfRemetente) {
+    throw new Error('CPF/CNPJ do remetente é obrigatório');
+  }
+  const cabecalho = root.ele('Cabecalho').att('Versao', obterLayout(layout).versao);
+  appendCpfCnpj(cabecalho, 'CPFCNPJRemetente', { cpf: cpfRemetente, cnpj: cnpjRemetente });
+  return cabecalho;
+}
+
+module.exports = {
+  NS_NFE,
+  LAYOUTS,
+  LAYOUT_PADRAO,
+  obterLayout,
+  exigirLayoutHabilitado,
+  formatValor,
+  appendCpfCnpj,
+  appendCabecalho,
+};
@@ -0,0 +1,110 @@
+// test/CalculoTributos.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { arredondar, tipoTomador, aliquotasRetencao, calcularTributos } = require('../src/core/CalculoTributos');
+
+const PJ = { cnpj: '11444777000161' };
+const PF = { cpf: '12345678909' };
+const TODAS = ['PIS', 'COFINS', 'CSLL', 'IR', 'INSS'];
+
+describe('arredondar', () => {
+  it('arredonda meio centavo para cima, sem erro de ponto flutuante', () => {
+    assert.equal(arredondar(1.005), 1.01);
+    assert.equal(arredondar(2.675), 2.68);
+    assert.equal(arredondar(0.125), 0.13);
+    assert.equal(arredondar(10.004), 10);
+    assert.equal(arredondar(0.1 + 0.2), 0.3);
+  });
+});
+
+describe('tipoTomador', () => {
+  it('distingue PJ, PF e tomador sem documento', () => {
+    assert.equal(tipoTomador(PJ), 'PJ');
+    assert.equal(tipoTomador(PF), 'PF');
+    assert.equal(tipoTomador({ nif: '123' }), null);
+    assert.equal(tipoTomador(undefined), null);
+  });
+});
+
+describe('aliquotasRetencao', () => {
+  it('usa as alíquotas padrão para a lista de tributos', () => {
+    assert.deepEqual(aliquotasRetencao(['pis', 'IR']), { PIS: 0.0065, IR: 0.015 });
+  });
+
+  it('aceita alíquotas próprias, true para a padrão e false para ignorar', () => {
+    assert.deepEqual(aliquotasRetencao({ IR: 0.01, INSS: true, CSLL: false }), { IR: 0.01, INSS: 0.11 });
+  });
+
+  it('rejeita tributo desconhecido e alíquota fora de 0..1', () => {
+    assert.throws(() => aliquotasRetencao(['ICMS']), /Tributo retido/);
+    assert.throws(() => aliquotasRetencao({ IR: 1.5 }), /entre 0 e 1/);
+    assert.throws(() => aliquotasRetencao('IR'), /lista de tributos/);
+  });
+});
+
+describe('calcularTributos', () => {
+  it('calcula o ISS sobre o valor menos as deduções', () => {
+    const tributos = calcularTributos({ valorServicos: 1000, valorDeducoes: 100, aliquotaServicos: 0.05, issRetido: 2 }, PJ);
+    assert.equal(tributos.baseCalculo, 900);
+    assert.equal(tributos.valorIss, 45);
+    assert.equal(tributos.totalRetencoes, 0);
+    assert.equal(tributos.valorLiquido, 1000);
+  });
+
+  it('soma o ISS retido às retenções', () => {
+    const tributos = calcularTributos({ valorServicos: 1000, aliquotaServicos: 0.05, issRetido: 1 }, PJ);
+    assert.equal(tributos.issRetido, true);
+    assert.equal(tributos.totalRetencoes, 50);
+    assert.equal(tributos.valorLiquido, 950);
+  });
+
+  it('não deixa a base de cálculo negativa', () => {
+    assert.equal(calcularTributos({ valorServicos: 100, valorDeducoes: 150, aliquotaServicos: 0.05 }).baseCalculo, 0);
+  });
+
+  it('retém os tributos federais sobre o valor bruto para tomador PJ', () => {
+    const tributos = calcularTributos({ valorServicos: 10000, valorDeducoes: 1000, retencoes: TODAS }, PJ);
+    assert.equal(tributos.valorPis, 65);
+    assert.equal(tributos.valorCofins, 300);
+    assert.equal(tributos.valorCsll, 100);
+    assert.equal(tributos.valorIr, 150);
+    assert.equal(tributos.valorInss, 1100);
+    assert.equal(tributos.totalRetencoes, 1715);
+    assert.equal(tributos.valorLiquido, 8285);
+  });
+
+  it('não retém tributos federais para tomador PF ou sem documento', () => {
+    [PF, undefined].forEach((tomador) => {
+      const tributos = calcularTributos({ valorServicos: 10000, retencoes: TODAS }, tomador);
+      assert.equal(tributos.totalRetencoes, 0);
+    });
+  });
+
+  describe('dispensa de retenção de até R$ 10,00', () => {
+    it('dispensa o IR igual ou inferior a R$ 10,00', () => {
+      assert.equal(calcularTributos({ valorServicos: 666.67, retencoes: ['IR'] }, PJ).valorIr, 0); // 10,00
+      assert.equal(calcularTributos({ valorServicos: 667, retencoes: ['IR'] }, PJ).valorIr, 10.01);
+    });
+
+    it('dispensa PIS, COFINS e CSLL quando a soma é igual ou inferior a R$ 10,00', () => {
+      const dispensado = calcularTributos({ valorServicos: 215.05, retencoes: ['PIS', 'COFINS', 'CSLL'] }, PJ); // 1,40 + 6,45 + 2,15
+      assert.deepEqual([dispensado.valorPis, dispensado.valorCofins, dispensado.valorCsll], [0, 0, 0]);
+
+      const retido = calcularTributos({ valorServicos: 216, retencoes: ['PIS', 'COFINS', 'CSLL'] }, PJ);
+      assert.deepEqual([retido.valorPis, retido.valorCofins, retido.valorCsll], [1.4, 6.48, 2.16]);
+    });
+
+    it('avalia PIS, COFINS e CSLL pela soma, não individualmente', () => {
+      // Sozinho o PIS (2,60) seria dispensado, mas a soma (18,60) não é
+      const tributos = calcularTributos({ valorServicos: 400, retencoes: ['PIS', 'COFINS', 'CSLL'] }, PJ);
+      assert.deepEqual([tributos.valorPis, tributos.valorCofins, tributos.valorCsll], [2.6, 12, 4]);
+    });
+
+    it('dispensa o INSS inferior a R$ 10,00, mas retém exatamente R$ 10,00', () => {
+      assert.equal(calcularTributos({ valorServicos: 90, retencoes: ['INSS'] }, PJ).valorInss, 0); // 9,90
+      assert.equal(calcularTributos({ valorServicos: 90.91, retencoes: ['INSS'] }, PJ).valorInss, 10);
+    });
+  });
+});
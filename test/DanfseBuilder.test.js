@@ -0,0 +1,134 @@
+// test/DanfseBuilder.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { buildDanfsePdf, notaDoRegistro, formatarDocumento, formatarValor, formatarData } = require('../src/pdf/DanfseBuilder');
+const { CNPJ_PRESTADOR, CPF_TOMADOR, IM_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+/**
+ * Textos desenhados no PDF: descomprime os streams e junta os trechos de cada operador TJ
+ * (o pdfkit escreve as fontes padrão em WinAnsi, como hexadecimal).
+ * @param {Buffer} pdf
+ * @returns {string} - Um texto por linha
+ */
+function textoDoPdf(pdf) {
+  const textos = [];
+  for (const [, conteudo] of pdf.toString('latin1').matchAll(/stream\n([\s\S]*?)\nendstream/g)) {
+    let stream;
+    try {
+      stream = zlib.inflateSync(Buffer.from(conteudo, 'latin1')).toString('latin1');
+    } catch (err) {
+      continue; // Imagem do QR code
+    }
+    for (const [, trechos] of stream.matchAll(/\[([^\]]*)\] TJ/g)) {
+      textos.push([...trechos.matchAll(/<([0-9a-f]*)>/gi)].map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1')).join(''));
+    }
+  }
+  return textos.join('\n');
+}
+
+/**
+ * Registro de NFS-e emitida, como gravado pelo NotaFiscalSP.
+ * @param {Object} [alteracoes]
+ * @returns {Object}
+ */
+function registroEmitido(alteracoes = {}) {
+  return {
+    cnpj: CNPJ_PRESTADOR,
+    serie: 'A',
+    numeroRps: '1',
+    status: 'emitida',
+    numeroNfse: '123',
+    codigoVerificacao: 'ABCD1234',
+    emitidaEm: '2025-01-10T13:30:00.000Z',
+    dataEmissao: '2025-01-10',
+    rps: { ...rpsValido(), im: IM_PRESTADOR },
+    ...alteracoes,
+  };
+}
+
+describe('formatação do DANFSe', () => {
+  it('formata CPF, CNPJ numérico e alfanumérico', () => {
+    assert.equal(formatarDocumento(CNPJ_PRESTADOR), '11.222.333/0001-81');
+    assert.equal(formatarDocumento('12ABC34501DE35'), '12.ABC.345/01DE-35');
+    assert.equal(formatarDocumento(CPF_TOMADOR), '123.456.789-09');
+    assert.equal(formatarDocumento('NIF 98-7654321'), 'NIF 98-7654321');
+    assert.equal(formatarDocumento(null), '-');
+  });
+
+  it('formata valores e datas no padrão brasileiro, instantes no horário de São Paulo', () => {
+    assert.equal(formatarValor(1234.5), '1.234,50');
+    assert.equal(formatarValor(null), '0,00');
+    assert.equal(formatarData('2025-01-10'), '10/01/2025');
+    assert.equal(formatarData('2025-01-10T08:15:00', true), '10/01/2025 08:15:00');
+    assert.equal(formatarData('2025-01-10T01:30:00.000Z', true), '09/01/2025 22:30:00');
+    assert.equal(formatarData(null), '-');
+  });
+});
+
+describe('notaDoRegistro', () => {
+  it('monta a nota a partir do RPS registrado, recalculando o ISS', () => {
+    const nota = notaDoRegistro(registroEmitido(), { razaoSocial: 'Prestador Teste Ltda' });
+    assert.equal(nota.numeroNfe, '123');
+    assert.equal(nota.inscricaoPrestador, IM_PRESTADOR);
+    assert.equal(nota.status, 'N');
+    assert.deepEqual(nota.rps, { serie: 'A', numeroRps: '1', dataEmissao: '2025-01-10' });
+    assert.equal(nota.prestador.razaoSocial, 'Prestador Teste Ltda');
+    assert.equal(nota.tomador.cpfCnpj, rpsValido().tomador.cnpj);
+    assert.equal(nota.valorServicos, 1500);
+    assert.equal(nota.valorIss, 75);
+    assert.equal(nota.discriminacao, 'Desenvolvimento de software');
+  });
+
+  it('marca a nota cancelada e identifica o tomador no exterior pelo NIF', () => {
+    const nota = notaDoRegistro(registroEmitido({
+      status: 'cancelada',
+      canceladaEm: '2025-01-20T10:00:00.000Z',
+      rps: { ...rpsValido({ tomador: { codigoPais: 'US', nif: '98-7654321', razaoSocial: 'ACME Inc.', endereco: { cidade: 'Springfield' } } }), im: IM_PRESTADOR },
+    }));
+    assert.equal(nota.status, 'C');
+    assert.equal(nota.dataCancelamento, '2025-01-20T10:00:00.000Z');
+    assert.equal(nota.tomador.cpfCnpj, 'NIF 98-7654321');
+    assert.equal(nota.tomador.endereco.uf, 'US');
+  });
+});
+
+describe('buildDanfsePdf', () => {
+  it('gera uma página com os quadros da nota e o link de verificação', async () => {
+    const pdf = await buildDanfsePdf(notaDoRegistro(registroEmitido(), { razaoSocial: 'Prestador Teste Ltda' }));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.equal(pdf.toString('latin1').match(/\/Type \/Page\b/g).length, 1);
+
+    const texto = textoDoPdf(pdf);
+    ['00000123', 'ABCD1234', '10/01/2025 10:30:00', '11.222.333/0001-81', 'Prestador Teste Ltda', 'Tomador Teste Ltda',
+      'Desenvolvimento de software', 'VALOR TOTAL DO SERVIÇO = R$ 1.500,00', '75,00',
+      'Esta NFS-e substitui o RPS Nº 1 Série A, emitido em 10/01/2025.',
+      'https://nfe.prefeitura.sp.gov.br/contribuinte/notaprint.aspx?ccm=87654321&nf=123&cod=ABCD1234',
+    ].forEach((trecho) => assert.ok(texto.includes(trecho), trecho));
+  });
+
+  it('inclui o QR code só quando a chave de verificação está completa', async () => {
+    const imagens = (pdf) => (pdf.toString('latin1').match(/\/Subtype \/Image/g) || []).length;
+    assert.ok(imagens(await buildDanfsePdf({ numeroNfe: '123', codigoVerificacao: 'ABCD1234', inscricaoPrestador: IM_PRESTADOR })) > 0);
+    const semChave = await buildDanfsePdf({ numeroNfe: '123' });
+    assert.equal(imagens(semChave), 0);
+    assert.ok(!textoDoPdf(semChave).includes('Verifique a autenticidade'));
+  });
+
+  it('marca a nota cancelada e a emitida em homologação', async () => {
+    const cancelada = textoDoPdf(await buildDanfsePdf(notaDoRegistro(registroEmitido({ status: 'cancelada', canceladaEm: '2025-01-20T13:00:00.000Z' }))));
+    assert.ok(cancelada.includes('Esta NFS-e foi CANCELADA em 20/01/2025 10:00:00.'));
+    assert.match(cancelada.replace(/\s+/g, ' '), /CANCELADA$/);
+
+    const homologacao = textoDoPdf(await buildDanfsePdf({ numeroNfe: '123' }, { homologacao: true }));
+    assert.match(homologacao.replace(/\s+/g, ' '), /SEM VALOR FISCAL$/);
+    assert.ok(!textoDoPdf(await buildDanfsePdf({ numeroNfe: '123' })).includes('SEM VALOR'));
+  });
+
+  it('exige a nota com o número da NFS-e', async () => {
+    await assert.rejects(buildDanfsePdf(null), /obrigatórios/);
+    await assert.rejects(buildDanfsePdf({ codigoVerificacao: 'ABCD1234' }), /Número da NFS-e/);
+  });
+});
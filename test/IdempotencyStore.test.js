@@ -0,0 +1,90 @@
+// test/IdempotencyStore.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { criarIdempotencyStore, registroVencido, novoRegistro } = require('../src/storage/IdempotencyStore');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-idempotencia-'));
+after(() => fs.rmSync(DIRETORIO, { recursive: true, force: true }));
+
+let arquivos = 0;
+const novoStore = (tipo) => criarIdempotencyStore({
+  tipo,
+  arquivo: path.join(DIRETORIO, `idempotencia-${++arquivos}.${tipo === 'json' ? 'json' : 'sqlite'}`),
+});
+
+describe('registroVencido', () => {
+  const agora = Date.now();
+
+  it('vence o registro depois de expiraEm', () => {
+    const registro = { ...novoRegistro('k', 'h', agora), estado: 'concluido' };
+    assert.equal(registroVencido(registro, agora), false);
+    assert.equal(registroVencido(registro, Date.parse(registro.expiraEm)), true);
+  });
+
+  it('considera abandonada a reserva "processando" há mais de 10 minutos', () => {
+    const registro = novoRegistro('k', 'h', agora);
+    assert.equal(registroVencido(registro, agora + 9 * 60 * 1000), false);
+    assert.equal(registroVencido(registro, agora + 11 * 60 * 1000), true);
+    assert.equal(registroVencido({ ...registro, estado: 'concluido' }, agora + 11 * 60 * 1000), false);
+  });
+});
+
+['json', 'sqlite'].forEach((tipo) => {
+  describe(`IdempotencyStore (${tipo})`, () => {
+    it('reserva a chave uma única vez e devolve o registro existente', async () => {
+      const store = novoStore(tipo);
+      const primeira = await store.reservar('chave:1', 'hash-a');
+      assert.equal(primeira.reservado, true);
+
+      const segunda = await store.reservar('chave:1', 'hash-b');
+      assert.equal(segunda.reservado, false);
+      assert.equal(segunda.registro.estado, 'processando');
+      assert.equal(segunda.registro.impressao, 'hash-a');
+    });
+
+    it('guarda a resposta ao concluir', async () => {
+      const store = novoStore(tipo);
+      await store.reservar('chave:1', 'hash-a');
+      await store.concluir('chave:1', { status: 200, body: { numeroNfse: '10' } });
+
+      const { reservado, registro } = await store.reservar('chave:1', 'hash-a');
+      assert.equal(reservado, false);
+      assert.equal(registro.estado, 'concluido');
+      assert.deepEqual(registro.resposta, { status: 200, body: { numeroNfse: '10' } });
+    });
+
+    it('liberar permite reservar de novo', async () => {
+      const store = novoStore(tipo);
+      await store.reservar('chave:1', 'hash-a');
+      await store.liberar('chave:1');
+      assert.equal((await store.reservar('chave:1', 'hash-b')).reservado, true);
+    });
+
+    it('falha depois do envio: aceita só o mesmo conteúdo, que herda o RPS vinculado', async () => {
+      const store = novoStore(tipo);
+      await store.reservar('chave:1', 'hash-a');
+      await store.vincular('chave:1', { serie: 'A', numeroRps: '7' });
+      await store.falhar('chave:1');
+
+      const outra = await store.reservar('chave:1', 'hash-b');
+      assert.equal(outra.reservado, false);
+      assert.equal(outra.registro.estado, 'falhou');
+
+      const repetida = await store.reservar('chave:1', 'hash-a');
+      assert.equal(repetida.reservado, true);
+      assert.deepEqual(repetida.registro.rps, { serie: 'A', numeroRps: '7' });
+      assert.equal((await store.reservar('chave:1', 'hash-a')).registro.estado, 'processando');
+    });
+
+    it('reservas concorrentes da mesma chave: só uma é aceita', async () => {
+      const store = novoStore(tipo);
+      const resultados = await Promise.all(Array.from({ length: 10 }, (_, i) => store.reservar('chave:1', `hash-${i}`)));
+      assert.equal(resultados.filter((r) => r.reservado).length, 1);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// test/IssuerStore.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { criarIssuerStore, normalizarEmitente } = require('../src/storage/IssuerStore');
+const { IssuerRegistry } = require('../src/core/IssuerRegistry');
+const { ValidationError, NotFoundError, NfseError } = require('../src/core/errors');
+const { certificadoTeste } = require('./fixtures/certificado');
+const { CNPJ_PRESTADOR, CNPJ_TOMADOR } = require('./fixtures/rps');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-emitentes-'));
+after(() => fs.rmSync(DIRETORIO, { recursive: true, force: true }));
+
+let arquivos = 0;
+const novoStore = (tipo) => criarIssuerStore({
+  tipo,
+  arquivo: path.join(DIRETORIO, `emitentes-${++arquivos}.${tipo === 'json' ? 'json' : 'sqlite'}`),
+});
+
+/**
+ * Dados de cadastro de um emitente com o certificado de teste.
+ * @param {Object} [alteracoes]
+ * @returns {Object}
+ */
+function dadosEmitente(alteracoes = {}) {
+  const { pfx, senha } = certificadoTeste();
+  return { cnpj: CNPJ_PRESTADOR, certificadoBase64: pfx.toString('base64'), senhaCertificado: senha, ...alteracoes };
+}
+
+describe('normalizarEmitente', () => {
+  it('limpa o CNPJ e preenche ambiente e layout padrão', () => {
+    const emitente = normalizarEmitente(dadosEmitente({ cnpj: '11.222.333/0001-81' }));
+    assert.equal(emitente.cnpj, CNPJ_PRESTADOR);
+    assert.equal(emitente.ambiente, 'producao');
+    assert.equal(emitente.layout, 'v01');
+    assert.ok(emitente.atualizadoEm);
+  });
+
+  it('aponta todos os campos inválidos de uma vez', () => {
+    assert.throws(
+      () => normalizarEmitente({ cnpj: '123', usuario: '11111111111', ambiente: 'teste', layout: 'v9' }),
+      (err) => err instanceof ValidationError
+        && err.errors.map((e) => e.campo).join() === 'cnpj,usuario,certificado,senhaCertificado,ambiente,layout',
+    );
+  });
+});
+
+['json', 'sqlite'].forEach((tipo) => {
+  describe(`IssuerStore (${tipo})`, () => {
+    it('salva, obtém, lista e remove emitentes pelo CNPJ', async () => {
+      const store = novoStore(tipo);
+      await store.salvar(dadosEmitente());
+      await store.salvar(dadosEmitente({ cnpj: CNPJ_TOMADOR, layout: 'v02' }));
+
+      assert.equal((await store.obter('11.222.333/0001-81')).cnpj, CNPJ_PRESTADOR);
+      assert.equal((await store.obter(CNPJ_TOMADOR)).layout, 'v02');
+      assert.deepEqual((await store.listar()).map((e) => e.cnpj).sort(), [CNPJ_PRESTADOR, CNPJ_TOMADOR].sort());
+
+      assert.equal(await store.remover(CNPJ_TOMADOR), true);
+      assert.equal(await store.remover(CNPJ_TOMADOR), false);
+      assert.equal(await store.obter(CNPJ_TOMADOR), null);
+    });
+
+    it('salvar substitui o cadastro existente', async () => {
+      const store = novoStore(tipo);
+      await store.salvar(dadosEmitente({ razaoSocial: 'Antiga' }));
+      await store.salvar(dadosEmitente({ razaoSocial: 'Nova', ambiente: 'homologacao' }));
+      const emitente = await store.obter(CNPJ_PRESTADOR);
+      assert.equal(emitente.razaoSocial, 'Nova');
+      assert.equal(emitente.ambiente, 'homologacao');
+      assert.equal((await store.listar()).length, 1);
+    });
+
+    it('recusa cadastro inválido sem gravar', async () => {
+      const store = novoStore(tipo);
+      await assert.rejects(store.salvar({ cnpj: CNPJ_PRESTADOR }), ValidationError);
+      assert.deepEqual(await store.listar(), []);
+    });
+  });
+});
+
+describe('IssuerRegistry', () => {
+  it('mantém uma instância por emitente, com o CNPJ e o layout do cadastro', async () => {
+    const registry = new IssuerRegistry(novoStore('json'));
+    await registry.salvarEmitente(dadosEmitente());
+    await registry.salvarEmitente(dadosEmitente({ cnpj: CNPJ_TOMADOR, layout: 'v02' }));
+
+    const prestador = await registry.notaFiscal(CNPJ_PRESTADOR);
+    const tomador = await registry.notaFiscal(CNPJ_TOMADOR);
+    assert.notEqual(prestador, tomador);
+    assert.equal(prestador.cnpj, CNPJ_PRESTADOR);
+    assert.equal(tomador.cnpj, CNPJ_TOMADOR);
+    assert.equal(tomador.layout, 'v02');
+    assert.equal(await registry.notaFiscal('11.222.333/0001-81'), prestador);
+  });
+
+  it('recria a instância depois de alterado o cadastro', async () => {
+    const registry = new IssuerRegistry(novoStore('json'));
+    await registry.salvarEmitente(dadosEmitente());
+    const antes = await registry.notaFiscal(CNPJ_PRESTADOR);
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    await registry.salvarEmitente(dadosEmitente({ layout: 'v02' }));
+    const depois = await registry.notaFiscal(CNPJ_PRESTADOR);
+    assert.notEqual(depois, antes);
+    assert.equal(depois.layout, 'v02');
+  });
+
+  it('emitente não cadastrado é NotFoundError; removido deixa de ser resolvido', async () => {
+    const registry = new IssuerRegistry(novoStore('json'));
+    await assert.rejects(registry.notaFiscal(CNPJ_TOMADOR), NotFoundError);
+    await registry.salvarEmitente(dadosEmitente());
+    await registry.notaFiscal(CNPJ_PRESTADOR);
+    assert.equal(await registry.removerEmitente(CNPJ_PRESTADOR), true);
+    await assert.rejects(registry.notaFiscal(CNPJ_PRESTADOR), NotFoundError);
+  });
+
+  it('certificado que não abre vira EMITENTE_CERTIFICADO_INVALIDO', async () => {
+    const registry = new IssuerRegistry(novoStore('json'));
+    await registry.salvarEmitente(dadosEmitente({ senhaCertificado: 'errada' }));
+    await assert.rejects(registry.notaFiscal(CNPJ_PRESTADOR), (err) => err instanceof NfseError
+      && err.code === 'EMITENTE_CERTIFICADO_INVALIDO');
+  });
+});
@@ -0,0 +1,90 @@
+// test/JobStore.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { criarJobStore } = require('../src/storage/JobStore');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-jobs-'));
+after(() => fs.rmSync(DIRETORIO, { recursive: true, force: true }));
+
+const CNPJ = '11222333000181';
+let arquivos = 0;
+const novoStore = (tipo) => criarJobStore({
+  tipo,
+  arquivo: path.join(DIRETORIO, `jobs-${++arquivos}.${tipo === 'json' ? 'json' : 'sqlite'}`),
+});
+const dadosJob = (numeroRps) => ({ tipo: 'emissao', cnpj: CNPJ, payload: { rps: { numeroRps, serie: 'A' } }, maxTentativas: 3 });
+
+['json', 'sqlite'].forEach((tipo) => {
+  describe(`JobStore (${tipo})`, () => {
+    it('enfileira um job pendente, disponível imediatamente', async () => {
+      const store = novoStore(tipo);
+      const job = await store.enfileirar(dadosJob('1'));
+      assert.equal(job.status, 'pendente');
+      assert.equal(job.tentativas, 0);
+      assert.deepEqual(await store.obter(job.id), job);
+      assert.equal(await store.obter('inexistente'), null);
+    });
+
+    it('reserva o job mais antigo, incrementa as tentativas e não o entrega de novo durante a reserva', async () => {
+      const store = novoStore(tipo);
+      const primeiro = await store.enfileirar(dadosJob('1'));
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      const segundo = await store.enfileirar(dadosJob('2'));
+
+      const reservado = await store.reservar(60000);
+      assert.equal(reservado.id, primeiro.id);
+      assert.equal(reservado.status, 'processando');
+      assert.equal(reservado.tentativas, 1);
+      assert.equal((await store.reservar(60000)).id, segundo.id);
+      assert.equal(await store.reservar(60000), null);
+    });
+
+    it('retoma um job cuja reserva expirou (worker encerrado no meio)', async () => {
+      const store = novoStore(tipo);
+      const job = await store.enfileirar(dadosJob('1'));
+      await store.reservar(1);
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const retomado = await store.reservar(60000);
+      assert.equal(retomado.id, job.id);
+      assert.equal(retomado.tentativas, 2);
+    });
+
+    it('só reserva o job reagendado depois de proximaTentativaEm', async () => {
+      const store = novoStore(tipo);
+      const job = await store.enfileirar(dadosJob('1'));
+      await store.reservar(60000);
+      await store.atualizar(job.id, {
+        status: 'pendente',
+        bloqueadoAte: null,
+        proximaTentativaEm: new Date(Date.now() + 60000).toISOString(),
+      });
+      assert.equal(await store.reservar(60000), null);
+
+      await store.atualizar(job.id, { proximaTentativaEm: new Date(Date.now() - 1).toISOString() });
+      assert.equal((await store.reservar(60000)).id, job.id);
+    });
+
+    it('reservas concorrentes nunca entregam o mesmo job', async () => {
+      const store = novoStore(tipo);
+      await Promise.all(['1', '2', '3'].map((n) => store.enfileirar(dadosJob(n))));
+      const reservas = await Promise.all(Array.from({ length: 6 }, () => store.reservar(60000)));
+      const ids = reservas.filter(Boolean).map((j) => j.id);
+      assert.equal(ids.length, 3);
+      assert.equal(new Set(ids).size, 3);
+    });
+
+    it('atualizar grava os campos e ignora job inexistente', async () => {
+      const store = novoStore(tipo);
+      const job = await store.enfileirar(dadosJob('1'));
+      const atualizado = await store.atualizar(job.id, { status: 'emitida', resultado: { numeroNfse: '10' } });
+      assert.equal(atualizado.status, 'emitida');
+      assert.deepEqual((await store.obter(job.id)).resultado, { numeroNfse: '10' });
+      assert.equal(await store.atualizar('inexistente', { status: 'falhou' }), null);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+// test/JobWorker.test.js
+
+const { soap, retornoEmitida, retornoConsulta, retornoRejeitado, cadastrarEmitente } = require('./fixtures/api');
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { JobWorker } = require('../src/core/JobWorker');
+const { obterDispatcher } = require('../src/core/WebhookDispatcher');
+const { criarJobStore } = require('../src/storage/JobStore');
+const { obterRegistry } = require('../src/core/IssuerRegistry');
+const { UpstreamError } = require('../src/core/errors');
+const { CNPJ_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+// Eventos publicados, tanto pelo NotaFiscalSP (via registry) quanto pelo próprio worker
+const eventos = [];
+obterDispatcher().publicar = async (cnpj, evento, dados) => {
+  eventos.push({ evento, ...dados });
+  return [];
+};
+
+const store = criarJobStore();
+const worker = new JobWorker({ store, backoffBaseMs: 1, backoffMaxMs: 1 });
+
+const payloadDoJob = (numeroRps) => rpsValido({ rps: { numeroRps, serie: 'A', dataEmissao: '2025-01-10' } });
+
+/**
+ * Enfileira um RPS e processa o job até ele sair de "pendente" (uma tentativa por passo do roteiro).
+ * @param {string} numeroRps
+ * @returns {Promise<import('../src/storage/JobStore').Job>}
+ */
+async function processar(numeroRps) {
+  const payload = payloadDoJob(numeroRps);
+  const { id } = await store.enfileirar({ tipo: 'emissao', cnpj: CNPJ_PRESTADOR, payload, maxTentativas: 3 });
+  for (let i = 0; i < 3; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await worker.processarProximo();
+    const job = await store.obter(id);
+    if (job.status !== 'pendente') return job;
+  }
+  return store.obter(id);
+}
+
+before(() => cadastrarEmitente());
+beforeEach(() => {
+  soap.roteiro = [];
+  soap.chamadas = [];
+  eventos.length = 0;
+});
+
+describe('JobWorker - eventos da emissão assíncrona', () => {
+  it('emissão na primeira tentativa gera só nfse.emitida', async () => {
+    soap.roteiro = [retornoEmitida(500)];
+    const job = await processar('1');
+    assert.equal(job.status, 'emitida');
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.emitida']);
+  });
+
+  it('RPS duplicado recuperado após falha de transporte gera só nfse.emitida', async () => {
+    soap.roteiro = [new UpstreamError('timeout'), retornoRejeitado(1203), retornoConsulta(777, payloadDoJob('2'))];
+    const job = await processar('2');
+
+    assert.equal(job.status, 'emitida');
+    assert.equal(job.resultado.numeroNfse, '777');
+    assert.deepEqual(soap.chamadas.map((c) => c.operacao), ['EnvioRPS', 'EnvioRPS', 'ConsultaNFe']);
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.emitida']);
+    assert.equal(eventos[0].numeroNfse, '777');
+
+    const registro = await obterRegistry().repositorio.obterPorRps(CNPJ_PRESTADOR, 'A', '2');
+    assert.equal(registro.status, 'emitida');
+    assert.equal(registro.numeroNfse, '777');
+    assert.equal(registro.codigoVerificacao, 'ABCD1234');
+  });
+
+  it('RPS duplicado já na primeira tentativa também é recuperado', async () => {
+    soap.roteiro = [retornoRejeitado(1203), retornoConsulta(778, payloadDoJob('6'))];
+    const job = await processar('6');
+
+    assert.equal(job.status, 'emitida');
+    assert.equal(job.tentativas, 1);
+    assert.equal(job.resultado.numeroNfse, '778');
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.emitida']);
+  });
+
+  it('RPS duplicado com a nota de outro conteúdo não é recuperado', async () => {
+    const outro = payloadDoJob('7');
+    outro.servico = { ...outro.servico, valorServicos: 10 };
+    soap.roteiro = [retornoRejeitado(1203), retornoConsulta(779, outro)];
+    const job = await processar('7');
+
+    assert.equal(job.status, 'falhou');
+    assert.equal(job.erro.errorCode, 'RPS_DUPLICADO');
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.falhou']);
+    assert.equal((await obterRegistry().repositorio.obterPorRps(CNPJ_PRESTADOR, 'A', '7')).status, 'rejeitada');
+  });
+
+  it('RPS duplicado sem nota localizada gera um único nfse.falhou', async () => {
+    const semNota = { RetornoXML: '<RetornoConsulta><Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho></RetornoConsulta>' };
+    soap.roteiro = [new UpstreamError('timeout'), retornoRejeitado(1203), semNota];
+    const job = await processar('3');
+
+    assert.equal(job.status, 'falhou');
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.falhou']);
+    assert.equal(eventos[0].errorCode, 'RPS_DUPLICADO');
+    assert.equal(eventos[0].jobId, job.id);
+  });
+
+  it('rejeição definitiva gera um único nfse.falhou, com o job', async () => {
+    soap.roteiro = [retornoRejeitado(1206)];
+    const job = await processar('4');
+
+    assert.equal(job.status, 'falhou');
+    assert.equal(job.tentativas, 1);
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.falhou']);
+    assert.equal(eventos[0].jobId, job.id);
+  });
+
+  it('falhas de transporte até esgotar as tentativas geram um único nfse.falhou', async () => {
+    soap.roteiro = [1, 2, 3].map(() => new UpstreamError('timeout'));
+    const job = await processar('5');
+
+    assert.equal(job.status, 'falhou');
+    assert.equal(job.tentativas, 3);
+    assert.deepEqual(eventos.map((e) => e.evento), ['nfse.falhou']);
+    assert.equal(eventos[0].errorCode, 'SOAP_CALL_FAILED');
+  });
+});
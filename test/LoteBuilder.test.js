@@ -0,0 +1,81 @@
+// test/LoteBuilder.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildLoteXml, calcularTotaisLote, dividirEmLotes } = require('../src/xml/LoteBuilder');
+const { IM_PRESTADOR, CNPJ_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+/**
+ * Lista de RPS numerados a partir de 1, já com uma assinatura qualquer (o XSD não é validado aqui).
+ * @param {number} quantidade
+ * @param {Function} [servico] - (n) => alterações no servico do RPS n
+ * @returns {Object[]}
+ */
+function listaRps(quantidade, servico = () => ({})) {
+  return Array.from({ length: quantidade }, (_, i) => {
+    const base = rpsValido();
+    return {
+      ...base,
+      rps: { ...base.rps, numeroRps: String(i + 1), dataEmissao: `2025-01-${String((i % 28) + 1).padStart(2, '0')}` },
+      servico: { ...base.servico, ...servico(i + 1) },
+      assinatura: 'QUJD',
+    };
+  });
+}
+
+const bytes = (rpsList) => Buffer.byteLength(buildLoteXml({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList }), 'utf8');
+
+describe('calcularTotaisLote', () => {
+  it('soma os valores em centavos e calcula o período', () => {
+    const rpsList = listaRps(3, (n) => ({ valorServicos: [0.1, 0.2, 1000.7][n - 1], valorDeducoes: n === 3 ? 0.3 : 0 }));
+    assert.deepEqual(calcularTotaisLote(rpsList), {
+      dtInicio: '2025-01-01',
+      dtFim: '2025-01-03',
+      qtdRps: 3,
+      valorTotalServicos: 1001,
+      valorTotalDeducoes: 0.3,
+    });
+  });
+
+  it('exige ao menos um RPS', () => {
+    assert.throws(() => calcularTotaisLote([]), /obrigatória/);
+  });
+});
+
+describe('dividirEmLotes', () => {
+  it('respeita o máximo de RPS por lote, na ordem recebida', () => {
+    const lotes = dividirEmLotes({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList: listaRps(120) });
+    assert.deepEqual(lotes.map((l) => l.length), [50, 50, 20]);
+    assert.deepEqual(lotes.flat().map((r) => r.rps.numeroRps), listaRps(120).map((r) => r.rps.numeroRps));
+  });
+
+  it('preenche cada lote até o limite de bytes sem ultrapassá-lo', () => {
+    const rpsList = listaRps(40, (n) => ({ discriminacao: 'Serviço '.repeat(n * 6), valorServicos: n * 1111.11 }));
+    const opcoes = { maxBytes: 20000, reservaAssinatura: 2000 };
+    const limite = opcoes.maxBytes - opcoes.reservaAssinatura;
+    const lotes = dividirEmLotes({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList }, opcoes);
+
+    assert.ok(lotes.length > 1);
+    assert.equal(lotes.flat().length, rpsList.length);
+    lotes.forEach((lote, i) => {
+      assert.ok(bytes(lote) <= limite, `lote ${i + 1} com ${bytes(lote)} bytes`);
+      // O próximo RPS não caberia no lote: a medição é exata, não uma estimativa folgada
+      if (i < lotes.length - 1) {
+        assert.ok(bytes([...lote, lotes[i + 1][0]]) > limite);
+      }
+    });
+  });
+
+  it('rejeita um RPS que sozinho excede o limite', () => {
+    const rpsList = listaRps(2, (n) => ({ discriminacao: n === 2 ? 'x'.repeat(1900) : 'curto' }));
+    assert.throws(
+      () => dividirEmLotes({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList }, { maxBytes: 3000, reservaAssinatura: 0 }),
+      /RPS 2 excede sozinho/,
+    );
+  });
+
+  it('devolve lista vazia sem RPS', () => {
+    assert.deepEqual(dividirEmLotes({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList: [] }), []);
+  });
+});
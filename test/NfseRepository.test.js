@@ -0,0 +1,152 @@
+// test/NfseRepository.test.js
+
+const { soap, retornoEmitida, retornoRejeitado, DIRETORIO, iniciarApi } = require('./fixtures/api');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { criarNfseRepository } = require('../src/storage/NfseRepository');
+const { CNPJ_PRESTADOR, CNPJ_TOMADOR, CPF_TOMADOR, rpsValido } = require('./fixtures/rps');
+
+let arquivos = 0;
+const novoRepositorio = (tipo) => criarNfseRepository({
+  tipo,
+  arquivo: path.join(DIRETORIO, `nfse-${++arquivos}.${tipo === 'json' ? 'json' : 'sqlite'}`),
+});
+
+/**
+ * Registro de RPS emitido, como gravado pelo NotaFiscalSP.
+ * @param {string} numeroRps
+ * @param {Object} [alteracoes]
+ * @returns {Object}
+ */
+function registro(numeroRps, alteracoes = {}) {
+  return {
+    cnpj: CNPJ_PRESTADOR,
+    serie: 'A',
+    numeroRps,
+    status: 'emitida',
+    numeroNfse: String(100 + Number(numeroRps)),
+    codigoVerificacao: 'ABCD1234',
+    dataEmissao: `2025-01-${numeroRps.padStart(2, '0')}`,
+    tomador: { documento: CNPJ_TOMADOR, razaoSocial: 'Empresa Tomadora LTDA' },
+    valorServicos: 1000,
+    rps: { rps: { numeroRps, serie: 'A' } },
+    xmlPedido: '<PedidoEnvioRPS/>',
+    xmlRetorno: '<RetornoEnvioRPS/>',
+    alertas: [],
+    erros: [],
+    ...alteracoes,
+  };
+}
+
+['json', 'sqlite'].forEach((tipo) => {
+  describe(`NfseRepository (${tipo})`, () => {
+    it('registra o RPS e mescla os envios seguintes no mesmo registro', async () => {
+      const repositorio = novoRepositorio(tipo);
+      const enviado = await repositorio.registrar(registro('1', { status: 'erro', numeroNfse: null }));
+      await repositorio.registrar({ cnpj: CNPJ_PRESTADOR, serie: 'A', numeroRps: '1', status: 'emitida', numeroNfse: '101' });
+
+      const atual = await repositorio.obterPorRps(CNPJ_PRESTADOR, 'A', '1');
+      assert.equal(atual.status, 'emitida');
+      assert.equal(atual.numeroNfse, '101');
+      assert.equal(atual.xmlPedido, '<PedidoEnvioRPS/>');
+      assert.equal(atual.criadoEm, enviado.criadoEm);
+      assert.equal((await repositorio.listar(CNPJ_PRESTADOR)).total, 1);
+    });
+
+    it('obtém e atualiza pela NFS-e, só do emitente informado', async () => {
+      const repositorio = novoRepositorio(tipo);
+      await repositorio.registrar(registro('1'));
+
+      assert.equal((await repositorio.obterPorNfse(CNPJ_PRESTADOR, 101)).numeroRps, '1');
+      assert.equal(await repositorio.obterPorNfse(CNPJ_TOMADOR, '101'), null);
+
+      const cancelada = await repositorio.atualizarPorNfse(CNPJ_PRESTADOR, '101', { status: 'cancelada', canceladaEm: '2025-01-20T10:00:00.000Z' });
+      assert.equal(cancelada.status, 'cancelada');
+      assert.equal((await repositorio.obterPorRps(CNPJ_PRESTADOR, 'A', '1')).canceladaEm, '2025-01-20T10:00:00.000Z');
+      assert.equal(await repositorio.atualizarPorNfse(CNPJ_PRESTADOR, '999', { status: 'cancelada' }), null);
+    });
+
+    it('lista sem os XMLs, da emissão mais recente para a mais antiga, com filtros e paginação', async () => {
+      const repositorio = novoRepositorio(tipo);
+      await repositorio.registrar(registro('1', { valorServicos: 100 }));
+      await repositorio.registrar(registro('2', { tomador: { documento: CPF_TOMADOR, razaoSocial: 'Fulano de Tal' }, valorServicos: 500 }));
+      await repositorio.registrar(registro('3', { status: 'rejeitada', numeroNfse: null, valorServicos: 900 }));
+      await repositorio.registrar(registro('4', { cnpj: CNPJ_TOMADOR }));
+
+      const numeros = async (filtros) => (await repositorio.listar(CNPJ_PRESTADOR, filtros)).notas.map((n) => n.numeroRps);
+
+      const { total, notas } = await repositorio.listar(CNPJ_PRESTADOR);
+      assert.equal(total, 3);
+      assert.deepEqual(notas.map((n) => n.numeroRps), ['3', '2', '1']);
+      assert.equal(notas[0].xmlPedido, undefined);
+      assert.deepEqual(notas[0].tomador, { documento: CNPJ_TOMADOR, razaoSocial: 'Empresa Tomadora LTDA' });
+
+      assert.deepEqual(await numeros({ tomador: CPF_TOMADOR }), ['2']);
+      assert.deepEqual(await numeros({ tomador: 'tomadora' }), ['3', '1']);
+      assert.deepEqual(await numeros({ inicio: '2025-01-02', fim: '2025-01-02' }), ['2']);
+      assert.deepEqual(await numeros({ status: 'rejeitada' }), ['3']);
+      assert.deepEqual(await numeros({ valorMinimo: 200, valorMaximo: 600 }), ['2']);
+
+      const pagina = await repositorio.listar(CNPJ_PRESTADOR, { pagina: 2, limite: 2 });
+      assert.equal(pagina.total, 3);
+      assert.deepEqual(pagina.notas.map((n) => n.numeroRps), ['1']);
+    });
+  });
+});
+
+describe('GET /nfse - histórico da emissão', () => {
+  let api;
+  before(async () => {
+    api = await iniciarApi();
+  });
+  after(() => api.fechar());
+  beforeEach(() => {
+    soap.roteiro = [];
+    soap.chamadas = [];
+  });
+
+  const emitir = (numeroRps, dados = {}) => api.requisitar('POST', '/nfse/emitir',
+    rpsValido({ rps: { numeroRps, serie: 'H', dataEmissao: '2025-02-10' }, ...dados }));
+
+  it('registra as emissões e as rejeições, pesquisáveis pelo tomador e pela situação', async () => {
+    soap.roteiro = [retornoEmitida(700), retornoRejeitado(1203)];
+    assert.equal((await emitir('1')).status, 200);
+    await emitir('2', { tomador: { ...rpsValido().tomador, cnpj: undefined, cpf: CPF_TOMADOR } });
+
+    const { status, corpo } = await api.requisitar('GET', '/nfse?inicio=2025-02-10&fim=2025-02-10');
+    assert.equal(status, 200);
+    assert.equal(corpo.result.total, 2);
+    assert.deepEqual(corpo.result.notas.map((n) => [n.numeroRps, n.status]).sort(), [['1', 'emitida'], ['2', 'rejeitada']]);
+
+    const porCpf = await api.requisitar('GET', '/nfse?tomador=123.456.789-09');
+    assert.deepEqual(porCpf.corpo.result.notas.map((n) => n.numeroRps), ['2']);
+    assert.deepEqual(porCpf.corpo.result.notas[0].erros.map((e) => e.code), ['RPS_DUPLICADO']);
+
+    const emitidas = await api.requisitar('GET', '/nfse?status=emitida&inicio=2025-02-10');
+    assert.deepEqual(emitidas.corpo.result.notas.map((n) => n.numeroNfse), ['700']);
+  });
+
+  it('GET /nfse/:numero devolve o registro completo, com os XMLs e o link de verificação', async () => {
+    soap.roteiro = [retornoEmitida(701)];
+    await emitir('3');
+
+    const { status, corpo } = await api.requisitar('GET', '/nfse/701');
+    assert.equal(status, 200);
+    assert.equal(corpo.result.nota.numeroRps, '3');
+    assert.match(corpo.result.nota.xmlPedido, /<p1:PedidoEnvioRPS/);
+    assert.match(corpo.result.nota.xmlRetorno, /<NumeroNFe>701<\/NumeroNFe>/);
+    assert.ok(corpo.result.linkVerificacao);
+
+    assert.equal((await api.requisitar('GET', '/nfse/999999')).status, 404);
+  });
+
+  it('recusa filtros inválidos', async () => {
+    const { status, corpo } = await api.requisitar('GET', '/nfse?inicio=10/02/2025&status=outra&valorMinimo=-1');
+    assert.equal(status, 422);
+    assert.equal(corpo.errorCode, 'VALIDATION_ERROR');
+    assert.deepEqual(corpo.errors.map((e) => e.campo), ['inicio', 'status', 'valorMinimo']);
+  });
+});
@@ -0,0 +1,104 @@
+// test/NotaFiscalSP.test.js
+
+const { soap, retornoEmitida } = require('./fixtures/api');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NotaFiscalSP } = require('../src/core/NotaFiscalSP');
+const { ValidationError, UpstreamError, ocorreuAntesDoEnvio } = require('../src/core/errors');
+const { certificadoTeste } = require('./fixtures/certificado');
+const { CNPJ_PRESTADOR, rpsValido, ibsCbsValido } = require('./fixtures/rps');
+
+/**
+ * Instância com o certificado de teste e o webservice simulado (ver fixtures/api).
+ * @param {Object} [options] - Demais opções do construtor
+ * @returns {NotaFiscalSP}
+ */
+function novaInstancia(options = {}) {
+  const { pfx, senha } = certificadoTeste();
+  return new NotaFiscalSP({ cnpj: CNPJ_PRESTADOR, certificado: pfx, senhaCertificado: senha, ...options });
+}
+
+beforeEach(() => {
+  soap.roteiro = [];
+  soap.chamadas = [];
+});
+
+describe('enviarNota - erros antes e depois do envio', () => {
+  it('marca a validação do RPS como anterior ao envio', async () => {
+    const invalido = rpsValido();
+    invalido.servico = { ...invalido.servico, codigoServico: '' };
+    const erro = await novaInstancia().enviarNota(invalido).catch((e) => e);
+    assert.ok(erro instanceof ValidationError);
+    assert.equal(ocorreuAntesDoEnvio(erro), true);
+    assert.equal(soap.chamadas.length, 0);
+  });
+
+  it('não marca falhas de transporte nem de decodificação do retorno', async () => {
+    const nfsp = novaInstancia();
+    soap.roteiro = [new UpstreamError('timeout'), { RetornoXML: '<Outro/>' }];
+    const transporte = await nfsp.enviarNota(rpsValido()).catch((e) => e);
+    const decodificacao = await nfsp.enviarNota(rpsValido()).catch((e) => e);
+    assert.ok(transporte instanceof UpstreamError);
+    assert.match(decodificacao.message, /não encontrado/);
+    assert.equal(ocorreuAntesDoEnvio(transporte), false);
+    assert.equal(ocorreuAntesDoEnvio(decodificacao), false);
+  });
+
+  it('devolve o retorno decodificado em caso de sucesso', async () => {
+    soap.roteiro = [retornoEmitida(123)];
+    const retorno = await novaInstancia().enviarNota(rpsValido());
+    assert.equal(retorno.sucesso, true);
+    assert.equal(retorno.numeroNfe, '123');
+  });
+});
+
+describe('layouts v01 e v02 lado a lado', () => {
+  before(() => {
+    process.env.NFSE_LAYOUT_V02 = 'true';
+  });
+  after(() => {
+    delete process.env.NFSE_LAYOUT_V02;
+  });
+
+  it('o mesmo RPS sai no layout de cada instância, com o VersaoSchema correspondente', async () => {
+    const payload = rpsValido({ ibsCbs: ibsCbsValido() });
+    soap.roteiro = [retornoEmitida(1), retornoEmitida(2)];
+    await novaInstancia().enviarNota(payload);
+    await novaInstancia({ layout: 'v02' }).enviarNota(payload);
+
+    const [v01, v02] = soap.chamadas.map((c) => c.args);
+    assert.equal(v01.VersaoSchema, 1);
+    assert.match(v01.MensagemXML, /<Cabecalho Versao="1">/);
+    assert.doesNotMatch(v01.MensagemXML, /IBSCBS/);
+
+    assert.equal(v02.VersaoSchema, 2);
+    assert.match(v02.MensagemXML, /<Cabecalho Versao="2">/);
+    assert.match(v02.MensagemXML, /<IBSCBS>\s*<cLocalidadeIncid>3550308<\/cLocalidadeIncid>\s*<CST>000<\/CST>\s*<cClassTrib>000001<\/cClassTrib>\s*<vIBS>1.50<\/vIBS>\s*<vCBS>13.50<\/vCBS>\s*<\/IBSCBS>\s*<\/RPS>/);
+  });
+
+  it('no v02 recusa o RPS sem o grupo IBS/CBS antes de enviar', async () => {
+    const erro = await novaInstancia({ layout: 'v02' }).enviarNota(rpsValido()).catch((e) => e);
+    assert.ok(erro instanceof ValidationError);
+    assert.deepEqual(erro.errors.map((e) => e.campo), ['ibsCbs']);
+    assert.equal(soap.chamadas.length, 0);
+  });
+});
+
+describe('layout v02 sem liberação', () => {
+  it('recusa a emissão antes do envio, mas permite o teste do lote na Prefeitura', async () => {
+    const nfsp = novaInstancia({ layout: 'v02' });
+    const payload = rpsValido({ ibsCbs: ibsCbsValido() });
+    const erro = await nfsp.enviarNota(payload).catch((e) => e);
+    assert.equal(erro.code, 'LAYOUT_NAO_HABILITADO');
+    assert.equal(erro.httpStatus, 422);
+    assert.equal(ocorreuAntesDoEnvio(erro), true);
+    await assert.rejects(nfsp.enviarLote([payload]), /NFSE_LAYOUT_V02=true/);
+    assert.equal(soap.chamadas.length, 0);
+
+    soap.roteiro = [{ RetornoXML: '<RetornoEnvioLoteRPS><Cabecalho Versao="2"><Sucesso>true</Sucesso></Cabecalho></RetornoEnvioLoteRPS>' }];
+    await nfsp.testarLote([payload]);
+    assert.deepEqual(soap.chamadas.map((c) => c.operacao), ['TesteEnvioLoteRPS']);
+  });
+});
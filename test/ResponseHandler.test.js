@@ -0,0 +1,139 @@
+// test/ResponseHandler.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ResponseHandler } = require('../src/core/ResponseHandler');
+
+const handler = new ResponseHandler();
+
+/**
+ * Resultado SOAP com o RetornoXML informado (raiz no namespace da Prefeitura, como no webservice).
+ * @param {string} raiz
+ * @param {string} conteudo
+ * @returns {{RetornoXML: string}}
+ */
+function retorno(raiz, conteudo) {
+  return { RetornoXML: `<?xml version="1.0" encoding="UTF-8"?><p1:${raiz} xmlns:p1="http://www.prefeitura.sp.gov.br/nfe">${conteudo}</p1:${raiz}>` };
+}
+
+const CHAVE_NFE = '<ChaveNFe><InscricaoPrestador>87654321</InscricaoPrestador><NumeroNFe>123</NumeroNFe><CodigoVerificacao>0ABC1234</CodigoVerificacao></ChaveNFe>';
+const CHAVE_RPS = '<ChaveRPS><InscricaoPrestador>87654321</InscricaoPrestador><SerieRPS>A</SerieRPS><NumeroRPS>10</NumeroRPS></ChaveRPS>';
+
+describe('ResponseHandler.decode', () => {
+  it('EnvioRPS: chave da NFS-e e do RPS, com os alertas catalogados', () => {
+    const decodificado = handler.decode('EnvioRPS', retorno('RetornoEnvioRPS', `
+      <Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>
+      <Alerta><Codigo>203</Codigo><Descricao>Alíquota divergente</Descricao></Alerta>
+      <ChaveNFeRPS>${CHAVE_NFE}${CHAVE_RPS}</ChaveNFeRPS>`));
+
+    assert.equal(decodificado.sucesso, true);
+    assert.equal(decodificado.numeroNfe, '123');
+    assert.equal(decodificado.codigoVerificacao, '0ABC1234');
+    assert.deepEqual(decodificado.chaveRps, { inscricaoPrestador: '87654321', serieRps: 'A', numeroRps: '10' });
+    assert.deepEqual(decodificado.alertas, [
+      { codigo: 203, code: 'ALIQUOTA_DIVERGENTE', descricao: 'Alíquota divergente', chaveRps: null, chaveNfe: null },
+    ]);
+    assert.deepEqual(decodificado.erros, []);
+  });
+
+  it('EnvioRPS rejeitado: erros com o código estável e a chave do RPS', () => {
+    const decodificado = handler.decode('EnvioRPS', retorno('RetornoEnvioRPS', `
+      <Cabecalho Versao="1"><Sucesso>false</Sucesso></Cabecalho>
+      <Erro><Codigo>1203</Codigo><Descricao>RPS já convertido</Descricao>${CHAVE_RPS}</Erro>
+      <Erro><Codigo>9999</Codigo><Descricao>Outro</Descricao></Erro>`));
+
+    assert.equal(decodificado.sucesso, false);
+    assert.equal(decodificado.numeroNfe, null);
+    assert.deepEqual(decodificado.erros.map((e) => [e.codigo, e.code]), [[1203, 'RPS_DUPLICADO'], [9999, 'PREFEITURA_9999']]);
+    assert.equal(decodificado.erros[0].chaveRps.numeroRps, '10');
+  });
+
+  it('EnvioLoteRPS e TesteEnvioLoteRPS: informações do lote e chaves de cada RPS', () => {
+    const xml = retorno('RetornoEnvioLoteRPS', `
+      <Cabecalho Versao="1"><Sucesso>true</Sucesso><InformacoesLote>
+        <NumeroLote>42</NumeroLote><InscricaoPrestador>87654321</InscricaoPrestador>
+        <CPFCNPJRemetente><CNPJ>11222333000181</CNPJ></CPFCNPJRemetente>
+        <DataEnvioLote>2025-01-10T10:00:00</DataEnvioLote><QtdNotasProcessadas>2</QtdNotasProcessadas>
+        <TempoProcessamento>1</TempoProcessamento><ValorTotalServicos>300.50</ValorTotalServicos>
+        <ValorTotalDeducoes>0</ValorTotalDeducoes>
+      </InformacoesLote></Cabecalho>
+      <ChaveNFeRPS>${CHAVE_NFE}${CHAVE_RPS}</ChaveNFeRPS>
+      <ChaveNFeRPS>${CHAVE_NFE.replace('123', '124')}${CHAVE_RPS.replace('>10<', '>11<')}</ChaveNFeRPS>`);
+
+    ['EnvioLoteRPS', 'TesteEnvioLoteRPS'].forEach((operacao) => {
+      const decodificado = handler.decode(operacao, xml);
+      assert.deepEqual(decodificado.informacoesLote, {
+        numeroLote: '42',
+        inscricaoPrestador: '87654321',
+        cpfCnpjRemetente: '11222333000181',
+        dataEnvioLote: '2025-01-10T10:00:00',
+        qtdNotasProcessadas: 2,
+        tempoProcessamento: 1,
+        valorTotalServicos: 300.5,
+        valorTotalDeducoes: 0,
+      });
+      assert.deepEqual(decodificado.chaves.map((c) => [c.chaveNfe.numeroNfe, c.chaveRps.numeroRps]), [['123', '10'], ['124', '11']]);
+    });
+  });
+
+  it('Consulta: NFS-e com prestador, tomador, valores e retenções', () => {
+    const decodificado = handler.decode('ConsultaNFe', retorno('RetornoConsulta', `
+      <Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>
+      <NFe>
+        ${CHAVE_NFE}<DataEmissaoNFe>2025-01-10T10:00:00</DataEmissaoNFe>
+        ${CHAVE_RPS}<TipoRPS>RPS</TipoRPS><DataEmissaoRPS>2025-01-10</DataEmissaoRPS>
+        <CPFCNPJPrestador><CNPJ>11222333000181</CNPJ></CPFCNPJPrestador><RazaoSocialPrestador>EMPRESA TESTE</RazaoSocialPrestador>
+        <EnderecoPrestador><Logradouro>Rua A</Logradouro><NumeroEndereco>1</NumeroEndereco><Cidade>3550308</Cidade><UF>SP</UF><CEP>01001000</CEP></EnderecoPrestador>
+        <StatusNFe>N</StatusNFe><TributacaoNFe>T</TributacaoNFe>
+        <ValorServicos>1500</ValorServicos><ValorDeducoes>0</ValorDeducoes><CodigoServico>02919</CodigoServico>
+        <AliquotaServicos>0.05</AliquotaServicos><ValorISS>75</ValorISS><ValorIR>22.5</ValorIR><ISSRetido>false</ISSRetido>
+        <CPFCNPJTomador><CPF>12345678909</CPF></CPFCNPJTomador><RazaoSocialTomador>FULANO</RazaoSocialTomador>
+        <Discriminacao>Suporte</Discriminacao>
+      </NFe>`));
+
+    assert.equal(decodificado.notas.length, 1);
+    const [nota] = decodificado.notas;
+    assert.equal(nota.numeroNfe, '123');
+    assert.equal(nota.codigoVerificacao, '0ABC1234');
+    assert.deepEqual(nota.rps, { serie: 'A', numeroRps: '10', dataEmissao: '2025-01-10' });
+    assert.equal(nota.prestador.cpfCnpj, '11222333000181');
+    assert.equal(nota.prestador.endereco.codigoMunicipio, '3550308');
+    assert.equal(nota.prestador.endereco.cep, '01001000');
+    assert.equal(nota.tomador.cpfCnpj, '12345678909');
+    assert.equal(nota.codigoServico, '02919');
+    assert.deepEqual([nota.valorServicos, nota.valorIss, nota.valorIr, nota.valorPis], [1500, 75, 22.5, 0]);
+    assert.equal(nota.issRetido, false);
+  });
+
+  it('Consulta sem notas devolve a lista vazia', () => {
+    const decodificado = handler.decode('ConsultaNFeEmitidas', retorno('RetornoConsulta', '<Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>'));
+    assert.deepEqual(decodificado.notas, []);
+  });
+
+  it('ConsultaCNPJ: inscrições vinculadas ao CNPJ', () => {
+    const decodificado = handler.decode('ConsultaCNPJ', retorno('RetornoConsultaCNPJ', `
+      <Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>
+      <Detalhe><InscricaoMunicipal>87654321</InscricaoMunicipal><EmiteNFe>true</EmiteNFe></Detalhe>
+      <Detalhe><InscricaoMunicipal>01234567</InscricaoMunicipal><EmiteNFe>false</EmiteNFe></Detalhe>`));
+    assert.deepEqual(decodificado.inscricoes, [
+      { inscricaoMunicipal: '87654321', emiteNfe: true },
+      { inscricaoMunicipal: '01234567', emiteNfe: false },
+    ]);
+  });
+
+  it('ConsultaInformacoesLote e CancelamentoNFe', () => {
+    const info = handler.decode('ConsultaInformacoesLote', retorno('RetornoInformacoesLote',
+      '<Cabecalho Versao="1"><Sucesso>true</Sucesso><InformacoesLote><NumeroLote>42</NumeroLote></InformacoesLote></Cabecalho>'));
+    assert.equal(info.informacoesLote.numeroLote, '42');
+
+    const cancelamento = handler.decode('CancelamentoNFe', retorno('RetornoCancelamentoNFe', '<Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>'));
+    assert.deepEqual(cancelamento, { sucesso: true, alertas: [], erros: [] });
+  });
+
+  it('recusa operação desconhecida, resposta sem RetornoXML e raiz inesperada', () => {
+    assert.throws(() => handler.decode('Outra', {}), /sem decodificador/);
+    assert.throws(() => handler.decode('EnvioRPS', {}), /sem RetornoXML/);
+    assert.throws(() => handler.decode('EnvioRPS', retorno('RetornoConsulta', '')), /RetornoEnvioRPS não encontrado/);
+  });
+});
@@ -0,0 +1,203 @@
+// test/RpsBuilder.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildRpsXml } = require('../src/xml/RpsBuilder');
+const { Rps, validarEmissao } = require('../src/models');
+const { ValidationError } = require('../src/core/errors');
+const { CNPJ_PRESTADOR, CPF_TOMADOR, IM_PRESTADOR, rpsValido, ibsCbsValido } = require('./fixtures/rps');
+
+const TOMADOR_EXTERIOR = {
+  codigoPais: 'US',
+  nif: '98-7654321',
+  razaoSocial: 'ACME Inc.',
+  endereco: { logradouro: 'Main Street', numero: '100', cidade: 'Springfield', estado: 'Illinois', codigoPostal: '62701' },
+};
+const EXPORTACAO = { modoPrestacao: 1, vinculo: 0, moeda: 'USD', valorMoeda: 300 };
+
+const campos = (erros) => erros.map((erro) => erro.campo);
+
+/**
+ * Payload do RPS com tomador no exterior e exportação de serviços.
+ * @param {Object} [tomador]
+ * @returns {Object}
+ */
+function rpsExportacao(tomador = TOMADOR_EXTERIOR) {
+  const dados = rpsValido({ tomador, ibsCbs: ibsCbsValido() });
+  dados.servico = { ...dados.servico, tributacao: 'P', exportacao: EXPORTACAO };
+  return dados;
+}
+
+/**
+ * @param {Object} dados - Payload do RPS
+ * @param {string} [layout='v01']
+ * @returns {string}
+ */
+function gerarXml(dados, layout = 'v01') {
+  return buildRpsXml({ ...dados, im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, assinatura: 'assinatura', layout });
+}
+
+describe('validação por tipo de tomador', () => {
+  it('sem tomador: NFS-e para consumidor não identificado', () => {
+    const { tomador, ...dados } = rpsValido();
+    assert.deepEqual(validarEmissao(dados), []);
+  });
+
+  it('sem documento: nome e endereço opcionais, mas o endereço informado é validado', () => {
+    assert.deepEqual(validarEmissao(rpsValido({ tomador: { razaoSocial: 'Consumidor' } })), []);
+    const erros = validarEmissao(rpsValido({ tomador: { endereco: { logradouro: 'Rua A', cep: '01001000' } } }));
+    assert.deepEqual(campos(erros), ['tomador.endereco.numero', 'tomador.endereco.bairro', 'tomador.endereco.codigoMunicipio', 'tomador.endereco.uf']);
+  });
+
+  it('com CPF/CNPJ: exige nome e endereço no Brasil', () => {
+    const erros = validarEmissao(rpsValido({ tomador: { cnpj: '11444777000161' } }));
+    assert.deepEqual(campos(erros), ['tomador.razaoSocial', 'tomador.endereco']);
+  });
+
+  it('NIF sem país é apontado como tomador no exterior incompleto', () => {
+    const erros = validarEmissao(rpsValido({ tomador: { ...rpsValido().tomador, nif: '123' } }));
+    assert.deepEqual(campos(erros), ['tomador.codigoPais']);
+  });
+
+  it('no exterior: aceita NIF ou motivo sem NIF, e endereço sem CEP/UF/município', () => {
+    assert.deepEqual(validarEmissao(rpsExportacao()), []);
+    const { nif, ...semNif } = TOMADOR_EXTERIOR;
+    assert.deepEqual(validarEmissao(rpsExportacao({ ...semNif, motivoSemNif: 2 })), []);
+  });
+
+  it('no exterior: recusa CPF/CNPJ, país BR, NIF ausente e campos de endereço nacional', () => {
+    const { nif, ...semNif } = TOMADOR_EXTERIOR;
+    const erros = validarEmissao(rpsExportacao({
+      ...semNif,
+      codigoPais: 'BR',
+      cnpj: '11444777000161',
+      endereco: { ...TOMADOR_EXTERIOR.endereco, cep: '01001000' },
+    }));
+    assert.deepEqual(campos(erros), ['tomador.cnpj', 'tomador.codigoPais', 'tomador.nif', 'tomador.endereco.cep']);
+    assert.deepEqual(campos(validarEmissao(rpsExportacao({ ...TOMADOR_EXTERIOR, motivoSemNif: 1 }))), ['tomador.motivoSemNif']);
+  });
+
+  it('com CPF/CNPJ: Rps guarda as inscrições municipal e estadual, que vão ao XML', () => {
+    const inscricoes = { inscricaoMunicipal: 12345678, inscricaoEstadual: '110042490114' };
+    const pj = Rps.fromObject(rpsValido({ tomador: { ...rpsValido().tomador, ...inscricoes } })).toObject();
+    assert.equal(pj.tomador.inscricaoMunicipal, '12345678');
+    assert.equal(pj.tomador.inscricaoEstadual, '110042490114');
+
+    const { cnpj, ...semCnpj } = rpsValido().tomador;
+    const rps = Rps.fromObject(rpsValido()).setTomadorPF({ ...semCnpj, cpf: CPF_TOMADOR, nome: 'Fulano de Tal', inscricaoMunicipal: '87654321' });
+    const pf = rps.toObject();
+    assert.deepEqual([pf.tomador.cpf, pf.tomador.inscricaoMunicipal, pf.tomador.inscricaoEstadual], [CPF_TOMADOR, '87654321', undefined]);
+
+    assert.match(gerarXml(pj), /<InscricaoMunicipalTomador>12345678<\/InscricaoMunicipalTomador>\s*<InscricaoEstadualTomador>110042490114<\/InscricaoEstadualTomador>/);
+  });
+
+  it('aponta inscrição fora do formato e inscrição de tomador no exterior', () => {
+    assert.throws(() => Rps.fromObject(rpsValido({ tomador: { ...rpsValido().tomador, inscricaoMunicipal: '123' } })),
+      (err) => err instanceof ValidationError && campos(err.errors).join() === 'tomador.inscricaoMunicipal');
+    assert.throws(() => new Rps().setTomadorPJ({ ...rpsValido().tomador, inscricaoEstadual: 'ISENTO' }), /tomador.inscricaoEstadual/);
+    assert.deepEqual(campos(validarEmissao(rpsExportacao({ ...TOMADOR_EXTERIOR, inscricaoMunicipal: '12345678' }))), ['tomador.inscricaoMunicipal']);
+  });
+});
+
+describe('validação da exportação', () => {
+  it('exige tomador no exterior para a tributação P e para os dados de exportação', () => {
+    const dados = rpsExportacao(rpsValido().tomador);
+    assert.deepEqual(campos(validarEmissao(dados)), ['servico.tributacao', 'servico.exportacao']);
+  });
+
+  it('confere modo de prestação, vínculo e moeda', () => {
+    const dados = rpsExportacao();
+    dados.servico.exportacao = { modoPrestacao: 9, vinculo: 7, moeda: 'dolar', valorMoeda: 1 };
+    assert.deepEqual(campos(validarEmissao(dados)), [
+      'servico.exportacao.modoPrestacao',
+      'servico.exportacao.vinculo',
+      'servico.exportacao.moeda',
+    ]);
+    dados.servico.exportacao = { moeda: 'USD' };
+    assert.deepEqual(campos(validarEmissao(dados)), ['servico.exportacao.valorMoeda']);
+  });
+
+  it('no v01 conta as linhas acrescentadas no limite da discriminação; no v02 não', () => {
+    const dados = rpsExportacao();
+    dados.servico.discriminacao = 'x'.repeat(1990);
+    assert.deepEqual(campos(validarEmissao(dados, { layout: 'v01' })), ['servico.discriminacao']);
+    assert.deepEqual(validarEmissao(dados, { layout: 'v02' }), []);
+  });
+});
+
+describe('buildRpsXml', () => {
+  it('sem tomador não gera CPFCNPJTomador nem EnderecoTomador', () => {
+    const { tomador, ...dados } = rpsValido();
+    const xml = gerarXml(dados);
+    assert.doesNotMatch(xml, /CPFCNPJTomador|EnderecoTomador|NIFTomador/);
+  });
+
+  it('v01: tomador no exterior e exportação vão na discriminação', () => {
+    const xml = gerarXml(rpsExportacao());
+    assert.doesNotMatch(xml, /CPFCNPJTomador|NIFTomador|EnderecoExterior|ComercioExterior|IBSCBS/);
+    assert.match(xml, /<TributacaoRPS>P<\/TributacaoRPS>/);
+    assert.match(xml, /\|Tomador no exterior: país US, NIF 98-7654321, Springfield - Illinois - 62701\|Exportação de serviços: USD 300.00<\/Discriminacao>/);
+  });
+
+  it('v02: NIF, endereço no exterior e exportação em elementos próprios', () => {
+    const xml = gerarXml(rpsExportacao(), 'v02');
+    assert.match(xml, /<Cabecalho Versao="2">/);
+    assert.match(xml, /<NIFTomador>98-7654321<\/NIFTomador>/);
+    assert.match(xml, /<EnderecoExterior>\s*<cPais>US<\/cPais>\s*<cEndPost>62701<\/cEndPost>\s*<xCidade>Springfield<\/xCidade>\s*<xEstProvReg>Illinois<\/xEstProvReg>\s*<\/EnderecoExterior>/);
+    assert.match(xml, /<ComercioExterior>\s*<mdPrestacao>1<\/mdPrestacao>\s*<vincPrest>0<\/vincPrest>\s*<tpMoeda>USD<\/tpMoeda>\s*<vServMoeda>300.00<\/vServMoeda>\s*<\/ComercioExterior>\s*<IBSCBS>/);
+    assert.match(xml, /<Discriminacao>[^|<]*<\/Discriminacao>/);
+    assert.doesNotMatch(xml, /CPFCNPJTomador|<Cidade>|<UF>|<CEP>/);
+  });
+
+  it('v02: tomador no exterior sem NIF nem endereço leva o motivo e o país', () => {
+    const xml = gerarXml(rpsExportacao({ codigoPais: 'AR', motivoSemNif: 2, razaoSocial: 'Cliente' }), 'v02');
+    assert.match(xml, /<NaoNIFTomador>2<\/NaoNIFTomador>/);
+    assert.match(xml, /<EnderecoTomador>\s*<EnderecoExterior>\s*<cPais>AR<\/cPais>\s*<\/EnderecoExterior>\s*<\/EnderecoTomador>/);
+  });
+
+  it('recusa o payload inválido com todas as violações', () => {
+    const dados = rpsExportacao({ ...TOMADOR_EXTERIOR, codigoPais: 'BR' });
+    assert.throws(() => gerarXml(dados, 'v02'), (err) => err instanceof ValidationError
+      && campos(err.errors).includes('tomador.codigoPais'));
+  });
+});
+
+describe('intermediário e construção civil', () => {
+  const comObra = (intermediario, construcaoCivil) => rpsValido({ intermediario, construcaoCivil });
+
+  it('Rps normaliza o documento, a inscrição e os números da obra', () => {
+    const dados = Rps.fromObject(comObra(
+      { cnpj: '11.222.333/0001-81', inscricaoMunicipal: 12345678, issRetido: true },
+      { codigoCei: 123456789012, numeroEncapsulamento: '7' },
+    )).toObject();
+    assert.deepEqual(dados.intermediario, { cnpj: CNPJ_PRESTADOR, inscricaoMunicipal: '12345678', issRetido: true, email: null });
+    assert.deepEqual(dados.construcaoCivil, { codigoCei: '123456789012', matriculaObra: null, numeroEncapsulamento: '7' });
+  });
+
+  it('aponta intermediário com CPF e CNPJ, inscrição fora do formato e obra vazia ou longa', () => {
+    assert.throws(() => Rps.fromObject(comObra({ cnpj: CNPJ_PRESTADOR, cpf: CPF_TOMADOR }, {})), (err) => err instanceof ValidationError
+      && campos(err.errors).join() === 'intermediario.cpf,construcaoCivil');
+    assert.throws(() => Rps.fromObject(comObra({ cnpj: CNPJ_PRESTADOR, inscricaoMunicipal: '123' }, { codigoCei: '1234567890123' })),
+      (err) => campos(err.errors).join() === 'intermediario.inscricaoMunicipal,construcaoCivil.codigoCei');
+    assert.deepEqual(campos(validarEmissao(comObra({ issRetido: true }))), ['intermediario.cnpj']);
+  });
+
+  it('buildRpsXml: intermediário antes da discriminação e obra depois, na ordem do XSD', () => {
+    const xml = gerarXml(comObra(
+      { cpf: CPF_TOMADOR, inscricaoMunicipal: '12345678', issRetido: true, email: 'intermediario@teste.com.br' },
+      { codigoCei: '123456789012', matriculaObra: '1234', numeroEncapsulamento: '7' },
+    ));
+    assert.match(xml, new RegExp('<CPFCNPJIntermediario>\\s*<CPF>' + CPF_TOMADOR + '</CPF>\\s*</CPFCNPJIntermediario>\\s*'
+      + '<InscricaoMunicipalIntermediario>12345678</InscricaoMunicipalIntermediario>\\s*<ISSRetidoIntermediario>true</ISSRetidoIntermediario>\\s*'
+      + '<EmailIntermediario>intermediario@teste.com.br</EmailIntermediario>\\s*<Discriminacao>[^<]*</Discriminacao>\\s*'
+      + '<CodigoCEI>123456789012</CodigoCEI>\\s*<MatriculaObra>1234</MatriculaObra>\\s*<NumeroEncapsulamento>7</NumeroEncapsulamento>'));
+  });
+
+  it('buildRpsXml: só os campos informados, ISS do intermediário não retido por padrão', () => {
+    const xml = gerarXml(comObra({ cnpj: CNPJ_PRESTADOR }, { matriculaObra: '1234' }));
+    assert.match(xml, /<ISSRetidoIntermediario>false<\/ISSRetidoIntermediario>/);
+    assert.doesNotMatch(xml, /InscricaoMunicipalIntermediario|EmailIntermediario|CodigoCEI|NumeroEncapsulamento/);
+    assert.doesNotMatch(gerarXml(rpsValido()), /Intermediario|CodigoCEI|MatriculaObra/);
+  });
+});
@@ -0,0 +1,103 @@
+// test/RpsSequenceStore.test.js
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const { criarRpsSequenceStore } = require('../src/storage/RpsSequenceStore');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-sequencia-'));
+after(() => fs.rmSync(DIRETORIO, { recursive: true, force: true }));
+
+const CNPJ = '11222333000181';
+let arquivos = 0;
+const novoStore = (tipo) => criarRpsSequenceStore({
+  tipo,
+  arquivo: path.join(DIRETORIO, `sequencia-${++arquivos}.${tipo === 'json' ? 'json' : 'sqlite'}`),
+});
+
+['json', 'sqlite'].forEach((tipo) => {
+  describe(`RpsSequenceStore (${tipo})`, () => {
+    it('aloca a partir de 1, por série', async () => {
+      const store = novoStore(tipo);
+      assert.equal(await store.alocar(CNPJ, 'A'), 1);
+      assert.equal(await store.alocar(CNPJ, 'A'), 2);
+      assert.equal(await store.alocar(CNPJ, 'B'), 1);
+      assert.equal((await store.consultar(CNPJ, 'A')).proximo, 3);
+      assert.deepEqual((await store.listar(CNPJ)).map((s) => s.serie), ['A', 'B']);
+    });
+
+    it('nunca entrega o mesmo número a alocações concorrentes', async () => {
+      const store = novoStore(tipo);
+      const numeros = await Promise.all(Array.from({ length: 30 }, () => store.alocar(CNPJ, 'A')));
+      assert.deepEqual([...numeros].sort((a, b) => a - b), Array.from({ length: 30 }, (_, i) => i + 1));
+    });
+
+    it('reaproveita os devolvidos, do menor para o maior, antes de avançar', async () => {
+      const store = novoStore(tipo);
+      for (let i = 0; i < 5; i++) await store.alocar(CNPJ, 'A');
+      assert.equal(await store.devolver(CNPJ, 'A', 4), true);
+      assert.equal(await store.devolver(CNPJ, 'A', 2), true);
+      assert.deepEqual((await store.consultar(CNPJ, 'A')).devolvidos, [2, 4]);
+
+      assert.equal(await store.alocar(CNPJ, 'A'), 2);
+      assert.equal(await store.alocar(CNPJ, 'A'), 4);
+      assert.equal(await store.alocar(CNPJ, 'A'), 6);
+    });
+
+    it('número informado no RPS avança a sequência e sai dos devolvidos', async () => {
+      const store = novoStore(tipo);
+      assert.equal((await store.registrar(CNPJ, 'A', 5)).proximo, 6);
+      assert.equal(await store.alocar(CNPJ, 'A'), 6);
+      await store.devolver(CNPJ, 'A', 6);
+
+      const sequencia = await store.registrar(CNPJ, 'A', 6);
+      assert.equal(sequencia.proximo, 7);
+      assert.deepEqual(sequencia.devolvidos, []);
+      // Número abaixo do próximo não faz a sequência voltar
+      assert.equal((await store.registrar(CNPJ, 'A', 2)).proximo, 7);
+      assert.equal(await store.alocar(CNPJ, 'A'), 7);
+    });
+
+    it('recusa devolver número não alocado ou já devolvido', async () => {
+      const store = novoStore(tipo);
+      await store.alocar(CNPJ, 'A');
+      assert.equal(await store.devolver(CNPJ, 'A', 7), false);
+      assert.equal(await store.devolver(CNPJ, 'A', 1), true);
+      assert.equal(await store.devolver(CNPJ, 'A', 1), false);
+    });
+
+    it('reiniciar descarta os devolvidos a partir do novo próximo', async () => {
+      const store = novoStore(tipo);
+      for (let i = 0; i < 5; i++) await store.alocar(CNPJ, 'A');
+      await store.devolver(CNPJ, 'A', 2);
+      await store.devolver(CNPJ, 'A', 4);
+      const sequencia = await store.reiniciar(CNPJ, 'A', 3);
+      assert.equal(sequencia.proximo, 3);
+      assert.deepEqual(sequencia.devolvidos, [2]);
+    });
+  });
+});
+
+describe('SqliteRpsSequenceStore entre processos', () => {
+  it('aloca números distintos para processos concorrentes no mesmo banco', async () => {
+    const arquivo = path.join(DIRETORIO, 'cluster.sqlite');
+    const script = `
+      const { criarRpsSequenceStore } = require(${JSON.stringify(path.resolve(__dirname, '../src/storage/RpsSequenceStore'))});
+      const store = criarRpsSequenceStore({ tipo: 'sqlite', arquivo: ${JSON.stringify(arquivo)} });
+      (async () => {
+        const numeros = [];
+        for (let i = 0; i < 25; i++) numeros.push(await store.alocar('${CNPJ}', 'A'));
+        process.stdout.write(JSON.stringify(numeros));
+      })();
+    `;
+    const executar = () => promisify(execFile)(process.execPath, ['-e', script], { timeout: 60000 });
+    const saidas = await Promise.all([executar(), executar()]);
+    const numeros = saidas.flatMap(({ stdout }) => JSON.parse(stdout)).sort((a, b) => a - b);
+    assert.deepEqual(numeros, Array.from({ length: 50 }, (_, i) => i + 1));
+  });
+});
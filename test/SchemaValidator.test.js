@@ -0,0 +1,157 @@
+// test/SchemaValidator.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { validarXml } = require('../src/xml/SchemaValidator');
+const { buildRpsXml } = require('../src/xml/RpsBuilder');
+const { buildCancelXml } = require('../src/xml/CancelBuilder');
+const { buildLoteXml } = require('../src/xml/LoteBuilder');
+const {
+  buildConsultaPeriodoXml,
+  buildConsultaCnpjXml,
+  buildConsultaNfeXml,
+  buildConsultaLoteXml,
+  buildInformacoesLoteXml,
+} = require('../src/xml/ConsultaBuilder');
+const { assinarRps, assinarCancelamento, assinarXml } = require('../src/xml/Signer');
+const { certificadoTeste } = require('./fixtures/certificado');
+const { CNPJ_PRESTADOR, CNPJ_TOMADOR, CPF_TOMADOR, IM_PRESTADOR, rpsValido, ibsCbsValido } = require('./fixtures/rps');
+
+const certificado = certificadoTeste();
+
+// Os XSDs oficiais do v02 ainda não acompanham o projeto: sem eles os pedidos v02 não são validados
+// (e a emissão no v02 fica desabilitada, ver exigirLayoutHabilitado)
+const SEM_XSD = {
+  v01: false,
+  v02: !fs.existsSync(path.join(__dirname, '..', 'src', 'xml', 'schemas', 'v02'))
+    && 'XSDs oficiais do layout v02 ausentes de src/xml/schemas/v02',
+};
+
+/**
+ * RPS pronto para os builders: inscrição do prestador e assinatura do RPS (com IBS/CBS no v02).
+ * @param {Object} [alteracoes] - Ver rpsValido
+ * @param {string} [layout='v01']
+ * @returns {Object}
+ */
+function rpsAssinado(alteracoes, layout = 'v01') {
+  const dados = { ...rpsValido(layout === 'v02' ? { ibsCbs: ibsCbsValido(), ...alteracoes } : alteracoes), im: IM_PRESTADOR };
+  return { ...dados, assinatura: assinarRps(dados, certificado.key) };
+}
+
+/**
+ * Assina o pedido (XMLDSig) e valida contra o XSD do layout.
+ * @param {string} xml
+ * @param {string} schema
+ * @param {string} [layout='v01']
+ */
+async function assertValido(xml, schema, layout = 'v01') {
+  const { valido, erros } = await validarXml(assinarXml(xml, certificado), schema, layout);
+  assert.deepEqual(erros, []);
+  assert.equal(valido, true);
+}
+
+// Envio de RPS e de lotes: os pedidos que mudam com o layout
+['v01', 'v02'].forEach((layout) => {
+  describe(`XSD ${layout} - envio de RPS`, { skip: SEM_XSD[layout] }, () => {
+    const rpsLayout = (alteracoes) => rpsAssinado(alteracoes, layout);
+
+    it('PedidoEnvioRPS com tomador PJ', async () => {
+      await assertValido(buildRpsXml({ ...rpsLayout(), cnpjRemetente: CNPJ_PRESTADOR, layout }), 'PedidoEnvioRPS', layout);
+    });
+
+    it('PedidoEnvioRPS com tomador PF, retenções, intermediário e construção civil', async () => {
+      const xml = buildRpsXml({
+        ...rpsLayout({
+          tomador: { ...rpsValido().tomador, cnpj: undefined, cpf: CPF_TOMADOR },
+          intermediario: { cnpj: CNPJ_PRESTADOR, issRetido: true, email: 'intermediario@teste.com.br' },
+          construcaoCivil: { codigoCei: '123456789012', matriculaObra: '1234' },
+          emailTomador: 'tomador@teste.com.br',
+        }),
+        cnpjRemetente: CNPJ_PRESTADOR,
+        layout,
+      });
+      await assertValido(xml, 'PedidoEnvioRPS', layout);
+    });
+
+    it('PedidoEnvioRPS sem tomador', async () => {
+      const xml = buildRpsXml({ ...rpsLayout({ tomador: undefined }), cnpjRemetente: CNPJ_PRESTADOR, layout });
+      await assertValido(xml, 'PedidoEnvioRPS', layout);
+    });
+
+    it('PedidoEnvioRPS com tomador no exterior e exportação', async () => {
+      const dados = rpsLayout({
+        tomador: {
+          codigoPais: 'US',
+          nif: '98-7654321',
+          razaoSocial: 'ACME Inc.',
+          endereco: { logradouro: 'Main Street', numero: '100', bairro: 'Downtown', cidade: 'Springfield', codigoPostal: '62701' },
+        },
+      });
+      dados.servico = { ...dados.servico, tributacao: 'P', exportacao: { modoPrestacao: 1, vinculo: 0, moeda: 'USD', valorMoeda: 300 } };
+      await assertValido(buildRpsXml({ ...dados, cnpjRemetente: CNPJ_PRESTADOR, layout }), 'PedidoEnvioRPS', layout);
+    });
+
+    it('PedidoEnvioLoteRPS', async () => {
+      const rpsList = [1, 2, 3].map((n) => rpsLayout({ rps: { numeroRps: String(n), serie: 'A', dataEmissao: `2025-01-0${n}` } }));
+      const xml = buildLoteXml({ im: IM_PRESTADOR, cnpjRemetente: CNPJ_PRESTADOR, rpsList, layout });
+      await assertValido(xml, 'PedidoEnvioLoteRPS', layout);
+    });
+  });
+});
+
+describe('XSD v01 - demais pedidos', () => {
+  it('PedidoCancelamentoNFe', async () => {
+    const assinatura = assinarCancelamento({ im: IM_PRESTADOR, numeroNfse: '123' }, certificado.key);
+    const xml = buildCancelXml({ im: IM_PRESTADOR, numeroNfse: '123', assinatura, cnpjRemetente: CNPJ_PRESTADOR });
+    await assertValido(xml, 'PedidoCancelamentoNFe');
+  });
+
+  it('PedidoConsultaNFePeriodo', async () => {
+    const xml = buildConsultaPeriodoXml({
+      cnpjRemetente: CNPJ_PRESTADOR,
+      cnpj: CNPJ_TOMADOR,
+      im: IM_PRESTADOR,
+      inicio: '2025-01-01',
+      fim: '2025-01-31',
+      pagina: 2,
+    });
+    await assertValido(xml, 'PedidoConsultaNFePeriodo');
+  });
+
+  it('PedidoConsultaCNPJ', async () => {
+    await assertValido(buildConsultaCnpjXml({ cnpjRemetente: CNPJ_PRESTADOR, cnpjContribuinte: CNPJ_TOMADOR }), 'PedidoConsultaCNPJ');
+  });
+
+  it('PedidoConsultaNFe por NFS-e e por RPS', async () => {
+    const xml = buildConsultaNfeXml({
+      cnpjRemetente: CNPJ_PRESTADOR,
+      im: IM_PRESTADOR,
+      chaves: [{ numeroNfe: '123', codigoVerificacao: 'ABCD1234' }, { numeroRps: '10', serie: 'A' }],
+    });
+    await assertValido(xml, 'PedidoConsultaNFe');
+  });
+
+  it('PedidoConsultaLote', async () => {
+    await assertValido(buildConsultaLoteXml({ cnpjRemetente: CNPJ_PRESTADOR, numeroLote: 42 }), 'PedidoConsultaLote');
+  });
+
+  it('PedidoInformacoesLote com e sem número do lote', async () => {
+    await assertValido(buildInformacoesLoteXml({ cnpjRemetente: CNPJ_PRESTADOR, im: IM_PRESTADOR, numeroLote: 42 }), 'PedidoInformacoesLote');
+    await assertValido(buildInformacoesLoteXml({ cnpjRemetente: CNPJ_PRESTADOR, im: IM_PRESTADOR }), 'PedidoInformacoesLote');
+  });
+
+  it('aponta o pedido fora do layout', async () => {
+    const xml = buildConsultaLoteXml({ cnpjRemetente: CNPJ_PRESTADOR, numeroLote: 42 }).replace('<NumeroLote>', '<Lote>').replace('</NumeroLote>', '</Lote>');
+    const { valido, erros } = await validarXml(assinarXml(xml, certificado), 'PedidoConsultaLote', 'v01');
+    assert.equal(valido, false);
+    assert.ok(erros.some((e) => e.includes('Lote')));
+  });
+
+  it('recusa validar um layout sem os XSDs, em vez de aprovar o pedido', { skip: !SEM_XSD.v02 && 'XSDs do v02 presentes' }, async () => {
+    const xml = buildRpsXml({ ...rpsAssinado(undefined, 'v02'), cnpjRemetente: CNPJ_PRESTADOR, layout: 'v02' });
+    await assert.rejects(validarXml(xml, 'PedidoEnvioRPS', 'v02'), /XSDs do layout v02 não encontrados/);
+  });
+});
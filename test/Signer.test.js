@@ -0,0 +1,128 @@
+// test/Signer.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { SignedXml } = require('xml-crypto');
+
+const { montarStringAssinaturaRps, assinarRps, assinarCancelamento, assinarXml } = require('../src/xml/Signer');
+const { buildCancelXml } = require('../src/xml/CancelBuilder');
+const { loadPfx } = require('../src/utils/cert');
+const { certificadoTeste } = require('./fixtures/certificado');
+const { CNPJ_PRESTADOR, CPF_TOMADOR, IM_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+const certificado = certificadoTeste();
+
+/**
+ * @param {string} texto
+ * @param {string} assinatura - Base64
+ * @returns {boolean}
+ */
+function confereRsaSha1(texto, assinatura) {
+  return crypto.createVerify('RSA-SHA1').update(texto, 'ascii').verify(certificado.cert, assinatura, 'base64');
+}
+
+/**
+ * Confere a assinatura XMLDSig envelopada com o certificado de teste.
+ * @param {string} xml - Documento assinado
+ * @returns {boolean}
+ */
+function confereXmlDsig(xml) {
+  const verificador = new SignedXml({ publicCert: certificado.cert });
+  verificador.loadSignature(xml.match(/<Signature[\s\S]*<\/Signature>/)[0]);
+  try {
+    return verificador.checkSignature(xml);
+  } catch (err) {
+    return false;
+  }
+}
+
+describe('montarStringAssinaturaRps', () => {
+  it('monta os 86 caracteres na ordem do manual', () => {
+    const texto = montarStringAssinaturaRps({ ...rpsValido(), im: IM_PRESTADOR });
+    assert.equal(texto, [
+      '87654321', // InscricaoPrestador
+      'A    ', // SerieRPS
+      '000000000001', // NumeroRPS
+      '20250110', // DataEmissao
+      'T', // TributacaoRPS
+      'N', // StatusRPS
+      'N', // ISSRetido
+      '000000000150000', // ValorServicos
+      '000000000000000', // ValorDeducoes
+      '02919', // CodigoServico
+      '2', // IndicadorCPFCNPJ
+      '11444777000161', // CPFCNPJTomador
+    ].join(''));
+    assert.equal(texto.length, 86);
+  });
+
+  it('usa o indicador 1 para CPF e 3 para tomador sem documento ou no exterior', () => {
+    const pf = montarStringAssinaturaRps({ ...rpsValido({ tomador: { cpf: CPF_TOMADOR } }), im: IM_PRESTADOR });
+    assert.equal(pf.slice(-15), `1000${CPF_TOMADOR}`);
+    const exterior = montarStringAssinaturaRps({ ...rpsValido({ tomador: { codigoPais: 'US', nif: '1' } }), im: IM_PRESTADOR });
+    assert.equal(exterior.slice(-15), '300000000000000');
+    assert.equal(montarStringAssinaturaRps({ ...rpsValido({ tomador: undefined }), im: IM_PRESTADOR }).slice(-15), '300000000000000');
+  });
+
+  it('acrescenta o intermediário, totalizando 102 caracteres', () => {
+    const texto = montarStringAssinaturaRps({ ...rpsValido({ intermediario: { cnpj: CNPJ_PRESTADOR, issRetido: true } }), im: IM_PRESTADOR });
+    assert.equal(texto.length, 102);
+    assert.equal(texto.slice(86), `2${CNPJ_PRESTADOR}S`);
+  });
+
+  it('exige inscrição, número e data do RPS', () => {
+    assert.throws(() => montarStringAssinaturaRps(rpsValido()), /Inscrição municipal/);
+    assert.throws(() => montarStringAssinaturaRps({ im: IM_PRESTADOR, rps: { dataEmissao: '2025-01-10' } }), /Número do RPS/);
+  });
+});
+
+describe('assinaturas RSA-SHA1', () => {
+  it('assinarRps assina a string do RPS com a chave do certificado', () => {
+    const dados = { ...rpsValido(), im: IM_PRESTADOR };
+    assert.equal(confereRsaSha1(montarStringAssinaturaRps(dados), assinarRps(dados, certificado.key)), true);
+  });
+
+  it('assinarCancelamento assina inscrição (8) e número da NFS-e (12)', () => {
+    const assinatura = assinarCancelamento({ im: IM_PRESTADOR, numeroNfse: '123' }, certificado.key);
+    assert.equal(confereRsaSha1('87654321000000000123', assinatura), true);
+    assert.throws(() => assinarCancelamento({ im: IM_PRESTADOR }, certificado.key), /Número da NF-e/);
+  });
+});
+
+describe('assinarXml', () => {
+  const assinatura = assinarCancelamento({ im: IM_PRESTADOR, numeroNfse: '123' }, certificado.key);
+  const pedido = buildCancelXml({ im: IM_PRESTADOR, numeroNfse: '123', assinatura, cnpjRemetente: CNPJ_PRESTADOR });
+
+  it('acrescenta a assinatura envelopada, com o certificado, ao fim da raiz', () => {
+    const xml = assinarXml(pedido, certificado);
+    assert.match(xml, /<Signature xmlns="http:\/\/www.w3.org\/2000\/09\/xmldsig#">[\s\S]*<X509Certificate>[\s\S]*<\/Signature><\/p1:PedidoCancelamentoNFe>$/);
+    assert.match(xml, /Algorithm="http:\/\/www.w3.org\/2000\/09\/xmldsig#rsa-sha1"/);
+    assert.equal(confereXmlDsig(xml), true);
+  });
+
+  it('a assinatura não confere depois de alterado o documento', () => {
+    const xml = assinarXml(pedido, certificado).replace('<NumeroNFe>123</NumeroNFe>', '<NumeroNFe>124</NumeroNFe>');
+    assert.equal(confereXmlDsig(xml), false);
+  });
+
+  it('exige chave e certificado', () => {
+    assert.throws(() => assinarXml(pedido, { key: certificado.key }), /obrigatórios/);
+  });
+});
+
+describe('loadPfx', () => {
+  it('extrai a chave e o certificado do .pfx, em Buffer ou base64', () => {
+    const { pfx, senha } = certificado;
+    const carregado = loadPfx(pfx, senha);
+    assert.equal(carregado.cert.replace(/\r/g, ''), certificado.cert.replace(/\r/g, ''));
+    const dados = { ...rpsValido(), im: IM_PRESTADOR };
+    assert.equal(confereRsaSha1(montarStringAssinaturaRps(dados), assinarRps(dados, carregado.key)), true);
+    assert.ok(loadPfx(pfx.toString('base64'), senha).key);
+  });
+
+  it('recusa senha ausente ou incorreta', () => {
+    assert.throws(() => loadPfx(certificado.pfx), /Senha/);
+    assert.throws(() => loadPfx(certificado.pfx, 'errada'));
+  });
+});
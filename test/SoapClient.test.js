@@ -0,0 +1,61 @@
+// test/SoapClient.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SoapClient } = require('../src/core/SoapClient');
+const { UpstreamError } = require('../src/core/errors');
+const { certificadoTeste } = require('./fixtures/certificado');
+
+/**
+ * SoapClient com um cliente SOAP simulado: cada chamada consome o próximo erro de "falhas"
+ * e, sem falhas, devolve { ok: true }.
+ * @param {Array<Error>} falhas
+ * @param {Object} [options]
+ * @returns {{cliente: SoapClient, chamadas: Array<string>}}
+ */
+function clienteSimulado(falhas, options = {}) {
+  const { pfx, senha } = certificadoTeste();
+  const cliente = new SoapClient('https://nfe.prefeitura.sp.gov.br/ws/lotenfe.asmx?wsdl', pfx, senha, { retryInterval: 0, ...options });
+  const chamadas = [];
+  const metodo = (operacao) => async () => {
+    chamadas.push(operacao);
+    if (falhas.length) throw falhas.shift();
+    return [{ ok: true }];
+  };
+  cliente.client = {
+    EnvioRPS: () => {},
+    EnvioRPSAsync: metodo('EnvioRPS'),
+    ConsultaNFe: () => {},
+    ConsultaNFeAsync: metodo('ConsultaNFe'),
+  };
+  return { cliente, chamadas };
+}
+
+const erroDeRede = (code) => Object.assign(new Error(code), { code });
+
+describe('SoapClient.call - repetições', () => {
+  it('repete consultas depois de um timeout', async () => {
+    const { cliente, chamadas } = clienteSimulado([erroDeRede('ETIMEDOUT'), erroDeRede('ECONNRESET')]);
+    assert.deepEqual(await cliente.call('ConsultaNFe', {}), { ok: true });
+    assert.equal(chamadas.length, 3);
+  });
+
+  it('não repete a emissão depois de um timeout', async () => {
+    const { cliente, chamadas } = clienteSimulado([erroDeRede('ETIMEDOUT')]);
+    await assert.rejects(cliente.call('EnvioRPS', {}), UpstreamError);
+    assert.deepEqual(chamadas, ['EnvioRPS']);
+  });
+
+  it('repete a emissão quando a conexão foi recusada antes do envio', async () => {
+    const { cliente, chamadas } = clienteSimulado([erroDeRede('ECONNREFUSED')]);
+    assert.deepEqual(await cliente.call('EnvioRPS', {}), { ok: true });
+    assert.equal(chamadas.length, 2);
+  });
+
+  it('maxRetries 0 desliga as repetições', async () => {
+    const { cliente, chamadas } = clienteSimulado([erroDeRede('ECONNREFUSED')], { maxRetries: 0 });
+    await assert.rejects(cliente.call('ConsultaNFe', {}), /ECONNREFUSED/);
+    assert.equal(chamadas.length, 1);
+  });
+});
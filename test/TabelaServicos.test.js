@@ -0,0 +1,95 @@
+// test/TabelaServicos.test.js
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { TabelaServicos, normalizarCodigoServico, obterTabelaServicos } = require('../src/core/TabelaServicos');
+const { Rps, validarEmissao } = require('../src/models');
+const logger = require('../src/utils/logger');
+const { rpsValido } = require('./fixtures/rps');
+
+const DADOS = {
+  versao: 'teste',
+  servicos: [
+    { codigo: '2919', descricao: 'Suporte técnico em informática', aliquota: 0.029, itemLc116: '1.07' },
+    { codigo: '02800', descricao: 'Elaboração de programas de computadores', aliquota: 0.029, itemLc116: '1.04' },
+  ],
+};
+
+afterEach(() => mock.restoreAll());
+
+describe('normalizarCodigoServico', () => {
+  it('completa com zeros e remove a máscara', () => {
+    assert.equal(normalizarCodigoServico('2919'), '02919');
+    assert.equal(normalizarCodigoServico('02.919'), '02919');
+    assert.equal(normalizarCodigoServico(2919), '02919');
+  });
+
+  it('rejeita códigos com mais de 5 dígitos ou letras', () => {
+    assert.equal(normalizarCodigoServico('123456'), null);
+    assert.equal(normalizarCodigoServico('12A'), null);
+    assert.equal(normalizarCodigoServico(null), null);
+  });
+});
+
+describe('TabelaServicos', () => {
+  it('obtém o serviço pelo código, com ou sem zeros à esquerda', () => {
+    const tabela = new TabelaServicos(DADOS);
+    assert.deepEqual(tabela.obter('02919'), {
+      codigo: '02919',
+      descricao: 'Suporte técnico em informática',
+      aliquota: 0.029,
+      itemLc116: '1.07',
+    });
+    assert.equal(tabela.obter('2919').codigo, '02919');
+    assert.equal(tabela.obter('09999'), null);
+  });
+
+  it('busca por palavras da descrição sem acentos, pelo subitem e pelo código', () => {
+    const tabela = new TabelaServicos(DADOS);
+    assert.deepEqual(tabela.buscar('TECNICO informatica').map((s) => s.codigo), ['02919']);
+    assert.deepEqual(tabela.buscar('1.04').map((s) => s.codigo), ['02800']);
+    assert.equal(tabela.buscar('', { limite: 1 }).length, 1);
+  });
+
+  it('rejeita tabela sem versão ou com código inválido', () => {
+    assert.throws(() => new TabelaServicos({ servicos: [] }), /versao/);
+    assert.throws(() => new TabelaServicos({ versao: '1', servicos: [{ codigo: 'X' }] }), /inválido/);
+  });
+
+  it('estrita (padrão): recusa código fora da tabela', () => {
+    const tabela = new TabelaServicos(DADOS);
+    assert.equal(tabela.estrita, true);
+    assert.equal(tabela.conferir('02919'), null);
+    assert.match(tabela.conferir('02496'), /não consta da tabela de serviços \(versão teste\)/);
+  });
+
+  it('não estrita: aceita código fora da tabela e avisa uma vez por código', () => {
+    const aviso = mock.method(logger, 'warn', () => {});
+    const tabela = new TabelaServicos(DADOS, { estrita: false });
+    assert.equal(tabela.conferir('02496'), null);
+    assert.equal(tabela.conferir('2496'), null);
+    assert.equal(tabela.conferir('02919'), null);
+    assert.equal(aviso.mock.callCount(), 1);
+    assert.match(aviso.mock.calls[0].arguments[0], /02496/);
+  });
+});
+
+describe('tabela padrão', () => {
+  it('é estrita sem SERVICOS_VALIDAR=false', () => {
+    assert.equal(obterTabelaServicos().estrita, true);
+  });
+
+  it('recusa na emissão um código ausente da tabela', () => {
+    const dados = rpsValido();
+    dados.servico = { ...dados.servico, codigoServico: '02496', aliquotaServicos: 0.05 };
+    assert.deepEqual(validarEmissao(dados).map((e) => e.campo), ['servico.codigoServico']);
+  });
+
+  it('usa a alíquota da tabela quando o RPS não informa alíquota', () => {
+    const dados = rpsValido();
+    const { aliquotaServicos, ...servico } = dados.servico;
+    dados.servico = servico;
+    assert.equal(Rps.fromObject(dados).toObject().servico.aliquotaServicos, 0.029);
+  });
+});
@@ -0,0 +1,123 @@
+// test/Validacao.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  limparDocumento,
+  validarCpf,
+  validarCnpj,
+  normalizarCep,
+  ufDoCep,
+  validarUf,
+  obterMunicipio,
+  validarCodigoMunicipio,
+  ufDoMunicipio,
+  validarEndereco,
+  validarTomador,
+} = require('../src/core/Validacao');
+
+describe('documentos', () => {
+  it('limparDocumento remove a máscara e mantém letras em maiúsculas', () => {
+    assert.equal(limparDocumento('11.222.333/0001-81'), '11222333000181');
+    assert.equal(limparDocumento('12.abc.345/01de-35'), '12ABC34501DE35');
+    assert.equal(limparDocumento(null), '');
+  });
+
+  it('valida os dígitos do CPF', () => {
+    assert.equal(validarCpf('123.456.789-09'), true);
+    assert.equal(validarCpf('12345678900'), false);
+    assert.equal(validarCpf('11111111111'), false);
+    assert.equal(validarCpf('1234567890'), false);
+  });
+
+  it('valida os dígitos do CNPJ numérico', () => {
+    assert.equal(validarCnpj('11.222.333/0001-81'), true);
+    assert.equal(validarCnpj('11222333000182'), false);
+    assert.equal(validarCnpj('00000000000000'), false);
+  });
+
+  it('valida o CNPJ alfanumérico', () => {
+    assert.equal(validarCnpj('12ABC34501DE35'), true);
+    assert.equal(validarCnpj('12.abc.345/01de-35'), true);
+    assert.equal(validarCnpj('12ABC34501DE36'), false);
+    assert.equal(validarCnpj('12ABC34501DEAB'), false); // dígitos verificadores são sempre numéricos
+  });
+});
+
+describe('CEP e UF', () => {
+  it('normaliza o CEP em 8 dígitos', () => {
+    assert.equal(normalizarCep('01001-000'), '01001000');
+    assert.equal(normalizarCep(1001000), '01001000');
+    assert.equal(normalizarCep('0100100'), null);
+  });
+
+  it('encontra a UF pela faixa de CEP', () => {
+    assert.equal(ufDoCep('01001000'), 'SP');
+    assert.equal(ufDoCep('20040020'), 'RJ');
+    assert.equal(ufDoCep('abc'), null);
+  });
+
+  it('valida a sigla da UF', () => {
+    assert.equal(validarUf('sp'), true);
+    assert.equal(validarUf('XX'), false);
+  });
+});
+
+describe('município (lista do IBGE)', () => {
+  it('obtém o município pelo código', () => {
+    assert.deepEqual(obterMunicipio('3550308'), { codigo: '3550308', nome: 'São Paulo', uf: 'SP' });
+    assert.equal(obterMunicipio(5300108).uf, 'DF');
+    assert.equal(obterMunicipio('3550309'), null);
+  });
+
+  it('aceita os códigos que não seguiam o dígito verificador padrão', () => {
+    ['2201919', '2201988', '2202251', '2611533', '3117836', '3152131', '4305871', '5203939', '5203962'].forEach((codigo) => {
+      assert.equal(validarCodigoMunicipio(codigo), true, codigo);
+    });
+  });
+
+  it('recusa código inexistente, ainda que com formato e UF válidos', () => {
+    assert.equal(validarCodigoMunicipio('3599999'), false);
+    assert.equal(validarCodigoMunicipio('9950308'), false);
+    assert.equal(validarCodigoMunicipio('355030'), false);
+    assert.equal(validarCodigoMunicipio(undefined), false);
+  });
+
+  it('devolve a UF do município', () => {
+    assert.equal(ufDoMunicipio('3304557'), 'RJ');
+    assert.equal(ufDoMunicipio('3599999'), null);
+  });
+});
+
+describe('validarEndereco', () => {
+  it('aceita endereço consistente e ignora campos ausentes', () => {
+    assert.deepEqual(validarEndereco({ codigoMunicipio: '3550308', uf: 'SP', cep: '01001000' }), []);
+    assert.deepEqual(validarEndereco({}), []);
+  });
+
+  it('aponta município fora da lista e divergências com a UF', () => {
+    assert.deepEqual(validarEndereco({ codigoMunicipio: '3599999' }).map((e) => e.campo), ['codigoMunicipio']);
+    const [erro] = validarEndereco({ codigoMunicipio: '3304557', uf: 'SP' });
+    assert.match(erro.mensagem, /pertence a RJ, não a SP/);
+  });
+
+  it('aponta UF desconhecida e CEP inválido ou de outra UF', () => {
+    assert.deepEqual(validarEndereco({ uf: 'XX' }).map((e) => e.campo), ['uf']);
+    assert.match(validarEndereco({ cep: '123' })[0].mensagem, /8 dígitos/);
+    assert.match(validarEndereco({ uf: 'SP', cep: '20040020' })[0].mensagem, /pertence a RJ/);
+  });
+});
+
+describe('validarTomador', () => {
+  it('prefixa os campos do endereço', () => {
+    const erros = validarTomador({ cnpj: '11444777000161', endereco: { codigoMunicipio: '3599999', cep: '123' } });
+    assert.deepEqual(erros.map((e) => e.campo), ['endereco.codigoMunicipio', 'endereco.cep']);
+  });
+
+  it('valida o CPF quando informado, senão o CNPJ', () => {
+    assert.deepEqual(validarTomador({ cpf: '12345678900', cnpj: 'inválido' }).map((e) => e.campo), ['cpf']);
+    assert.deepEqual(validarTomador({ cnpj: '12ABC34501DE36' }).map((e) => e.campo), ['cnpj']);
+    assert.deepEqual(validarTomador({ cnpj: '12ABC34501DE35' }), []);
+  });
+});
@@ -0,0 +1,190 @@
+// test/WebhookDispatcher.test.js
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { WebhookDispatcher, assinarCorpo } = require('../src/core/WebhookDispatcher');
+const { criarWebhookStore } = require('../src/storage/WebhookStore');
+const { ValidationError, NotFoundError } = require('../src/core/errors');
+const logger = require('../src/utils/logger');
+const { CNPJ_PRESTADOR, CNPJ_TOMADOR } = require('./fixtures/rps');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-webhooks-'));
+const SEGREDO = 'segredo-de-teste-1234';
+
+// Assinante local: responde com o próximo status de `respostas` (200 quando vazio) e guarda os POSTs
+const recebidos = [];
+const respostas = [];
+const servidor = http.createServer((req, res) => {
+  let corpo = '';
+  req.on('data', (parte) => { corpo += parte; });
+  req.on('end', () => {
+    recebidos.push({ headers: req.headers, corpo });
+    res.writeHead(respostas.shift() || 200).end();
+  });
+});
+let url;
+
+before(async () => {
+  await new Promise((resolve) => servidor.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${servidor.address().port}/webhooks`;
+});
+after(() => {
+  servidor.closeAllConnections();
+  servidor.close();
+  fs.rmSync(DIRETORIO, { recursive: true, force: true });
+});
+beforeEach(() => {
+  recebidos.length = 0;
+  respostas.length = 0;
+});
+afterEach(() => mock.restoreAll());
+
+let arquivos = 0;
+const novoDispatcher = (options = {}) => new WebhookDispatcher({
+  store: criarWebhookStore({ tipo: 'json', arquivo: path.join(DIRETORIO, `webhooks-${++arquivos}.json`) }),
+  backoffBaseMs: 60000,
+  ...options,
+});
+
+describe('WebhookDispatcher.assinar', () => {
+  it('gera o segredo e assina todos os eventos por padrão', async () => {
+    const assinatura = await novoDispatcher().assinar(CNPJ_PRESTADOR, { url });
+    assert.equal(assinatura.cnpj, CNPJ_PRESTADOR);
+    assert.equal(assinatura.url, url);
+    assert.ok(assinatura.segredo.length >= 16);
+    assert.deepEqual(assinatura.eventos, ['nfse.emitida', 'nfse.cancelada', 'nfse.falhou', 'lote.processado']);
+  });
+
+  it('aponta URL, segredo e eventos inválidos de uma vez', async () => {
+    const dispatcher = novoDispatcher();
+    await assert.rejects(
+      dispatcher.assinar(CNPJ_PRESTADOR, { url: 'ftp://exemplo.com', segredo: 'curto', eventos: ['nfse.emitida', 'nfse.outra'] }),
+      (err) => err instanceof ValidationError
+        && err.errors.map((e) => e.mensagem).join('|') === 'URL deve usar http ou https|Segredo deve ter ao menos 16 caracteres|Evento desconhecido: nfse.outra',
+    );
+    await assert.rejects(dispatcher.assinar(CNPJ_PRESTADOR, { url: 'nao é url', eventos: [] }),
+      (err) => err.errors.map((e) => e.campo).join() === 'url,eventos');
+  });
+});
+
+describe('WebhookDispatcher.publicar', () => {
+  it('registra uma entrega por assinatura do emitente interessada no evento', async () => {
+    const dispatcher = novoDispatcher();
+    const todas = await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url, eventos: ['nfse.cancelada'] });
+    await dispatcher.assinar(CNPJ_TOMADOR, { url });
+
+    const entregas = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.emitida', { numeroNfe: '123' });
+    assert.equal(entregas.length, 1);
+    assert.equal(entregas[0].assinaturaId, todas.id);
+    assert.equal(entregas[0].status, 'pendente');
+    assert.deepEqual(entregas[0].dados, { numeroNfe: '123' });
+  });
+
+  it('conectar encaminha os eventos da instância com o CNPJ dela', async () => {
+    const dispatcher = novoDispatcher();
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    const nfsp = Object.assign(new EventEmitter(), { cnpj: CNPJ_PRESTADOR });
+    dispatcher.conectar(nfsp);
+
+    nfsp.emit('nfse.cancelada', { numeroNfe: '123' });
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const entregas = await dispatcher.store.listarEntregas(CNPJ_PRESTADOR);
+    assert.deepEqual(entregas.map((e) => e.evento), ['nfse.cancelada']);
+  });
+});
+
+describe('WebhookDispatcher.processarProxima', () => {
+  it('faz o POST assinado e marca a entrega como entregue', async () => {
+    const dispatcher = novoDispatcher();
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url, segredo: SEGREDO });
+    const [entrega] = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.emitida', { numeroNfe: '123' });
+
+    assert.equal(await dispatcher.processarProxima(), true);
+    assert.equal(await dispatcher.processarProxima(), false);
+
+    const [{ headers, corpo }] = recebidos;
+    assert.equal(headers['x-webhook-id'], entrega.id);
+    assert.equal(headers['x-webhook-evento'], 'nfse.emitida');
+    assert.equal(headers['x-webhook-assinatura'], assinarCorpo(SEGREDO, headers['x-webhook-timestamp'], corpo));
+    assert.deepEqual(JSON.parse(corpo), {
+      id: entrega.id,
+      evento: 'nfse.emitida',
+      cnpj: CNPJ_PRESTADOR,
+      criadoEm: entrega.criadaEm,
+      dados: { numeroNfe: '123' },
+    });
+
+    const entregue = await dispatcher.store.obterEntrega(entrega.id);
+    assert.equal(entregue.status, 'entregue');
+    assert.equal(entregue.tentativas, 1);
+    assert.equal(entregue.historico[0].httpStatus, 200);
+    assert.equal(entregue.entregueEm, entregue.historico[0].em);
+  });
+
+  it('resposta fora de 2xx reagenda com backoff e, esgotadas as tentativas, falha', async () => {
+    const aviso = mock.method(logger, 'warn', () => {});
+    const erro = mock.method(logger, 'error', () => {});
+    const dispatcher = novoDispatcher({ maxTentativas: 2 });
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    const [{ id }] = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.falhou', {});
+    respostas.push(500, 503);
+
+    await dispatcher.processarProxima();
+    let entrega = await dispatcher.store.obterEntrega(id);
+    assert.equal(entrega.status, 'pendente');
+    assert.ok(Date.parse(entrega.proximaTentativaEm) > Date.now() + 40000);
+    assert.equal(aviso.mock.callCount(), 1);
+    // Ainda no backoff: nada a enviar
+    assert.equal(await dispatcher.processarProxima(), false);
+
+    await dispatcher.store.atualizarEntrega(id, { proximaTentativaEm: new Date().toISOString() });
+    await dispatcher.processarProxima();
+    entrega = await dispatcher.store.obterEntrega(id);
+    assert.equal(entrega.status, 'falhou');
+    assert.deepEqual(entrega.historico.map((t) => t.erro), ['HTTP 500', 'HTTP 503']);
+    assert.equal(erro.mock.callCount(), 1);
+  });
+
+  it('entrega de assinatura removida falha sem POST', async () => {
+    const dispatcher = novoDispatcher();
+    const assinatura = await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    const [{ id }] = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.emitida', {});
+    await dispatcher.store.removerAssinatura(assinatura.id);
+
+    await dispatcher.processarProxima();
+    const entrega = await dispatcher.store.obterEntrega(id);
+    assert.equal(entrega.status, 'falhou');
+    assert.equal(entrega.historico[0].erro, 'Assinatura removida');
+    assert.equal(recebidos.length, 0);
+  });
+});
+
+describe('WebhookDispatcher.reenviar', () => {
+  it('reinicia as tentativas da entrega, com o mesmo id', async () => {
+    const dispatcher = novoDispatcher();
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    const [{ id }] = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.emitida', {});
+    await dispatcher.processarProxima();
+
+    const reenvio = await dispatcher.reenviar(CNPJ_PRESTADOR, id);
+    assert.equal(reenvio.status, 'pendente');
+    assert.equal(reenvio.tentativas, 0);
+    await dispatcher.processarProxima();
+    assert.deepEqual(recebidos.map((r) => r.headers['x-webhook-id']), [id, id]);
+  });
+
+  it('entrega de outro emitente é tratada como inexistente', async () => {
+    const dispatcher = novoDispatcher();
+    await dispatcher.assinar(CNPJ_PRESTADOR, { url });
+    const [{ id }] = await dispatcher.publicar(CNPJ_PRESTADOR, 'nfse.emitida', {});
+    await assert.rejects(dispatcher.reenviar(CNPJ_TOMADOR, id), NotFoundError);
+    await assert.rejects(dispatcher.reenviar(CNPJ_PRESTADOR, 'inexistente'), NotFoundError);
+  });
+});
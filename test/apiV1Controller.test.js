@@ -0,0 +1,304 @@
+// test/apiV1Controller.test.js
+
+const { soap, retornoEmitida, retornoRejeitado, iniciarApi } = require('./fixtures/api');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { UpstreamError } = require('../src/core/errors');
+const { certificadoTeste } = require('./fixtures/certificado');
+const { CNPJ_TOMADOR, IM_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+let api;
+before(async () => {
+  api = await iniciarApi();
+});
+after(() => api.fechar());
+beforeEach(() => {
+  soap.roteiro = [];
+  soap.chamadas = [];
+});
+
+/**
+ * Payload sem numeroRps, para a numeração automática, na série informada.
+ * @param {string} serie
+ * @returns {Object}
+ */
+const semNumero = (serie) => rpsValido({ rps: { serie, dataEmissao: '2025-01-10' } });
+
+const sequencia = async (serie) => (await api.requisitar('GET', `/rps/sequencia?serie=${serie}`)).corpo.result.sequencias[0];
+
+describe('POST /nfse/emitir - numeração automática', () => {
+  it('devolve o número quando o payload é rejeitado na validação', async () => {
+    const invalido = semNumero('VAL');
+    invalido.servico = { ...invalido.servico, valorServicos: -1 };
+    const { status } = await api.requisitar('POST', '/nfse/emitir', invalido);
+    assert.equal(status, 422);
+    assert.deepEqual((await sequencia('VAL')).devolvidos, [1]);
+    assert.equal(soap.chamadas.length, 0);
+
+    soap.roteiro = [retornoEmitida(10)];
+    const { corpo } = await api.requisitar('POST', '/nfse/emitir', semNumero('VAL'));
+    assert.equal(corpo.result.numeroRps, '1');
+  });
+
+  it('número informado no RPS faz a numeração automática seguir dele', async () => {
+    soap.roteiro = [retornoEmitida(11), retornoEmitida(12)];
+    await api.requisitar('POST', '/nfse/emitir', rpsValido({ rps: { numeroRps: '40', serie: 'EXP', dataEmissao: '2025-01-10' } }));
+    const { corpo } = await api.requisitar('POST', '/nfse/emitir', semNumero('EXP'));
+    assert.equal(corpo.result.numeroRps, '41');
+  });
+
+  it('não devolve o número quando o retorno da Prefeitura não pôde ser decodificado', async () => {
+    soap.roteiro = [{ RetornoXML: '' }];
+    const { status } = await api.requisitar('POST', '/nfse/emitir', semNumero('DEC'));
+    assert.equal(status, 500);
+    assert.equal(soap.chamadas.length, 1);
+    const { proximo, devolvidos } = await sequencia('DEC');
+    assert.equal(proximo, 2);
+    assert.deepEqual(devolvidos, []);
+  });
+
+  it('não devolve o número em falha de transporte nem em rejeição', async () => {
+    soap.roteiro = [new UpstreamError('timeout'), retornoRejeitado(1206)];
+    await api.requisitar('POST', '/nfse/emitir', semNumero('ENV'));
+    await api.requisitar('POST', '/nfse/emitir', semNumero('ENV'));
+    const { proximo, devolvidos } = await sequencia('ENV');
+    assert.equal(proximo, 3);
+    assert.deepEqual(devolvidos, []);
+  });
+});
+
+describe('POST /nfse/emitir - idempotência', () => {
+  const comNumero = (numeroRps, valorServicos = 1500) => {
+    const dados = rpsValido({ rps: { numeroRps, serie: 'IDP', dataEmissao: '2025-01-10' } });
+    dados.servico = { ...dados.servico, valorServicos };
+    return dados;
+  };
+  // A resposta é gravada depois de enviada ao cliente
+  const gravacao = () => new Promise((resolve) => setTimeout(resolve, 50));
+
+  it('repete a resposta original para o mesmo RPS, sem novo envio', async () => {
+    soap.roteiro = [retornoEmitida(900)];
+    const primeira = await api.requisitar('POST', '/nfse/emitir', comNumero('1'));
+    await gravacao();
+    const repetida = await api.requisitar('POST', '/nfse/emitir', comNumero('1'));
+
+    assert.equal(primeira.status, 200);
+    assert.deepEqual(repetida, primeira);
+    assert.equal(soap.chamadas.length, 1);
+  });
+
+  it('recusa o mesmo número de RPS com outro conteúdo', async () => {
+    soap.roteiro = [retornoEmitida(901)];
+    await api.requisitar('POST', '/nfse/emitir', comNumero('2'));
+    await gravacao();
+    const { status, corpo } = await api.requisitar('POST', '/nfse/emitir', comNumero('2', 10));
+    assert.equal(status, 409);
+    assert.equal(corpo.errorCode, 'RPS_JA_ENVIADO');
+  });
+
+  it('libera o RPS quando a emissão falha, permitindo repetir', async () => {
+    soap.roteiro = [new UpstreamError('timeout'), retornoEmitida(902)];
+    const falha = await api.requisitar('POST', '/nfse/emitir', comNumero('3'));
+    await gravacao();
+    const repetida = await api.requisitar('POST', '/nfse/emitir', comNumero('3'));
+    assert.equal(falha.status, 502);
+    assert.equal(repetida.status, 200);
+    assert.equal(repetida.corpo.result.numeroNfse, '902');
+  });
+
+  it('Idempotency-Key: repetir a emissão numerada que falhou depois do envio reenvia o mesmo RPS', async () => {
+    const chave = { 'Idempotency-Key': 'emissao-timeout' };
+    soap.roteiro = [new UpstreamError('timeout'), retornoEmitida(903)];
+    const falha = await api.requisitar('POST', '/nfse/emitir', semNumero('IDK'), chave);
+    await gravacao();
+    const outra = await api.requisitar('POST', '/nfse/emitir', { ...semNumero('IDK'), servico: { ...rpsValido().servico, valorServicos: 10 } }, chave);
+    const repetida = await api.requisitar('POST', '/nfse/emitir', semNumero('IDK'), chave);
+
+    assert.equal(falha.status, 502);
+    assert.equal(outra.corpo.errorCode, 'IDEMPOTENCY_KEY_REUTILIZADA');
+    assert.equal(repetida.status, 200);
+    assert.equal(repetida.corpo.result.numeroRps, '1');
+    assert.deepEqual(soap.chamadas.map((c) => c.args.MensagemXML.match(/<NumeroRPS>(\d+)</)[1]), ['1', '1']);
+    const { proximo, devolvidos } = await sequencia('IDK');
+    assert.equal(proximo, 2);
+    assert.deepEqual(devolvidos, []);
+  });
+
+  it('Idempotency-Key: libera a chave e o número quando a emissão falha antes do envio', async () => {
+    const chave = { 'Idempotency-Key': 'emissao-invalida' };
+    const invalido = semNumero('IDV');
+    invalido.servico = { ...invalido.servico, valorServicos: -1 };
+    assert.equal((await api.requisitar('POST', '/nfse/emitir', invalido, chave)).status, 422);
+    await gravacao();
+
+    soap.roteiro = [retornoEmitida(904)];
+    const { status, corpo } = await api.requisitar('POST', '/nfse/emitir', semNumero('IDV'), chave);
+    assert.equal(status, 200);
+    assert.equal(corpo.result.numeroRps, '1');
+  });
+});
+
+/**
+ * RetornoCancelamentoNFe com os erros da Prefeitura informados (nenhum: sucesso).
+ * @param {...number} codigos
+ * @returns {{RetornoXML: string}}
+ */
+function retornoCancelamento(...codigos) {
+  const erros = codigos.map((codigo) => `<Erro><Codigo>${codigo}</Codigo><Descricao>Erro ${codigo}</Descricao></Erro>`).join('');
+  return {
+    RetornoXML: `<RetornoCancelamentoNFe><Cabecalho Versao="1"><Sucesso>${codigos.length === 0}</Sucesso></Cabecalho>${erros}</RetornoCancelamentoNFe>`,
+  };
+}
+
+describe('POST /nfse/cancelar', () => {
+  it('envia o pedido assinado e marca a nota registrada como cancelada', async () => {
+    soap.roteiro = [retornoEmitida(950), retornoCancelamento()];
+    await api.requisitar('POST', '/nfse/emitir', rpsValido({ rps: { numeroRps: '1', serie: 'CAN', dataEmissao: '2025-01-10' } }));
+
+    const { status, corpo } = await api.requisitar('POST', '/nfse/cancelar', { numeroNfse: 950, motivo: 'Serviço não prestado' });
+    assert.equal(status, 200);
+    assert.deepEqual(corpo.result, { success: true, numeroNfse: '950', alertas: [] });
+
+    const { operacao, args } = soap.chamadas[1];
+    assert.equal(operacao, 'CancelamentoNFe');
+    assert.match(args.MensagemXML, /<NumeroNFe>950<\/NumeroNFe>/);
+    const [, assinatura] = args.MensagemXML.match(/<AssinaturaCancelamento>([^<]+)</);
+    const confere = crypto.createVerify('RSA-SHA1').update(`${IM_PRESTADOR}000000000950`, 'ascii');
+    assert.equal(confere.verify(certificadoTeste().cert, assinatura, 'base64'), true);
+
+    const registrada = await api.requisitar('GET', '/nfse/950');
+    assert.equal(registrada.corpo.result.nota.status, 'cancelada');
+    assert.ok(registrada.corpo.result.nota.canceladaEm);
+  });
+
+  it('recusa o pedido sem número ou sem motivo, sem chamar a Prefeitura', async () => {
+    const { status, corpo } = await api.requisitar('POST', '/nfse/cancelar', { motivo: 'x'.repeat(300) });
+    assert.equal(status, 422);
+    assert.deepEqual(corpo.errors.map((e) => e.campo), ['numeroNfse', 'motivo']);
+    assert.equal((await api.requisitar('POST', '/nfse/cancelar', { numeroNfse: '950' })).status, 422);
+    assert.equal(soap.chamadas.length, 0);
+  });
+
+  it('devolve a rejeição da Prefeitura com o código estável', async () => {
+    soap.roteiro = [retornoCancelamento(1204)];
+    const { status, corpo } = await api.requisitar('POST', '/nfse/cancelar', { numeroNfse: '951', motivo: 'Duplicada' });
+    assert.equal(status, 409);
+    assert.equal(corpo.errorCode, 'NFSE_JA_CANCELADA');
+    assert.deepEqual(corpo.errors.map((e) => e.codigo), [1204]);
+  });
+});
+
+describe('GET /cnpj/:cnpj/inscricao', () => {
+  it('devolve a inscrição municipal emissora do CNPJ', async () => {
+    const { status, corpo } = await api.requisitar('GET', '/cnpj/11.444.777%2F0001-61/inscricao');
+    assert.equal(status, 200);
+    assert.equal(corpo.result.cnpj, CNPJ_TOMADOR);
+    assert.equal(corpo.result.inscricaoMunicipal, IM_PRESTADOR);
+    assert.deepEqual(corpo.result.inscricoes, [{ inscricaoMunicipal: IM_PRESTADOR, emiteNfe: true }]);
+  });
+
+  it('recusa CNPJ inválido', async () => {
+    const { status, corpo } = await api.requisitar('GET', '/cnpj/11444777000162/inscricao');
+    assert.equal(status, 422);
+    assert.equal(corpo.errors[0].campo, 'cnpj');
+  });
+});
+
+describe('POST /nfse/lote/testar', () => {
+  const lote = (quantidade) => Array.from({ length: quantidade }, (_, i) => rpsValido({
+    rps: { numeroRps: String(i + 1), serie: 'TST', dataEmissao: '2025-01-10' },
+  }));
+  const retornoTeste = (conteudo = '') => ({
+    RetornoXML: `<RetornoEnvioLoteRPS><Cabecalho Versao="1"><Sucesso>${!conteudo.includes('<Erro>')}</Sucesso></Cabecalho>${conteudo}</RetornoEnvioLoteRPS>`,
+  });
+
+  it('envia para TesteEnvioLoteRPS e devolve os erros de cada RPS, sem registrar notas', async () => {
+    soap.roteiro = [retornoTeste('<Erro><Codigo>1206</Codigo><Descricao>Erro</Descricao>'
+      + `<ChaveRPS><InscricaoPrestador>${IM_PRESTADOR}</InscricaoPrestador><SerieRPS>TST</SerieRPS><NumeroRPS>2</NumeroRPS></ChaveRPS></Erro>`)];
+    const { status, corpo } = await api.requisitar('POST', '/nfse/lote/testar', { rps: lote(2), transacao: false });
+
+    assert.equal(status, 200);
+    assert.equal(corpo.result.success, false);
+    const [item] = corpo.result.lotes;
+    assert.equal(item.qtdRps, 2);
+    assert.deepEqual(item.rps.map((r) => r.erros.map((e) => e.codigo)), [[], [1206]]);
+
+    assert.equal(soap.chamadas[0].operacao, 'TesteEnvioLoteRPS');
+    assert.match(soap.chamadas[0].args.MensagemXML, /<transacao>false<\/transacao>/);
+    assert.equal((await api.requisitar('GET', '/nfse?limite=200')).corpo.result.notas.some((n) => n.serie === 'TST'), false);
+  });
+
+  it('divide em lotes de até 50 RPS, um teste por lote', async () => {
+    soap.roteiro = [retornoTeste(), retornoTeste()];
+    const { corpo } = await api.requisitar('POST', '/nfse/lote/testar', { rps: lote(51) });
+    assert.equal(corpo.result.success, true);
+    assert.deepEqual(corpo.result.lotes.map((l) => l.qtdRps), [50, 1]);
+    assert.equal(soap.chamadas.length, 2);
+    assert.match(soap.chamadas[0].args.MensagemXML, /<transacao>true<\/transacao>/);
+  });
+
+  it('aponta os RPS inválidos pelo índice, sem chamar a Prefeitura', async () => {
+    const rps = lote(2);
+    rps[1].servico = { ...rps[1].servico, valorServicos: 'x' };
+    const { status, corpo } = await api.requisitar('POST', '/nfse/lote/testar', { rps });
+    assert.equal(status, 422);
+    assert.ok(corpo.errors.every((e) => e.campo.startsWith('rps[1].')));
+    assert.equal((await api.requisitar('POST', '/nfse/lote/testar', { rps: [] })).status, 422);
+    assert.equal(soap.chamadas.length, 0);
+  });
+});
+
+describe('GET /nfse/emitidas e /nfse/recebidas', () => {
+  /**
+   * Página da consulta por período com as NFS-e informadas.
+   * @param {number} primeira - Número da primeira NFS-e
+   * @param {number} quantidade
+   * @returns {{RetornoXML: string}}
+   */
+  const pagina = (primeira, quantidade) => ({
+    RetornoXML: '<RetornoConsulta><Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>'
+      + Array.from({ length: quantidade }, (_, i) => `<NFe><ChaveNFe><InscricaoPrestador>${IM_PRESTADOR}</InscricaoPrestador>`
+        + `<NumeroNFe>${primeira + i}</NumeroNFe><CodigoVerificacao>ABCD1234</CodigoVerificacao></ChaveNFe></NFe>`).join('')
+      + '</RetornoConsulta>',
+  });
+  const paginas = () => soap.chamadas.map((c) => c.args.MensagemXML.match(/<NumeroPagina>(\d+)</)[1]);
+
+  it('busca as páginas até a última incompleta e devolve as notas com o link de verificação', async () => {
+    soap.roteiro = [pagina(1, 50), pagina(51, 1)];
+    const { status, corpo } = await api.requisitar('GET', '/nfse/emitidas?inicio=2025-01-01&fim=2025-01-31');
+    assert.equal(status, 200);
+    assert.equal(corpo.result.length, 51);
+    assert.equal(corpo.result[50].numeroNfe, '51');
+    assert.match(corpo.result[50].linkVerificacao, /nf=51&cod=ABCD1234$/);
+    assert.deepEqual(soap.chamadas.map((c) => c.operacao), ['ConsultaNFeEmitidas', 'ConsultaNFeEmitidas']);
+    assert.deepEqual(paginas(), ['1', '2']);
+    assert.match(soap.chamadas[0].args.MensagemXML, /<dtInicio>2025-01-01<\/dtInicio>\s*<dtFim>2025-01-31<\/dtFim>/);
+  });
+
+  it('recebidas usa ConsultaNFeRecebidas; período sem notas devolve a lista vazia', async () => {
+    soap.roteiro = [pagina(1, 0)];
+    const { corpo } = await api.requisitar('GET', '/nfse/recebidas?inicio=2025-01-01&fim=2025-01-31');
+    assert.deepEqual(corpo.result, []);
+    assert.equal(soap.chamadas[0].operacao, 'ConsultaNFeRecebidas');
+  });
+
+  it('recusa período inválido sem chamar a Prefeitura', async () => {
+    const { status, corpo } = await api.requisitar('GET', '/nfse/emitidas?inicio=2025-02-01&fim=2025-01-01');
+    assert.equal(status, 422);
+    assert.deepEqual(corpo.errors.map((e) => e.campo), ['inicio']);
+    assert.deepEqual((await api.requisitar('GET', '/nfse/recebidas')).corpo.errors.map((e) => e.campo), ['inicio', 'fim']);
+    assert.equal(soap.chamadas.length, 0);
+  });
+
+  it('falha depois da primeira página é anexada ao fim da lista já enviada', async () => {
+    soap.roteiro = [pagina(1, 50), new UpstreamError('timeout')];
+    const { status, corpo } = await api.requisitar('GET', '/nfse/emitidas?inicio=2025-01-01&fim=2025-01-31');
+    assert.equal(status, 200);
+    assert.equal(corpo.result.length, 50);
+    assert.equal(corpo.error, true);
+    assert.equal(corpo.retryable, true);
+  });
+});
@@ -0,0 +1,83 @@
+// test/errorCodes.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ERROS, ALERTAS, codigoEstavel, erroDaPrefeitura } = require('../src/core/errorCodes');
+const {
+  NfseError,
+  RejectedError,
+  AuthorizationError,
+  SignatureError,
+  DuplicateError,
+  UnavailableError,
+} = require('../src/core/errors');
+
+describe('codigoEstavel', () => {
+  it('devolve o código do catálogo de erros e de alertas', () => {
+    assert.equal(codigoEstavel(1203), 'RPS_DUPLICADO');
+    assert.equal(codigoEstavel('1057'), 'ASSINATURA_RPS_INVALIDA');
+    assert.equal(codigoEstavel(224), 'EMAIL_TOMADOR_INVALIDO');
+  });
+
+  it('usa PREFEITURA_<codigo> fora do catálogo e null sem código', () => {
+    assert.equal(codigoEstavel(9999), 'PREFEITURA_9999');
+    assert.equal(codigoEstavel(null), null);
+    assert.equal(codigoEstavel(''), null);
+  });
+
+  it('não repete códigos estáveis no catálogo', () => {
+    const codes = [...Object.values(ERROS), ...Object.values(ALERTAS)].map((e) => e.code);
+    assert.equal(new Set(codes).size, codes.length);
+  });
+});
+
+describe('erroDaPrefeitura', () => {
+  it('mapeia cada família de código para a classe, o status HTTP e o retryable', () => {
+    const casos = [
+      [1203, DuplicateError, 409, false],
+      [1057, SignatureError, 422, false],
+      [1104, AuthorizationError, 403, false],
+      [1205, RejectedError, 404, false],
+      [1300, UnavailableError, 503, true],
+      [1210, DuplicateError, 409, true],
+    ];
+    casos.forEach(([codigo, classe, httpStatus, retryable]) => {
+      const erro = erroDaPrefeitura([{ codigo, descricao: 'x' }]);
+      assert.ok(erro instanceof classe, `${codigo}: ${erro.name}`);
+      assert.ok(erro instanceof NfseError);
+      assert.equal(erro.code, ERROS[codigo].code);
+      assert.equal(erro.codigo, codigo);
+      assert.equal(erro.httpStatus, httpStatus, `${codigo}`);
+      assert.equal(erro.retryable, retryable, `${codigo}`);
+    });
+  });
+
+  it('usa o primeiro erro catalogado e mantém todos em errors', () => {
+    const erro = erroDaPrefeitura([
+      { codigo: 9999, descricao: 'Desconhecido' },
+      { codigo: 1203, descricao: '' },
+    ]);
+    assert.ok(erro instanceof DuplicateError);
+    assert.equal(erro.message, 'RPS já convertido em NFS-e');
+    assert.deepEqual(erro.errors, [
+      { codigo: 9999, code: 'PREFEITURA_9999', descricao: 'Desconhecido' },
+      { codigo: 1203, code: 'RPS_DUPLICADO', descricao: 'RPS já convertido em NFS-e' },
+    ]);
+  });
+
+  it('sem erro catalogado devolve RejectedError genérico', () => {
+    const erro = erroDaPrefeitura([{ codigo: 9999, descricao: 'Desconhecido' }], 'Pedido rejeitado');
+    assert.equal(erro.constructor, RejectedError);
+    assert.equal(erro.code, 'NFSE_REJEITADA');
+    assert.equal(erro.codigo, 9999);
+    assert.equal(erro.message, 'Pedido rejeitado');
+    assert.equal(erroDaPrefeitura([]).message, 'Pedido rejeitado pela Prefeitura');
+  });
+
+  it('expõe errorCode e statusCode para os controllers', () => {
+    const erro = erroDaPrefeitura([{ codigo: 1204 }]);
+    assert.equal(erro.errorCode, 'NFSE_JA_CANCELADA');
+    assert.equal(erro.statusCode, 409);
+  });
+});
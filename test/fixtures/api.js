@@ -0,0 +1,146 @@
+// test/fixtures/api.js
+//
+// Sobe a API com dados em um diretório temporário e o webservice da Prefeitura simulado.
+// Precisa ser carregado antes de qualquer módulo de src/ (DATA_DIR e JWT_SECRET são lidos no require).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DIRETORIO = fs.mkdtempSync(path.join(os.tmpdir(), 'nfe-sp-teste-'));
+process.env.DATA_DIR = DIRETORIO;
+process.env.JWT_SECRET = 'segredo-de-teste';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.on('exit', () => fs.rmSync(DIRETORIO, { recursive: true, force: true }));
+
+const { SoapClient } = require('../../src/core/SoapClient');
+const { certificadoTeste } = require('./certificado');
+const { CNPJ_PRESTADOR, IM_PRESTADOR, rpsValido } = require('./rps');
+
+const CONSULTA_CNPJ = '<RetornoConsultaCNPJ><Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho>'
+  + `<Detalhe><InscricaoMunicipal>${IM_PRESTADOR}</InscricaoMunicipal><EmiteNFe>true</EmiteNFe></Detalhe></RetornoConsultaCNPJ>`;
+
+/**
+ * Webservice simulado: cada chamada (exceto ConsultaCNPJ) consome o próximo item de "roteiro",
+ * que é a resposta SOAP ou um Error a lançar. As operações chamadas ficam em "chamadas".
+ */
+const soap = {
+  roteiro: [],
+  chamadas: [],
+};
+
+SoapClient.prototype.call = async function call(operacao, args) {
+  if (operacao === 'ConsultaCNPJ') return { RetornoXML: CONSULTA_CNPJ };
+  soap.chamadas.push({ operacao, args });
+  if (soap.roteiro.length === 0) throw new Error(`Chamada SOAP ${operacao} fora do roteiro do teste`);
+  const passo = soap.roteiro.shift();
+  if (passo instanceof Error) throw passo;
+  return passo;
+};
+
+/**
+ * Retorno de sucesso do EnvioRPS com a NFS-e informada.
+ * @param {string|number} numeroNfe
+ * @returns {{RetornoXML: string}}
+ */
+function retornoEmitida(numeroNfe) {
+  return {
+    RetornoXML: '<RetornoEnvioRPS><Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho><ChaveNFeRPS><ChaveNFe>'
+      + `<InscricaoPrestador>${IM_PRESTADOR}</InscricaoPrestador><NumeroNFe>${numeroNfe}</NumeroNFe>`
+      + '<CodigoVerificacao>ABCD1234</CodigoVerificacao></ChaveNFe></ChaveNFeRPS></RetornoEnvioRPS>',
+  };
+}
+
+/**
+ * Retorno da ConsultaNFe com a NFS-e informada, emitida a partir do RPS informado.
+ * @param {string|number} numeroNfe
+ * @param {Object} [dados] - Payload do RPS convertido na NFS-e (padrão: rpsValido())
+ * @returns {{RetornoXML: string}}
+ */
+function retornoConsulta(numeroNfe, dados = rpsValido()) {
+  return {
+    RetornoXML: '<RetornoConsulta><Cabecalho Versao="1"><Sucesso>true</Sucesso></Cabecalho><NFe><ChaveNFe>'
+      + `<InscricaoPrestador>${IM_PRESTADOR}</InscricaoPrestador><NumeroNFe>${numeroNfe}</NumeroNFe>`
+      + '<CodigoVerificacao>ABCD1234</CodigoVerificacao></ChaveNFe><DataEmissaoNFe>2025-01-10T10:30:00</DataEmissaoNFe>'
+      + `<ChaveRPS><InscricaoPrestador>${IM_PRESTADOR}</InscricaoPrestador><SerieRPS>${dados.rps.serie}</SerieRPS>`
+      + `<NumeroRPS>${dados.rps.numeroRps}</NumeroRPS></ChaveRPS>`
+      + `<CPFCNPJTomador><CNPJ>${dados.tomador.cnpj}</CNPJ></CPFCNPJTomador>`
+      + `<CodigoServico>${dados.servico.codigoServico}</CodigoServico>`
+      + `<ValorServicos>${dados.servico.valorServicos}</ValorServicos></NFe></RetornoConsulta>`,
+  };
+}
+
+/**
+ * Retorno de rejeição do EnvioRPS com o código de erro da Prefeitura informado.
+ * @param {number} codigo
+ * @returns {{RetornoXML: string}}
+ */
+function retornoRejeitado(codigo) {
+  return {
+    RetornoXML: '<RetornoEnvioRPS><Cabecalho Versao="1"><Sucesso>false</Sucesso></Cabecalho>'
+      + `<Erro><Codigo>${codigo}</Codigo><Descricao>Erro ${codigo}</Descricao></Erro></RetornoEnvioRPS>`,
+  };
+}
+
+/**
+ * Cadastra o emitente de teste (CNPJ_PRESTADOR) no registry, com o certificado de teste.
+ * @param {Object} [dados] - Demais campos do emitente (ex: { layout: 'v02' })
+ * @returns {Promise<Object>} - Emitente salvo
+ */
+async function cadastrarEmitente(dados = {}) {
+  const { obterRegistry } = require('../../src/core/IssuerRegistry');
+  const certificado = certificadoTeste();
+  const arquivoPfx = path.join(DIRETORIO, 'certificado.pfx');
+  fs.writeFileSync(arquivoPfx, certificado.pfx);
+  return obterRegistry().salvarEmitente({
+    cnpj: CNPJ_PRESTADOR,
+    certificado: arquivoPfx,
+    senhaCertificado: certificado.senha,
+    ...dados,
+  });
+}
+
+/**
+ * Cadastra o emitente de teste e sobe a API em uma porta livre.
+ * @returns {Promise<{requisitar: Function, fechar: Function}>} - requisitar(metodo, caminho, corpo, cabecalhos)
+ *   devolve { status, tipo, corpo } com o caminho relativo a /api/v1/emitentes/<cnpj>;
+ *   o corpo é o JSON decodificado ou, para outros tipos (PDF, imagens), um Buffer
+ */
+async function iniciarApi() {
+  const { assinarJwt } = require('../../src/utils/jwt');
+  const app = require('../../src/app');
+
+  await cadastrarEmitente();
+
+  const agora = Math.floor(Date.now() / 1000);
+  const token = assinarJwt({ sub: 'teste', scope: 'emitir cancelar consultar', emitentes: ['*'], iat: agora, exp: agora + 3600 }, process.env.JWT_SECRET);
+
+  const servidor = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const base = `http://127.0.0.1:${servidor.address().port}/api/v1/emitentes/${CNPJ_PRESTADOR}`;
+
+  return {
+    async requisitar(metodo, caminho, corpo, cabecalhos = {}) {
+      const resposta = await fetch(base + caminho, {
+        method: metodo,
+        headers: { 'content-type': 'application/json', Authorization: `Bearer ${token}`, ...cabecalhos },
+        body: corpo && JSON.stringify(corpo),
+      });
+      const tipo = resposta.headers.get('content-type') || '';
+      const conteudo = tipo.includes('json') ? await resposta.json() : Buffer.from(await resposta.arrayBuffer());
+      return { status: resposta.status, tipo, corpo: conteudo };
+    },
+    fechar: () => new Promise((resolve) => servidor.close(resolve)),
+  };
+}
+
+module.exports = {
+  DIRETORIO,
+  soap,
+  retornoEmitida,
+  retornoConsulta,
+  retornoRejeitado,
+  cadastrarEmitente,
+  iniciarApi,
+};
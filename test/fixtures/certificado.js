@@ -0,0 +1,44 @@
+// test/fixtures/certificado.js
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+// Senha do .pfx gerado para os testes
+const SENHA = 'senha';
+
+let cache = null;
+
+/**
+ * Gera (uma vez por processo) um certificado A1 autoassinado para os testes,
+ * no mesmo formato devolvido por loadPfx, acrescido do .pfx e da senha.
+ *
+ * @returns {{key: string, cert: string, pfx: Buffer, senha: string}}
+ */
+function certificadoTeste() {
+  if (cache) return cache;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const key = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const atributos = [{ name: 'commonName', value: 'EMPRESA TESTE:11222333000181' }];
+  cert.setSubject(atributos);
+  cert.setIssuer(atributos);
+  const chaveForge = forge.pki.privateKeyFromPem(key);
+  cert.sign(chaveForge, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(chaveForge, [cert], SENHA, { algorithm: '3des' });
+  cache = {
+    key,
+    cert: forge.pki.certificateToPem(cert),
+    pfx: Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'),
+    senha: SENHA,
+  };
+  return cache;
+}
+
+module.exports = { certificadoTeste, SENHA };
@@ -0,0 +1,59 @@
+// test/fixtures/rps.js
+
+// Documentos com dígitos verificadores válidos usados nos testes
+const CNPJ_PRESTADOR = '11222333000181';
+const CNPJ_TOMADOR = '11444777000161';
+const CPF_TOMADOR = '12345678909';
+const IM_PRESTADOR = '87654321';
+
+/**
+ * Payload de emissão válido (formato de Rps.toObject()), com tomador PJ em São Paulo.
+ * Os campos informados em "alteracoes" substituem os do payload padrão no primeiro nível.
+ *
+ * @param {Object} [alteracoes]
+ * @returns {Object}
+ */
+function rpsValido(alteracoes = {}) {
+  return {
+    rps: { numeroRps: '1', serie: 'A', dataEmissao: '2025-01-10' },
+    servico: {
+      valorServicos: 1500,
+      valorDeducoes: 0,
+      codigoServico: '02919',
+      aliquotaServicos: 0.05,
+      issRetido: 2,
+      discriminacao: 'Desenvolvimento de software',
+    },
+    tomador: {
+      cnpj: CNPJ_TOMADOR,
+      razaoSocial: 'Tomador Teste Ltda',
+      endereco: {
+        tipoLogradouro: 'R',
+        logradouro: 'Rua Teste',
+        numero: '100',
+        bairro: 'Centro',
+        codigoMunicipio: '3550308',
+        uf: 'SP',
+        cep: '01001000',
+      },
+    },
+    ...alteracoes,
+  };
+}
+
+/**
+ * Grupo IBS/CBS válido para o layout v02.
+ * @returns {Object}
+ */
+function ibsCbsValido() {
+  return { cst: '000', cClassTrib: '000001', codigoMunicipioIncidencia: '3550308', valorIbs: 1.5, valorCbs: 13.5 };
+}
+
+module.exports = {
+  CNPJ_PRESTADOR,
+  CNPJ_TOMADOR,
+  CPF_TOMADOR,
+  IM_PRESTADOR,
+  rpsValido,
+  ibsCbsValido,
+};
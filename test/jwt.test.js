@@ -0,0 +1,67 @@
+// test/jwt.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assinarJwt, verificarJwt } = require('../src/utils/jwt');
+
+const SEGREDO = 'segredo-de-teste';
+const agora = () => Math.floor(Date.now() / 1000);
+
+describe('verificarJwt', () => {
+  it('devolve os claims de um token válido', () => {
+    const token = assinarJwt({ sub: 'usuario', scope: 'emitir', iat: agora(), exp: agora() + 3600 }, SEGREDO);
+    assert.equal(verificarJwt(token, SEGREDO).sub, 'usuario');
+  });
+
+  it('rejeita token sem exp', () => {
+    const token = assinarJwt({ sub: 'usuario', iat: agora() }, SEGREDO);
+    assert.throws(() => verificarJwt(token, SEGREDO), /sem expiração/);
+  });
+
+  it('rejeita exp além da validade máxima contada do iat', () => {
+    const iat = agora() - 60;
+    const token = assinarJwt({ sub: 'usuario', iat, exp: iat + 25 * 3600 }, SEGREDO);
+    assert.throws(() => verificarJwt(token, SEGREDO), /validade acima do máximo/);
+    assert.equal(verificarJwt(token, SEGREDO, { vidaMaxima: 30 * 3600 }).sub, 'usuario');
+  });
+
+  it('sem iat, conta a validade máxima a partir da verificação', () => {
+    const token = assinarJwt({ sub: 'usuario', exp: agora() + 10 * 365 * 24 * 3600 }, SEGREDO);
+    assert.throws(() => verificarJwt(token, SEGREDO), /validade acima do máximo/);
+  });
+
+  it('rejeita iat no futuro, que adiaria a contagem da validade máxima', () => {
+    const iat = agora() + 10 * 365 * 24 * 3600;
+    const token = assinarJwt({ sub: 'usuario', iat, exp: iat + 60 }, SEGREDO);
+    assert.throws(() => verificarJwt(token, SEGREDO), /emitido no futuro/);
+    // Dentro da tolerância de relógio, a validade conta do momento da verificação
+    assert.equal(verificarJwt(assinarJwt({ sub: 'usuario', iat: agora() + 10, exp: agora() + 3600 }, SEGREDO), SEGREDO).sub, 'usuario');
+  });
+
+  it('rejeita token expirado, respeitando a tolerância de relógio', () => {
+    assert.throws(() => verificarJwt(assinarJwt({ exp: agora() - 120 }, SEGREDO), SEGREDO), /expirado/);
+    assert.ok(verificarJwt(assinarJwt({ exp: agora() - 10 }, SEGREDO), SEGREDO));
+  });
+
+  it('rejeita token ainda não válido (nbf)', () => {
+    const token = assinarJwt({ nbf: agora() + 600, exp: agora() + 3600 }, SEGREDO);
+    assert.throws(() => verificarJwt(token, SEGREDO), /ainda não é válido/);
+  });
+
+  it('rejeita assinatura de outro segredo e payload adulterado', () => {
+    const token = assinarJwt({ sub: 'usuario', exp: agora() + 60 }, SEGREDO);
+    assert.throws(() => verificarJwt(token, 'outro'), /Assinatura/);
+
+    const [header, , assinatura] = token.split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 'admin', exp: agora() + 60 })).toString('base64url');
+    assert.throws(() => verificarJwt(`${header}.${payload}.${assinatura}`, SEGREDO), /Assinatura/);
+  });
+
+  it('rejeita alg diferente de HS256 e token malformado', () => {
+    const header = Buffer.from(JSON.stringify({ alg: 'none', typ: 'JWT' })).toString('base64url');
+    const payload = Buffer.from(JSON.stringify({ exp: agora() + 60 })).toString('base64url');
+    assert.throws(() => verificarJwt(`${header}.${payload}.`, SEGREDO), /não suportado/);
+    assert.throws(() => verificarJwt('abc', SEGREDO), /malformado/);
+  });
+});
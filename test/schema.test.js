@@ -0,0 +1,134 @@
+// test/schema.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validarSchema } = require('../src/utils/schema');
+const { validarEmissao } = require('../src/models');
+const { rpsValido, ibsCbsValido } = require('./fixtures/rps');
+
+const campos = (erros) => erros.map((erro) => erro.campo);
+
+describe('validarSchema', () => {
+  const REGRA = {
+    tipo: 'objeto',
+    campos: {
+      nome: { tipo: 'texto', obrigatorio: true, maxLength: 5 },
+      idade: { tipo: 'numero', minimo: 0, maximo: 150 },
+      uf: { valores: ['SP', 'RJ'] },
+      cep: { tipo: ['texto', 'numero'], formato: /^\d{8}$/, mensagem: 'CEP deve ter 8 dígitos' },
+      endereco: { tipo: 'objeto', campos: { numero: { tipo: 'texto', obrigatorio: true } } },
+      itens: { tipo: 'lista', itens: { tipo: 'numero' } },
+    },
+  };
+
+  it('aceita objeto válido e trata undefined, null e "" como ausentes', () => {
+    assert.deepEqual(validarSchema(REGRA, { nome: 'Ana', idade: 30, uf: 'SP', cep: '01001000', itens: [1, 2] }), []);
+    assert.deepEqual(campos(validarSchema(REGRA, { nome: '' })), ['nome']);
+    assert.deepEqual(validarSchema(REGRA, { nome: 'Ana', idade: null, uf: undefined }), []);
+  });
+
+  it('devolve todas as violações de uma vez, com o caminho de cada campo', () => {
+    const erros = validarSchema(REGRA, {
+      nome: 'Ana Maria',
+      idade: -1,
+      uf: 'MG',
+      cep: '123',
+      endereco: {},
+      itens: [1, 'dois', 3],
+    });
+    assert.deepEqual(erros, [
+      { campo: 'nome', mensagem: 'Deve ter no máximo 5 caracteres (recebido: 9)' },
+      { campo: 'idade', mensagem: 'Deve ser maior ou igual a 0' },
+      { campo: 'uf', mensagem: 'Deve ser um de: SP, RJ' },
+      { campo: 'cep', mensagem: 'CEP deve ter 8 dígitos' },
+      { campo: 'endereco.numero', mensagem: 'Campo obrigatório' },
+      { campo: 'itens[1]', mensagem: 'Deve ser número' },
+    ]);
+  });
+
+  it('não desce nos campos de um valor com o tipo errado', () => {
+    assert.deepEqual(validarSchema(REGRA, 'texto'), [{ campo: '', mensagem: 'Deve ser objeto' }]);
+    assert.deepEqual(validarSchema(REGRA, { nome: 'Ana', endereco: [] }), [{ campo: 'endereco', mensagem: 'Deve ser objeto' }]);
+  });
+
+  it('aceita datas como Date ou string ISO', () => {
+    const regra = { tipo: 'data' };
+    assert.deepEqual(validarSchema(regra, new Date()), []);
+    assert.deepEqual(validarSchema(regra, '2025-01-10'), []);
+    assert.equal(validarSchema(regra, 'ontem').length, 1);
+  });
+
+  it('validar recebe o valor e a raiz e prefixa os campos relativos', () => {
+    const regra = {
+      tipo: 'objeto',
+      campos: {
+        periodo: {
+          tipo: 'objeto',
+          campos: { inicio: { tipo: 'numero' }, fim: { tipo: 'numero' } },
+          validar: (periodo, raiz) => (periodo.fim < periodo.inicio
+            ? [{ campo: 'fim', mensagem: `Fim antes do início (${raiz.nome})` }]
+            : null),
+        },
+      },
+    };
+    assert.deepEqual(validarSchema(regra, { nome: 'x', periodo: { inicio: 2, fim: 1 } }), [
+      { campo: 'periodo.fim', mensagem: 'Fim antes do início (x)' },
+    ]);
+  });
+
+  it('validar não aponta de novo um campo que já violou as regras declarativas', () => {
+    const regra = {
+      tipo: 'objeto',
+      campos: { valor: { tipo: 'numero' } },
+      validar: () => [{ campo: 'valor', mensagem: 'repetido' }, { campo: 'outro', mensagem: 'novo' }],
+    };
+    assert.deepEqual(validarSchema(regra, { valor: 'x' }), [
+      { campo: 'valor', mensagem: 'Deve ser número' },
+      { campo: 'outro', mensagem: 'novo' },
+    ]);
+  });
+});
+
+describe('validarEmissao', () => {
+  it('aceita o payload válido', () => {
+    assert.deepEqual(validarEmissao(rpsValido()), []);
+  });
+
+  it('junta os erros de todos os grupos com o caminho completo', () => {
+    const dados = rpsValido();
+    dados.rps = { ...dados.rps, numeroRps: 'abc' };
+    dados.servico = { ...dados.servico, valorServicos: '1500', aliquotaServicos: 2 };
+    dados.tomador = { ...dados.tomador, cnpj: '11444777000162', endereco: { ...dados.tomador.endereco, cep: '20040020' } };
+    assert.deepEqual(campos(validarEmissao(dados)), [
+      'rps.numeroRps',
+      'servico.valorServicos',
+      'servico.aliquotaServicos',
+      'tomador.cnpj',
+      'tomador.endereco.cep',
+    ]);
+  });
+
+  it('rejeita deduções maiores que o valor dos serviços', () => {
+    const dados = rpsValido();
+    dados.servico = { ...dados.servico, valorDeducoes: 2000 };
+    assert.deepEqual(campos(validarEmissao(dados)), ['servico.valorDeducoes']);
+  });
+
+  it('rejeita o intermediário igual ao tomador e o ISS retido pelos dois', () => {
+    const dados = rpsValido({ intermediario: { cnpj: '11444777000161', issRetido: true } });
+    dados.servico = { ...dados.servico, issRetido: 1 };
+    assert.deepEqual(campos(validarEmissao(dados)), ['intermediario.cnpj', 'intermediario.issRetido']);
+  });
+
+  it('exige o grupo IBS/CBS só no layout v02', () => {
+    assert.deepEqual(campos(validarEmissao(rpsValido(), { layout: 'v02' })), ['ibsCbs']);
+    assert.deepEqual(validarEmissao(rpsValido({ ibsCbs: ibsCbsValido() }), { layout: 'v02' }), []);
+    const erros = validarEmissao(rpsValido({ ibsCbs: { ...ibsCbsValido(), cst: '1', codigoMunicipioIncidencia: '3599999' } }), { layout: 'v02' });
+    assert.deepEqual(campos(erros), ['ibsCbs.cst', 'ibsCbs.codigoMunicipioIncidencia']);
+  });
+
+  it('aponta o payload ausente', () => {
+    assert.deepEqual(validarEmissao(undefined), [{ campo: '', mensagem: 'Campo obrigatório' }]);
+  });
+});
@@ -0,0 +1,84 @@
+// test/verificacao.test.js
+
+const { soap, retornoEmitida, iniciarApi } = require('./fixtures/api');
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { URL_VERIFICACAO, linkVerificacao, gerarQrCode } = require('../src/utils/verificacao');
+const { CNPJ_PRESTADOR, IM_PRESTADOR, rpsValido } = require('./fixtures/rps');
+
+const LINK = `${URL_VERIFICACAO}?ccm=87654321&nf=123&cod=ABCD1234`;
+
+/**
+ * Largura da imagem PNG, lida do cabeçalho IHDR.
+ * @param {Buffer} png
+ * @returns {number}
+ */
+const larguraPng = (png) => png.readUInt32BE(16);
+
+describe('linkVerificacao', () => {
+  it('monta o link do portal da Prefeitura com o CCM, o número e o código de verificação', () => {
+    assert.equal(linkVerificacao({ inscricaoPrestador: IM_PRESTADOR, numeroNfe: 123, codigoVerificacao: 'ABCD1234' }), LINK);
+    assert.equal(linkVerificacao({ inscricaoPrestador: '8.765.432-1', numeroNfe: '123', codigoVerificacao: 'ABCD-1234' }), LINK);
+  });
+
+  it('devolve null com a chave incompleta', () => {
+    assert.equal(linkVerificacao({ inscricaoPrestador: IM_PRESTADOR, numeroNfe: '123' }), null);
+    assert.equal(linkVerificacao({ numeroNfe: '123', codigoVerificacao: 'ABCD1234' }), null);
+    assert.equal(linkVerificacao(), null);
+  });
+});
+
+describe('gerarQrCode', () => {
+  it('gera PNG no tamanho pedido ou SVG', async () => {
+    const png = await gerarQrCode(LINK, { tamanho: 128 });
+    assert.equal(png.subarray(1, 4).toString(), 'PNG');
+    assert.equal(larguraPng(png), 128);
+
+    const svg = await gerarQrCode(LINK, { formato: 'svg' });
+    assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"[\s\S]*<\/svg>\s*$/);
+  });
+
+  it('recusa conteúdo vazio e formato desconhecido', async () => {
+    await assert.rejects(gerarQrCode(''), /obrigatório/);
+    await assert.rejects(gerarQrCode(LINK, { formato: 'gif' }), /png, svg/);
+  });
+});
+
+describe('verificação na API', () => {
+  let api;
+  before(async () => {
+    api = await iniciarApi();
+  });
+  after(() => api.fechar());
+  beforeEach(() => {
+    soap.roteiro = [];
+    soap.chamadas = [];
+  });
+
+  it('a emissão devolve o link de verificação e o endereço do QR code', async () => {
+    soap.roteiro = [retornoEmitida(123)];
+    const { corpo } = await api.requisitar('POST', '/nfse/emitir', rpsValido({ rps: { numeroRps: '50', serie: 'Q', dataEmissao: '2025-01-10' } }));
+    assert.equal(corpo.result.linkVerificacao, LINK);
+    assert.equal(corpo.result.qrCode, `/api/v1/emitentes/${CNPJ_PRESTADOR}/nfse/123/qrcode`);
+  });
+
+  it('GET /nfse/:numero/qrcode devolve a imagem da nota registrada', async () => {
+    const png = await api.requisitar('GET', '/nfse/123/qrcode?tamanho=200');
+    assert.equal(png.status, 200);
+    assert.equal(png.tipo, 'image/png');
+    assert.equal(larguraPng(png.corpo), 200);
+
+    const svg = await api.requisitar('GET', '/nfse/123/qrcode?formato=svg');
+    assert.match(svg.tipo, /^image\/svg\+xml/);
+    assert.match(svg.corpo.toString(), /^<svg/);
+    assert.deepEqual(soap.chamadas, []);
+  });
+
+  it('recusa formato e tamanho inválidos', async () => {
+    const { status, corpo } = await api.requisitar('GET', '/nfse/123/qrcode?formato=gif&tamanho=10');
+    assert.equal(status, 422);
+    assert.deepEqual(corpo.errors.map((e) => e.campo), ['formato', 'tamanho']);
+  });
+});